@@ -5,14 +5,18 @@
  */
 
 const admin = require('firebase-admin');
+const { validateNpi } = require('../auth/npi');
+const { writeAuditEntry, OUTCOMES } = require('../audit/auditLog');
 
 /**
  * Generate comprehensive agent assist data for a provider call
  * @param {string} transcript - Conversation transcript text
  * @param {string} providerId - NPI number of the calling provider
+ * @param {Object} actor - Staff member requesting assistance ({ userId, role, name })
+ * @param {Object} context - Request context ({ ipAddress, userAgent, correlationId })
  * @returns {Object} Agent assist data including summary, articles, and past tickets
  */
-async function generateAgentAssistData(transcript, providerId) {
+async function generateAgentAssistData(transcript, providerId, actor = null, context = {}) {
   const startTime = Date.now();
   
   try {
@@ -27,7 +31,7 @@ async function generateAgentAssistData(transcript, providerId) {
 
     // Clean provider ID
     const cleanNpi = providerId.replace(/\D/g, '');
-    if (cleanNpi.length !== 10) {
+    if (cleanNpi.length !== 10 || !validateNpi(cleanNpi)) {
       return createErrorResponse('Invalid NPI format', 400);
     }
 
@@ -47,7 +51,10 @@ async function generateAgentAssistData(transcript, providerId) {
     ]);
 
     const responseTime = Date.now() - startTime;
-    
+    const requestedBy = actor ? actor.userId : 'system';
+
+    await logAgentAssistRequest(cleanNpi, requestedBy, suggestedArticles.length, pastTickets.length, context);
+
     const result = {
       success: true,
       providerId: cleanNpi,
@@ -58,7 +65,8 @@ async function generateAgentAssistData(transcript, providerId) {
       metadata: {
         generatedAt: new Date().toISOString(),
         processingTimeMs: responseTime,
-        transcriptLength: transcript.length
+        transcriptLength: transcript.length,
+        requestedBy
       }
     };
 
@@ -71,6 +79,26 @@ async function generateAgentAssistData(transcript, providerId) {
   }
 }
 
+/**
+ * Log agent assist usage for audit trail
+ * The transcript itself is not stored
+ */
+async function logAgentAssistRequest(npiNumber, requestedBy, articleCount, ticketCount, context = {}) {
+  try {
+    await writeAuditEntry('agentAssist', {
+      action: 'generated',
+      actor: requestedBy,
+      outcome: OUTCOMES.SUCCESS,
+      npiNumber,
+      requestedBy,
+      articleCount,
+      ticketCount
+    }, context);
+  } catch (error) {
+    console.error('Error logging agent assist request:', error);
+  }
+}
+
 /**
  * Verify provider exists in Firestore
  */
@@ -315,4 +343,4 @@ function createErrorResponse(message, statusCode) {
   };
 }
 
-module.exports = { generateAgentAssistData };
+module.exports = { generateAgentAssistData, searchKnowledgeBase };
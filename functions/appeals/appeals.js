@@ -0,0 +1,702 @@
+/**
+ * Claim Appeals (Redeterminations)
+ *
+ * A beneficiary, or a representative with full access, can appeal a denied
+ * claim until its appealDeadline:
+ * - One appeal per claim, with the beneficiary's reason and supporting
+ *   documents (their documents already filed against the claim are attached
+ *   automatically; more can be added until the appeal is decided)
+ * - Status moves forward one step at a time: Submitted -> Under Review -> Decided
+ * - Support agents review and decide appeals; every review step is written
+ *   to appealAuditLog
+ * - Filing and deciding an appeal notify the beneficiary
+ *
+ * Messages are in the caller's language; notifications in the beneficiary's.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { resolveBeneficiaryIdentifiers } = require('../auth/medicareId');
+const { authorizeAccess, PERMISSIONS } = require('../auth/delegation');
+const { validateClaimNumber } = require('../handlers/claimStatus');
+const { infoElement, descriptionElement, listElement } = require('../webhooks/richContent');
+const { createNotification, getNotificationLocale } = require('../notifications/notificationStore');
+const { writeAuditEntry, OUTCOMES } = require('../audit/auditLog');
+const { DEFAULT_LOCALE, hasMessage, t, formatDate } = require('../i18n/messages');
+
+const APPEAL_COLLECTION = 'appeals';
+const APPEAL_LEVEL = 'Redetermination';
+
+const APPEAL_STATUS = {
+  SUBMITTED: 'Submitted',
+  UNDER_REVIEW: 'Under Review',
+  DECIDED: 'Decided'
+};
+
+// Order in which an appeal moves through its statuses
+const STATUS_ORDER = [APPEAL_STATUS.SUBMITTED, APPEAL_STATUS.UNDER_REVIEW, APPEAL_STATUS.DECIDED];
+
+const DECISIONS = {
+  FAVORABLE: 'Favorable',
+  PARTIALLY_FAVORABLE: 'Partially Favorable',
+  UNFAVORABLE: 'Unfavorable'
+};
+
+const APPEAL_ID_PATTERN = /^APL-\d{4}-[A-F0-9]{6}$/;
+const DOCUMENT_ID_PATTERN = /^DOC-[A-Z0-9-]{3,40}$/;
+const MIN_REASON_LENGTH = 10;
+const MAX_REASON_LENGTH = 2000;
+const MAX_DOCUMENTS = 10;
+
+// Firestore's ALREADY_EXISTS error code; appeal IDs are retried on a collision
+const ALREADY_EXISTS = 6;
+const MAX_ID_ATTEMPTS = 3;
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Validate an appeal ID (APL-YYYY-XXXXXX)
+ */
+function validateAppealId(appealId) {
+  return typeof appealId === 'string' && APPEAL_ID_PATTERN.test(appealId);
+}
+
+/**
+ * Generate an appeal ID
+ */
+function generateAppealId() {
+  return `APL-${new Date().getFullYear()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Error result for a claim that already has an appeal
+ */
+function appealExistsResult(claimId, appeal, locale) {
+  return {
+    success: false,
+    error: 'APPEAL_EXISTS',
+    message: t(locale, 'appeals.alreadyFiled', {
+      claimId,
+      appealId: appeal.appealId,
+      status: formatAppealValue('statusNames', appeal.status, locale)
+    }),
+    appealId: appeal.appealId
+  };
+}
+
+/**
+ * Today's date as YYYY-MM-DD (UTC), for comparing with appeal deadlines
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Appeal status or decision in the response language (as stored otherwise)
+ */
+function formatAppealValue(group, value, locale) {
+  const key = `appeals.${group}.${value}`;
+  return hasMessage(locale, key) ? t(locale, key) : value;
+}
+
+function appealNotFound(locale) {
+  return { success: false, error: 'APPEAL_NOT_FOUND', message: t(locale, 'appeals.notFound') };
+}
+
+/**
+ * Format an appeal for the user
+ *
+ * @param {Object} appeal - Appeal document
+ * @param {string} locale - Response language
+ * @returns {Object} { text, richContent } - plain-text fallback and an appeal card
+ */
+function formatAppealResponse(appeal, locale = DEFAULT_LOCALE) {
+  const title = t(locale, 'appeals.title', { appealId: appeal.appealId });
+  const status = formatAppealValue('statusNames', appeal.status, locale);
+  const lines = [
+    t(locale, 'appeals.claimLine', { claimId: appeal.claimId }),
+    t(locale, 'appeals.statusLine', { status }),
+    t(locale, 'appeals.filedLine', { date: formatDate(appeal.filedAt, locale) }),
+    t(locale, 'appeals.documentsLine', { count: (appeal.documentIds || []).length })
+  ];
+
+  if (appeal.status === APPEAL_STATUS.DECIDED) {
+    lines.push(t(locale, 'appeals.decisionLine', { decision: formatAppealValue('decisions', appeal.decision, locale) }));
+    if (appeal.decisionReason) {
+      lines.push(t(locale, 'appeals.decisionReasonLine', { reason: appeal.decisionReason }));
+    }
+    lines.push(t(locale, 'appeals.decidedLine', { date: formatDate(appeal.decidedAt, locale) }));
+  }
+
+  return {
+    text: `**${title}**\n\n${lines.map(line => `${line}\n`).join('')}`,
+    richContent: [
+      infoElement(title, status),
+      descriptionElement(t(locale, 'appeals.detailsTitle'), lines)
+    ]
+  };
+}
+
+/**
+ * What a beneficiary session sees of an appeal (no reviewer ID)
+ */
+function toBeneficiaryView(appeal) {
+  const { reviewerId, ...view } = appeal;
+  return view;
+}
+
+/**
+ * Look up a claim and check that the caller may appeal it
+ * Claim errors use the claim lookup's codes so the webhook can re-prompt
+ * for the claim number
+ *
+ * @param {string} claimNumber - Claim to appeal
+ * @param {Object} sessionInfo - Verified beneficiary session claims
+ * @param {Object} requestContext - Request context for the audit log
+ * @param {string} locale - Response language
+ * @returns {Promise<Object>} { success, claim } or { success: false, error, message }
+ */
+async function checkAppealEligibility(claimNumber, sessionInfo, requestContext = {}, locale = DEFAULT_LOCALE) {
+  if (!claimNumber) {
+    return { success: false, error: 'MISSING_CLAIM_NUMBER', message: t(locale, 'appeals.missingClaimNumber') };
+  }
+
+  claimNumber = claimNumber.trim().toUpperCase();
+  if (!validateClaimNumber(claimNumber)) {
+    return { success: false, error: 'INVALID_CLAIM_NUMBER', message: t(locale, 'claims.invalidNumber') };
+  }
+
+  const db = admin.firestore();
+  const snapshot = await db.collection('claims')
+    .where('claimId', '==', claimNumber)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return { success: false, error: 'CLAIM_NOT_FOUND', message: t(locale, 'claims.notFound', { claimNumber }) };
+  }
+
+  const claim = snapshot.docs[0].data();
+  const ownedIds = await resolveBeneficiaryIdentifiers(sessionInfo.medicareId);
+  if (!ownedIds.includes(claim.medicareId)) {
+    return { success: false, error: 'CLAIM_NOT_OWNED', message: t(locale, 'claims.notOwned') };
+  }
+
+  const access = await authorizeAccess(
+    sessionInfo,
+    PERMISSIONS.APPEALS_WRITE,
+    { type: 'claim', id: claim.claimId },
+    requestContext
+  );
+  if (!access.allowed) {
+    return { success: false, error: 'ACCESS_DENIED', message: t(locale, 'access.appealsDenied') };
+  }
+
+  if (claim.status !== 'Denied') {
+    return { success: false, error: 'CLAIM_NOT_APPEALABLE', message: t(locale, 'appeals.notAppealable', { claimId: claim.claimId }) };
+  }
+
+  if (!claim.appealDeadline || today() > claim.appealDeadline) {
+    return {
+      success: false,
+      error: 'APPEAL_DEADLINE_PASSED',
+      message: t(locale, 'appeals.deadlinePassed', {
+        claimId: claim.claimId,
+        date: claim.appealDeadline ? formatDate(claim.appealDeadline, locale) : t(locale, 'common.notAvailable')
+      })
+    };
+  }
+
+  const existing = await db.collection(APPEAL_COLLECTION)
+    .where('claimId', '==', claim.claimId)
+    .limit(1)
+    .get();
+  if (!existing.empty) {
+    return appealExistsResult(claim.claimId, existing.docs[0].data(), locale);
+  }
+
+  return { success: true, claim };
+}
+
+/**
+ * Check that documents exist and belong to the beneficiary
+ *
+ * @returns {Promise<Array<string>|null>} The document IDs, or null if any is unusable
+ */
+async function resolveDocuments(documentIds, beneficiaryIds) {
+  if (!Array.isArray(documentIds) || documentIds.length > MAX_DOCUMENTS ||
+      !documentIds.every(documentId => typeof documentId === 'string' && DOCUMENT_ID_PATTERN.test(documentId))) {
+    return null;
+  }
+
+  const db = admin.firestore();
+  const documents = await Promise.all(
+    [...new Set(documentIds)].map(documentId => db.collection('documents').doc(documentId).get())
+  );
+
+  const usable = documents.every(doc => doc.exists && beneficiaryIds.includes(doc.data().beneficiaryId));
+  return usable ? documents.map(doc => doc.id) : null;
+}
+
+/**
+ * Point supporting documents at the appeal
+ */
+async function linkDocuments(documentIds, appealId) {
+  const db = admin.firestore();
+  await Promise.all(documentIds.map(documentId =>
+    db.collection('documents').doc(documentId).update({ relatedTo: { type: 'appeal', id: appealId } })
+  ));
+}
+
+/**
+ * Store a new appeal unless its claim already has one
+ * The check and the write share a transaction so a double submit files one
+ * appeal; create() never overwrites an appeal whose generated ID collides
+ *
+ * @param {Object} appeal - Appeal document without an appealId
+ * @returns {Promise<Object>} { appeal } as stored, or { existing } for the claim
+ */
+async function createAppeal(appeal) {
+  const db = admin.firestore();
+  const sameClaim = db.collection(APPEAL_COLLECTION)
+    .where('claimId', '==', appeal.claimId)
+    .limit(1);
+
+  for (let attempt = 1; ; attempt++) {
+    const stored = { appealId: generateAppealId(), ...appeal };
+    try {
+      return await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(sameClaim);
+        if (!existing.empty) {
+          return { existing: existing.docs[0].data() };
+        }
+
+        transaction.create(db.collection(APPEAL_COLLECTION).doc(stored.appealId), stored);
+        return { appeal: stored };
+      });
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS || attempt >= MAX_ID_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Notify the beneficiary about an appeal, in their language
+ */
+async function notifyAppealUpdate(appeal, event) {
+  try {
+    const locale = await getNotificationLocale(appeal.beneficiaryId);
+    const values = {
+      appealId: appeal.appealId,
+      claimId: appeal.claimId,
+      decision: appeal.decision ? formatAppealValue('decisions', appeal.decision, locale) : ''
+    };
+
+    await createNotification(appeal.beneficiaryId, {
+      type: 'appeals',
+      priority: event === 'decided' ? 'high' : 'medium',
+      title: t(locale, `appeals.notifications.${event}.title`, values),
+      message: t(locale, `appeals.notifications.${event}.message`, values),
+      actionLink: `/appeals/${appeal.appealId}`,
+      actionText: t(locale, 'appeals.notifications.actionText'),
+      relatedTo: { type: 'appeal', id: appeal.appealId }
+    });
+  } catch (error) {
+    console.error('Error creating appeal notification:', error.message);
+  }
+}
+
+/**
+ * File a redetermination request for a denied claim
+ *
+ * @param {Object} sessionInfo - Verified beneficiary session claims
+ * @param {Object} request - { claimNumber, reason, documentIds, channel }
+ * @param {Object} requestContext - Request context for the audit log
+ * @param {string} locale - Response language
+ * @returns {Promise<Object>} { success, message, appeal } or an error
+ */
+async function fileAppeal(sessionInfo, request, requestContext = {}, locale = DEFAULT_LOCALE) {
+  try {
+    const eligibility = await checkAppealEligibility(request.claimNumber, sessionInfo, requestContext, locale);
+    if (!eligibility.success) {
+      return eligibility;
+    }
+
+    // Reason errors name the claim so the chat can ask again for the same one
+    const claim = eligibility.claim;
+    const reason = typeof request.reason === 'string' ? request.reason.trim() : '';
+    if (!reason) {
+      return {
+        success: false,
+        error: 'MISSING_APPEAL_REASON',
+        message: t(locale, 'appeals.reasonPrompt', { claimId: claim.claimId }),
+        claimId: claim.claimId
+      };
+    }
+    if (reason.length < MIN_REASON_LENGTH || reason.length > MAX_REASON_LENGTH) {
+      return {
+        success: false,
+        error: 'INVALID_APPEAL_REASON',
+        message: t(locale, 'appeals.invalidReason', { min: MIN_REASON_LENGTH, max: MAX_REASON_LENGTH }),
+        claimId: claim.claimId
+      };
+    }
+
+    const beneficiaryIds = await resolveBeneficiaryIdentifiers(claim.medicareId);
+    const documentIds = await resolveDocuments(request.documentIds || [], beneficiaryIds);
+    if (!documentIds) {
+      return { success: false, error: 'INVALID_DOCUMENTS', message: t(locale, 'appeals.invalidDocuments', { max: MAX_DOCUMENTS }) };
+    }
+
+    // Documents already filed against the claim support the appeal too
+    const db = admin.firestore();
+    const claimDocuments = await db.collection('documents')
+      .where('beneficiaryId', 'in', beneficiaryIds)
+      .where('relatedTo.id', '==', claim.claimId)
+      .get();
+    claimDocuments.docs
+      .filter(doc => doc.data().relatedTo?.type === 'claim' && !documentIds.includes(doc.id))
+      .forEach(doc => documentIds.push(doc.id));
+
+    const filedAt = new Date().toISOString();
+    const created = await createAppeal({
+      claimId: claim.claimId,
+      beneficiaryId: claim.medicareId,
+      representativeId: sessionInfo.representativeId || null,
+      filedBy: sessionInfo.role === 'representative' ? 'representative' : 'beneficiary',
+      channel: request.channel || null,
+      level: APPEAL_LEVEL,
+      status: APPEAL_STATUS.SUBMITTED,
+      reason,
+      documentIds,
+      appealDeadline: claim.appealDeadline,
+      filedAt,
+      updatedAt: filedAt,
+      reviewerId: null,
+      reviewerName: null,
+      decision: null,
+      decisionReason: null,
+      decidedAt: null,
+      statusHistory: [{ status: APPEAL_STATUS.SUBMITTED, at: filedAt }]
+    });
+    if (created.existing) {
+      return appealExistsResult(claim.claimId, created.existing, locale);
+    }
+
+    const appeal = created.appeal;
+    await linkDocuments(documentIds, appeal.appealId);
+    await notifyAppealUpdate(appeal, 'submitted');
+    console.log('Appeal filed:', appeal.appealId);
+
+    return {
+      success: true,
+      message: t(locale, 'appeals.filed', {
+        appealId: appeal.appealId,
+        claimId: appeal.claimId,
+        count: documentIds.length
+      }),
+      appeal: toBeneficiaryView(appeal)
+    };
+  } catch (error) {
+    console.error('Error filing appeal:', error.message);
+    return { success: false, message: t(locale, 'appeals.fileError') };
+  }
+}
+
+/**
+ * Fetch an appeal
+ *
+ * @param {string} appealId - Appeal ID
+ * @returns {Promise<Object|null>} Appeal document or null
+ */
+async function getAppeal(appealId) {
+  if (!validateAppealId(appealId)) {
+    return null;
+  }
+
+  const db = admin.firestore();
+  const appealDoc = await db.collection(APPEAL_COLLECTION).doc(appealId).get();
+  return appealDoc.exists ? appealDoc.data() : null;
+}
+
+/**
+ * Fetch one of the session beneficiary's appeals
+ * Other beneficiaries' appeals are reported as not found
+ *
+ * @returns {Promise<Object>} { success, appeal } or APPEAL_NOT_FOUND / ACCESS_DENIED
+ */
+async function getBeneficiaryAppeal(sessionInfo, appealId, requestContext = {}, locale = DEFAULT_LOCALE) {
+  const appeal = await getAppeal(appealId);
+  const beneficiaryIds = await resolveBeneficiaryIdentifiers(sessionInfo.medicareId);
+  if (!appeal || !beneficiaryIds.includes(appeal.beneficiaryId)) {
+    return appealNotFound(locale);
+  }
+
+  const access = await authorizeAccess(sessionInfo, PERMISSIONS.CLAIMS_READ, { type: 'appeal', id: appealId }, requestContext);
+  if (!access.allowed) {
+    return { success: false, error: 'ACCESS_DENIED', message: t(locale, 'access.claimsDenied') };
+  }
+
+  return { success: true, appeal: toBeneficiaryView(appeal) };
+}
+
+/**
+ * List the session beneficiary's appeals, most recent first
+ *
+ * @param {Object} sessionInfo - Verified beneficiary session claims
+ * @param {Object} filters - { claimId, limit }
+ * @returns {Promise<Object>} { success, appeals } or ACCESS_DENIED
+ */
+async function listBeneficiaryAppeals(sessionInfo, filters = {}, requestContext = {}, locale = DEFAULT_LOCALE) {
+  const access = await authorizeAccess(sessionInfo, PERMISSIONS.CLAIMS_READ, { type: 'appeal', id: null }, requestContext);
+  if (!access.allowed) {
+    return { success: false, error: 'ACCESS_DENIED', message: t(locale, 'access.claimsDenied') };
+  }
+
+  const beneficiaryIds = await resolveBeneficiaryIdentifiers(sessionInfo.medicareId);
+  if (beneficiaryIds.length === 0) {
+    return { success: true, appeals: [] };
+  }
+
+  const db = admin.firestore();
+  let query = db.collection(APPEAL_COLLECTION).where('beneficiaryId', 'in', beneficiaryIds);
+  if (filters.claimId) {
+    query = query.where('claimId', '==', filters.claimId);
+  }
+
+  const snapshot = await query
+    .orderBy('filedAt', 'desc')
+    .limit(Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT))
+    .get();
+
+  return { success: true, appeals: snapshot.docs.map(doc => toBeneficiaryView(doc.data())) };
+}
+
+/**
+ * Describe the beneficiary's appeals for the chat
+ * One appeal (by appeal ID or claim) is shown in full; otherwise a list
+ *
+ * @param {Object} sessionInfo - Verified beneficiary session claims
+ * @param {Object} filters - { appealId, claimId }
+ * @returns {Promise<Object>} { success, message, richContent, appeals }
+ */
+async function describeAppeals(sessionInfo, filters = {}, requestContext = {}, locale = DEFAULT_LOCALE) {
+  try {
+    const result = filters.appealId
+      ? await getBeneficiaryAppeal(sessionInfo, filters.appealId, requestContext, locale)
+      : await listBeneficiaryAppeals(sessionInfo, { claimId: filters.claimId, limit: 5 }, requestContext, locale);
+    if (!result.success) {
+      return result;
+    }
+
+    const appeals = result.appeal ? [result.appeal] : result.appeals;
+    if (appeals.length === 0) {
+      return {
+        success: true,
+        message: t(locale, filters.claimId ? 'appeals.noneForClaim' : 'appeals.none', { claimId: filters.claimId }),
+        richContent: [],
+        appeals: []
+      };
+    }
+
+    if (appeals.length === 1) {
+      const formatted = formatAppealResponse(appeals[0], locale);
+      return { success: true, message: formatted.text, richContent: [formatted.richContent], appeals };
+    }
+
+    let message = `${t(locale, 'appeals.listIntro', { count: appeals.length })}\n\n`;
+    appeals.forEach((appeal, index) => {
+      message += `${index + 1}. **${appeal.appealId}** - ${formatAppealValue('statusNames', appeal.status, locale)}\n`;
+      message += `   ${t(locale, 'appeals.claimLine', { claimId: appeal.claimId })}\n`;
+      message += `   ${t(locale, 'appeals.filedLine', { date: formatDate(appeal.filedAt, locale) })}\n\n`;
+    });
+    message += t(locale, 'appeals.listOutro');
+
+    const listCard = [
+      infoElement(t(locale, 'appeals.listTitle')),
+      ...appeals.map(appeal => listElement(
+        `${appeal.appealId} - ${formatAppealValue('statusNames', appeal.status, locale)}`,
+        `${appeal.claimId} · ${formatDate(appeal.filedAt, locale)}`
+      ))
+    ];
+
+    return { success: true, message, richContent: [listCard], appeals };
+  } catch (error) {
+    console.error('Error retrieving appeals:', error.message);
+    return { success: false, message: t(locale, 'appeals.lookupError') };
+  }
+}
+
+/**
+ * Add supporting documents to an appeal that has not been decided
+ *
+ * @returns {Promise<Object>} { success, appeal } or an error
+ */
+async function addAppealDocuments(sessionInfo, appealId, documentIds, requestContext = {}, locale = DEFAULT_LOCALE) {
+  const appeal = await getAppeal(appealId);
+  const beneficiaryIds = await resolveBeneficiaryIdentifiers(sessionInfo.medicareId);
+  if (!appeal || !beneficiaryIds.includes(appeal.beneficiaryId)) {
+    return appealNotFound(locale);
+  }
+
+  const access = await authorizeAccess(sessionInfo, PERMISSIONS.APPEALS_WRITE, { type: 'appeal', id: appealId }, requestContext);
+  if (!access.allowed) {
+    return { success: false, error: 'ACCESS_DENIED', message: t(locale, 'access.appealsDenied') };
+  }
+
+  if (appeal.status === APPEAL_STATUS.DECIDED) {
+    return { success: false, error: 'APPEAL_DECIDED', message: t(locale, 'appeals.alreadyDecided', { appealId }) };
+  }
+
+  const added = await resolveDocuments(documentIds, beneficiaryIds);
+  if (!added || added.length === 0 || appeal.documentIds.length + added.length > MAX_DOCUMENTS) {
+    return { success: false, error: 'INVALID_DOCUMENTS', message: t(locale, 'appeals.invalidDocuments', { max: MAX_DOCUMENTS }) };
+  }
+
+  const updated = {
+    documentIds: [...new Set([...appeal.documentIds, ...added])],
+    updatedAt: new Date().toISOString()
+  };
+
+  const db = admin.firestore();
+  await db.collection(APPEAL_COLLECTION).doc(appealId).update(updated);
+  await linkDocuments(added, appealId);
+
+  return { success: true, appeal: toBeneficiaryView({ ...appeal, ...updated }) };
+}
+
+/**
+ * List appeals for support agents, oldest first
+ *
+ * @param {string} status - Submitted or Under Review (default Submitted)
+ * @returns {Promise<Array<Object>>} Appeals
+ */
+async function listAppealsByStatus(status = APPEAL_STATUS.SUBMITTED, limit = DEFAULT_LIST_LIMIT) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(APPEAL_COLLECTION)
+    .where('status', '==', status)
+    .orderBy('filedAt', 'asc')
+    .limit(Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT))
+    .get();
+
+  return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Log a support agent reading or reviewing appeals
+ */
+async function logAppealAccess(agentId, action, details, context = {}) {
+  try {
+    await writeAuditEntry('appeals', {
+      action,
+      actor: agentId,
+      outcome: OUTCOMES.SUCCESS,
+      ...details
+    }, context);
+  } catch (error) {
+    console.error('Error logging appeal access:', error);
+  }
+}
+
+/**
+ * Move an appeal forward: start the review, or record the decision
+ * Appeals move one step at a time, so a Submitted appeal must be put Under
+ * Review before it can be decided. The status check and the update share a
+ * transaction so two agents reviewing at once cannot both move it forward
+ * Decided appeals need a decision (one of DECISIONS) and its reason
+ *
+ * @param {string} appealId - Appeal ID
+ * @param {Object} agent - { agentId, agentName }
+ * @param {Object} update - { status, decision, decisionReason }
+ * @param {Object} requestContext - Request context for the audit log
+ * @returns {Promise<Object>} { success, appeal } or an error
+ */
+async function reviewAppeal(appealId, agent, update = {}, requestContext = {}) {
+  if (!validateAppealId(appealId)) {
+    return { success: false, error: 'APPEAL_NOT_FOUND', message: 'Appeal not found' };
+  }
+
+  const decisionReason = typeof update.decisionReason === 'string' ? update.decisionReason.trim() : '';
+  if (update.status === APPEAL_STATUS.DECIDED &&
+      (!Object.values(DECISIONS).includes(update.decision) || !decisionReason || decisionReason.length > MAX_REASON_LENGTH)) {
+    return {
+      success: false,
+      error: 'INVALID_DECISION',
+      message: `A decision (${Object.values(DECISIONS).join(', ')}) and a decisionReason of up to ${MAX_REASON_LENGTH} characters are required`
+    };
+  }
+
+  const db = admin.firestore();
+  const appealRef = db.collection(APPEAL_COLLECTION).doc(appealId);
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const appealDoc = await transaction.get(appealRef);
+    if (!appealDoc.exists) {
+      return { success: false, error: 'APPEAL_NOT_FOUND', message: 'Appeal not found' };
+    }
+
+    const appeal = appealDoc.data();
+    const nextStatus = STATUS_ORDER[STATUS_ORDER.indexOf(appeal.status) + 1];
+    if (!nextStatus || update.status !== nextStatus) {
+      return {
+        success: false,
+        error: 'INVALID_STATUS_CHANGE',
+        message: nextStatus
+          ? `A ${appeal.status} appeal can only move to ${nextStatus}`
+          : 'This appeal has already been decided'
+      };
+    }
+
+    const now = new Date().toISOString();
+    const updated = {
+      status: nextStatus,
+      updatedAt: now,
+      reviewerId: agent.agentId,
+      reviewerName: agent.agentName || agent.agentId,
+      statusHistory: [...(appeal.statusHistory || []), { status: nextStatus, at: now, by: agent.agentId }]
+    };
+    if (nextStatus === APPEAL_STATUS.DECIDED) {
+      Object.assign(updated, { decision: update.decision, decisionReason, decidedAt: now });
+    }
+
+    transaction.update(appealRef, updated);
+    return { success: true, appeal: { ...appeal, ...updated } };
+  });
+
+  if (!outcome.success) {
+    return outcome;
+  }
+
+  const result = outcome.appeal;
+  await logAppealAccess(agent.agentId, result.status === APPEAL_STATUS.DECIDED ? 'decided' : 'review_started', {
+    appealId,
+    claimId: result.claimId,
+    beneficiaryId: result.beneficiaryId,
+    decision: result.decision || null
+  }, requestContext);
+
+  if (result.status === APPEAL_STATUS.DECIDED) {
+    await notifyAppealUpdate(result, 'decided');
+  }
+
+  return { success: true, appeal: result };
+}
+
+module.exports = {
+  APPEAL_STATUS,
+  DECISIONS,
+  validateAppealId,
+  formatAppealResponse,
+  checkAppealEligibility,
+  fileAppeal,
+  getAppeal,
+  getBeneficiaryAppeal,
+  listBeneficiaryAppeals,
+  describeAppeals,
+  addAppealDocuments,
+  listAppealsByStatus,
+  logAppealAccess,
+  reviewAppeal
+};
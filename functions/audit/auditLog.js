@@ -0,0 +1,350 @@
+/**
+ * Compliance Audit Log
+ *
+ * Shared writer, query, export and retention for the audit collections:
+ * - Every entry has action, actor, outcome and timestamp, plus the request
+ *   context (IP, user agent, correlation ID) it was written under
+ * - Search by time range, actor and outcome, paged by document cursor
+ * - CSV and JSONL export for compliance reviews
+ * - Retention: entries older than AUDIT_RETENTION_DAYS (default 6 years, the
+ *   HIPAA documentation period) are archived to Cloud Storage or purged
+ */
+
+const admin = require('firebase-admin');
+
+// Log names accepted by the audit API, mapped to Firestore collections
+const AUDIT_LOGS = {
+  auth: 'authAuditLog',
+  tickets: 'ticketAuditLog',
+  delegatedAccess: 'delegatedAccessLog',
+  agentAssist: 'agentAssistLog',
+  auditAccess: 'auditAccessLog',
+  conversationAccess: 'conversationAccessLog',
+  appeals: 'appealAuditLog'
+};
+
+const OUTCOMES = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  DENIED: 'denied'
+};
+
+const DEFAULT_SEARCH_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const MAX_EXPORT_ENTRIES = 10000;
+const EXPORT_PAGE_SIZE = 500;
+
+const DEFAULT_RETENTION_DAYS = 6 * 365;
+const RETENTION_ACTIONS = ['archive', 'purge'];
+const RETENTION_BATCH_SIZE = 500;
+const MAX_RETENTION_BATCHES = 40; // Per collection per run; the rest waits for the next run
+
+const CSV_COLUMNS = ['id', 'timestamp', 'log', 'action', 'actor', 'outcome', 'ipAddress', 'userAgent', 'correlationId'];
+
+/**
+ * Write an audit entry
+ *
+ * @param {string} log - Key of AUDIT_LOGS
+ * @param {Object} entry - { action, actor, outcome, ...details }
+ * @param {Object} context - Request context ({ ipAddress, userAgent, correlationId })
+ */
+async function writeAuditEntry(log, entry, context = {}) {
+  const db = admin.firestore();
+
+  await db.collection(AUDIT_LOGS[log]).add({
+    ...entry,
+    actor: entry.actor || 'system',
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    correlationId: context.correlationId || null,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Parse a date filter (ISO 8601 string or epoch milliseconds)
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Validate search filters from a query string
+ *
+ * @param {Object} query - { log, from, to, actor, outcome, limit, pageToken }
+ * @returns {Object} { filters } or { error, message }
+ */
+function parseSearchFilters(query = {}) {
+  if (!AUDIT_LOGS[query.log]) {
+    return { error: 'INVALID_LOG', message: `log must be one of: ${Object.keys(AUDIT_LOGS).join(', ')}` };
+  }
+
+  const to = parseDate(query.to);
+  const from = parseDate(query.from);
+  if (to === undefined || from === undefined) {
+    return { error: 'INVALID_DATE', message: 'from and to must be ISO 8601 dates or epoch milliseconds' };
+  }
+
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_SEARCH_WINDOW);
+  if (start > end) {
+    return { error: 'INVALID_DATE', message: 'from must be before to' };
+  }
+
+  if (query.outcome && !Object.values(OUTCOMES).includes(query.outcome)) {
+    return { error: 'INVALID_OUTCOME', message: `outcome must be one of: ${Object.values(OUTCOMES).join(', ')}` };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    filters: {
+      log: query.log,
+      from: start,
+      to: end,
+      actor: query.actor || null,
+      outcome: query.outcome || null,
+      limit,
+      pageToken: query.pageToken || null
+    }
+  };
+}
+
+/**
+ * Convert a stored entry to its API form (ISO timestamp, log name, document ID)
+ */
+function toApiEntry(log, doc) {
+  const data = doc.data();
+  const timestamp = data.timestamp && data.timestamp.toDate ? data.timestamp.toDate().toISOString() : null;
+
+  return { ...data, id: doc.id, log, timestamp };
+}
+
+/**
+ * Search an audit log, newest first
+ *
+ * @param {Object} filters - Result of parseSearchFilters()
+ * @returns {Promise<Object>} { entries, nextPageToken }
+ */
+async function searchAuditLogs(filters) {
+  const db = admin.firestore();
+  const collection = db.collection(AUDIT_LOGS[filters.log]);
+  const { Timestamp } = admin.firestore;
+
+  let query = collection
+    .where('timestamp', '>=', Timestamp.fromDate(filters.from))
+    .where('timestamp', '<=', Timestamp.fromDate(filters.to));
+
+  if (filters.actor) {
+    query = query.where('actor', '==', filters.actor);
+  }
+  if (filters.outcome) {
+    query = query.where('outcome', '==', filters.outcome);
+  }
+
+  query = query.orderBy('timestamp', 'desc');
+
+  if (filters.pageToken) {
+    const cursor = await collection.doc(filters.pageToken).get();
+    if (cursor.exists) {
+      query = query.startAfter(cursor);
+    }
+  }
+
+  const snapshot = await query.limit(filters.limit).get();
+  const entries = snapshot.docs.map(doc => toApiEntry(filters.log, doc));
+
+  return {
+    entries,
+    nextPageToken: snapshot.size === filters.limit ? snapshot.docs[snapshot.size - 1].id : null
+  };
+}
+
+/**
+ * Escape a CSV cell
+ * Cells starting with formula characters are prefixed so spreadsheets
+ * treat them as text
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format entries as CSV
+ * Fields outside the common columns go in a JSON details column
+ */
+function formatCsv(entries) {
+  const rows = entries.map(entry => {
+    const details = { ...entry };
+    CSV_COLUMNS.forEach(column => delete details[column]);
+
+    return [...CSV_COLUMNS.map(column => entry[column]), details].map(escapeCsv).join(',');
+  });
+
+  return [[...CSV_COLUMNS, 'details'].join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Format entries as JSON Lines
+ */
+function formatJsonl(entries) {
+  return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+}
+
+/**
+ * Export an audit log search as CSV or JSONL
+ * Pages through the results up to MAX_EXPORT_ENTRIES
+ *
+ * @param {Object} filters - Result of parseSearchFilters() (limit and pageToken are ignored)
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {Promise<Object>} { contentType, filename, body, count, truncated }
+ */
+async function exportAuditLogs(filters, format) {
+  const entries = [];
+  let pageToken = null;
+
+  do {
+    const page = await searchAuditLogs({
+      ...filters,
+      limit: Math.min(EXPORT_PAGE_SIZE, MAX_EXPORT_ENTRIES - entries.length),
+      pageToken
+    });
+    entries.push(...page.entries);
+    pageToken = page.nextPageToken;
+  } while (pageToken && entries.length < MAX_EXPORT_ENTRIES);
+
+  const filename = `${filters.log}-${filters.from.toISOString().slice(0, 10)}-${filters.to.toISOString().slice(0, 10)}.${format}`;
+
+  return {
+    contentType: format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    filename,
+    body: format === 'csv' ? formatCsv(entries) : formatJsonl(entries),
+    count: entries.length,
+    truncated: Boolean(pageToken)
+  };
+}
+
+/**
+ * Record who searched or exported the audit logs
+ */
+async function recordAuditAccess(claims, action, filters, resultCount, context = {}) {
+  await writeAuditEntry('auditAccess', {
+    action,
+    actor: claims.sub,
+    outcome: OUTCOMES.SUCCESS,
+    searchedLog: filters.log,
+    filters: {
+      from: filters.from.toISOString(),
+      to: filters.to.toISOString(),
+      actor: filters.actor,
+      outcome: filters.outcome
+    },
+    resultCount
+  }, context);
+}
+
+/**
+ * Read the retention settings from the environment
+ */
+function getRetentionConfig() {
+  const days = parseInt(process.env.AUDIT_RETENTION_DAYS, 10);
+  const action = process.env.AUDIT_RETENTION_ACTION;
+
+  return {
+    retentionDays: days > 0 ? days : DEFAULT_RETENTION_DAYS,
+    action: RETENTION_ACTIONS.includes(action) ? action : 'archive',
+    bucket: process.env.AUDIT_ARCHIVE_BUCKET || null
+  };
+}
+
+/**
+ * Archive a batch of entries to Cloud Storage as JSONL
+ * Files are named by run timestamp, and the upload fails rather than replace
+ * an existing object, so a second run never overwrites an earlier archive
+ */
+async function archiveBatch(bucketName, log, runId, batchIndex, docs) {
+  const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
+  const file = bucket.file(`audit-archive/${AUDIT_LOGS[log]}/${runId}-${String(batchIndex).padStart(3, '0')}.jsonl`);
+
+  await file.save(formatJsonl(docs.map(doc => toApiEntry(log, doc))), {
+    contentType: 'application/x-ndjson',
+    resumable: false,
+    preconditionOpts: { ifGenerationMatch: 0 }
+  });
+}
+
+/**
+ * Archive or purge audit entries past the retention period
+ *
+ * @param {Object} options - Overrides for getRetentionConfig() and now
+ * @returns {Promise<Object>} { cutoff, action, removed: { [collection]: count } }
+ */
+async function applyAuditRetention(options = {}) {
+  const { retentionDays, action, bucket } = { ...getRetentionConfig(), ...options };
+  const now = options.now || Date.now();
+  const cutoff = new Date(now - retentionDays * 24 * 60 * 60 * 1000);
+  // e.g. 2024-10-15T031500123Z
+  const runId = new Date(now).toISOString().replace(/[:.]/g, '');
+  const db = admin.firestore();
+  const removed = {};
+
+  for (const log of Object.keys(AUDIT_LOGS)) {
+    const collection = AUDIT_LOGS[log];
+    removed[collection] = 0;
+
+    for (let batchIndex = 0; batchIndex < MAX_RETENTION_BATCHES; batchIndex++) {
+      const snapshot = await db.collection(collection)
+        .where('timestamp', '<', admin.firestore.Timestamp.fromDate(cutoff))
+        .orderBy('timestamp')
+        .limit(RETENTION_BATCH_SIZE)
+        .get();
+
+      if (snapshot.empty) {
+        break;
+      }
+
+      // Entries are only deleted once their archive file is written
+      if (action === 'archive') {
+        await archiveBatch(bucket, log, runId, batchIndex, snapshot.docs);
+      }
+
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+
+      removed[collection] += snapshot.size;
+    }
+  }
+
+  console.log(`Audit retention (${action}, cutoff ${cutoff.toISOString()}):`, removed);
+
+  return { cutoff: cutoff.toISOString(), action, removed };
+}
+
+module.exports = {
+  AUDIT_LOGS,
+  OUTCOMES,
+  writeAuditEntry,
+  parseSearchFilters,
+  searchAuditLogs,
+  exportAuditLogs,
+  formatCsv,
+  formatJsonl,
+  recordAuditAccess,
+  applyAuditRetention
+};
@@ -0,0 +1,76 @@
+/**
+ * Request Context
+ * Client details threaded from HTTPS functions into audit log entries:
+ * - Client IP (the X-Forwarded-For entry appended by Google's front end)
+ * - User agent
+ * - Correlation ID, taken from X-Correlation-ID or the Cloud Trace header,
+ *   otherwise generated, and echoed back on the response
+ */
+
+const crypto = require('crypto');
+
+const CORRELATION_HEADER = 'X-Correlation-ID';
+const MAX_USER_AGENT_LENGTH = 256;
+
+/**
+ * Get the client IP address for rate limiting and audit logs
+ * Cloud Functions sits behind Google's front end, which appends the address
+ * it received the connection from to X-Forwarded-For. Earlier entries come
+ * from the client and can be spoofed, so only the right-most one is trusted.
+ */
+function getClientIp(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  if (typeof forwardedFor === 'string') {
+    const clientIp = forwardedFor.split(',').pop().trim();
+    if (clientIp) {
+      return clientIp;
+    }
+  }
+  return req.ip || null;
+}
+
+/**
+ * Resolve the correlation ID for a request
+ * Accepts a caller-supplied ID only if it is a short opaque token
+ */
+function getCorrelationId(req) {
+  const supplied = req.headers['x-correlation-id'];
+  if (typeof supplied === 'string' && /^[A-Za-z0-9._-]{8,64}$/.test(supplied)) {
+    return supplied;
+  }
+
+  // X-Cloud-Trace-Context: TRACE_ID/SPAN_ID;o=OPTIONS
+  const trace = req.headers['x-cloud-trace-context'];
+  if (typeof trace === 'string' && /^[a-f0-9]{32}\//i.test(trace)) {
+    return trace.slice(0, 32).toLowerCase();
+  }
+
+  return crypto.randomUUID();
+}
+
+/**
+ * Build the request context passed to authentication, CRM and audit functions
+ *
+ * @param {Object} req - HTTPS request
+ * @param {Object} res - HTTPS response (receives the X-Correlation-ID header)
+ * @returns {Object} { ipAddress, userAgent, correlationId }
+ */
+function getRequestContext(req, res = null) {
+  const correlationId = getCorrelationId(req);
+  const userAgent = req.headers['user-agent'];
+
+  if (res) {
+    res.set(CORRELATION_HEADER, correlationId);
+  }
+
+  return {
+    ipAddress: getClientIp(req),
+    userAgent: typeof userAgent === 'string' ? userAgent.substring(0, MAX_USER_AGENT_LENGTH) : null,
+    correlationId
+  };
+}
+
+module.exports = {
+  getClientIp,
+  getRequestContext
+};
@@ -0,0 +1,112 @@
+/**
+ * Account Lockout Administration
+ *
+ * Lets security administrators unlock sign-in keys, either by hashed limiter
+ * key (as listed by listLockouts()) or by identifier.
+ * Unlocking a beneficiary clears every identifier on the record (MBI and
+ * legacy ID), since failures count against all of them.
+ */
+
+const { POLICIES, unlockKey, getLimiterKey } = require('./rateLimiter');
+const { AUTH_ACTIONS } = require('./authActivity');
+const { writeAuditEntry, OUTCOMES } = require('../audit/auditLog');
+const { parseMedicareIdentifier, findBeneficiaryByIdentifier, getBeneficiaryIdentifiers } = require('./medicareId');
+const { normalizeNpi } = require('./npi');
+const { normalizeEmail } = require('./providerUsers');
+
+/**
+ * Find the limiter policy for a scope name
+ */
+function getPolicyForScope(scope) {
+  return Object.values(POLICIES).find(policy => policy.scope === scope) || null;
+}
+
+/**
+ * Resolve an identifier to the limiter keys it is counted under
+ *
+ * @param {string} scope - Limiter scope (medicareId, representativeId, npi, providerUser, ip)
+ * @param {string} identifier - Raw identifier; providerUser takes "NPI:email"
+ * @returns {Promise<Array<string>|null>} Limiter keys, or null if the identifier is invalid
+ */
+async function resolveLimiterKeys(scope, identifier) {
+  const policy = getPolicyForScope(scope);
+  if (!policy || !identifier || typeof identifier !== 'string') {
+    return null;
+  }
+
+  let keys;
+  switch (scope) {
+    case POLICIES.BENEFICIARY_ID.scope: {
+      const parsed = parseMedicareIdentifier(identifier);
+      if (!parsed) {
+        return null;
+      }
+      const beneficiaryDoc = await findBeneficiaryByIdentifier(parsed.value);
+      keys = beneficiaryDoc ? getBeneficiaryIdentifiers(beneficiaryDoc.data()) : [parsed.value];
+      break;
+    }
+    case POLICIES.REPRESENTATIVE_ID.scope:
+      keys = [identifier.trim().toUpperCase()];
+      break;
+    case POLICIES.PROVIDER_NPI.scope:
+      keys = [normalizeNpi(identifier)];
+      break;
+    case POLICIES.PROVIDER_USER.scope: {
+      const separator = identifier.indexOf(':');
+      if (separator < 0) {
+        return null;
+      }
+      keys = [`${normalizeNpi(identifier.slice(0, separator))}:${normalizeEmail(identifier.slice(separator + 1))}`];
+      break;
+    }
+    default:
+      keys = [identifier.trim()];
+  }
+
+  return keys.map(key => getLimiterKey(key, policy));
+}
+
+/**
+ * Unlock an account
+ *
+ * @param {Object} target - { limiterKey } or { scope, identifier }
+ * @param {string} operatorId - Administrator performing the unlock
+ * @param {Object} context - Request context for the audit log
+ * @returns {Promise<Object>} { success, unlocked, limiterKeys } or error
+ */
+async function unlockAccount(target, operatorId, context = {}) {
+  let limiterKeys;
+  if (target.limiterKey) {
+    limiterKeys = /^[a-f0-9]{64}$/.test(target.limiterKey) ? [target.limiterKey] : null;
+  } else {
+    limiterKeys = await resolveLimiterKeys(target.scope, target.identifier);
+  }
+
+  if (!limiterKeys) {
+    return {
+      success: false,
+      error: 'INVALID_TARGET',
+      message: 'Provide a limiterKey, or a scope and identifier to unlock'
+    };
+  }
+
+  const results = await Promise.all(limiterKeys.map(key => unlockKey(key)));
+  const unlocked = results.filter(Boolean).length;
+
+  await writeAuditEntry('auth', {
+    action: AUTH_ACTIONS.UNLOCK,
+    actor: operatorId,
+    outcome: OUTCOMES.SUCCESS,
+    scope: target.scope || null,
+    limiterKeys,
+    unlocked
+  }, context);
+
+  console.log(`Account unlock by ${operatorId}: ${unlocked} key(s) cleared`);
+
+  return { success: true, unlocked, limiterKeys };
+}
+
+module.exports = {
+  unlockAccount
+};
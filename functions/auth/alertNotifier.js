@@ -0,0 +1,87 @@
+/**
+ * Security Alert Delivery
+ *
+ * Pluggable notifier used by suspicious activity detection. Deployments can
+ * register their own notifier (paging, ticketing, SIEM) with
+ * setAlertNotifier(); otherwise alerts are posted to
+ * SECURITY_ALERT_WEBHOOK_URL when set, and always written to the function
+ * logs so log-based alerting still sees them.
+ *
+ * A notifier is an object with: async notify(finding)
+ */
+
+/**
+ * Console notifier: writes the finding to the function logs
+ */
+const consoleNotifier = {
+  name: 'console',
+  async notify(finding) {
+    console.warn(`[SECURITY ALERT] ${finding.severity} ${finding.type}: ${finding.summary}`);
+  }
+};
+
+/**
+ * Webhook notifier: posts the finding as JSON (Slack-compatible `text` included)
+ */
+const webhookNotifier = {
+  name: 'webhook',
+  async notify(finding) {
+    const response = await fetch(process.env.SECURITY_ALERT_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: `[${finding.severity}] ${finding.type}: ${finding.summary}`,
+        finding
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Alert webhook returned ${response.status}`);
+    }
+  }
+};
+
+let registeredNotifier = null;
+
+/**
+ * Register the notifier used for security alerts
+ */
+function setAlertNotifier(notifier) {
+  if (notifier && typeof notifier.notify !== 'function') {
+    throw new Error('Alert notifier must implement notify()');
+  }
+  registeredNotifier = notifier;
+}
+
+/**
+ * Resolve the active notifiers
+ * The console notifier always runs alongside any other
+ */
+function getAlertNotifiers() {
+  if (registeredNotifier) {
+    return [consoleNotifier, registeredNotifier];
+  }
+  if (process.env.SECURITY_ALERT_WEBHOOK_URL) {
+    return [consoleNotifier, webhookNotifier];
+  }
+  return [consoleNotifier];
+}
+
+/**
+ * Deliver a security alert
+ * A failing notifier is logged and does not stop the others
+ */
+async function sendAlert(finding) {
+  await Promise.all(getAlertNotifiers().map(async (notifier) => {
+    try {
+      await notifier.notify(finding);
+    } catch (error) {
+      console.error(`Security alert delivery failed (${notifier.name || 'custom'}):`, error.message);
+    }
+  }));
+}
+
+module.exports = {
+  setAlertNotifier,
+  sendAlert
+};
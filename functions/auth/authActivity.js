@@ -0,0 +1,74 @@
+/**
+ * Authentication Activity Log
+ *
+ * Beneficiary, representative and provider sign-in attempts are written to
+ * authAuditLog in one shape, so suspicious activity can be detected across
+ * all of them. Subjects are identified by their hashed rate limiter key,
+ * never by Medicare ID.
+ */
+
+const { writeAuditEntry, OUTCOMES } = require('../audit/auditLog');
+
+const AUTH_ACTIONS = {
+  BENEFICIARY: 'beneficiary.authenticate',
+  REPRESENTATIVE: 'representative.authenticate',
+  PROVIDER: 'provider.authenticate',
+  UNLOCK: 'account.unlock'
+};
+
+// Why an attempt failed (stored as `reason`)
+const FAILURE_REASONS = {
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  NOT_FOUND: 'NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  STEP_UP_FAILED: 'STEP_UP_FAILED',
+  STEP_UP_LOCKED: 'STEP_UP_LOCKED',
+  DELEGATION_NOT_FOUND: 'DELEGATION_NOT_FOUND',
+  PROVIDER_INACTIVE: 'PROVIDER_INACTIVE'
+};
+
+/**
+ * Latest lockout end among recordFailure() results, or null
+ */
+function getLockedUntil(results) {
+  const lockedUntil = results
+    .filter(result => result && result.locked && result.lockedUntil)
+    .map(result => result.lockedUntil);
+
+  return lockedUntil.length ? Math.max(...lockedUntil) : null;
+}
+
+/**
+ * Record a sign-in attempt
+ * Audit failures are logged and swallowed so they never block sign-in
+ *
+ * @param {string} action - One of AUTH_ACTIONS
+ * @param {Object} attempt - { subjectKey, success, reason, lockedUntil, actor, ...details }
+ * @param {Object} context - Request context ({ ipAddress, userAgent, correlationId })
+ */
+async function recordAuthAttempt(action, attempt, context = {}) {
+  const { subjectKey, success, reason = null, lockedUntil = null, actor, ...details } = attempt;
+
+  try {
+    await writeAuditEntry('auth', {
+      ...details,
+      action,
+      actor: actor || subjectKey,
+      outcome: success ? OUTCOMES.SUCCESS : OUTCOMES.FAILURE,
+      subjectKey: subjectKey || null,
+      success,
+      reason,
+      lockedUntil
+    }, context);
+  } catch (error) {
+    console.error('Error logging auth attempt:', error.message);
+  }
+}
+
+module.exports = {
+  AUTH_ACTIONS,
+  FAILURE_REASONS,
+  getLockedUntil,
+  recordAuthAttempt
+};
@@ -1,21 +1,25 @@
 /**
  * Secure Provider Authentication Function
- * Validates National Provider Identifier (NPI) with rate limiting
- * and audit logging for compliance
+ * Validates National Provider Identifier (NPI) and the signing-in staff
+ * member's credential, with rate limiting and audit logging for compliance
  */
 
 const admin = require('firebase-admin');
-
-// Rate limiting configuration
-const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
-const MAX_ATTEMPTS_PER_WINDOW = 5;
+const { issueProviderToken } = require('./sessionTokens');
+const { POLICIES, reserveAttempts, recordFailure, resetRateLimit, getLimiterKey } = require('./rateLimiter');
+const { validateNpi } = require('./npi');
+const { normalizeEmail, verifyProviderUser, toStaffSummary } = require('./providerUsers');
+const { AUTH_ACTIONS, FAILURE_REASONS, getLockedUntil, recordAuthAttempt } = require('./authActivity');
 
 /**
- * Authenticate a healthcare provider using NPI number
+ * Authenticate a clinic staff member under their organization's NPI
  * @param {string} npiNumber - 10-digit National Provider Identifier
+ * @param {string} email - Staff user's email
+ * @param {string} password - Staff user's credential
+ * @param {Object} context - Request context ({ ipAddress, userAgent, correlationId })
  * @returns {Object} Authentication result with provider details or error
  */
-async function authenticateProvider(npiNumber) {
+async function authenticateProvider(npiNumber, email, password, context = {}) {
   const startTime = Date.now();
   
   try {
@@ -27,14 +31,35 @@ async function authenticateProvider(npiNumber) {
     // Clean and validate NPI format (10 digits)
     const cleanNpi = npiNumber.replace(/\D/g, '');
     if (cleanNpi.length !== 10 || !/^\d{10}$/.test(cleanNpi)) {
-      await logAuthAttempt(cleanNpi, false, 'Invalid NPI format');
+      await logAuthAttempt(cleanNpi, false, 'Invalid NPI format', context, { reason: FAILURE_REASONS.INVALID_FORMAT });
       return createResponse(false, 'NPI must be exactly 10 digits', null, 400);
     }
 
-    // Check rate limiting
-    const rateLimitCheck = await checkRateLimit(cleanNpi);
+    // Reject mistyped NPIs before touching the database
+    if (!validateNpi(cleanNpi)) {
+      await logAuthAttempt(cleanNpi, false, 'Invalid NPI check digit', context, { reason: FAILURE_REASONS.INVALID_FORMAT });
+      return createResponse(false, 'NPI check digit is invalid. Please verify your NPI number.', null, 400);
+    }
+
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+      await logAuthAttempt(cleanNpi, false, 'Missing staff credentials', context, { reason: FAILURE_REASONS.INVALID_FORMAT });
+      return createResponse(false, 'Email and password are required', null, 400);
+    }
+
+    const userKey = `${cleanNpi}:${normalizeEmail(email)}`;
+    const npiSubject = getLimiterKey(cleanNpi, POLICIES.PROVIDER_NPI);
+    const userSubject = getLimiterKey(userKey, POLICIES.PROVIDER_USER);
+
+    // Reserve an attempt under the rate limits (per NPI and per staff user)
+    const rateLimitCheck = await reserveAttempts([
+      { key: cleanNpi, policy: POLICIES.PROVIDER_NPI },
+      { key: userKey, policy: POLICIES.PROVIDER_USER }
+    ]);
     if (!rateLimitCheck.allowed) {
-      await logAuthAttempt(cleanNpi, false, 'Rate limit exceeded');
+      await logAuthAttempt(cleanNpi, false, 'Rate limit exceeded', context, {
+        subjectKey: userSubject,
+        reason: FAILURE_REASONS.RATE_LIMITED
+      });
       return createResponse(
         false,
         `Too many authentication attempts. Please try again in ${Math.ceil(rateLimitCheck.waitTime / 60000)} minutes`,
@@ -49,8 +74,12 @@ async function authenticateProvider(npiNumber) {
     const snapshot = await providersRef.where('npiNumber', '==', cleanNpi).get();
 
     if (snapshot.empty) {
-      await incrementFailedAttempts(cleanNpi);
-      await logAuthAttempt(cleanNpi, false, 'NPI not found');
+      const failure = await recordFailure(cleanNpi, POLICIES.PROVIDER_NPI);
+      await logAuthAttempt(cleanNpi, false, 'NPI not found', context, {
+        subjectKey: npiSubject,
+        reason: FAILURE_REASONS.NOT_FOUND,
+        lockedUntil: getLockedUntil([failure])
+      });
       return createResponse(false, 'Provider not found. Please verify your NPI number.', null, 404);
     }
 
@@ -59,7 +88,12 @@ async function authenticateProvider(npiNumber) {
     const providerData = providerDoc.data();
 
     if (providerData.status !== 'Active') {
-      await logAuthAttempt(cleanNpi, false, `Provider status: ${providerData.status}`);
+      const failure = await recordFailure(cleanNpi, POLICIES.PROVIDER_NPI);
+      await logAuthAttempt(cleanNpi, false, `Provider status: ${providerData.status}`, context, {
+        subjectKey: npiSubject,
+        reason: FAILURE_REASONS.PROVIDER_INACTIVE,
+        lockedUntil: getLockedUntil([failure])
+      });
       return createResponse(
         false,
         'Provider account is not active. Please contact CMS support.',
@@ -68,9 +102,30 @@ async function authenticateProvider(npiNumber) {
       );
     }
 
+    // Staff member signs in with their own credential
+    const userDoc = await verifyProviderUser(cleanNpi, email, password);
+    if (!userDoc) {
+      const failure = await recordFailure(userKey, POLICIES.PROVIDER_USER);
+      await logAuthAttempt(cleanNpi, false, 'Invalid staff credentials', context, {
+        subjectKey: userSubject,
+        reason: FAILURE_REASONS.INVALID_CREDENTIALS,
+        lockedUntil: getLockedUntil([failure])
+      });
+      return createResponse(false, 'Invalid email or password', null, 401);
+    }
+
+    const staffUser = userDoc.data();
+
     // Successful authentication
-    await resetFailedAttempts(cleanNpi);
-    await logAuthAttempt(cleanNpi, true, 'Authentication successful');
+    await Promise.all([
+      resetRateLimit(cleanNpi, POLICIES.PROVIDER_NPI),
+      resetRateLimit(userKey, POLICIES.PROVIDER_USER),
+      userDoc.ref.update({ lastLoginDate: admin.firestore.FieldValue.serverTimestamp() })
+    ]);
+    await logAuthAttempt(cleanNpi, true, 'Authentication successful', context, {
+      subjectKey: userSubject,
+      staffUserId: staffUser.userId
+    });
 
     // Return sanitized provider information (no sensitive data)
     const authResponse = {
@@ -83,8 +138,9 @@ async function authenticateProvider(npiNumber) {
         state: providerData.address.state
       },
       enrollmentDate: providerData.enrollmentDate,
+      user: toStaffSummary(staffUser),
       authenticated: true,
-      sessionToken: generateSessionToken(cleanNpi)
+      sessionToken: issueProviderToken(providerData, staffUser)
     };
 
     const responseTime = Date.now() - startTime;
@@ -94,131 +150,28 @@ async function authenticateProvider(npiNumber) {
 
   } catch (error) {
     console.error('Error in authenticateProvider:', error);
-    await logAuthAttempt(npiNumber, false, `System error: ${error.message}`);
+    await logAuthAttempt(npiNumber, false, `System error: ${error.message}`, context);
     return createResponse(false, 'Authentication service temporarily unavailable', null, 500);
   }
 }
 
-/**
- * Check if authentication attempts are within rate limits
- */
-async function checkRateLimit(npiNumber) {
-  const db = admin.firestore();
-  const rateLimitRef = db.collection('authRateLimits').doc(npiNumber);
-  
-  try {
-    const doc = await rateLimitRef.get();
-    const now = Date.now();
-
-    if (!doc.exists) {
-      // First attempt
-      await rateLimitRef.set({
-        attempts: 1,
-        windowStart: now,
-        lastAttempt: now
-      });
-      return { allowed: true, waitTime: 0 };
-    }
-
-    const data = doc.data();
-    const windowElapsed = now - data.windowStart;
-
-    // Reset window if expired
-    if (windowElapsed > RATE_LIMIT_WINDOW) {
-      await rateLimitRef.set({
-        attempts: 1,
-        windowStart: now,
-        lastAttempt: now
-      });
-      return { allowed: true, waitTime: 0 };
-    }
-
-    // Check if limit exceeded
-    if (data.attempts >= MAX_ATTEMPTS_PER_WINDOW) {
-      const waitTime = RATE_LIMIT_WINDOW - windowElapsed;
-      return { allowed: false, waitTime };
-    }
-
-    // Increment attempts
-    await rateLimitRef.update({
-      attempts: admin.firestore.FieldValue.increment(1),
-      lastAttempt: now
-    });
-
-    return { allowed: true, waitTime: 0 };
-
-  } catch (error) {
-    console.error('Rate limit check error:', error);
-    // Fail open to prevent blocking legitimate users
-    return { allowed: true, waitTime: 0 };
-  }
-}
-
-/**
- * Track failed authentication attempts
- */
-async function incrementFailedAttempts(npiNumber) {
-  const db = admin.firestore();
-  const attemptsRef = db.collection('authFailedAttempts').doc(npiNumber);
-  
-  try {
-    await attemptsRef.set({
-      count: admin.firestore.FieldValue.increment(1),
-      lastAttempt: admin.firestore.FieldValue.serverTimestamp()
-    }, { merge: true });
-  } catch (error) {
-    console.error('Error tracking failed attempts:', error);
-  }
-}
-
-/**
- * Reset failed attempts counter after successful authentication
- */
-async function resetFailedAttempts(npiNumber) {
-  const db = admin.firestore();
-  const attemptsRef = db.collection('authFailedAttempts').doc(npiNumber);
-  
-  try {
-    await attemptsRef.delete();
-  } catch (error) {
-    console.error('Error resetting failed attempts:', error);
-  }
-}
-
 /**
  * Log authentication attempt for audit trail (HIPAA compliance)
+ *
+ * @param {Object} attempt - { subjectKey, staffUserId, reason, lockedUntil }
  */
-async function logAuthAttempt(npiNumber, success, details) {
-  const db = admin.firestore();
-  const auditRef = db.collection('authAuditLog');
-  
-  try {
-    await auditRef.add({
-      npiNumber: npiNumber.substring(0, 10), // Sanitize
-      success,
-      details,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      ipAddress: 'redacted', // Would be populated from request context
-      userAgent: 'system'
-    });
-  } catch (error) {
-    console.error('Error logging auth attempt:', error);
-  }
-}
-
-/**
- * Generate secure session token
- */
-function generateSessionToken(npiNumber) {
-  const crypto = require('crypto');
-  const timestamp = Date.now();
-  const randomBytes = crypto.randomBytes(16).toString('hex');
-  const payload = `${npiNumber}-${timestamp}-${randomBytes}`;
-  
-  return crypto
-    .createHash('sha256')
-    .update(payload)
-    .digest('hex');
+async function logAuthAttempt(npiNumber, success, details, context = {}, attempt = {}) {
+  const npi = String(npiNumber || '').substring(0, 10); // Sanitize
+  const staffUserId = attempt.staffUserId || null;
+
+  await recordAuthAttempt(AUTH_ACTIONS.PROVIDER, {
+    ...attempt,
+    actor: staffUserId || npi,
+    npiNumber: npi,
+    staffUserId,
+    success,
+    details
+  }, context);
 }
 
 /**
@@ -0,0 +1,263 @@
+/**
+ * Authorized Representative Authentication
+ *
+ * Representatives (family caregivers, legal representatives) sign in with
+ * their own identity and name the beneficiary they are acting for:
+ * - Representative ID and last name, plus the beneficiary's Medicare ID
+ * - An active delegation from the beneficiary to the representative
+ * - The same step-up verification as beneficiaries, against the
+ *   representative's own date of birth and contact details
+ *
+ * The resulting session acts for the beneficiary, limited to the
+ * delegation's scope.
+ */
+
+const admin = require('firebase-admin');
+const { issueRepresentativeToken } = require('./sessionTokens');
+const { POLICIES, reserveAttempts, recordFailure, resetRateLimit, getLimiterKey } = require('./rateLimiter');
+const { AUTH_ACTIONS, FAILURE_REASONS, getLockedUntil, recordAuthAttempt } = require('./authActivity');
+const { startChallenge } = require('./stepUpVerification');
+const { createSession } = require('./sessionStore');
+const { getPreferredLanguage } = require('../i18n/messages');
+const { parseMedicareIdentifier, findBeneficiaryByIdentifier, getBeneficiaryIdentifiers } = require('./medicareId');
+const {
+  validateRepresentativeId,
+  findRepresentative,
+  findActiveDelegation,
+  getDelegation,
+  isDelegationActive,
+  recordDelegatedAccess
+} = require('./delegation');
+
+/**
+ * Record a failed representative sign-in against the representative ID and client IP
+ */
+async function recordRepresentativeFailure(representativeId, context, reason) {
+  const [representativeResult] = await Promise.all([
+    recordFailure(representativeId, POLICIES.REPRESENTATIVE_ID),
+    recordFailure(context.ipAddress || null, POLICIES.CLIENT_IP)
+  ]);
+
+  await recordAuthAttempt(AUTH_ACTIONS.REPRESENTATIVE, {
+    subjectKey: getLimiterKey(representativeId, POLICIES.REPRESENTATIVE_ID),
+    actor: representativeId,
+    success: false,
+    reason,
+    lockedUntil: getLockedUntil([representativeResult])
+  }, context);
+}
+
+/**
+ * Authenticate a representative (first factor)
+ * Verifies the representative ID, last name and an active delegation for the
+ * beneficiary, then starts a step-up challenge. Finish signing in with
+ * continueAuthentication().
+ *
+ * @param {string} representativeId - Representative ID (REP-NNNNNN)
+ * @param {string} lastName - Representative's last name
+ * @param {string} medicareId - MBI or legacy Medicare ID of the beneficiary
+ * @param {Object} context - Request context ({ ipAddress, userAgent, correlationId })
+ * @returns {Promise<Object>} Challenge details or error
+ */
+async function authenticateRepresentative(representativeId, lastName, medicareId, context = {}) {
+  try {
+    if (!representativeId || !lastName || !medicareId) {
+      return {
+        success: false,
+        error: 'MISSING_CREDENTIALS',
+        message: 'Representative ID, last name and the beneficiary\'s Medicare ID are required'
+      };
+    }
+
+    representativeId = String(representativeId).trim().toUpperCase();
+    lastName = String(lastName).trim();
+
+    const identifier = parseMedicareIdentifier(medicareId);
+    if (!validateRepresentativeId(representativeId) || !identifier) {
+      console.warn('Representative authentication failed: Invalid identifier format');
+      return {
+        success: false,
+        error: 'INVALID_FORMAT',
+        message: 'Enter your representative ID (REP-NNNNNN) and the beneficiary\'s Medicare ID'
+      };
+    }
+
+    const ipAddress = context.ipAddress || null;
+    const rateLimit = await reserveAttempts([
+      { key: representativeId, policy: POLICIES.REPRESENTATIVE_ID },
+      { key: ipAddress, policy: POLICIES.CLIENT_IP }
+    ]);
+
+    if (!rateLimit.allowed) {
+      await recordAuthAttempt(AUTH_ACTIONS.REPRESENTATIVE, {
+        subjectKey: getLimiterKey(representativeId, POLICIES.REPRESENTATIVE_ID),
+        actor: representativeId,
+        success: false,
+        reason: FAILURE_REASONS.RATE_LIMITED
+      }, context);
+      console.warn('Representative authentication failed: Rate limit exceeded');
+      return {
+        success: false,
+        error: 'RATE_LIMIT_EXCEEDED',
+        message: `Too many failed attempts. Please try again in ${Math.ceil(rateLimit.waitTime / 60000)} minutes.`
+      };
+    }
+
+    const representativeDoc = await findRepresentative(representativeId);
+    if (!representativeDoc || representativeDoc.data().lastName.toLowerCase() !== lastName.toLowerCase()) {
+      await recordRepresentativeFailure(representativeId, context, FAILURE_REASONS.INVALID_CREDENTIALS);
+      console.warn('Representative authentication failed: Invalid credentials');
+      return {
+        success: false,
+        error: 'INVALID_CREDENTIALS',
+        message: 'Invalid representative ID or last name'
+      };
+    }
+
+    // The delegation must be active for the beneficiary named at sign-in
+    const beneficiaryDoc = await findBeneficiaryByIdentifier(identifier.value);
+    const delegationDoc = beneficiaryDoc
+      ? await findActiveDelegation(representativeId, getBeneficiaryIdentifiers(beneficiaryDoc.data()))
+      : null;
+
+    if (!delegationDoc) {
+      await recordRepresentativeFailure(representativeId, context, FAILURE_REASONS.DELEGATION_NOT_FOUND);
+      console.warn('Representative authentication failed: No active delegation');
+      return {
+        success: false,
+        error: 'DELEGATION_NOT_FOUND',
+        message: 'We could not find an active authorization for you to act for this beneficiary.'
+      };
+    }
+
+    const challenge = await startChallenge(representativeDoc, {
+      ipAddress,
+      delegationId: delegationDoc.id
+    });
+
+    console.info('Representative first factor verified, challenge started');
+
+    return {
+      success: true,
+      authenticated: false,
+      challengeId: challenge.challengeId,
+      nextStep: challenge.nextStep,
+      expiresAt: challenge.expiresAt,
+      message: 'Thank you. To protect this account, please confirm your date of birth.'
+    };
+
+  } catch (error) {
+    console.error('Representative authentication error:', error.message);
+    return {
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: 'An error occurred during authentication. Please try again.'
+    };
+  }
+}
+
+/**
+ * Issue a delegated session once the representative passed step-up verification
+ * The delegation is re-checked, since it may have expired during sign-in
+ *
+ * @param {Object} representativeDoc - Representative document snapshot
+ * @param {string} delegationId - Delegation document ID from the challenge
+ * @param {Object} context - Request context ({ ipAddress, userAgent, correlationId })
+ * @returns {Promise<Object>} Session details or error
+ */
+async function completeRepresentativeAuthentication(representativeDoc, delegationId, context = {}) {
+  const representative = representativeDoc.data();
+  const delegation = await getDelegation(delegationId);
+
+  if (!isDelegationActive(delegation) || delegation.representativeId !== representative.representativeId) {
+    return {
+      success: false,
+      error: 'DELEGATION_NOT_FOUND',
+      message: 'Your authorization to act for this beneficiary is no longer active.'
+    };
+  }
+
+  const beneficiaryDoc = await findBeneficiaryByIdentifier(delegation.beneficiaryId);
+  const beneficiary = beneficiaryDoc.data();
+
+  await resetRateLimit(representative.representativeId, POLICIES.REPRESENTATIVE_ID);
+  await recordAuthAttempt(AUTH_ACTIONS.REPRESENTATIVE, {
+    subjectKey: getLimiterKey(representative.representativeId, POLICIES.REPRESENTATIVE_ID),
+    actor: representative.representativeId,
+    success: true
+  }, context);
+
+  const session = await createSession(beneficiaryDoc, context, delegation);
+  const sessionToken = issueRepresentativeToken(representative, beneficiary, delegation, session.sessionId);
+
+  await recordDelegatedAccess({
+    representativeId: representative.representativeId,
+    delegationId: delegation.delegationId,
+    medicareId: beneficiary.medicareId || beneficiary.mbi
+  }, 'session:create', { type: 'session', id: session.sessionId }, true, null, context);
+
+  console.info('Representative authentication successful');
+
+  return {
+    success: true,
+    authenticated: true,
+    sessionToken: sessionToken,
+    refreshToken: session.refreshToken,
+    sessionExpiresAt: session.expiresAt,
+    // firestore.rules only model beneficiary ownership; representatives use the APIs
+    firebaseToken: null,
+    representative: {
+      representativeId: representative.representativeId,
+      firstName: representative.firstName,
+      lastName: representative.lastName,
+      preferredLanguage: getPreferredLanguage(representative)
+    },
+    delegation: {
+      delegationId: delegation.delegationId,
+      relationship: delegation.relationship,
+      scope: delegation.scope,
+      expiresAt: delegation.expiresAt
+    },
+    beneficiary: {
+      medicareId: beneficiary.medicareId || beneficiary.mbi,
+      mbi: beneficiary.mbi || null,
+      firstName: beneficiary.firstName,
+      lastName: beneficiary.lastName,
+      coverageType: beneficiary.coverageType
+    }
+  };
+}
+
+/**
+ * Re-issue a representative token on session refresh
+ * Fails once the delegation is no longer active
+ *
+ * @param {Object} refreshed - Result of rotateRefreshToken()
+ * @returns {Promise<string|null>} New session token, or null
+ */
+async function reissueRepresentativeToken(refreshed) {
+  const delegation = await getDelegation(refreshed.delegationId);
+  if (!isDelegationActive(delegation)) {
+    return null;
+  }
+
+  const db = admin.firestore();
+  const [representativeDoc, beneficiaryDoc] = await Promise.all([
+    findRepresentative(refreshed.representativeId),
+    db.doc(refreshed.beneficiaryPath).get()
+  ]);
+
+  return issueRepresentativeToken(
+    representativeDoc.data(),
+    beneficiaryDoc.data(),
+    delegation,
+    refreshed.sessionId
+  );
+}
+
+module.exports = {
+  authenticateRepresentative,
+  completeRepresentativeAuthentication,
+  reissueRepresentativeToken,
+  recordRepresentativeFailure
+};
@@ -2,114 +2,159 @@
  * Authentication Module for CMS Beneficiary Self-Service
  * 
  * This module provides secure authentication functionality with:
- * - Medicare ID and last name verification
- * - Rate limiting to prevent brute force attacks
+ * - Medicare ID (MBI or legacy XXX-XX-XXXX) and last name verification
+ * - Step-up verification (date of birth, then a one-time passcode)
+ * - Distributed rate limiting (per Medicare ID and client IP) to prevent brute force attacks
  * - Input validation and sanitization
  * - HIPAA-compliant logging (no PII in logs)
- * - Session token generation
+ * - Signed session token generation backed by server-side session records
+ * - Firebase custom tokens for direct, rules-checked Firestore reads
  */
 
 const admin = require('firebase-admin');
-
-// Rate limiting map: medicareId -> { attempts, lastAttempt }
-const rateLimitMap = new Map();
-const MAX_ATTEMPTS = 5;
-const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+const { issueBeneficiaryToken } = require('./sessionTokens');
+const { mintBeneficiaryCustomToken, revokeBeneficiaryFirebaseTokens } = require('./firebaseCustomToken');
+const { getPreferredLanguage } = require('../i18n/messages');
+const {
+  REVOCATION_REASONS,
+  createSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeRepresentativeSessions,
+  rotateRefreshToken
+} = require('./sessionStore');
+const {
+  completeRepresentativeAuthentication,
+  reissueRepresentativeToken,
+  recordRepresentativeFailure
+} = require('./authenticateRepresentative');
+const { REPRESENTATIVE_ROLE } = require('./delegation');
+const { POLICIES, reserveAttempts, recordFailure, resetRateLimit, getLimiterKey } = require('./rateLimiter');
+const { AUTH_ACTIONS, FAILURE_REASONS, getLockedUntil, recordAuthAttempt } = require('./authActivity');
+const { STEPS, startChallenge, getChallengeSubject, verifyDateOfBirth, verifyPasscode } = require('./stepUpVerification');
+const {
+  parseMedicareIdentifier,
+  findBeneficiaryByIdentifier,
+  getBeneficiaryIdentifiers
+} = require('./medicareId');
 
 /**
- * Clean up old rate limit entries
+ * Validate Medicare ID format
+ * Accepts an MBI (e.g. 1EG4-TE5-MK73) or a legacy ID (XXX-XX-XXXX)
  */
-function cleanupRateLimits() {
-  const now = Date.now();
-  for (const [key, value] of rateLimitMap.entries()) {
-    if (now - value.lastAttempt > LOCKOUT_DURATION) {
-      rateLimitMap.delete(key);
-    }
-  }
+function validateMedicareId(medicareId) {
+  return parseMedicareIdentifier(medicareId) !== null;
 }
 
 /**
- * Check if user is rate limited
+ * Sanitize input to prevent injection attacks
  */
-function isRateLimited(medicareId) {
-  cleanupRateLimits();
-  
-  const limitData = rateLimitMap.get(medicareId);
-  if (!limitData) return false;
-  
-  const now = Date.now();
-  if (now - limitData.lastAttempt > LOCKOUT_DURATION) {
-    rateLimitMap.delete(medicareId);
-    return false;
+function sanitizeInput(input) {
+  if (!input || typeof input !== 'string') {
+    return '';
   }
   
-  return limitData.attempts >= MAX_ATTEMPTS;
+  // Remove any characters that could be used for injection
+  return input.trim().replace(/[<>'"`;()]/g, '');
 }
 
 /**
- * Record authentication attempt
+ * Record a failed attempt against the Medicare ID(s) and the client IP
+ * Failures count against every identifier of a known record, so switching
+ * between the MBI and the legacy ID does not reset the limit
  */
-function recordAttempt(medicareId, success) {
-  const now = Date.now();
-  const limitData = rateLimitMap.get(medicareId) || { attempts: 0, lastAttempt: now };
-  
-  if (success) {
-    rateLimitMap.delete(medicareId);
-  } else {
-    limitData.attempts += 1;
-    limitData.lastAttempt = now;
-    rateLimitMap.set(medicareId, limitData);
-  }
+async function recordFailedAttempt(medicareIds, context, reason) {
+  const results = await Promise.all([
+    ...medicareIds.map(id => recordFailure(id, POLICIES.BENEFICIARY_ID)),
+    recordFailure(context.ipAddress || null, POLICIES.CLIENT_IP)
+  ]);
+
+  await recordAuthAttempt(AUTH_ACTIONS.BENEFICIARY, {
+    subjectKey: getLimiterKey(medicareIds[0], POLICIES.BENEFICIARY_ID),
+    success: false,
+    reason,
+    lockedUntil: getLockedUntil(results.slice(0, medicareIds.length))
+  }, context);
 }
 
 /**
- * Validate Medicare ID format
- * Format: XXX-XX-XXXX
+ * Rate limiter keys for the subject of a step-up challenge
+ * Representatives are limited by representative ID, beneficiaries by every
+ * identifier on their record
  */
-function validateMedicareId(medicareId) {
-  if (!medicareId || typeof medicareId !== 'string') {
-    return false;
+function getChallengeLimiterKeys(subject, delegationId) {
+  if (delegationId) {
+    return [{ key: subject.representativeId, policy: POLICIES.REPRESENTATIVE_ID }];
   }
-  
-  const medicareIdPattern = /^\d{3}-\d{2}-\d{4}$/;
-  return medicareIdPattern.test(medicareId.trim());
+  return getBeneficiaryIdentifiers(subject).map(id => ({ key: id, policy: POLICIES.BENEFICIARY_ID }));
 }
 
 /**
- * Sanitize input to prevent injection attacks
+ * Record a wrong step-up answer against the subject and the client IP
  */
-function sanitizeInput(input) {
-  if (!input || typeof input !== 'string') {
-    return '';
+async function recordStepUpFailure(subject, delegationId, context, reason) {
+  if (delegationId) {
+    await recordRepresentativeFailure(subject.representativeId, context, reason);
+  } else {
+    await recordFailedAttempt(getBeneficiaryIdentifiers(subject), context, reason);
   }
-  
-  // Remove any characters that could be used for injection
-  return input.trim().replace(/[<>'"`;()]/g, '');
 }
 
 /**
- * Generate a secure session token
+ * Issue the session once every verification step has passed
  */
-function generateSessionToken(beneficiary) {
-  // In production, use JWT or similar secure token mechanism
-  const tokenData = {
-    medicareId: beneficiary.medicareId,
-    firstName: beneficiary.firstName,
-    timestamp: Date.now(),
-    expiresAt: Date.now() + (60 * 60 * 1000) // 1 hour
-  };
+async function completeAuthentication(beneficiaryDoc, context = {}) {
+  const beneficiary = beneficiaryDoc.data();
+  const beneficiaryIds = getBeneficiaryIdentifiers(beneficiary);
+  
+  await Promise.all(beneficiaryIds.map(id => resetRateLimit(id, POLICIES.BENEFICIARY_ID)));
+  await recordAuthAttempt(AUTH_ACTIONS.BENEFICIARY, {
+    subjectKey: getLimiterKey(beneficiaryIds[0], POLICIES.BENEFICIARY_ID),
+    success: true
+  }, context);
+  
+  await beneficiaryDoc.ref.update({
+    lastLoginDate: admin.firestore.FieldValue.serverTimestamp()
+  });
+  
+  // Create the server-side session and a token bound to it
+  const session = await createSession(beneficiaryDoc, context);
+  const sessionToken = issueBeneficiaryToken(beneficiary, session.sessionId);
   
-  return Buffer.from(JSON.stringify(tokenData)).toString('base64');
+  // Firebase custom token so the client can read its own documents under firestore.rules
+  const firebaseToken = await mintBeneficiaryCustomToken(beneficiaryDoc);
+  
+  console.info('Authentication successful');
+  
+  return {
+    success: true,
+    authenticated: true,
+    sessionToken: sessionToken,
+    refreshToken: session.refreshToken,
+    sessionExpiresAt: session.expiresAt,
+    firebaseToken: firebaseToken,
+    beneficiary: {
+      medicareId: beneficiary.medicareId || beneficiary.mbi,
+      mbi: beneficiary.mbi || null,
+      firstName: beneficiary.firstName,
+      lastName: beneficiary.lastName,
+      coverageType: beneficiary.coverageType,
+      preferredLanguage: getPreferredLanguage(beneficiary)
+    }
+  };
 }
 
 /**
- * Authenticate a beneficiary
+ * Authenticate a beneficiary (first factor)
+ * Verifies the Medicare ID and last name, then starts a step-up challenge.
+ * Call continueAuthentication() with the challenge ID to finish signing in.
  * 
- * @param {string} medicareId - Medicare ID (format: XXX-XX-XXXX)
+ * @param {string} medicareId - MBI or legacy Medicare ID (format: XXX-XX-XXXX)
  * @param {string} lastName - Beneficiary's last name
- * @returns {Promise<Object>} Authentication result
+ * @param {Object} context - Request context ({ ipAddress, userAgent, correlationId })
+ * @returns {Promise<Object>} Challenge details or error
  */
-async function authenticateUser(medicareId, lastName) {
+async function authenticateUser(medicareId, lastName, context = {}) {
   try {
     // Input validation
     if (!medicareId || !lastName) {
@@ -124,36 +169,44 @@ async function authenticateUser(medicareId, lastName) {
     medicareId = sanitizeInput(medicareId);
     lastName = sanitizeInput(lastName);
     
-    // Validate Medicare ID format
-    if (!validateMedicareId(medicareId)) {
+    // Validate and normalize Medicare ID format
+    const identifier = parseMedicareIdentifier(medicareId);
+    if (!identifier) {
       console.warn('Authentication failed: Invalid Medicare ID format');
       return {
         success: false,
         error: 'INVALID_FORMAT',
-        message: 'Invalid Medicare ID format. Expected format: XXX-XX-XXXX'
+        message: 'Invalid Medicare ID format. Enter your 11-character Medicare Beneficiary Identifier (e.g., 1EG4-TE5-MK73) or XXX-XX-XXXX'
       };
     }
+    medicareId = identifier.value;
     
-    // Check rate limiting
-    if (isRateLimited(medicareId)) {
+    // Reserve an attempt under the rate limits (per Medicare ID and per client IP)
+    const ipAddress = context.ipAddress || null;
+    const rateLimit = await reserveAttempts([
+      { key: medicareId, policy: POLICIES.BENEFICIARY_ID },
+      { key: ipAddress, policy: POLICIES.CLIENT_IP }
+    ]);
+    
+    if (!rateLimit.allowed) {
+      await recordAuthAttempt(AUTH_ACTIONS.BENEFICIARY, {
+        subjectKey: getLimiterKey(medicareId, POLICIES.BENEFICIARY_ID),
+        success: false,
+        reason: FAILURE_REASONS.RATE_LIMITED
+      }, context);
       console.warn('Authentication failed: Rate limit exceeded');
       return {
         success: false,
         error: 'RATE_LIMIT_EXCEEDED',
-        message: 'Too many failed attempts. Please try again in 15 minutes.'
+        message: `Too many failed attempts. Please try again in ${Math.ceil(rateLimit.waitTime / 60000)} minutes.`
       };
     }
     
-    // Query Firestore for beneficiary
-    const db = admin.firestore();
-    const beneficiariesRef = db.collection('beneficiaries');
-    const snapshot = await beneficiariesRef
-      .where('medicareId', '==', medicareId)
-      .limit(1)
-      .get();
+    // Query Firestore for beneficiary (by MBI or legacy ID)
+    const beneficiaryDoc = await findBeneficiaryByIdentifier(medicareId);
     
-    if (snapshot.empty) {
-      recordAttempt(medicareId, false);
+    if (!beneficiaryDoc) {
+      await recordFailedAttempt([medicareId], context, FAILURE_REASONS.NOT_FOUND);
       console.warn('Authentication failed: Beneficiary not found');
       return {
         success: false,
@@ -162,12 +215,12 @@ async function authenticateUser(medicareId, lastName) {
       };
     }
     
-    const beneficiaryDoc = snapshot.docs[0];
     const beneficiary = beneficiaryDoc.data();
+    const beneficiaryIds = getBeneficiaryIdentifiers(beneficiary);
     
     // Verify last name (case-insensitive)
     if (beneficiary.lastName.toLowerCase() !== lastName.toLowerCase()) {
-      recordAttempt(medicareId, false);
+      await recordFailedAttempt(beneficiaryIds, context, FAILURE_REASONS.INVALID_CREDENTIALS);
       console.warn('Authentication failed: Last name mismatch');
       return {
         success: false,
@@ -176,43 +229,250 @@ async function authenticateUser(medicareId, lastName) {
       };
     }
     
-    // Authentication successful
-    recordAttempt(medicareId, true);
+    // First factor passed: start the step-up challenge
+    const challenge = await startChallenge(beneficiaryDoc, { ipAddress });
     
-    // Update authentication status
-    await beneficiaryDoc.ref.update({
-      isAuthenticated: true,
-      lastLoginDate: admin.firestore.FieldValue.serverTimestamp()
-    });
+    console.info('Authentication first factor verified, challenge started');
     
-    // Generate session token
-    const sessionToken = generateSessionToken(beneficiary);
+    return {
+      success: true,
+      authenticated: false,
+      challengeId: challenge.challengeId,
+      nextStep: challenge.nextStep,
+      expiresAt: challenge.expiresAt,
+      message: 'Thank you. To protect your account, please confirm your date of birth.'
+    };
     
-    console.info('Authentication successful');
+  } catch (error) {
+    console.error('Authentication error:', error.message);
+    return {
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: 'An error occurred during authentication. Please try again.'
+    };
+  }
+}
+
+/**
+ * Continue a step-up challenge
+ * 
+ * @param {string} challengeId - Challenge ID returned by authenticateUser
+ * @param {Object} answers - { dateOfBirth } or { passcode }
+ * @param {Object} context - Request context ({ ipAddress, userAgent, correlationId })
+ * @returns {Promise<Object>} Next step, session details or error
+ */
+async function continueAuthentication(challengeId, answers = {}, context = {}) {
+  try {
+    challengeId = sanitizeInput(challengeId);
+    if (!/^[a-f0-9]{32}$/.test(challengeId)) {
+      return {
+        success: false,
+        error: 'CHALLENGE_NOT_FOUND',
+        message: 'Your verification session was not found. Please start again.'
+      };
+    }
+    
+    if (!answers.passcode && !answers.dateOfBirth) {
+      return {
+        success: false,
+        error: 'MISSING_CREDENTIALS',
+        message: 'Please provide your date of birth or the passcode we sent you.'
+      };
+    }
+    
+    // A locked-out subject or IP can't keep answering challenges it already opened,
+    // and every answer holds an attempt under the limits until it is checked
+    const pending = await getChallengeSubject(challengeId);
+    if (pending) {
+      const subjectDoc = await admin.firestore().doc(pending.subjectPath).get();
+      const limiterKeys = getChallengeLimiterKeys(subjectDoc.data(), pending.delegationId);
+      const rateLimit = await reserveAttempts([
+        ...limiterKeys,
+        { key: context.ipAddress || null, policy: POLICIES.CLIENT_IP }
+      ]);
+      
+      if (!rateLimit.allowed) {
+        await recordAuthAttempt(pending.delegationId ? AUTH_ACTIONS.REPRESENTATIVE : AUTH_ACTIONS.BENEFICIARY, {
+          subjectKey: getLimiterKey(limiterKeys[0].key, limiterKeys[0].policy),
+          success: false,
+          reason: FAILURE_REASONS.RATE_LIMITED
+        }, context);
+        console.warn('Step-up verification failed: Rate limit exceeded');
+        return {
+          success: false,
+          error: 'RATE_LIMIT_EXCEEDED',
+          message: `Too many failed attempts. Please try again in ${Math.ceil(rateLimit.waitTime / 60000)} minutes.`
+        };
+      }
+    }
+    
+    let result;
+    if (answers.passcode) {
+      result = await verifyPasscode(challengeId, answers.passcode);
+    } else {
+      result = await verifyDateOfBirth(challengeId, answers.dateOfBirth);
+    }
+    
+    if (!result.success) {
+      console.warn('Step-up verification failed:', result.error);
+      
+      // Every wrong answer counts as a failed login for rate limiting
+      if (result.wrongAnswer) {
+        const subjectDoc = await admin.firestore().doc(result.subjectPath).get();
+        await recordStepUpFailure(
+          subjectDoc.data(),
+          result.delegationId,
+          context,
+          result.locked ? FAILURE_REASONS.STEP_UP_LOCKED : FAILURE_REASONS.STEP_UP_FAILED
+        );
+      }
+      
+      return {
+        success: false,
+        error: result.error,
+        attemptsRemaining: result.attemptsRemaining,
+        message: result.message
+      };
+    }
+    
+    if (result.nextStep === STEPS.COMPLETED) {
+      const subjectDoc = await admin.firestore().doc(result.subjectPath).get();
+      
+      // Challenges started by a representative carry the delegation to act under
+      if (result.delegationId) {
+        return await completeRepresentativeAuthentication(subjectDoc, result.delegationId, context);
+      }
+      return await completeAuthentication(subjectDoc, context);
+    }
     
     return {
       success: true,
-      sessionToken: sessionToken,
-      beneficiary: {
-        medicareId: beneficiary.medicareId,
-        firstName: beneficiary.firstName,
-        lastName: beneficiary.lastName,
-        coverageType: beneficiary.coverageType
+      authenticated: false,
+      challengeId,
+      nextStep: result.nextStep,
+      deliveryChannel: result.deliveryChannel,
+      maskedDestination: result.maskedDestination,
+      message: result.message
+    };
+    
+  } catch (error) {
+    console.error('Step-up verification error:', error.message);
+    return {
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: 'An error occurred during verification. Please try again.'
+    };
+  }
+}
+
+/**
+ * Exchange a refresh token for a new session token
+ * Refresh tokens rotate on every use
+ * 
+ * @param {string} refreshToken - Refresh token from sign-in or the last refresh
+ * @returns {Promise<Object>} New session and refresh tokens, or error
+ */
+async function refreshSession(refreshToken) {
+  try {
+    const result = await rotateRefreshToken(refreshToken);
+    
+    if (!result.success) {
+      console.warn('Session refresh rejected:', result.error);
+      return {
+        success: false,
+        error: result.error,
+        message: 'Your session has ended. Please sign in again.'
+      };
+    }
+    
+    let sessionToken;
+    if (result.delegationId) {
+      sessionToken = await reissueRepresentativeToken(result);
+      if (!sessionToken) {
+        await revokeSession(result.sessionId, REVOCATION_REASONS.DELEGATION_INACTIVE);
+        console.warn('Session refresh rejected: delegation inactive');
+        return {
+          success: false,
+          error: 'DELEGATION_INACTIVE',
+          message: 'Your authorization to act for this beneficiary is no longer active.'
+        };
       }
+    } else {
+      const beneficiaryDoc = await admin.firestore().doc(result.beneficiaryPath).get();
+      sessionToken = issueBeneficiaryToken(beneficiaryDoc.data(), result.sessionId);
+    }
+    
+    return {
+      success: true,
+      sessionToken,
+      refreshToken: result.refreshToken
     };
     
   } catch (error) {
-    console.error('Authentication error:', error.message);
+    console.error('Session refresh error:', error.message);
     return {
       success: false,
       error: 'INTERNAL_ERROR',
-      message: 'An error occurred during authentication. Please try again.'
+      message: 'An error occurred refreshing your session. Please try again.'
     };
   }
 }
 
+/**
+ * End the caller's session
+ * Beneficiaries also lose their Firebase Auth tokens, so direct Firestore
+ * reads stop with the session (representatives are never issued one)
+ * 
+ * @param {Object} claims - Verified beneficiary token claims
+ * @returns {Promise<Object>} Result
+ */
+async function logout(claims) {
+  await revokeSession(claims.sid);
+  
+  if (claims.role !== REPRESENTATIVE_ROLE) {
+    await revokeBeneficiaryFirebaseTokens(claims.medicareId);
+  }
+  
+  console.info('Beneficiary session ended');
+  
+  return {
+    success: true,
+    message: 'You have been signed out.'
+  };
+}
+
+/**
+ * End every session for the caller (sign out everywhere)
+ * Beneficiaries end all sessions on their record, including representatives
+ * acting for them; representatives end all of their own sessions
+ * 
+ * @param {Object} claims - Verified beneficiary token claims
+ * @returns {Promise<Object>} Result with the number of sessions revoked
+ */
+async function logoutAllSessions(claims) {
+  const revokedCount = claims.role === REPRESENTATIVE_ROLE
+    ? await revokeRepresentativeSessions(claims.representativeId)
+    : await revokeAllSessions(claims.medicareId);
+  
+  if (claims.role !== REPRESENTATIVE_ROLE) {
+    await revokeBeneficiaryFirebaseTokens(claims.medicareId);
+  }
+  
+  console.info('Sessions revoked:', revokedCount);
+  
+  return {
+    success: true,
+    revokedCount,
+    message: 'You have been signed out on all devices.'
+  };
+}
+
 module.exports = {
   authenticateUser,
+  continueAuthentication,
+  refreshSession,
+  logout,
+  logoutAllSessions,
   validateMedicareId,
   sanitizeInput
 };
@@ -0,0 +1,188 @@
+/**
+ * Delegated Access for Authorized Representatives
+ *
+ * Family caregivers and legal representatives act for beneficiaries through
+ * delegation records linking a representative to a beneficiary:
+ * - Scope per link: claims:read, documents or full
+ * - Effective and expiry dates, plus revocation
+ * - Every delegated access decision is written to delegatedAccessLog
+ *
+ * Scopes are checked against live delegation records on each access, so an
+ * expired or revoked delegation stops working before the session ends.
+ */
+
+const admin = require('firebase-admin');
+const { writeAuditEntry, OUTCOMES } = require('../audit/auditLog');
+
+const REPRESENTATIVE_COLLECTION = 'representatives';
+const DELEGATION_COLLECTION = 'delegations';
+
+const REPRESENTATIVE_ROLE = 'representative';
+
+const SCOPES = {
+  CLAIMS_READ: 'claims:read',
+  DOCUMENTS: 'documents',
+  FULL: 'full'
+};
+
+// Operations that delegated sessions are checked against
+const PERMISSIONS = {
+  CLAIMS_READ: 'claims:read',
+  DOCUMENTS_READ: 'documents:read',
+  DOCUMENTS_WRITE: 'documents:write',
+  COVERAGE_READ: 'coverage:read',
+  ACCOUNT_MANAGE: 'account:manage',
+  APPEALS_WRITE: 'appeals:write'
+};
+
+const SCOPE_PERMISSIONS = {
+  [SCOPES.CLAIMS_READ]: [PERMISSIONS.CLAIMS_READ],
+  [SCOPES.DOCUMENTS]: [PERMISSIONS.DOCUMENTS_READ, PERMISSIONS.DOCUMENTS_WRITE],
+  [SCOPES.FULL]: Object.values(PERMISSIONS)
+};
+
+/**
+ * Validate representative ID format (REP-NNNNNN)
+ */
+function validateRepresentativeId(representativeId) {
+  return typeof representativeId === 'string' && /^REP-\d{6}$/.test(representativeId.trim());
+}
+
+/**
+ * Check whether a scope grants a permission
+ */
+function scopeAllows(scope, permission) {
+  return (SCOPE_PERMISSIONS[scope] || []).includes(permission);
+}
+
+/**
+ * Check a delegation against revocation and its effective/expiry dates
+ */
+function isDelegationActive(delegation, now = Date.now()) {
+  if (!delegation || delegation.revokedAt) {
+    return false;
+  }
+  if (delegation.effectiveDate && Date.parse(delegation.effectiveDate) > now) {
+    return false;
+  }
+
+  return Boolean(delegation.expiresAt) && Date.parse(delegation.expiresAt) > now;
+}
+
+/**
+ * Find a representative document by representative ID
+ *
+ * @param {string} representativeId - Representative ID (REP-NNNNNN)
+ * @returns {Promise<Object|null>} Firestore document snapshot, or null
+ */
+async function findRepresentative(representativeId) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(REPRESENTATIVE_COLLECTION)
+    .where('representativeId', '==', representativeId)
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Find the active delegation from a representative to a beneficiary
+ *
+ * @param {string} representativeId - Representative ID
+ * @param {Array<string>} beneficiaryIds - All identifiers of the beneficiary record
+ * @returns {Promise<Object|null>} Delegation document snapshot, or null
+ */
+async function findActiveDelegation(representativeId, beneficiaryIds) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(DELEGATION_COLLECTION)
+    .where('representativeId', '==', representativeId)
+    .where('beneficiaryId', 'in', beneficiaryIds)
+    .get();
+
+  const now = Date.now();
+  return snapshot.docs.find(doc => isDelegationActive(doc.data(), now)) || null;
+}
+
+/**
+ * Load a delegation by document ID
+ * The document ID is the delegation ID carried in tokens and audit entries
+ */
+async function getDelegation(delegationId) {
+  const db = admin.firestore();
+  const delegationDoc = await db.collection(DELEGATION_COLLECTION).doc(delegationId).get();
+  return delegationDoc.exists ? { ...delegationDoc.data(), delegationId: delegationDoc.id } : null;
+}
+
+/**
+ * Write a delegated access audit entry (delegatedAccessLog)
+ */
+async function recordDelegatedAccess(claims, permission, resource, allowed, reason = null, context = {}) {
+  await writeAuditEntry('delegatedAccess', {
+    action: permission,
+    actor: claims.representativeId,
+    outcome: allowed ? OUTCOMES.SUCCESS : OUTCOMES.DENIED,
+    representativeId: claims.representativeId,
+    delegationId: claims.delegationId,
+    beneficiaryId: claims.medicareId,
+    permission,
+    resourceType: resource?.type || null,
+    resourceId: resource?.id || null,
+    allowed,
+    reason
+  }, context);
+}
+
+/**
+ * Authorize an operation on a beneficiary's data
+ * Beneficiaries acting for themselves are always allowed; representatives
+ * need an active delegation whose scope grants the permission
+ *
+ * @param {Object} claims - Verified session token claims
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object} resource - { type, id } of the data being accessed (for the audit log)
+ * @param {Object} context - Request context for the audit log
+ * @returns {Promise<Object>} { allowed, reason }
+ */
+async function authorizeAccess(claims, permission, resource = null, context = {}) {
+  if (!claims || !claims.medicareId) {
+    return { allowed: false, reason: 'UNAUTHENTICATED' };
+  }
+
+  if (claims.role !== REPRESENTATIVE_ROLE) {
+    return { allowed: true, reason: null };
+  }
+
+  const delegation = claims.delegationId ? await getDelegation(claims.delegationId) : null;
+
+  let reason = null;
+  if (!delegation || delegation.representativeId !== claims.representativeId) {
+    reason = 'DELEGATION_NOT_FOUND';
+  } else if (!isDelegationActive(delegation)) {
+    reason = 'DELEGATION_INACTIVE';
+  } else if (!scopeAllows(delegation.scope, permission)) {
+    reason = 'SCOPE_NOT_GRANTED';
+  }
+
+  const allowed = reason === null;
+  await recordDelegatedAccess(claims, permission, resource, allowed, reason, context);
+
+  if (!allowed) {
+    console.warn('Delegated access denied:', reason);
+  }
+
+  return { allowed, reason };
+}
+
+module.exports = {
+  REPRESENTATIVE_ROLE,
+  SCOPES,
+  PERMISSIONS,
+  validateRepresentativeId,
+  scopeAllows,
+  isDelegationActive,
+  findRepresentative,
+  findActiveDelegation,
+  getDelegation,
+  recordDelegatedAccess,
+  authorizeAccess
+};
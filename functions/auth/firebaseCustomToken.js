@@ -0,0 +1,90 @@
+/**
+ * Firebase Auth Custom Tokens for Beneficiaries
+ *
+ * Mints the custom token a client exchanges with signInWithCustomToken() so
+ * firestore.rules can match documents against request.auth.token claims.
+ * The UID is a random authUid stored on the beneficiary record, never the
+ * Medicare identifier (beneficiary documents may be keyed by it).
+ *
+ * Signing out revokes the UID's refresh tokens and records the revocation
+ * time in authRevocations, which firestore.rules compares with the ID
+ * token's auth_time so already-issued ID tokens stop working too.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { findBeneficiaryByIdentifier } = require('./medicareId');
+
+const BENEFICIARY_ROLE = 'beneficiary';
+const REVOCATIONS_COLLECTION = 'authRevocations';
+
+/**
+ * Build the developer claims embedded in a beneficiary custom token
+ */
+function buildBeneficiaryClaims(beneficiary) {
+  return {
+    role: BENEFICIARY_ROLE,
+    medicareId: beneficiary.medicareId || beneficiary.mbi,
+    mbi: beneficiary.mbi || null
+  };
+}
+
+/**
+ * Get the beneficiary's Firebase Auth UID, assigning one on first sign-in
+ */
+async function getOrAssignAuthUid(beneficiaryDoc) {
+  const existing = beneficiaryDoc.data().authUid;
+  if (existing) {
+    return existing;
+  }
+
+  const authUid = crypto.randomBytes(16).toString('hex');
+  await beneficiaryDoc.ref.update({ authUid });
+  return authUid;
+}
+
+/**
+ * Mint a Firebase custom token for an authenticated beneficiary
+ *
+ * @param {Object} beneficiaryDoc - Firestore document snapshot
+ * @returns {Promise<string>} Custom token for signInWithCustomToken()
+ */
+async function mintBeneficiaryCustomToken(beneficiaryDoc) {
+  const authUid = await getOrAssignAuthUid(beneficiaryDoc);
+
+  return admin.auth().createCustomToken(
+    authUid,
+    buildBeneficiaryClaims(beneficiaryDoc.data())
+  );
+}
+
+/**
+ * Revoke the Firebase Auth tokens issued to a beneficiary
+ *
+ * @param {string} medicareId - Medicare ID or MBI from the session claims
+ * @returns {Promise<boolean>} Whether a Firebase Auth user was revoked
+ */
+async function revokeBeneficiaryFirebaseTokens(medicareId) {
+  const beneficiaryDoc = await findBeneficiaryByIdentifier(medicareId);
+  const authUid = beneficiaryDoc && beneficiaryDoc.data().authUid;
+  if (!authUid) {
+    return false;
+  }
+
+  await admin.auth().revokeRefreshTokens(authUid);
+
+  // auth_time is in seconds; tokens from a sign-in after this point stay valid
+  const { tokensValidAfterTime } = await admin.auth().getUser(authUid);
+  await admin.firestore().collection(REVOCATIONS_COLLECTION).doc(authUid).set({
+    revokedAt: Math.floor(new Date(tokensValidAfterTime).getTime() / 1000)
+  });
+
+  return true;
+}
+
+module.exports = {
+  BENEFICIARY_ROLE,
+  buildBeneficiaryClaims,
+  mintBeneficiaryCustomToken,
+  revokeBeneficiaryFirebaseTokens
+};
@@ -0,0 +1,157 @@
+/**
+ * Medicare Identifier Module
+ *
+ * Parsing, validation and normalization for both identifier formats:
+ * - Medicare Beneficiary Identifier (MBI): 11 characters, e.g. 1EG4-TE5-MK73
+ * - Legacy SSN-style Medicare ID: XXX-XX-XXXX
+ *
+ * During the migration a beneficiary record may carry both the legacy
+ * `medicareId` and an `mbi`; lookups accept either one.
+ */
+
+const admin = require('firebase-admin');
+
+// MBI letters exclude S, L, O, I, B and Z
+const MBI_ALPHA = '[AC-HJKMNP-RT-Y]';
+const MBI_ALPHANUMERIC = '[AC-HJKMNP-RT-Y0-9]';
+
+// Position rules: 1 numeric (1-9), 2 alpha, 3 alphanumeric, 4 numeric,
+// 5 alpha, 6 alphanumeric, 7 numeric, 8 alpha, 9 alpha, 10 numeric, 11 numeric
+const MBI_PATTERN = new RegExp(
+  `^[1-9]${MBI_ALPHA}${MBI_ALPHANUMERIC}\\d${MBI_ALPHA}${MBI_ALPHANUMERIC}\\d${MBI_ALPHA}${MBI_ALPHA}\\d\\d$`
+);
+
+const LEGACY_ID_PATTERN = /^\d{3}-\d{2}-\d{4}$/;
+
+const IDENTIFIER_TYPES = {
+  MBI: 'MBI',
+  LEGACY: 'LEGACY'
+};
+
+/**
+ * Normalize an MBI: uppercase with dashes and spaces removed
+ */
+function normalizeMbi(mbi) {
+  if (!mbi || typeof mbi !== 'string') {
+    return '';
+  }
+
+  return mbi.toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Validate an MBI (dashes and lowercase are accepted)
+ */
+function validateMbi(mbi) {
+  return MBI_PATTERN.test(normalizeMbi(mbi));
+}
+
+/**
+ * Format a normalized MBI for display: XXXX-XXX-XXXX
+ */
+function formatMbi(mbi) {
+  const normalized = normalizeMbi(mbi);
+  return `${normalized.slice(0, 4)}-${normalized.slice(4, 7)}-${normalized.slice(7)}`;
+}
+
+/**
+ * Normalize a legacy Medicare ID to XXX-XX-XXXX
+ */
+function normalizeLegacyId(medicareId) {
+  if (!medicareId || typeof medicareId !== 'string') {
+    return '';
+  }
+
+  const digits = medicareId.replace(/[\s-]/g, '');
+  if (!/^\d{9}$/.test(digits)) {
+    return medicareId.trim();
+  }
+
+  return `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}`;
+}
+
+/**
+ * Parse a Medicare identifier in either format
+ *
+ * @param {string} identifier - MBI or legacy Medicare ID
+ * @returns {Object|null} { type, value } with a normalized value, or null if invalid
+ */
+function parseMedicareIdentifier(identifier) {
+  if (!identifier || typeof identifier !== 'string') {
+    return null;
+  }
+
+  if (validateMbi(identifier)) {
+    return { type: IDENTIFIER_TYPES.MBI, value: normalizeMbi(identifier) };
+  }
+
+  const legacyId = normalizeLegacyId(identifier);
+  if (LEGACY_ID_PATTERN.test(legacyId)) {
+    return { type: IDENTIFIER_TYPES.LEGACY, value: legacyId };
+  }
+
+  return null;
+}
+
+/**
+ * Get every identifier a beneficiary record is known by
+ */
+function getBeneficiaryIdentifiers(beneficiary) {
+  return [beneficiary.medicareId, beneficiary.mbi].filter(Boolean);
+}
+
+/**
+ * Find a beneficiary document by MBI or legacy Medicare ID
+ *
+ * @param {string} identifier - MBI or legacy Medicare ID
+ * @returns {Promise<Object|null>} Firestore document snapshot, or null
+ */
+async function findBeneficiaryByIdentifier(identifier) {
+  const parsed = parseMedicareIdentifier(identifier);
+  if (!parsed) {
+    return null;
+  }
+
+  const field = parsed.type === IDENTIFIER_TYPES.MBI ? 'mbi' : 'medicareId';
+
+  const db = admin.firestore();
+  const snapshot = await db.collection('beneficiaries')
+    .where(field, '==', parsed.value)
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Resolve all identifiers (legacy ID and MBI) linked to an identifier
+ * Falls back to the identifier itself when no beneficiary record is found
+ *
+ * @param {string} identifier - MBI or legacy Medicare ID
+ * @returns {Promise<Array<string>>} Normalized identifiers
+ */
+async function resolveBeneficiaryIdentifiers(identifier) {
+  const parsed = parseMedicareIdentifier(identifier);
+  if (!parsed) {
+    return [];
+  }
+
+  const beneficiaryDoc = await findBeneficiaryByIdentifier(parsed.value);
+  if (!beneficiaryDoc) {
+    return [parsed.value];
+  }
+
+  return getBeneficiaryIdentifiers(beneficiaryDoc.data());
+}
+
+module.exports = {
+  IDENTIFIER_TYPES,
+  normalizeMbi,
+  validateMbi,
+  formatMbi,
+  normalizeLegacyId,
+  parseMedicareIdentifier,
+  getBeneficiaryIdentifiers,
+  findBeneficiaryByIdentifier,
+  resolveBeneficiaryIdentifiers
+};
@@ -0,0 +1,56 @@
+/**
+ * National Provider Identifier (NPI) Validation
+ *
+ * An NPI is 10 digits whose last digit is a Luhn check digit computed over
+ * the first 9 digits with the 80840 card issuer prefix (ISO 7812), so
+ * mistyped NPIs are rejected without a database lookup.
+ */
+
+const NPI_PREFIX = '80840';
+
+/**
+ * Strip formatting from an NPI (spaces, dashes)
+ */
+function normalizeNpi(npiNumber) {
+  if (!npiNumber || typeof npiNumber !== 'string') {
+    return '';
+  }
+
+  return npiNumber.replace(/\D/g, '');
+}
+
+/**
+ * Check a digit string with the Luhn algorithm
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Validate an NPI: 10 digits with a valid check digit
+ *
+ * @param {string} npiNumber - NPI, formatting allowed
+ * @returns {boolean} True if the NPI is well formed
+ */
+function validateNpi(npiNumber) {
+  const npi = normalizeNpi(npiNumber);
+  return /^\d{10}$/.test(npi) && passesLuhn(`${NPI_PREFIX}${npi}`);
+}
+
+module.exports = {
+  normalizeNpi,
+  validateNpi
+};
@@ -0,0 +1,96 @@
+/**
+ * One-Time Passcode Delivery
+ *
+ * Pluggable sender used by step-up verification. Production deployments
+ * register a real email/SMS sender with setOtpSender(); the built-in
+ * console and file senders are local stand-ins and only run under the
+ * Functions emulator or when explicitly selected with OTP_SENDER.
+ *
+ * A sender is an object with: async send({ channel, destination, passcode, expiresInMinutes })
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Console stand-in: prints the passcode to the function logs
+ */
+const consoleSender = {
+  name: 'console',
+  async send({ channel, destination, passcode, expiresInMinutes }) {
+    console.log(`[OTP] ${channel} to ${destination}: ${passcode} (expires in ${expiresInMinutes} minutes)`);
+  }
+};
+
+/**
+ * File stand-in: appends passcodes to a local outbox file
+ */
+const fileSender = {
+  name: 'file',
+  async send({ channel, destination, passcode, expiresInMinutes }) {
+    const outboxPath = process.env.OTP_OUTBOX_PATH || path.join(os.tmpdir(), 'otp-outbox.log');
+    const entry = JSON.stringify({
+      channel,
+      destination,
+      passcode,
+      expiresInMinutes,
+      sentAt: new Date().toISOString()
+    });
+
+    await fs.promises.appendFile(outboxPath, `${entry}\n`);
+  }
+};
+
+const builtInSenders = {
+  console: consoleSender,
+  file: fileSender
+};
+
+let registeredSender = null;
+
+/**
+ * Register the sender used for passcode delivery
+ */
+function setOtpSender(sender) {
+  if (sender && typeof sender.send !== 'function') {
+    throw new Error('OTP sender must implement send()');
+  }
+  registeredSender = sender;
+}
+
+/**
+ * Resolve the active sender
+ * Fails closed outside the emulator when no sender is configured
+ */
+function getOtpSender() {
+  if (registeredSender) {
+    return registeredSender;
+  }
+
+  const configured = process.env.OTP_SENDER;
+  if (configured) {
+    if (!builtInSenders[configured]) {
+      throw new Error(`Unknown OTP_SENDER: ${configured}`);
+    }
+    return builtInSenders[configured];
+  }
+
+  if (process.env.FUNCTIONS_EMULATOR === 'true') {
+    return consoleSender;
+  }
+
+  throw new Error('No one-time passcode sender is configured');
+}
+
+/**
+ * Deliver a one-time passcode
+ */
+async function sendPasscode(message) {
+  return getOtpSender().send(message);
+}
+
+module.exports = {
+  setOtpSender,
+  sendPasscode
+};
@@ -0,0 +1,279 @@
+/**
+ * Provider Organization Staff Users
+ *
+ * Clinic staff sign in as individual users under their organization's NPI:
+ * - Roles: billing, clinician, admin
+ * - One credential per user, stored as a scrypt hash
+ * - Role permissions gate the agent assist and CRM APIs
+ * - The acting staff member is recorded on tickets and agent assist requests
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PROVIDER_USER_COLLECTION = 'providerUsers';
+const MIN_PASSWORD_LENGTH = 12;
+// Letters (including accented), spaces, apostrophes, periods and hyphens
+const NAME_PATTERN = /^[A-Za-zÀ-ÿ][A-Za-zÀ-ÿ' .-]{0,49}$/;
+
+// scrypt cost parameters (N=2^14, r=8, p=1) and derived key length
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+const STAFF_ROLES = {
+  BILLING: 'billing',
+  CLINICIAN: 'clinician',
+  ADMIN: 'admin'
+};
+
+const STAFF_PERMISSIONS = {
+  AGENT_ASSIST: 'agentAssist:use',
+  TICKETS_CREATE: 'tickets:create',
+  USERS_MANAGE: 'users:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  [STAFF_ROLES.BILLING]: [STAFF_PERMISSIONS.AGENT_ASSIST, STAFF_PERMISSIONS.TICKETS_CREATE],
+  [STAFF_ROLES.CLINICIAN]: [STAFF_PERMISSIONS.AGENT_ASSIST],
+  [STAFF_ROLES.ADMIN]: Object.values(STAFF_PERMISSIONS)
+};
+
+/**
+ * Hash a credential for storage
+ * Format: scrypt$N$r$p$<salt>$<hash> (base64)
+ *
+ * @param {string} password - Plain-text credential
+ * @returns {Promise<string>} Encoded hash
+ */
+async function hashCredential(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Verify a credential against a stored hash in constant time
+ *
+ * @param {string} password - Plain-text credential
+ * @param {string} encoded - Hash from hashCredential()
+ * @returns {Promise<boolean>} True if the credential matches
+ */
+async function verifyCredential(password, encoded) {
+  const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, N, r, p, salt, expectedHash] = parts;
+  const expected = Buffer.from(expectedHash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+let dummyCredential = null;
+
+/**
+ * Hash compared against when the user does not exist, so response times
+ * do not reveal which emails are registered
+ */
+function getDummyCredential() {
+  if (!dummyCredential) {
+    dummyCredential = hashCredential(crypto.randomBytes(16).toString('hex'));
+  }
+  return dummyCredential;
+}
+
+/**
+ * Normalize a staff email (usernames are case-insensitive)
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Find a staff user by NPI and email
+ *
+ * @returns {Promise<Object|null>} Firestore document snapshot, or null
+ */
+async function findProviderUser(npiNumber, email) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(PROVIDER_USER_COLLECTION)
+    .where('npiNumber', '==', npiNumber)
+    .where('email', '==', normalizeEmail(email))
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Verify a staff user's credential
+ *
+ * @param {string} npiNumber - Organization NPI
+ * @param {string} email - Staff email
+ * @param {string} password - Staff credential
+ * @returns {Promise<Object|null>} Staff user document snapshot, or null
+ */
+async function verifyProviderUser(npiNumber, email, password) {
+  const userDoc = await findProviderUser(npiNumber, email);
+
+  if (!userDoc) {
+    await verifyCredential(password, await getDummyCredential());
+    return null;
+  }
+
+  const user = userDoc.data();
+  const valid = await verifyCredential(password, user.credentialHash);
+
+  return valid && user.status === 'Active' ? userDoc : null;
+}
+
+/**
+ * Staff fields safe to return to clients (never the credential)
+ */
+function toStaffSummary(user) {
+  return {
+    userId: user.userId,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    status: user.status
+  };
+}
+
+/**
+ * Check whether a staff role grants a permission
+ */
+function roleAllows(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Build the actor recorded on tickets and agent assist requests
+ * from verified provider session claims
+ */
+function getStaffActor(claims) {
+  return {
+    userId: claims.staffUserId,
+    role: claims.staffRole,
+    name: claims.staffName
+  };
+}
+
+/**
+ * Require a staff permission on a provider session
+ * Sends a 403 response and returns false when the role does not allow it
+ *
+ * @param {Object} claims - Verified provider session claims
+ * @param {Object} res - HTTPS response
+ * @param {string} permission - One of STAFF_PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+function requireStaffPermission(claims, res, permission) {
+  if (roleAllows(claims.staffRole, permission)) {
+    return true;
+  }
+
+  console.warn('Rejected request: staff role lacks permission', permission);
+  res.status(403).json({
+    success: false,
+    error: 'FORBIDDEN',
+    message: 'Your role does not allow this action'
+  });
+  return false;
+}
+
+/**
+ * Create a staff user under an NPI (organization admins only)
+ *
+ * @param {string} npiNumber - Organization NPI
+ * @param {Object} userData - { email, firstName, lastName, role, password }
+ * @param {Object} actor - Admin creating the user (from getStaffActor)
+ * @returns {Promise<Object>} Created user summary or error
+ */
+async function createProviderUser(npiNumber, userData, actor) {
+  const email = normalizeEmail(userData.email);
+  const firstName = typeof userData.firstName === 'string' ? userData.firstName.trim() : '';
+  const lastName = typeof userData.lastName === 'string' ? userData.lastName.trim() : '';
+  const { role, password } = userData;
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || !firstName || !lastName) {
+    return { success: false, error: 'INVALID_USER', message: 'Email, first name and last name are required' };
+  }
+  if (!NAME_PATTERN.test(firstName) || !NAME_PATTERN.test(lastName)) {
+    return { success: false, error: 'INVALID_USER', message: 'First and last name must be 1-50 letters, spaces, apostrophes, periods or hyphens' };
+  }
+  if (!Object.values(STAFF_ROLES).includes(role)) {
+    return { success: false, error: 'INVALID_ROLE', message: `Role must be one of: ${Object.values(STAFF_ROLES).join(', ')}` };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { success: false, error: 'WEAK_CREDENTIAL', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  if (await findProviderUser(npiNumber, email)) {
+    return { success: false, error: 'USER_EXISTS', message: 'A user with this email already exists for this organization' };
+  }
+
+  const userId = `PU-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  const user = {
+    userId,
+    npiNumber,
+    email,
+    firstName,
+    lastName,
+    role,
+    status: 'Active',
+    credentialHash: await hashCredential(password),
+    createdBy: actor.userId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastLoginDate: null
+  };
+
+  const db = admin.firestore();
+  await db.collection(PROVIDER_USER_COLLECTION).doc(userId).set(user);
+
+  console.log(`Provider user ${userId} created by ${actor.userId}`);
+
+  return { success: true, user: toStaffSummary(user) };
+}
+
+/**
+ * List staff users for an NPI
+ *
+ * @param {string} npiNumber - Organization NPI
+ * @returns {Promise<Array<Object>>} Staff summaries
+ */
+async function listProviderUsers(npiNumber) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(PROVIDER_USER_COLLECTION)
+    .where('npiNumber', '==', npiNumber)
+    .get();
+
+  return snapshot.docs.map(doc => toStaffSummary(doc.data()));
+}
+
+module.exports = {
+  STAFF_ROLES,
+  STAFF_PERMISSIONS,
+  hashCredential,
+  verifyCredential,
+  normalizeEmail,
+  verifyProviderUser,
+  toStaffSummary,
+  roleAllows,
+  getStaffActor,
+  requireStaffPermission,
+  createProviderUser,
+  listProviderUsers
+};
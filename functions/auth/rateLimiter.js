@@ -0,0 +1,378 @@
+/**
+ * Distributed Rate Limiter for Authentication
+ *
+ * Firestore-backed limiter shared by beneficiary and provider authentication:
+ * - State lives in the authRateLimits collection, so it survives cold starts
+ *   and is shared across function instances
+ * - Sliding window over recent failed attempts, with attempts in progress
+ *   reserved up front so parallel guesses can't overrun it
+ * - Exponential backoff on repeated lockouts
+ * - Configurable fail-open / fail-closed behavior on storage errors
+ * - Keys are hashed so no identifiers are stored as document IDs
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const RATE_LIMIT_COLLECTION = 'authRateLimits';
+
+// Lockout count is forgotten after a quiet day
+const LOCKOUT_DECAY = 24 * 60 * 60 * 1000;
+
+// A reservation covers one request; if it is never recorded or reset
+// (the attempt succeeded or was refused for another reason) its slot frees up
+const PENDING_ATTEMPT_TTL = 30 * 1000;
+
+// Rate limit policies
+const POLICIES = {
+  // Per Medicare ID: 5 failures in 15 minutes
+  BENEFICIARY_ID: {
+    scope: 'medicareId',
+    windowMs: 15 * 60 * 1000,
+    maxAttempts: 5,
+    baseLockoutMs: 15 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000,
+    failClosed: true
+  },
+  // Per client IP: tolerates shared IPs but stops enumeration
+  CLIENT_IP: {
+    scope: 'ip',
+    windowMs: 15 * 60 * 1000,
+    maxAttempts: 20,
+    baseLockoutMs: 15 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000,
+    failClosed: true
+  },
+  // Per representative ID: 5 failures in 15 minutes
+  REPRESENTATIVE_ID: {
+    scope: 'representativeId',
+    windowMs: 15 * 60 * 1000,
+    maxAttempts: 5,
+    baseLockoutMs: 15 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000,
+    failClosed: true
+  },
+  // Per NPI: 5 failures in 15 minutes
+  PROVIDER_NPI: {
+    scope: 'npi',
+    windowMs: 15 * 60 * 1000,
+    maxAttempts: 5,
+    baseLockoutMs: 15 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000,
+    failClosed: true
+  },
+  // Per provider staff user (NPI + email): 5 failures in 15 minutes
+  PROVIDER_USER: {
+    scope: 'providerUser',
+    windowMs: 15 * 60 * 1000,
+    maxAttempts: 5,
+    baseLockoutMs: 15 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000,
+    failClosed: true
+  }
+};
+
+/**
+ * Build the hashed document ID for a limiter key
+ */
+function getDocId(scope, key) {
+  return crypto
+    .createHash('sha256')
+    .update(`${scope}:${key}`)
+    .digest('hex');
+}
+
+/**
+ * Drop attempts that fell out of the sliding window
+ */
+function pruneAttempts(attempts, windowMs, now) {
+  return (attempts || []).filter(timestamp => now - timestamp < windowMs);
+}
+
+/**
+ * Lockout duration for the nth consecutive lockout (1-based)
+ */
+function getLockoutDuration(lockoutCount, policy) {
+  const duration = policy.baseLockoutMs * Math.pow(2, Math.max(lockoutCount - 1, 0));
+  return Math.min(duration, policy.maxLockoutMs);
+}
+
+/**
+ * Decide whether another attempt fits in the window
+ * Attempts still in progress hold a slot, so parallel requests can't all
+ * pass the check before any of them has failed
+ */
+function evaluateAttempts(data, policy, now) {
+  if (data.lockedUntil && data.lockedUntil > now) {
+    return { allowed: false, waitTime: data.lockedUntil - now };
+  }
+
+  const attempts = pruneAttempts(data.attempts, policy.windowMs, now);
+  const pending = pruneAttempts(data.pendingAttempts, PENDING_ATTEMPT_TTL, now);
+
+  if (attempts.length + pending.length >= policy.maxAttempts) {
+    const freesAt = Math.min(
+      ...attempts.map(timestamp => timestamp + policy.windowMs),
+      ...pending.map(timestamp => timestamp + PENDING_ATTEMPT_TTL)
+    );
+    return { allowed: false, waitTime: freesAt - now, attempts, pending };
+  }
+
+  return { allowed: true, waitTime: 0, attempts, pending };
+}
+
+/**
+ * Reserve an attempt for a key before its credentials are checked
+ * The check and the reservation happen in one transaction. The slot is
+ * released by recordFailure() or resetRateLimit(), or after
+ * PENDING_ATTEMPT_TTL if the attempt ends any other way.
+ *
+ * @param {string} key - Identifier being limited (Medicare ID, IP, NPI)
+ * @param {Object} policy - One of POLICIES
+ * @returns {Promise<Object>} { allowed, waitTime }
+ */
+async function reserveAttempt(key, policy) {
+  const db = admin.firestore();
+  const rateLimitRef = db.collection(RATE_LIMIT_COLLECTION).doc(getDocId(policy.scope, key));
+
+  try {
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(rateLimitRef);
+      const now = Date.now();
+      const result = evaluateAttempts(doc.exists ? doc.data() : {}, policy, now);
+
+      if (!result.allowed) {
+        return { allowed: false, waitTime: result.waitTime };
+      }
+
+      transaction.set(rateLimitRef, {
+        scope: policy.scope,
+        pendingAttempts: [...result.pending, now]
+      }, { merge: true });
+
+      return { allowed: true, waitTime: 0 };
+    });
+
+  } catch (error) {
+    console.error('Rate limit check error:', error.message);
+
+    if (policy.failClosed) {
+      return { allowed: false, waitTime: policy.windowMs, unavailable: true };
+    }
+    return { allowed: true, waitTime: 0, unavailable: true };
+  }
+}
+
+/**
+ * Reserve an attempt for several keys and return the most restrictive result
+ *
+ * @param {Array<Object>} checks - [{ key, policy }] (entries without a key are skipped)
+ * @returns {Promise<Object>} { allowed, waitTime }
+ */
+async function reserveAttempts(checks) {
+  const results = await Promise.all(
+    checks
+      .filter(check => check.key)
+      .map(check => reserveAttempt(check.key, check.policy))
+  );
+
+  return results.reduce((combined, result) => ({
+    allowed: combined.allowed && result.allowed,
+    waitTime: Math.max(combined.waitTime, result.waitTime),
+    unavailable: combined.unavailable || Boolean(result.unavailable)
+  }), { allowed: true, waitTime: 0, unavailable: false });
+}
+
+/**
+ * Record a failed attempt, locking the key out when the window fills up
+ * Turns the attempt's reservation into a failure in the same transaction.
+ * If the failure can't be stored, fail-closed policies report the key as
+ * locked.
+ *
+ * @param {string} key - Identifier being limited
+ * @param {Object} policy - One of POLICIES
+ * @returns {Promise<Object>} { locked, lockedUntil, unavailable }
+ */
+async function recordFailure(key, policy) {
+  if (!key) {
+    return { locked: false, lockedUntil: null };
+  }
+
+  const db = admin.firestore();
+  const rateLimitRef = db.collection(RATE_LIMIT_COLLECTION).doc(getDocId(policy.scope, key));
+
+  try {
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(rateLimitRef);
+      const now = Date.now();
+      const data = doc.exists ? doc.data() : {};
+
+      // Release this attempt's reservation (the oldest one still held)
+      const pendingAttempts = pruneAttempts(data.pendingAttempts, PENDING_ATTEMPT_TTL, now).slice(1);
+
+      // A parallel attempt already locked the key: keep that lockout as it is
+      if (data.lockedUntil && data.lockedUntil > now) {
+        transaction.set(rateLimitRef, { pendingAttempts, lastAttempt: now }, { merge: true });
+        return { locked: true, lockedUntil: data.lockedUntil };
+      }
+
+      const attempts = pruneAttempts(data.attempts, policy.windowMs, now);
+      attempts.push(now);
+
+      let lockoutCount = data.lockoutCount || 0;
+      if (data.lastLockoutAt && now - data.lastLockoutAt > LOCKOUT_DECAY) {
+        lockoutCount = 0;
+      }
+
+      const update = {
+        scope: policy.scope,
+        attempts: attempts.slice(-policy.maxAttempts),
+        pendingAttempts,
+        lastAttempt: now,
+        lockoutCount,
+        lockedUntil: data.lockedUntil || null,
+        lastLockoutAt: data.lastLockoutAt || null
+      };
+
+      if (attempts.length >= policy.maxAttempts) {
+        update.lockoutCount = lockoutCount + 1;
+        update.lockedUntil = now + getLockoutDuration(update.lockoutCount, policy);
+        update.lastLockoutAt = now;
+        update.attempts = [];
+      }
+
+      transaction.set(rateLimitRef, update);
+
+      return {
+        locked: Boolean(update.lockedUntil && update.lockedUntil > now),
+        lockedUntil: update.lockedUntil
+      };
+    });
+  } catch (error) {
+    console.error('Error recording failed attempt:', error.message);
+
+    if (policy.failClosed) {
+      return { locked: true, lockedUntil: null, unavailable: true };
+    }
+    return { locked: false, lockedUntil: null, unavailable: true };
+  }
+}
+
+/**
+ * Clear the failure window for a key after a successful authentication
+ * The lockout count is kept so backoff still applies to repeat offenders
+ */
+async function resetRateLimit(key, policy) {
+  if (!key) {
+    return;
+  }
+
+  const db = admin.firestore();
+  const rateLimitRef = db.collection(RATE_LIMIT_COLLECTION).doc(getDocId(policy.scope, key));
+
+  try {
+    await rateLimitRef.set({
+      attempts: [],
+      pendingAttempts: [],
+      lockedUntil: null,
+      lastAttempt: Date.now()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error resetting rate limit:', error.message);
+  }
+}
+
+/**
+ * Hashed limiter key for an identifier, as stored in authRateLimits
+ * Audit entries and security findings refer to subjects by this key
+ */
+function getLimiterKey(key, policy) {
+  return getDocId(policy.scope, key);
+}
+
+/**
+ * List keys that are currently locked out
+ *
+ * @returns {Promise<Array<Object>>} [{ limiterKey, scope, lockedUntil, lockoutCount, lastAttempt }]
+ */
+async function listLockouts() {
+  const db = admin.firestore();
+  const snapshot = await db.collection(RATE_LIMIT_COLLECTION)
+    .where('lockedUntil', '>', Date.now())
+    .get();
+
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      limiterKey: doc.id,
+      scope: data.scope || null,
+      lockedUntil: new Date(data.lockedUntil).toISOString(),
+      lockoutCount: data.lockoutCount || 0,
+      lastAttempt: data.lastAttempt ? new Date(data.lastAttempt).toISOString() : null
+    };
+  });
+}
+
+/**
+ * List keys whose latest lockout ends after a point in time, whether it is
+ * still active or has expired since
+ *
+ * @param {number} since - Epoch milliseconds
+ * @returns {Promise<Array<Object>>} [{ limiterKey, scope, lockedUntil, lastLockoutAt, lockoutCount }],
+ *   times in epoch milliseconds
+ */
+async function listLockoutsEndingAfter(since) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(RATE_LIMIT_COLLECTION)
+    .where('lockedUntil', '>=', since)
+    .get();
+
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      limiterKey: doc.id,
+      scope: data.scope || null,
+      lockedUntil: data.lockedUntil,
+      lastLockoutAt: data.lastLockoutAt || null,
+      lockoutCount: data.lockoutCount || 0
+    };
+  });
+}
+
+/**
+ * Unlock a key (administrative)
+ * Unlike resetRateLimit(), this also clears the lockout count so backoff starts over
+ *
+ * @param {string} limiterKey - Hashed key from getLimiterKey() or listLockouts()
+ * @returns {Promise<boolean>} True if the key existed
+ */
+async function unlockKey(limiterKey) {
+  const db = admin.firestore();
+  const rateLimitRef = db.collection(RATE_LIMIT_COLLECTION).doc(limiterKey);
+  const doc = await rateLimitRef.get();
+
+  if (!doc.exists) {
+    return false;
+  }
+
+  await rateLimitRef.update({
+    attempts: [],
+    pendingAttempts: [],
+    lockedUntil: null,
+    lockoutCount: 0,
+    lastLockoutAt: null
+  });
+  return true;
+}
+
+module.exports = {
+  POLICIES,
+  reserveAttempt,
+  reserveAttempts,
+  recordFailure,
+  resetRateLimit,
+  getLimiterKey,
+  listLockouts,
+  listLockoutsEndingAfter,
+  unlockKey
+};
@@ -0,0 +1,90 @@
+/**
+ * Session Verification Middleware
+ * Shared verification layer for HTTPS functions. Extracts the bearer token
+ * from the Authorization header, verifies it and returns the verified claims.
+ * Beneficiary tokens must also map to an active session in the session store,
+ * so logout, revocation and idle/absolute timeouts take effect immediately.
+ */
+
+const { verifyToken, AUDIENCES } = require('./sessionTokens');
+const { validateSession } = require('./sessionStore');
+
+/**
+ * Extract a bearer token from the Authorization header
+ */
+function extractBearerToken(req) {
+  const header = req.get ? req.get('Authorization') : req.headers?.authorization;
+
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Verify a token and, for beneficiary tokens, its server-side session
+ *
+ * @param {string} token - JWT to verify
+ * @param {string|Array<string>} audiences - Accepted token audience(s)
+ * @returns {Promise<Object>} { valid: true, claims } or { valid: false, error }
+ */
+async function verifySession(token, audiences) {
+  const result = verifyToken(token, audiences);
+  if (!result.valid || result.claims.aud !== AUDIENCES.BENEFICIARY) {
+    return result;
+  }
+
+  const session = await validateSession(result.claims.sid);
+  if (!session.valid) {
+    return { valid: false, error: session.error };
+  }
+
+  return result;
+}
+
+/**
+ * Require a valid session token on the request
+ * Sends a 401 response and returns null when verification fails
+ *
+ * @param {Object} req - HTTPS request
+ * @param {Object} res - HTTPS response
+ * @param {string|Array<string>} audiences - Accepted token audience(s)
+ * @returns {Promise<Object|null>} Verified claims
+ */
+async function requireSession(req, res, audiences) {
+  const token = extractBearerToken(req);
+
+  let result;
+  try {
+    result = await verifySession(token, audiences);
+  } catch (error) {
+    console.error('Session verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: 'Session verification is unavailable'
+    });
+    return null;
+  }
+
+  if (!result.valid) {
+    console.warn('Rejected request: session token', result.error);
+    res.status(401).json({
+      success: false,
+      error: 'UNAUTHORIZED',
+      reason: result.error,
+      message: 'A valid session token is required'
+    });
+    return null;
+  }
+
+  return result.claims;
+}
+
+module.exports = {
+  requireSession,
+  verifySession,
+  extractBearerToken
+};
@@ -0,0 +1,272 @@
+/**
+ * Beneficiary Session Store
+ *
+ * Server-side session records backing beneficiary session tokens:
+ * - One document per sign-in in the sessions collection (token `sid` claim)
+ * - Idle timeout (15 minutes) and absolute timeout (12 hours)
+ * - Logout and revoke-all-sessions for a beneficiary or representative
+ * - Rotating refresh tokens, stored only as hashes; reusing an old
+ *   refresh token revokes the session
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const SESSION_COLLECTION = 'sessions';
+const IDLE_TIMEOUT = 15 * 60 * 1000; // 15 minutes
+const ABSOLUTE_TIMEOUT = 12 * 60 * 60 * 1000; // 12 hours
+const ACTIVITY_WRITE_INTERVAL = 60 * 1000; // Throttle lastActivityAt writes
+
+const REVOCATION_REASONS = {
+  LOGOUT: 'LOGOUT',
+  REVOKE_ALL: 'REVOKE_ALL',
+  REFRESH_TOKEN_REUSE: 'REFRESH_TOKEN_REUSE',
+  DELEGATION_INACTIVE: 'DELEGATION_INACTIVE'
+};
+
+/**
+ * Hash a refresh token secret for storage
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Build a refresh token: <sessionId>.<secret>
+ */
+function buildRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashSecret(secret) };
+}
+
+/**
+ * Split a refresh token into its session ID and secret
+ */
+function parseRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return null;
+  }
+
+  const match = refreshToken.match(/^([a-f0-9]{32})\.([a-f0-9]{64})$/);
+  return match ? { sessionId: match[1], secret: match[2] } : null;
+}
+
+/**
+ * Check a session record against revocation and both timeouts
+ * Returns an error code, or null when the session is active
+ */
+function getSessionError(session, now = Date.now()) {
+  if (session.revokedAt) {
+    return 'SESSION_REVOKED';
+  }
+  if (now > session.absoluteExpiresAt) {
+    return 'SESSION_EXPIRED';
+  }
+  if (now - session.lastActivityAt > IDLE_TIMEOUT) {
+    return 'SESSION_IDLE_TIMEOUT';
+  }
+
+  return null;
+}
+
+/**
+ * Create a session for a beneficiary who completed sign-in
+ * Representative sessions also record the delegation they act under
+ *
+ * @param {Object} beneficiaryDoc - Firestore document snapshot
+ * @param {Object} context - Request context ({ ipAddress })
+ * @param {Object} delegation - Delegation record for representative sessions
+ * @returns {Promise<Object>} { sessionId, refreshToken, expiresAt }
+ */
+async function createSession(beneficiaryDoc, context = {}, delegation = null) {
+  const db = admin.firestore();
+  const beneficiary = beneficiaryDoc.data();
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const { refreshToken, refreshTokenHash } = buildRefreshToken(sessionId);
+  const now = Date.now();
+
+  await db.collection(SESSION_COLLECTION).doc(sessionId).set({
+    subject: beneficiary.medicareId || beneficiary.mbi,
+    beneficiaryPath: beneficiaryDoc.ref.path,
+    representativeId: delegation ? delegation.representativeId : null,
+    delegationId: delegation ? delegation.delegationId : null,
+    refreshTokenHash,
+    ipAddress: context.ipAddress || null,
+    createdAt: now,
+    lastActivityAt: now,
+    absoluteExpiresAt: now + ABSOLUTE_TIMEOUT,
+    revokedAt: null,
+    revokedReason: null
+  });
+
+  return {
+    sessionId,
+    refreshToken,
+    expiresAt: new Date(now + ABSOLUTE_TIMEOUT).toISOString()
+  };
+}
+
+/**
+ * Validate a session and record activity
+ *
+ * @param {string} sessionId - Session ID from the token `sid` claim
+ * @returns {Promise<Object>} { valid: true, session } or { valid: false, error }
+ */
+async function validateSession(sessionId) {
+  if (!sessionId || typeof sessionId !== 'string') {
+    return { valid: false, error: 'SESSION_NOT_FOUND' };
+  }
+
+  const db = admin.firestore();
+  const sessionRef = db.collection(SESSION_COLLECTION).doc(sessionId);
+  const sessionDoc = await sessionRef.get();
+
+  if (!sessionDoc.exists) {
+    return { valid: false, error: 'SESSION_NOT_FOUND' };
+  }
+
+  const session = sessionDoc.data();
+  const now = Date.now();
+  const error = getSessionError(session, now);
+  if (error) {
+    return { valid: false, error };
+  }
+
+  if (now - session.lastActivityAt > ACTIVITY_WRITE_INTERVAL) {
+    await sessionRef.update({ lastActivityAt: now });
+  }
+
+  return { valid: true, session };
+}
+
+/**
+ * Revoke a single session (logout)
+ */
+async function revokeSession(sessionId, reason = REVOCATION_REASONS.LOGOUT) {
+  const db = admin.firestore();
+  const sessionRef = db.collection(SESSION_COLLECTION).doc(sessionId);
+  const sessionDoc = await sessionRef.get();
+
+  if (!sessionDoc.exists || sessionDoc.data().revokedAt) {
+    return false;
+  }
+
+  await sessionRef.update({ revokedAt: Date.now(), revokedReason: reason });
+  return true;
+}
+
+/**
+ * Revoke every active session matching a field
+ */
+async function revokeSessionsWhere(field, value, reason) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(SESSION_COLLECTION)
+    .where(field, '==', value)
+    .where('revokedAt', '==', null)
+    .get();
+
+  if (snapshot.empty) {
+    return 0;
+  }
+
+  const revokedAt = Date.now();
+  const batch = db.batch();
+  snapshot.forEach(doc => {
+    batch.update(doc.ref, { revokedAt, revokedReason: reason });
+  });
+  await batch.commit();
+
+  return snapshot.size;
+}
+
+/**
+ * Revoke every active session for a beneficiary
+ * Includes representative sessions acting for the beneficiary
+ *
+ * @param {string} subject - Beneficiary's primary Medicare identifier
+ * @param {string} reason - One of REVOCATION_REASONS
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(subject, reason = REVOCATION_REASONS.REVOKE_ALL) {
+  return revokeSessionsWhere('subject', subject, reason);
+}
+
+/**
+ * Revoke every active session for a representative, across all beneficiaries
+ *
+ * @param {string} representativeId - Representative ID
+ * @param {string} reason - One of REVOCATION_REASONS
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeRepresentativeSessions(representativeId, reason = REVOCATION_REASONS.REVOKE_ALL) {
+  return revokeSessionsWhere('representativeId', representativeId, reason);
+}
+
+/**
+ * Rotate a refresh token
+ * The presented token is exchanged for a new one; presenting a token that
+ * was already rotated revokes the session
+ *
+ * @param {string} refreshToken - Refresh token from sign-in or the last refresh
+ * @returns {Promise<Object>} { success: true, sessionId, beneficiaryPath, delegationId, refreshToken } or { success: false, error }
+ */
+async function rotateRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { success: false, error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  const db = admin.firestore();
+  const sessionRef = db.collection(SESSION_COLLECTION).doc(parsed.sessionId);
+
+  return db.runTransaction(async (transaction) => {
+    const sessionDoc = await transaction.get(sessionRef);
+    if (!sessionDoc.exists) {
+      return { success: false, error: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    const session = sessionDoc.data();
+    const now = Date.now();
+    const error = getSessionError(session, now);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const expected = Buffer.from(session.refreshTokenHash, 'hex');
+    const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      transaction.update(sessionRef, {
+        revokedAt: now,
+        revokedReason: REVOCATION_REASONS.REFRESH_TOKEN_REUSE
+      });
+      return { success: false, error: 'SESSION_REVOKED' };
+    }
+
+    const rotated = buildRefreshToken(parsed.sessionId);
+    transaction.update(sessionRef, {
+      refreshTokenHash: rotated.refreshTokenHash,
+      lastActivityAt: now
+    });
+
+    return {
+      success: true,
+      sessionId: parsed.sessionId,
+      beneficiaryPath: session.beneficiaryPath,
+      representativeId: session.representativeId || null,
+      delegationId: session.delegationId || null,
+      refreshToken: rotated.refreshToken
+    };
+  });
+}
+
+module.exports = {
+  IDLE_TIMEOUT,
+  ABSOLUTE_TIMEOUT,
+  REVOCATION_REASONS,
+  createSession,
+  validateSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeRepresentativeSessions,
+  rotateRefreshToken
+};
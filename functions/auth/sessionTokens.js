@@ -0,0 +1,261 @@
+/**
+ * Session Token Module for CMS Beneficiary Self-Service
+ *
+ * This module issues and verifies signed session tokens with:
+ * - HMAC-SHA256 signed JWTs (HS256)
+ * - Issuer, audience and expiry claims
+ * - Constant-time signature comparison
+ * - Separate audiences for beneficiaries, providers, the Dialogflow agent,
+ *   compliance operators and security administrators
+ * - Representative tokens carrying the delegation they act under
+ */
+
+const crypto = require('crypto');
+const { getPreferredLanguage } = require('../i18n/messages');
+
+const TOKEN_ISSUER = 'cms-beneficiary-selfservice';
+const DEFAULT_TTL_SECONDS = 60 * 60; // 1 hour
+const CLOCK_SKEW_SECONDS = 30;
+const MIN_SECRET_LENGTH = 32;
+
+// Token audiences
+const AUDIENCES = {
+  BENEFICIARY: 'beneficiary',
+  PROVIDER: 'provider',
+  DIALOGFLOW_AGENT: 'dialogflow-agent',
+  COMPLIANCE: 'compliance',
+  SECURITY_ADMIN: 'security-admin',
+  SUPPORT_AGENT: 'support-agent'
+};
+
+/**
+ * Get the signing secret from the environment
+ * Fails closed: tokens are never issued or accepted without a strong secret
+ */
+function getSigningSecret() {
+  const secret = process.env.SESSION_TOKEN_SECRET;
+
+  if (!secret || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`SESSION_TOKEN_SECRET must be set to at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  return secret;
+}
+
+/**
+ * Encode a buffer or string as base64url
+ */
+function base64UrlEncode(input) {
+  return Buffer.from(input)
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Decode a base64url string to a UTF-8 string
+ */
+function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(base64, 'base64').toString('utf8');
+}
+
+/**
+ * Compute the HS256 signature for a signing input
+ */
+function sign(signingInput, secret) {
+  return base64UrlEncode(
+    crypto.createHmac('sha256', secret).update(signingInput).digest()
+  );
+}
+
+/**
+ * Issue a signed token
+ *
+ * @param {string} subject - Token subject (beneficiary or provider identifier)
+ * @param {string} audience - One of AUDIENCES
+ * @param {Object} claims - Additional claims to embed
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} Signed JWT
+ */
+function issueToken(subject, audience, claims = {}, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const payload = {
+    ...claims,
+    iss: TOKEN_ISSUER,
+    aud: audience,
+    sub: subject,
+    iat: now,
+    exp: now + ttlSeconds,
+    jti: crypto.randomBytes(16).toString('hex')
+  };
+
+  const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+  return `${signingInput}.${sign(signingInput, getSigningSecret())}`;
+}
+
+/**
+ * Verify a signed token
+ *
+ * @param {string} token - JWT to verify
+ * @param {string|Array<string>} expectedAudience - Accepted audience(s)
+ * @returns {Object} { valid: true, claims } or { valid: false, error }
+ */
+function verifyToken(token, expectedAudience) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, error: 'MISSING_TOKEN' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, error: 'INVALID_TOKEN' };
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader));
+    claims = JSON.parse(base64UrlDecode(encodedPayload));
+  } catch (error) {
+    return { valid: false, error: 'INVALID_TOKEN' };
+  }
+
+  // Only accept the algorithm we issue (prevents alg=none downgrades)
+  if (header.alg !== 'HS256') {
+    return { valid: false, error: 'INVALID_TOKEN' };
+  }
+
+  const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`, getSigningSecret()));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'INVALID_SIGNATURE' };
+  }
+
+  if (claims.iss !== TOKEN_ISSUER) {
+    return { valid: false, error: 'INVALID_ISSUER' };
+  }
+
+  const audiences = Array.isArray(expectedAudience) ? expectedAudience : [expectedAudience];
+  if (!audiences.includes(claims.aud)) {
+    return { valid: false, error: 'INVALID_AUDIENCE' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || now > claims.exp + CLOCK_SKEW_SECONDS) {
+    return { valid: false, error: 'TOKEN_EXPIRED' };
+  }
+
+  if (typeof claims.iat === 'number' && claims.iat > now + CLOCK_SKEW_SECONDS) {
+    return { valid: false, error: 'INVALID_TOKEN' };
+  }
+
+  return { valid: true, claims };
+}
+
+/**
+ * Issue a session token for an authenticated beneficiary
+ * The sid claim ties the token to its record in the session store
+ */
+function issueBeneficiaryToken(beneficiary, sessionId) {
+  // Records migrated to MBI-only use the MBI as the primary identifier
+  const medicareId = beneficiary.medicareId || beneficiary.mbi;
+
+  return issueToken(medicareId, AUDIENCES.BENEFICIARY, {
+    role: 'beneficiary',
+    sid: sessionId,
+    medicareId,
+    mbi: beneficiary.mbi || null,
+    firstName: beneficiary.firstName,
+    coverageType: beneficiary.coverageType || [],
+    preferredLanguage: getPreferredLanguage(beneficiary)
+  });
+}
+
+/**
+ * Issue a session token for a representative acting for a beneficiary
+ * The token identifies the beneficiary (medicareId) like a beneficiary token,
+ * plus the delegation whose scope limits what it can access. It never
+ * outlives the delegation.
+ */
+function issueRepresentativeToken(representative, beneficiary, delegation, sessionId) {
+  const medicareId = beneficiary.medicareId || beneficiary.mbi;
+  const secondsToExpiry = Math.floor((Date.parse(delegation.expiresAt) - Date.now()) / 1000);
+
+  return issueToken(representative.representativeId, AUDIENCES.BENEFICIARY, {
+    role: 'representative',
+    sid: sessionId,
+    representativeId: representative.representativeId,
+    delegationId: delegation.delegationId,
+    scope: delegation.scope,
+    medicareId,
+    mbi: beneficiary.mbi || null,
+    firstName: representative.firstName,
+    beneficiaryFirstName: beneficiary.firstName,
+    coverageType: beneficiary.coverageType || [],
+    preferredLanguage: getPreferredLanguage(representative)
+  }, Math.max(0, Math.min(DEFAULT_TTL_SECONDS, secondsToExpiry)));
+}
+
+/**
+ * Issue a session token for a provider staff member
+ * The subject is the staff user; the NPI identifies their organization
+ */
+function issueProviderToken(provider, staffUser) {
+  return issueToken(staffUser.userId, AUDIENCES.PROVIDER, {
+    role: 'provider',
+    npiNumber: provider.npiNumber,
+    staffUserId: staffUser.userId,
+    staffRole: staffUser.role,
+    staffName: `${staffUser.firstName} ${staffUser.lastName}`
+  });
+}
+
+/**
+ * Issue a token for a compliance operator reviewing the audit logs
+ * Short-lived by default; issue from the CLI with `npm run compliance-token -- <operatorId>`
+ */
+function issueComplianceToken(operatorId, ttlSeconds = 8 * 60 * 60) {
+  return issueToken(operatorId, AUDIENCES.COMPLIANCE, { role: 'compliance' }, ttlSeconds);
+}
+
+/**
+ * Issue a token for a security administrator (findings and account unlocks)
+ * Issue from the CLI with `npm run security-admin-token -- <operatorId>`
+ */
+function issueSecurityAdminToken(operatorId, ttlSeconds = 8 * 60 * 60) {
+  return issueToken(operatorId, AUDIENCES.SECURITY_ADMIN, { role: 'security-admin' }, ttlSeconds);
+}
+
+/**
+ * Issue a token for a CMS support agent taking handed-off conversations
+ * Issue from the CLI with `npm run support-agent-token -- <agentId>`
+ */
+function issueSupportAgentToken(agentId, ttlSeconds = 8 * 60 * 60) {
+  return issueToken(agentId, AUDIENCES.SUPPORT_AGENT, { role: 'support-agent' }, ttlSeconds);
+}
+
+/**
+ * Issue a long-lived service token for the Dialogflow agent
+ * Configure the result as a static Authorization header on the CX webhook
+ */
+function issueServiceToken(serviceName, ttlSeconds = 90 * 24 * 60 * 60) {
+  return issueToken(serviceName, AUDIENCES.DIALOGFLOW_AGENT, { role: 'service' }, ttlSeconds);
+}
+
+module.exports = {
+  AUDIENCES,
+  issueToken,
+  verifyToken,
+  issueBeneficiaryToken,
+  issueRepresentativeToken,
+  issueProviderToken,
+  issueComplianceToken,
+  issueSecurityAdminToken,
+  issueSupportAgentToken,
+  issueServiceToken
+};
@@ -0,0 +1,374 @@
+/**
+ * Step-Up Verification for Beneficiary Authentication
+ *
+ * After the first factor (Medicare ID or representative ID, plus last name),
+ * the person signing in completes a challenge before a session is issued:
+ * 1. DATE_OF_BIRTH - must match the subject's record
+ * 2. ONE_TIME_PASSCODE - 6-digit code sent to the stored email or phone
+ *
+ * Challenges live in the authChallenges collection, expire after 10 minutes
+ * and are locked after too many wrong answers at any step. The subject is
+ * the beneficiary or representative document whose details are checked.
+ * Wrong answers return the subject so the caller can count them against the
+ * rate limiter: a fresh challenge does not reset the subject's failures.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { sendPasscode } = require('./otpSender');
+
+const CHALLENGE_COLLECTION = 'authChallenges';
+const CHALLENGE_TTL = 10 * 60 * 1000; // 10 minutes
+const PASSCODE_TTL_MINUTES = 5;
+const PASSCODE_LENGTH = 6;
+const MAX_STEP_ATTEMPTS = 3;
+
+const STEPS = {
+  DATE_OF_BIRTH: 'DATE_OF_BIRTH',
+  ONE_TIME_PASSCODE: 'ONE_TIME_PASSCODE',
+  COMPLETED: 'COMPLETED',
+  LOCKED: 'LOCKED'
+};
+
+/**
+ * Normalize a date of birth to YYYY-MM-DD
+ * Accepts YYYY-MM-DD, MM/DD/YYYY and Dialogflow @sys.date objects
+ */
+function normalizeDateOfBirth(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'object' && value.year && value.month && value.day) {
+    return `${value.year}-${String(value.month).padStart(2, '0')}-${String(value.day).padStart(2, '0')}`;
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+
+  let match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  }
+
+  match = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Hash a passcode bound to its challenge
+ */
+function hashPasscode(challengeId, passcode) {
+  return crypto
+    .createHash('sha256')
+    .update(`${challengeId}:${passcode}`)
+    .digest('hex');
+}
+
+/**
+ * Mask an email address: m***@example.com
+ */
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+}
+
+/**
+ * Mask a phone number: (***) ***-4567
+ */
+function maskPhone(phone) {
+  const digits = phone.replace(/\D/g, '');
+  return `(***) ***-${digits.slice(-4)}`;
+}
+
+/**
+ * Pick the passcode delivery channel from the subject's contact preferences
+ */
+function selectDeliveryChannel(subject) {
+  const method = subject.preferences?.notificationMethod;
+
+  if (method === 'sms' && subject.phone) {
+    return { channel: 'sms', destination: subject.phone, masked: maskPhone(subject.phone) };
+  }
+  if (subject.email) {
+    return { channel: 'email', destination: subject.email, masked: maskEmail(subject.email) };
+  }
+  if (subject.phone) {
+    return { channel: 'sms', destination: subject.phone, masked: maskPhone(subject.phone) };
+  }
+
+  return null;
+}
+
+/**
+ * Create a challenge response object
+ */
+function createChallengeResult(success, fields) {
+  return { success, ...fields };
+}
+
+/**
+ * Start a step-up challenge for a subject who passed the first factor
+ *
+ * @param {Object} subjectDoc - Beneficiary or representative document snapshot
+ * @param {Object} context - Request context ({ ipAddress, delegationId })
+ * @returns {Promise<Object>} { challengeId, nextStep, expiresAt }
+ */
+async function startChallenge(subjectDoc, context = {}) {
+  const db = admin.firestore();
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  const now = Date.now();
+
+  await db.collection(CHALLENGE_COLLECTION).doc(challengeId).set({
+    subjectPath: subjectDoc.ref.path,
+    delegationId: context.delegationId || null,
+    step: STEPS.DATE_OF_BIRTH,
+    attempts: 0,
+    passcodeHash: null,
+    passcodeExpiresAt: null,
+    ipAddress: context.ipAddress || null,
+    createdAt: now,
+    expiresAt: now + CHALLENGE_TTL
+  });
+
+  return {
+    challengeId,
+    nextStep: STEPS.DATE_OF_BIRTH,
+    expiresAt: new Date(now + CHALLENGE_TTL).toISOString()
+  };
+}
+
+/**
+ * Load a challenge and check it can still be answered at the given step
+ */
+async function loadChallenge(transaction, challengeRef, expectedStep) {
+  const challengeDoc = await transaction.get(challengeRef);
+
+  if (!challengeDoc.exists) {
+    return { error: 'CHALLENGE_NOT_FOUND', message: 'Your verification session was not found. Please start again.' };
+  }
+
+  const challenge = challengeDoc.data();
+
+  if (challenge.step === STEPS.LOCKED) {
+    return { error: 'CHALLENGE_LOCKED', message: 'Too many incorrect answers. Please start again later.' };
+  }
+  if (Date.now() > challenge.expiresAt) {
+    return { error: 'CHALLENGE_EXPIRED', message: 'Your verification session has expired. Please start again.' };
+  }
+  if (challenge.step !== expectedStep) {
+    return { error: 'INVALID_STEP', message: 'Unexpected verification step. Please start again.' };
+  }
+
+  return { challenge };
+}
+
+/**
+ * Subject of an open challenge, so the caller can check its rate limits
+ * before an answer is verified
+ *
+ * @param {string} challengeId - Challenge ID from startChallenge
+ * @returns {Promise<Object|null>} { subjectPath, delegationId }, or null if not found
+ */
+async function getChallengeSubject(challengeId) {
+  const challengeDoc = await admin.firestore().collection(CHALLENGE_COLLECTION).doc(challengeId).get();
+  if (!challengeDoc.exists) {
+    return null;
+  }
+
+  const { subjectPath, delegationId } = challengeDoc.data();
+  return { subjectPath, delegationId: delegationId || null };
+}
+
+/**
+ * Record a wrong answer, locking the challenge when attempts run out
+ */
+function recordWrongAnswer(transaction, challengeRef, challenge, message) {
+  const attempts = challenge.attempts + 1;
+  const subject = {
+    wrongAnswer: true,
+    subjectPath: challenge.subjectPath,
+    delegationId: challenge.delegationId
+  };
+
+  if (attempts >= MAX_STEP_ATTEMPTS) {
+    transaction.update(challengeRef, { attempts, step: STEPS.LOCKED });
+    return createChallengeResult(false, {
+      ...subject,
+      error: 'CHALLENGE_LOCKED',
+      locked: true,
+      message: 'Too many incorrect answers. Please start again later.'
+    });
+  }
+
+  transaction.update(challengeRef, { attempts });
+  return createChallengeResult(false, {
+    ...subject,
+    error: 'VERIFICATION_FAILED',
+    attemptsRemaining: MAX_STEP_ATTEMPTS - attempts,
+    message
+  });
+}
+
+/**
+ * Verify the date of birth and send a one-time passcode
+ *
+ * @param {string} challengeId - Challenge ID from startChallenge
+ * @param {string|Object} dateOfBirth - Date of birth
+ * @returns {Promise<Object>} Step result
+ */
+async function verifyDateOfBirth(challengeId, dateOfBirth) {
+  const normalizedDob = normalizeDateOfBirth(dateOfBirth);
+  if (!normalizedDob) {
+    return createChallengeResult(false, {
+      error: 'INVALID_FORMAT',
+      message: 'Please enter your date of birth as MM/DD/YYYY.'
+    });
+  }
+
+  const db = admin.firestore();
+  const challengeRef = db.collection(CHALLENGE_COLLECTION).doc(challengeId);
+  let delivery = null;
+  let passcode = null;
+
+  const result = await db.runTransaction(async (transaction) => {
+    const loaded = await loadChallenge(transaction, challengeRef, STEPS.DATE_OF_BIRTH);
+    if (loaded.error) {
+      return createChallengeResult(false, { error: loaded.error, message: loaded.message });
+    }
+
+    const { challenge } = loaded;
+    const subjectDoc = await transaction.get(db.doc(challenge.subjectPath));
+    const subject = subjectDoc.data();
+
+    if (normalizeDateOfBirth(subject.dateOfBirth) !== normalizedDob) {
+      return recordWrongAnswer(
+        transaction,
+        challengeRef,
+        challenge,
+        'That date of birth does not match our records. Please try again.'
+      );
+    }
+
+    delivery = selectDeliveryChannel(subject);
+    if (!delivery) {
+      transaction.update(challengeRef, { step: STEPS.LOCKED });
+      return createChallengeResult(false, {
+        error: 'NO_CONTACT_METHOD',
+        message: 'We have no email or phone number on file to send a passcode. Please call 1-800-MEDICARE.'
+      });
+    }
+
+    passcode = String(crypto.randomInt(0, Math.pow(10, PASSCODE_LENGTH))).padStart(PASSCODE_LENGTH, '0');
+
+    transaction.update(challengeRef, {
+      step: STEPS.ONE_TIME_PASSCODE,
+      attempts: 0,
+      passcodeHash: hashPasscode(challengeId, passcode),
+      passcodeExpiresAt: Date.now() + PASSCODE_TTL_MINUTES * 60 * 1000
+    });
+
+    return createChallengeResult(true, {
+      nextStep: STEPS.ONE_TIME_PASSCODE,
+      deliveryChannel: delivery.channel,
+      maskedDestination: delivery.masked,
+      message: `We sent a ${PASSCODE_LENGTH}-digit passcode to ${delivery.masked}. Please enter it to finish signing in.`
+    });
+  });
+
+  // Send outside the transaction so retries never deliver duplicate codes.
+  // A code that was never sent can't be entered, so the challenge is locked.
+  if (result.success && passcode) {
+    try {
+      await sendPasscode({
+        channel: delivery.channel,
+        destination: delivery.destination,
+        passcode,
+        expiresInMinutes: PASSCODE_TTL_MINUTES
+      });
+    } catch (error) {
+      console.error('Passcode delivery failed:', error.message);
+      await challengeRef.update({ step: STEPS.LOCKED, passcodeHash: null });
+      return createChallengeResult(false, {
+        error: 'PASSCODE_NOT_SENT',
+        message: 'We could not send your passcode. Please start again later or call 1-800-MEDICARE.'
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Verify the one-time passcode and complete the challenge
+ *
+ * @param {string} challengeId - Challenge ID from startChallenge
+ * @param {string} passcode - Passcode entered by the user
+ * @returns {Promise<Object>} Step result with subjectPath (and delegationId) on success
+ */
+async function verifyPasscode(challengeId, passcode) {
+  const cleanPasscode = String(passcode || '').replace(/\D/g, '');
+  if (cleanPasscode.length !== PASSCODE_LENGTH) {
+    return createChallengeResult(false, {
+      error: 'INVALID_FORMAT',
+      message: `Please enter the ${PASSCODE_LENGTH}-digit passcode we sent you.`
+    });
+  }
+
+  const db = admin.firestore();
+  const challengeRef = db.collection(CHALLENGE_COLLECTION).doc(challengeId);
+
+  return db.runTransaction(async (transaction) => {
+    const loaded = await loadChallenge(transaction, challengeRef, STEPS.ONE_TIME_PASSCODE);
+    if (loaded.error) {
+      return createChallengeResult(false, { error: loaded.error, message: loaded.message });
+    }
+
+    const { challenge } = loaded;
+
+    if (Date.now() > challenge.passcodeExpiresAt) {
+      transaction.update(challengeRef, { step: STEPS.LOCKED });
+      return createChallengeResult(false, {
+        error: 'PASSCODE_EXPIRED',
+        message: 'Your passcode has expired. Please start again.'
+      });
+    }
+
+    const expected = Buffer.from(challenge.passcodeHash, 'hex');
+    const actual = Buffer.from(hashPasscode(challengeId, cleanPasscode), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return recordWrongAnswer(
+        transaction,
+        challengeRef,
+        challenge,
+        'That passcode is not correct. Please try again.'
+      );
+    }
+
+    // Challenges are single use
+    transaction.delete(challengeRef);
+
+    return createChallengeResult(true, {
+      nextStep: STEPS.COMPLETED,
+      subjectPath: challenge.subjectPath,
+      delegationId: challenge.delegationId
+    });
+  });
+}
+
+module.exports = {
+  STEPS,
+  MAX_STEP_ATTEMPTS,
+  normalizeDateOfBirth,
+  startChallenge,
+  getChallengeSubject,
+  verifyDateOfBirth,
+  verifyPasscode
+};
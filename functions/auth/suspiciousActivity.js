@@ -0,0 +1,332 @@
+/**
+ * Suspicious Authentication Activity Detection
+ *
+ * Looks across beneficiary, representative and provider sign-in attempts in
+ * authAuditLog for credential stuffing and related patterns:
+ * - Many identifiers failing from one IP address
+ * - One identifier failing from many IP addresses
+ * - Bursts of failures right after a lockout expires, or that lock an
+ *   identifier or IP again (lockouts are read from the rate limiter, since
+ *   they can outlast the lookback window)
+ * - Attempts against providers whose status is not Active
+ *
+ * Findings are stored in securityFindings (one open finding per pattern and
+ * key) and raised through the alert notifier, at most once per cooldown.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { AUDIT_LOGS } = require('../audit/auditLog');
+const { AUTH_ACTIONS, FAILURE_REASONS } = require('./authActivity');
+const { POLICIES, getLimiterKey, listLockoutsEndingAfter } = require('./rateLimiter');
+const { sendAlert } = require('./alertNotifier');
+
+const FINDING_COLLECTION = 'securityFindings';
+const LOOKBACK_WINDOW = 60 * 60 * 1000; // 1 hour
+const MAX_ATTEMPTS_ANALYZED = 5000;
+const ALERT_COOLDOWN = 60 * 60 * 1000; // Re-alert an open finding at most hourly
+
+const THRESHOLDS = {
+  IDENTIFIERS_PER_IP: 10,
+  IPS_PER_IDENTIFIER: 5,
+  POST_LOCKOUT_FAILURES: 3,
+  POST_LOCKOUT_WINDOW: 5 * 60 * 1000,
+  INACTIVE_PROVIDER_ESCALATION: 3
+};
+
+const FINDING_TYPES = {
+  IP_MANY_IDENTIFIERS: 'IP_MANY_IDENTIFIERS',
+  IDENTIFIER_MANY_IPS: 'IDENTIFIER_MANY_IPS',
+  POST_LOCKOUT_BURST: 'POST_LOCKOUT_BURST',
+  INACTIVE_PROVIDER_ATTEMPT: 'INACTIVE_PROVIDER_ATTEMPT'
+};
+
+const SEVERITIES = {
+  LOW: 'LOW',
+  MEDIUM: 'MEDIUM',
+  HIGH: 'HIGH'
+};
+
+const SIGN_IN_ACTIONS = [AUTH_ACTIONS.BENEFICIARY, AUTH_ACTIONS.REPRESENTATIVE, AUTH_ACTIONS.PROVIDER];
+
+/**
+ * Group items into a Map of key -> array
+ */
+function groupBy(items, getKey) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    if (key) {
+      groups.set(key, [...(groups.get(key) || []), item]);
+    }
+  });
+  return groups;
+}
+
+/**
+ * Count distinct non-empty values
+ */
+function countDistinct(items, getValue) {
+  return new Set(items.map(getValue).filter(Boolean)).size;
+}
+
+/**
+ * Load recent sign-in attempts from authAuditLog
+ *
+ * @param {number} since - Epoch milliseconds
+ * @returns {Promise<Array<Object>>} Attempts with `time` in epoch milliseconds
+ */
+async function loadRecentAttempts(since) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(AUDIT_LOGS.auth)
+    .where('timestamp', '>=', admin.firestore.Timestamp.fromMillis(since))
+    .orderBy('timestamp', 'desc')
+    .limit(MAX_ATTEMPTS_ANALYZED)
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ ...doc.data(), time: doc.data().timestamp.toMillis() }))
+    .filter(attempt => SIGN_IN_ACTIONS.includes(attempt.action));
+}
+
+/**
+ * Group attempts by the rate limiter keys they count against: the subject,
+ * and the client IP
+ */
+function groupByLimiterKey(attempts) {
+  const groups = groupBy(attempts, attempt => attempt.subjectKey);
+  groupBy(attempts, attempt => attempt.ipAddress && getLimiterKey(attempt.ipAddress, POLICIES.CLIENT_IP))
+    .forEach((group, limiterKey) => groups.set(limiterKey, group));
+  return groups;
+}
+
+/**
+ * Failures against a limiter key right after its lockout expired, or in
+ * the burst window before it was locked again
+ * A limiter document keeps only its latest lockout, so a burst that locks
+ * the key again shows up as a repeat lockout rather than after an expiry
+ *
+ * @param {Array<Object>} attempts - Attempts counted against the key
+ * @param {Object} lockout - From listLockoutsEndingAfter()
+ * @param {number} now - Epoch milliseconds
+ * @returns {Object|null} { lockedUntil, repeat, burst }
+ */
+function findPostLockoutBurst(attempts, lockout, now) {
+  const failures = attempts.filter(attempt => !attempt.success && attempt.reason !== FAILURE_REASONS.RATE_LIMITED);
+  const windows = [];
+
+  if (lockout.lockedUntil <= now) {
+    windows.push({ from: lockout.lockedUntil, to: lockout.lockedUntil + THRESHOLDS.POST_LOCKOUT_WINDOW, repeat: false });
+  }
+  if (lockout.lockoutCount > 1 && lockout.lastLockoutAt) {
+    windows.push({ from: lockout.lastLockoutAt - THRESHOLDS.POST_LOCKOUT_WINDOW, to: lockout.lastLockoutAt, repeat: true });
+  }
+
+  for (const window of windows) {
+    const burst = failures.filter(attempt => attempt.time > window.from && attempt.time <= window.to);
+    if (burst.length >= THRESHOLDS.POST_LOCKOUT_FAILURES) {
+      return { lockedUntil: lockout.lockedUntil, repeat: window.repeat, burst };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detect suspicious patterns in a set of attempts
+ *
+ * @param {Array<Object>} attempts - From loadRecentAttempts()
+ * @param {Array<Object>} lockouts - From listLockoutsEndingAfter()
+ * @param {number} now - Epoch milliseconds
+ * @returns {Array<Object>} Findings: { type, severity, key, summary, evidence }
+ */
+function detectFindings(attempts, lockouts = [], now = Date.now()) {
+  const findings = [];
+  const failures = attempts.filter(attempt => !attempt.success);
+
+  // Credential stuffing: one IP cycling through many identifiers
+  groupBy(failures.filter(f => f.subjectKey), f => f.ipAddress).forEach((group, ipAddress) => {
+    const identifierCount = countDistinct(group, f => f.subjectKey);
+    if (identifierCount >= THRESHOLDS.IDENTIFIERS_PER_IP) {
+      findings.push({
+        type: FINDING_TYPES.IP_MANY_IDENTIFIERS,
+        severity: SEVERITIES.HIGH,
+        key: ipAddress,
+        summary: `${identifierCount} accounts failed sign-in from ${ipAddress}`,
+        evidence: { ipAddress, identifierCount, failureCount: group.length }
+      });
+    }
+  });
+
+  // Distributed guessing: one identifier attacked from many IPs
+  groupBy(failures, f => f.subjectKey).forEach((group, subjectKey) => {
+    const ipCount = countDistinct(group, f => f.ipAddress);
+    if (ipCount >= THRESHOLDS.IPS_PER_IDENTIFIER) {
+      findings.push({
+        type: FINDING_TYPES.IDENTIFIER_MANY_IPS,
+        severity: SEVERITIES.HIGH,
+        key: subjectKey,
+        summary: `One ${group[0].action.split('.')[0]} account failed sign-in from ${ipCount} IP addresses`,
+        evidence: { subjectKey, action: group[0].action, ipCount, failureCount: group.length }
+      });
+    }
+  });
+
+  // Attackers waiting out the lockout and resuming immediately
+  const byLimiterKey = groupByLimiterKey(attempts);
+  lockouts.forEach(lockout => {
+    const group = byLimiterKey.get(lockout.limiterKey);
+    const match = group && findPostLockoutBurst(group, lockout, now);
+    if (match) {
+      const minutes = THRESHOLDS.POST_LOCKOUT_WINDOW / 60000;
+      findings.push({
+        type: FINDING_TYPES.POST_LOCKOUT_BURST,
+        severity: SEVERITIES.MEDIUM,
+        key: lockout.limiterKey,
+        summary: match.repeat
+          ? `${match.burst.length} failed sign-ins within ${minutes} minutes locked ${lockout.scope === 'ip' ? 'an IP address' : 'an account'} again (lockout ${lockout.lockoutCount})`
+          : `${match.burst.length} failed sign-ins within ${minutes} minutes of a lockout expiring`,
+        evidence: {
+          subjectKey: lockout.limiterKey,
+          scope: lockout.scope,
+          action: match.burst[0].action,
+          lockedUntil: new Date(match.lockedUntil).toISOString(),
+          lockoutCount: lockout.lockoutCount,
+          failureCount: match.burst.length,
+          ipCount: countDistinct(match.burst, f => f.ipAddress)
+        }
+      });
+    }
+  });
+
+  // Sign-in attempts against suspended or terminated providers
+  const inactive = failures.filter(f => f.reason === FAILURE_REASONS.PROVIDER_INACTIVE);
+  groupBy(inactive, f => f.npiNumber).forEach((group, npiNumber) => {
+    findings.push({
+      type: FINDING_TYPES.INACTIVE_PROVIDER_ATTEMPT,
+      severity: group.length >= THRESHOLDS.INACTIVE_PROVIDER_ESCALATION ? SEVERITIES.MEDIUM : SEVERITIES.LOW,
+      key: npiNumber,
+      summary: `${group.length} sign-in attempt(s) for inactive provider NPI ${npiNumber}`,
+      evidence: { npiNumber, attemptCount: group.length, ipCount: countDistinct(group, f => f.ipAddress) }
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Store a finding, merging into the open finding for the same pattern and key
+ *
+ * @returns {Promise<Object>} { finding, alert } - alert is true when the cooldown has passed
+ */
+async function saveFinding(finding, now = Date.now()) {
+  const db = admin.firestore();
+  const findingId = crypto.createHash('sha256').update(`${finding.type}:${finding.key}`).digest('hex').slice(0, 32);
+  const findingRef = db.collection(FINDING_COLLECTION).doc(findingId);
+
+  return db.runTransaction(async (transaction) => {
+    const existingDoc = await transaction.get(findingRef);
+    const existing = existingDoc.exists && existingDoc.data().status === 'open' ? existingDoc.data() : null;
+    const alert = !existing || now - existing.lastAlertedAt >= ALERT_COOLDOWN;
+
+    const stored = {
+      ...finding,
+      findingId,
+      status: 'open',
+      firstSeenAt: existing ? existing.firstSeenAt : now,
+      lastSeenAt: now,
+      lastAlertedAt: alert ? now : existing.lastAlertedAt,
+      occurrences: existing ? existing.occurrences + 1 : 1,
+      resolvedAt: null,
+      resolvedBy: null
+    };
+
+    transaction.set(findingRef, stored);
+    return { finding: stored, alert };
+  });
+}
+
+/**
+ * Analyze recent sign-in activity and alert on new findings
+ * Runs on a schedule (see suspiciousActivityScan in index.js)
+ *
+ * @param {Object} options - { now, lookbackMs }
+ * @returns {Promise<Object>} { analyzed, findings, alerted }
+ */
+async function analyzeAuthActivity(options = {}) {
+  const now = options.now || Date.now();
+  const since = now - (options.lookbackMs || LOOKBACK_WINDOW);
+  const [attempts, lockouts] = await Promise.all([
+    loadRecentAttempts(since),
+    listLockoutsEndingAfter(since - THRESHOLDS.POST_LOCKOUT_WINDOW)
+  ]);
+  const findings = detectFindings(attempts, lockouts, now);
+
+  let alerted = 0;
+  for (const finding of findings) {
+    const saved = await saveFinding(finding, now);
+    if (saved.alert) {
+      await sendAlert(saved.finding);
+      alerted++;
+    }
+  }
+
+  console.log(`Auth activity analyzed: ${attempts.length} attempts, ${findings.length} findings, ${alerted} alerts`);
+
+  return { analyzed: attempts.length, findings: findings.length, alerted };
+}
+
+/**
+ * List security findings, most recent first
+ *
+ * @param {string} status - 'open' or 'resolved'
+ * @returns {Promise<Array<Object>>} Findings with ISO timestamps
+ */
+async function listFindings(status = 'open', limit = 100) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(FINDING_COLLECTION)
+    .where('status', '==', status)
+    .orderBy('lastSeenAt', 'desc')
+    .limit(limit)
+    .get();
+
+  const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+  return snapshot.docs.map(doc => {
+    const finding = doc.data();
+    return {
+      ...finding,
+      firstSeenAt: toIso(finding.firstSeenAt),
+      lastSeenAt: toIso(finding.lastSeenAt),
+      lastAlertedAt: toIso(finding.lastAlertedAt),
+      resolvedAt: toIso(finding.resolvedAt)
+    };
+  });
+}
+
+/**
+ * Mark a finding resolved
+ *
+ * @returns {Promise<boolean>} True if an open finding was resolved
+ */
+async function resolveFinding(findingId, resolvedBy) {
+  const db = admin.firestore();
+  const findingRef = db.collection(FINDING_COLLECTION).doc(findingId);
+  const findingDoc = await findingRef.get();
+
+  if (!findingDoc.exists || findingDoc.data().status !== 'open') {
+    return false;
+  }
+
+  await findingRef.update({ status: 'resolved', resolvedAt: Date.now(), resolvedBy });
+  return true;
+}
+
+module.exports = {
+  FINDING_TYPES,
+  THRESHOLDS,
+  detectFindings,
+  analyzeAuthActivity,
+  listFindings,
+  resolveFinding
+};
@@ -0,0 +1,271 @@
+/**
+ * Channel Adapters for the Beneficiary Virtual Agent
+ *
+ * The webhook handlers speak Dialogflow CX. These adapters translate other
+ * channels into CX-shaped requests and back, so every channel reaches the
+ * same handlers:
+ *
+ * - REST chat: { sessionId, text, languageCode, context } from the web and
+ *   mobile chat. Intents come from the built-in classifier; session
+ *   parameters are kept server-side in chatSessions, under session IDs the
+ *   server issues to the calling client.
+ * - Dialogflow ES (v2) webhook requests: the intent's action is the tag
+ *   (falling back to the classifier), and parameters travel in the
+ *   `session-vars` output context.
+ */
+
+const { handleWebhook, getRequestLocale } = require('../webhooks/dialogflowWebhook');
+const { SLOT_FILL_TAG } = require('../webhooks/slotFilling');
+const { classifyIntent } = require('./intentClassifier');
+const { t } = require('../i18n/messages');
+const {
+  validateChatSessionId,
+  createChatSessionId,
+  getChatSessionOwner,
+  mergeParameters,
+  loadChatSession,
+  saveChatSession
+} = require('./chatSessions');
+
+const MAX_MESSAGE_LENGTH = 1000;
+const CHANNEL_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const ES_CONTEXT_NAME = 'session-vars';
+const ES_CONTEXT_LIFESPAN = 50;
+const LANGUAGE_CODE_PATTERN = /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/;
+
+// Sign-in details asked for one at a time before authenticating (from intents.json)
+const AUTHENTICATION_SLOTS = [
+  { slot: 'medicareID', prompt: 'auth.medicareIdPrompt' },
+  { slot: 'lastName', prompt: 'auth.lastNamePrompt' }
+];
+
+/**
+ * Collect the text and rich content from a CX webhook response
+ *
+ * @param {Object} response - Dialogflow CX webhook response
+ * @returns {Object} { text, richContent, suggestions } - chips are returned as suggestions
+ */
+function normalizeResponse(response) {
+  const texts = [];
+  const richContent = [];
+  const suggestions = [];
+
+  for (const message of response.fulfillmentResponse?.messages || []) {
+    if (message.text) {
+      texts.push(...message.text.text);
+    }
+
+    for (const card of message.payload?.richContent || []) {
+      const chips = card.filter(element => element.type === 'chips');
+      const elements = card.filter(element => element.type !== 'chips');
+
+      chips.forEach(element => suggestions.push(...element.options.map(option => option.text)));
+      if (elements.length > 0) {
+        richContent.push(elements);
+      }
+    }
+  }
+
+  return {
+    text: texts.join('\n\n'),
+    richContent,
+    suggestions
+  };
+}
+
+/**
+ * Build the CX-shaped request the webhook handlers expect
+ */
+function createWebhookRequest(session, tag, text, parameters, languageCode) {
+  return {
+    text,
+    languageCode,
+    fulfillmentInfo: { tag },
+    sessionInfo: { session, parameters }
+  };
+}
+
+/**
+ * Ask for the next missing sign-in detail, if any
+ * The REST channel has no Dialogflow form to collect required parameters, so
+ * medicareID and lastName are gathered here before authenticating
+ *
+ * @returns {Object|null} { message, parameters } or null when nothing is missing
+ */
+function promptForAuthenticationSlot(parameters, locale) {
+  if (parameters.authChallengeId) {
+    return null;
+  }
+
+  const missing = AUTHENTICATION_SLOTS.find(({ slot }) => !parameters[slot]);
+  if (!missing) {
+    return null;
+  }
+
+  return {
+    message: t(locale, missing.prompt),
+    parameters: { pendingSlot: { tag: 'authenticate', slot: missing.slot, attempts: 0 } }
+  };
+}
+
+/**
+ * Handle a REST chat message
+ *
+ * @param {Object} body - { sessionId?: from an earlier reply, text, languageCode?: e.g. 'es-US', context?: { channel } }
+ * @param {Object} context - { caller: verified caller claims, requestContext: for audit logs }
+ * @returns {Promise<Object>} { success, sessionId, intent, text, richContent, suggestions, locale, authenticated, handoffId }
+ *   locale is the language the reply is in; handoffId is set once the
+ *   conversation has been queued for a live agent
+ */
+async function handleRestChat(body = {}, context = {}) {
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  if (!text || text.length > MAX_MESSAGE_LENGTH) {
+    return {
+      success: false,
+      error: 'INVALID_MESSAGE',
+      message: `text must be 1-${MAX_MESSAGE_LENGTH} characters`
+    };
+  }
+
+  if (body.sessionId !== undefined && !validateChatSessionId(body.sessionId)) {
+    return {
+      success: false,
+      error: 'INVALID_SESSION_ID',
+      message: 'sessionId must be 16-64 letters, digits, hyphens or underscores'
+    };
+  }
+
+  if (body.languageCode !== undefined && (typeof body.languageCode !== 'string' || !LANGUAGE_CODE_PATTERN.test(body.languageCode))) {
+    return {
+      success: false,
+      error: 'INVALID_LANGUAGE_CODE',
+      message: 'languageCode must be a language tag such as en-US or es'
+    };
+  }
+
+  const channelName = body.context?.channel;
+  const channel = typeof channelName === 'string' && CHANNEL_PATTERN.test(channelName) ? channelName : 'web';
+
+  // Only the stored parameters are trusted; clients cannot set them. A
+  // session ID the server did not issue to this caller starts a new session
+  const owner = getChatSessionOwner(context.caller);
+  const stored = body.sessionId ? await loadChatSession(body.sessionId, owner) : null;
+  const sessionId = stored ? body.sessionId : createChatSessionId();
+  let parameters = stored || {};
+  const classified = classifyIntent(text, parameters);
+  let tag = classified.tag;
+  parameters = mergeParameters(parameters, classified.parameters);
+
+  // A reply to a sign-in prompt fills the detail that was asked for
+  if (parameters.pendingSlot?.tag === 'authenticate' && (tag === SLOT_FILL_TAG || tag === 'authenticate')) {
+    if (tag === SLOT_FILL_TAG) {
+      parameters = mergeParameters(parameters, { [parameters.pendingSlot.slot]: text });
+    }
+    parameters = mergeParameters(parameters, { pendingSlot: null });
+    tag = 'authenticate';
+  }
+
+  const buildRequest = () => createWebhookRequest(`chat/${sessionId}`, tag, text, parameters, body.languageCode);
+  const authenticationPrompt = tag === 'authenticate'
+    ? promptForAuthenticationSlot(parameters, getRequestLocale(buildRequest(), context))
+    : null;
+
+  // Unclassified text still goes to the webhook, which answers with its
+  // fallback and counts it towards the frustration score
+  let response;
+  if (authenticationPrompt) {
+    parameters = mergeParameters(parameters, authenticationPrompt.parameters);
+    response = { text: authenticationPrompt.message, richContent: [], suggestions: [] };
+  } else {
+    const webhookResponse = await handleWebhook(buildRequest(), { ...context, channel });
+    parameters = mergeParameters(parameters, webhookResponse.sessionInfo?.parameters);
+    response = normalizeResponse(webhookResponse);
+  }
+
+  await saveChatSession(sessionId, parameters, channel, owner);
+
+  return {
+    success: true,
+    sessionId,
+    intent: tag,
+    ...response,
+    // Signing in can switch the session to the beneficiary's language
+    locale: getRequestLocale(buildRequest(), context),
+    authenticated: parameters.authenticated === true,
+    handoffId: parameters.handoffId || null
+  };
+}
+
+/**
+ * Read session parameters from a Dialogflow ES request
+ * Stored parameters come from the session-vars context; values Dialogflow
+ * extracted this turn override them. Empty and `.original` values are dropped.
+ */
+function readEsParameters(queryResult, contextName) {
+  const sessionContext = (queryResult.outputContexts || []).find(candidate => candidate.name === contextName);
+  const extracted = Object.fromEntries(
+    Object.entries(queryResult.parameters || {})
+      .filter(([name, value]) => !name.endsWith('.original') && value !== '' && value !== null)
+  );
+
+  const stored = Object.fromEntries(
+    Object.entries(sessionContext?.parameters || {})
+      .filter(([name]) => !name.endsWith('.original'))
+  );
+
+  return { ...stored, ...extracted };
+}
+
+/**
+ * Handle a Dialogflow ES (v2) webhook request
+ *
+ * @param {Object} body - Dialogflow ES WebhookRequest
+ * @param {Object} context - { caller: verified caller claims, requestContext: for audit logs }
+ * @returns {Promise<Object>} Dialogflow ES WebhookResponse
+ */
+async function handleDialogflowEsRequest(body = {}, context = {}) {
+  const queryResult = body.queryResult || {};
+  const text = typeof queryResult.queryText === 'string' ? queryResult.queryText : '';
+  const contextName = `${body.session}/contexts/${ES_CONTEXT_NAME}`;
+
+  let parameters = readEsParameters(queryResult, contextName);
+
+  // Built-in actions (input.welcome, input.unknown) and missing actions use the classifier
+  let tag = queryResult.action;
+  if (!tag || tag.startsWith('input.')) {
+    const classified = classifyIntent(text, parameters);
+    tag = classified.tag || (queryResult.action === 'input.welcome' ? 'greeting' : null);
+    parameters = mergeParameters(parameters, classified.parameters);
+  }
+
+  const webhookResponse = await handleWebhook(
+    createWebhookRequest(body.session, tag, text, parameters, queryResult.languageCode),
+    { ...context, channel: 'dialogflow_es' }
+  );
+  parameters = mergeParameters(parameters, webhookResponse.sessionInfo?.parameters);
+
+  const fulfillmentText = normalizeResponse(webhookResponse).text;
+  const fulfillmentMessages = [{ text: { text: [fulfillmentText] } }];
+  const payload = webhookResponse.fulfillmentResponse.messages.find(message => message.payload);
+  if (payload) {
+    fulfillmentMessages.push({ payload: payload.payload });
+  }
+
+  return {
+    fulfillmentText,
+    fulfillmentMessages,
+    outputContexts: [
+      {
+        name: contextName,
+        lifespanCount: ES_CONTEXT_LIFESPAN,
+        parameters
+      }
+    ]
+  };
+}
+
+module.exports = {
+  normalizeResponse,
+  handleRestChat,
+  handleDialogflowEsRequest
+};
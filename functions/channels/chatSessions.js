@@ -0,0 +1,123 @@
+/**
+ * Chat Session Parameters for the REST Channel
+ *
+ * Dialogflow keeps session parameters for CX and ES; REST chat clients only
+ * send a session ID, so the parameters are kept server-side in chatSessions.
+ * Clients never read or write them directly (firestore.rules default deny).
+ * Sessions idle for 30 minutes start over.
+ *
+ * The parameters hold the session token once the user signs in, so the
+ * session ID is as good as a credential: IDs are only ever generated here,
+ * and each session is bound to the caller that started it (the signed-in
+ * session behind a bearer token, or no one for an anonymous chat). An ID
+ * that is unknown, expired or presented by a different caller is not
+ * loaded; the caller gets a new session instead.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const CHAT_SESSION_COLLECTION = 'chatSessions';
+const CHAT_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * Validate the format of a client-supplied session ID
+ */
+function validateChatSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Generate a new session ID
+ */
+function createChatSessionId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Identify the caller a session is bound to
+ *
+ * @param {Object|null} caller - Verified bearer token claims, or null
+ * @returns {string|null} The caller's sign-in session, or null when anonymous
+ */
+function getChatSessionOwner(caller) {
+  if (!caller) {
+    return null;
+  }
+  return caller.sid || caller.sub;
+}
+
+/**
+ * Apply parameter updates the way Dialogflow does: null removes a parameter
+ */
+function mergeParameters(parameters, updates = {}) {
+  const merged = { ...parameters };
+
+  for (const [name, value] of Object.entries(updates)) {
+    if (value === null || value === undefined) {
+      delete merged[name];
+    } else {
+      merged[name] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Load a session's parameters
+ *
+ * @param {string} sessionId - Validated session ID
+ * @param {string|null} owner - getChatSessionOwner() of the caller
+ * @returns {Promise<Object|null>} Parameters, or null if the session is
+ *   unknown, expired or bound to another caller
+ */
+async function loadChatSession(sessionId, owner) {
+  const db = admin.firestore();
+  const sessionDoc = await db.collection(CHAT_SESSION_COLLECTION).doc(sessionId).get();
+
+  if (!sessionDoc.exists) {
+    return null;
+  }
+
+  const session = sessionDoc.data();
+  if (Date.now() - session.updatedAt > CHAT_SESSION_IDLE_TIMEOUT) {
+    return null;
+  }
+
+  if ((session.owner || null) !== owner) {
+    console.warn('Chat session presented by a different caller; starting a new session');
+    return null;
+  }
+
+  return session.parameters || {};
+}
+
+/**
+ * Save a session's parameters
+ *
+ * @param {string} sessionId - Session ID from createChatSessionId()
+ * @param {Object} parameters - Full parameter set
+ * @param {string} channel - Client channel label (web, mobile, ...)
+ * @param {string|null} owner - getChatSessionOwner() of the caller
+ */
+async function saveChatSession(sessionId, parameters, channel, owner) {
+  const db = admin.firestore();
+
+  await db.collection(CHAT_SESSION_COLLECTION).doc(sessionId).set({
+    parameters,
+    channel: channel || null,
+    owner: owner || null,
+    updatedAt: Date.now()
+  });
+}
+
+module.exports = {
+  validateChatSessionId,
+  createChatSessionId,
+  getChatSessionOwner,
+  mergeParameters,
+  loadChatSession,
+  saveChatSession
+};
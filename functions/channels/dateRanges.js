@@ -0,0 +1,255 @@
+/**
+ * Date Range Extraction for Claim Searches
+ *
+ * Turns a date phrase in English or Spanish into an inclusive range of
+ * YYYY-MM-DD dates:
+ * - Seasons: "this summer", "last winter", "este verano", "el invierno pasado"
+ * - Quarters: "Q3 2024", "the third quarter", "last quarter", "el tercer trimestre", "el trimestre pasado"
+ * - Months: "in September", "June 2024", "since March", "en septiembre", "desde marzo"
+ * - Years: "in 2024", "this year", "last year", "este año", "el año pasado"
+ * - Recent periods: "this month", "last month", "last 90 days", "este mes", "últimos 3 meses"
+ * - Explicit dates: "between 06/01/2024 and 08/31/2024", "from 2024-06-01 to 2024-08-31"
+ *
+ * Seasons follow the calendar (summer is June 21 to September 22). "This"
+ * season means the one ending in the current year and "last" the year
+ * before's; winter ends in March. A month or quarter without a year is its
+ * most recent occurrence. Dates are computed in UTC.
+ */
+
+const MONTHS = {
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+  july: 7, august: 8, september: 9, october: 10, november: 11, december: 12,
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6,
+  julio: 7, agosto: 8, septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12
+};
+
+// Calendar seasons as [[first month, day], [last month, day]], by the usual
+// solstice and equinox dates
+const SPRING = [[3, 20], [6, 20]];
+const SUMMER = [[6, 21], [9, 22]];
+const FALL = [[9, 23], [12, 20]];
+const WINTER = [[12, 21], [3, 19]];
+const SEASONS = {
+  spring: SPRING, summer: SUMMER, fall: FALL, autumn: FALL, winter: WINTER,
+  primavera: SPRING, verano: SUMMER, otono: FALL, invierno: WINTER
+};
+
+const QUARTERS = {
+  first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4,
+  primer: 1, primero: 1, segundo: 2, tercer: 3, tercero: 3, cuarto: 4
+};
+
+const MONTH_NAMES = Object.keys(MONTHS).join('|');
+const QUARTER_NAMES = Object.keys(QUARTERS).join('|');
+const SEASON_NAMES = Object.keys(SEASONS).join('|');
+const NUMERIC_DATE = '(\\d{4}-\\d{2}-\\d{2}|\\d{1,2}/\\d{1,2}/\\d{4})';
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toIsoDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function monthRange(year, month) {
+  return { from: toIsoDate(year, month, 1), to: toIsoDate(year, month, lastDayOfMonth(year, month)) };
+}
+
+/**
+ * First and last day of a calendar quarter (1-4)
+ */
+function quarterRange(year, quarter) {
+  const lastMonth = quarter * 3;
+  return { from: toIsoDate(year, lastMonth - 2, 1), to: toIsoDate(year, lastMonth, lastDayOfMonth(year, lastMonth)) };
+}
+
+function seasonRange(season, year) {
+  const [[firstMonth, firstDay], [lastMonth, lastDay]] = SEASONS[season];
+  const startYear = firstMonth > lastMonth ? year - 1 : year;
+  return { from: toIsoDate(startYear, firstMonth, firstDay), to: toIsoDate(year, lastMonth, lastDay) };
+}
+
+function daysBefore(now, days) {
+  const date = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  return toIsoDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+/**
+ * Parse MM/DD/YYYY or YYYY-MM-DD, rejecting impossible dates
+ */
+function parseNumericDate(value) {
+  const parts = value.includes('/')
+    ? value.split('/').map(Number)
+    : value.split('-').map(Number);
+  const [year, month, day] = value.includes('/') ? [parts[2], parts[0], parts[1]] : parts;
+
+  if (month < 1 || month > 12 || day < 1 || day > lastDayOfMonth(year, month)) {
+    return null;
+  }
+  return toIsoDate(year, month, day);
+}
+
+/**
+ * The most recent year in which the month has started
+ */
+function latestYearFor(month, now) {
+  const year = now.getUTCFullYear();
+  return month > now.getUTCMonth() + 1 ? year - 1 : year;
+}
+
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Find a date range in free text
+ *
+ * @param {string} text - User message
+ * @param {Date} now - Reference date for relative phrases
+ * @returns {Object|null} { from, to } (either may be null for open ranges), or null
+ */
+function extractDateRange(text, now = new Date()) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const normalized = stripAccents(text.toLowerCase());
+  const today = toIsoDate(now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate());
+  const year = now.getUTCFullYear();
+  let match;
+
+  // Explicit dates
+  match = normalized.match(new RegExp(`\\b(?:between|from|entre|del?)\\s+${NUMERIC_DATE}\\s+(?:and|to|through|y|al?|hasta)\\s+${NUMERIC_DATE}`));
+  if (match) {
+    const from = parseNumericDate(match[1]);
+    const to = parseNumericDate(match[2]);
+    return from && to ? { from, to } : null;
+  }
+  match = normalized.match(new RegExp(`\\b(since|after|desde|despues del?|before|until|antes del?|hasta)\\s+(?:el\\s+)?${NUMERIC_DATE}`));
+  if (match) {
+    const date = parseNumericDate(match[2]);
+    if (!date) {
+      return null;
+    }
+    return /^(since|after|desde|despues)/.test(match[1]) ? { from: date, to: today } : { from: null, to: date };
+  }
+
+  // Seasons
+  match = normalized.match(new RegExp(`\\b(this|last|past|este|esta)\\s+(?:(?:el|la)\\s+)?(${SEASON_NAMES})\\b`))
+    || normalized.match(new RegExp(`\\b(?:el|la)\\s+(${SEASON_NAMES})\\s+(pasad[oa])\\b`));
+  if (match) {
+    const [qualifier, season] = SEASONS[match[1]] ? [match[2], match[1]] : [match[1], match[2]];
+    const isLast = /^(last|past|pasad)/.test(qualifier);
+    const seasonYear = SEASONS[season] === WINTER && now.getUTCMonth() === 11 && now.getUTCDate() >= 21
+      ? year + 1
+      : year;
+    return seasonRange(season, isLast ? seasonYear - 1 : seasonYear);
+  }
+  match = normalized.match(new RegExp(`\\b(?:in|during|en|durante)\\s+(?:(?:the|el|la)\\s+)?(${SEASON_NAMES})\\s+(?:(?:of|de(?:l)?)\\s+)?(\\d{4})\\b`));
+  if (match) {
+    return seasonRange(match[1], Number(match[2]));
+  }
+
+  // Quarters
+  const currentQuarter = Math.floor(now.getUTCMonth() / 3) + 1;
+  match = normalized.match(/\bq([1-4])(?:\s+(?:of\s+|de\s+)?(\d{4}))?\b/) || normalized.match(/\b(\d{4})\s+q([1-4])\b/);
+  if (match) {
+    const [quarter, quarterYear] = match[0].startsWith('q') ? [match[1], match[2]] : [match[2], match[1]];
+    const number = Number(quarter);
+    return quarterRange(quarterYear ? Number(quarterYear) : (number > currentQuarter ? year - 1 : year), number);
+  }
+  match = normalized.match(new RegExp(`\\b(${QUARTER_NAMES})\\s+(?:quarter|trimestre)(?:\\s+(?:of\\s+|de\\s+|del\\s+)?(\\d{4}))?\\b`));
+  if (match) {
+    const number = QUARTERS[match[1]];
+    return quarterRange(match[2] ? Number(match[2]) : (number > currentQuarter ? year - 1 : year), number);
+  }
+  if (/\b(this quarter|este trimestre)\b/.test(normalized)) {
+    return { from: quarterRange(year, currentQuarter).from, to: today };
+  }
+  if (/\b((last|past|previous) quarter|(el )?trimestre (pasado|anterior)|(el )?ultimo trimestre)\b/.test(normalized)) {
+    return currentQuarter === 1 ? quarterRange(year - 1, 4) : quarterRange(year, currentQuarter - 1);
+  }
+
+  // Last N days, weeks or months
+  match = normalized.match(/\b(?:last|past|ultim[oa]s)\s+(\d{1,3})\s+(days?|weeks?|months?|dias|semanas|meses)\b/);
+  if (match) {
+    const count = Number(match[1]);
+    const days = /^(day|dia)/.test(match[2]) ? count : /^(week|semana)/.test(match[2]) ? count * 7 : count * 30;
+    return { from: daysBefore(now, days), to: today };
+  }
+
+  // This or last month and year
+  if (/\b(this month|este mes)\b/.test(normalized)) {
+    return { from: toIsoDate(year, now.getUTCMonth() + 1, 1), to: today };
+  }
+  if (/\b(last month|d?el mes pasado)\b/.test(normalized)) {
+    const month = now.getUTCMonth() === 0 ? 12 : now.getUTCMonth();
+    return monthRange(month === 12 ? year - 1 : year, month);
+  }
+  if (/\b(this year|este ano)\b/.test(normalized)) {
+    return { from: toIsoDate(year, 1, 1), to: today };
+  }
+  if (/\b(last year|d?el ano pasado)\b/.test(normalized)) {
+    return { from: toIsoDate(year - 1, 1, 1), to: toIsoDate(year - 1, 12, 31) };
+  }
+
+  // Months, with or without a year
+  match = normalized.match(new RegExp(`\\b(since|desde)\\s+(${MONTH_NAMES})(?:\\s+(?:de\\s+)?(\\d{4}))?\\b`));
+  if (match) {
+    const month = MONTHS[match[2]];
+    const monthYear = match[3] ? Number(match[3]) : latestYearFor(month, now);
+    return { from: toIsoDate(monthYear, month, 1), to: today };
+  }
+  match = normalized.match(new RegExp(`\\b(${MONTH_NAMES})\\s+(?:(?:de|del)\\s+)?(\\d{4})\\b`))
+    || normalized.match(new RegExp(`\\b(?:in|during|en|durante|de)\\s+(${MONTH_NAMES})\\b`));
+  if (match) {
+    const month = MONTHS[match[1]];
+    return monthRange(match[2] ? Number(match[2]) : latestYearFor(month, now), month);
+  }
+
+  // Years
+  match = normalized.match(/\b(?:in|during|for|from|en|durante|de|del)\s+((?:19|20)\d{2})\b/);
+  if (match) {
+    return { from: toIsoDate(Number(match[1]), 1, 1), to: toIsoDate(Number(match[1]), 12, 31) };
+  }
+
+  return null;
+}
+
+/**
+ * Read a Dialogflow CX date or date-period parameter
+ * ({ startDate: { year, month, day }, endDate: {...} } or a bare date)
+ *
+ * @returns {Object|null} { from, to }
+ */
+function dateRangeFromParameter(value, now = new Date()) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return extractDateRange(value, now);
+  }
+
+  const toDate = date => (date && date.year && date.month && date.day
+    ? toIsoDate(date.year, date.month, date.day)
+    : null);
+
+  if (value.startDate || value.endDate) {
+    const range = { from: toDate(value.startDate), to: toDate(value.endDate) };
+    return range.from || range.to ? range : null;
+  }
+
+  const date = toDate(value);
+  return date ? { from: date, to: date } : null;
+}
+
+module.exports = {
+  quarterRange,
+  extractDateRange,
+  dateRangeFromParameter
+};
@@ -0,0 +1,410 @@
+/**
+ * Built-in Intent Classifier
+ *
+ * Maps free text to the webhook's intent tags and parameters without
+ * Dialogflow, for the REST chat channel and Dialogflow ES requests that
+ * arrive without an action. Entities (claim numbers, Medicare IDs, dates,
+ * passcodes, benefit types, specialties, claim search filters, appeal IDs) are extracted
+ * first; keyword rules then pick the intent. The rules mirror the training phrases in
+ * dialogflow/intents.json, with Spanish equivalents (including the Spanish
+ * suggestion chips).
+ */
+
+const { BENEFIT_ALIASES } = require('../handlers/benefits');
+const { SPECIALTY_ALIASES } = require('../handlers/providers');
+const { SLOT_FILL_TAG } = require('../webhooks/slotFilling');
+const { extractDateRange } = require('./dateRanges');
+
+const CLAIM_NUMBER_PATTERN = /\bCLM[-\s]?(\d{4})[-\s]?(\d{1,3})\b/i;
+const MEDICARE_ID_PATTERN = /\b(\d{3}-\d{2}-\d{4}|[1-9][AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d-?[AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d-?[AC-HJKMNP-RT-Y]{2}\d{2})\b/i;
+const LAST_NAME_PATTERN = /\b(?:last name|apellido)(?: is| es)?\s+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ'-]*)/i;
+const DATE_PATTERN = /\b(\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{1,2}-\d{1,2})\b/;
+const PASSCODE_PATTERN = /^\s*(\d{6})\s*$/;
+const NPI_PATTERN = /\bNPI\s*(?:#|number|numero|is|es)?\s*(\d{10})\b/i;
+// Capitalized words after a preposition ("at Springfield General Hospital")
+const PROVIDER_NAME_PATTERN = /\b(?:from|at|with|by|con|en|de|del)\s+(?:the\s+|el\s+|la\s+)?((?:Dr\.?\s+)?[A-Z][\w'&-]*(?:\s+(?:of\s+)?[A-Z][\w'&-]*)*)/;
+// Capitalized words that are not provider names
+const NOT_PROVIDER_NAMES = /^(january|february|march|april|may|june|july|august|september|october|november|december|enero|febrero|marzo|abril|mayo|junio|julio|agosto|septiembre|setiembre|octubre|noviembre|diciembre|spring|summer|fall|autumn|winter|medicare|medicaid|cms|npi)\b/i;
+// Plural only: "is my claim approved?" asks about one claim
+// "claims for physical therapy"
+const SERVICE_TYPE_PATTERN = /\bclaims for\s+([a-z][a-z -]{2,40}?)(?=\s+(?:from|in|during|since|sorted|ordered|at|with|by)\b|[?.!,]|$)/i;
+const CLAIM_MENTION_PATTERN = /\b(claims|reclamos|reclamaciones)\b/i;
+const APPEAL_ID_PATTERN = /\bAPL-(\d{4})-([A-F0-9]{6})\b/i;
+// Matched on the text without accents
+const APPEAL_PATTERN = /\b(appeal(s|ing)?|redetermination|disagree with the denial|dispute|apelar|apelacion(es)?|redeterminacion|no estoy de acuerdo con la denegacion)\b/i;
+const APPEAL_STATUS_PATTERN = /\b(status|track|check|my appeals|where is|update on|is there an appeal|any appeals|estado|seguimiento|mis apelaciones|como va|hay (una )?apelacion)\b/i;
+// "appeal CLM-2024-007 because the tests were ordered by my doctor"
+const APPEAL_REASON_PATTERN = /\b(?:because|porque|ya que)\s+(.{10,})$/i;
+// Medicare Summary Notice requests ("my statement for last quarter", "mi resumen de Medicare")
+const STATEMENT_PATTERN = /\b(statements?|summary notices?|msn|explanation of benefits|eob|estado de cuenta|resumen (de medicare|trimestral)|explicacion de beneficios)\b/i;
+// Spending and deductible progress ("have I met my deductible", "cuanto he gastado este año")
+// "what is the Part B deductible" stays a benefits question
+const OUT_OF_POCKET_PATTERN = /\b(out[- ]of[- ]pocket|moop|year[- ]to[- ]date|how much (have i|i've|i have|did i) (spent|paid)|(met|meet|reached|hit|toward|towards|left on) (my|the) (part [ab] )?deductible|my (part [ab] )?deductible|gastos? de bolsillo|cuanto (he|llevo|tengo) (gastado|pagado)|(alcanzado|cubierto|cumplido|pagado) (el|mi) deducible|mi deducible|(maximo|limite) de gastos)\b/i;
+const MORE_RESULTS_PATTERN = /\b(show more|more (claims|results)|next (page|ones|claims)|keep going|ver mas|mostrar mas|mas reclamos|siguiente pagina|siguientes)\b/i;
+
+// Claim status words, matched on the text without accents
+const CLAIM_STATUS_WORDS = [
+  { status: 'Approved', pattern: /\b(approved|paid|accepted|aprobad[oa]s?|pagad[oa]s?|aceptad[oa]s?)\b/i },
+  { status: 'Pending', pattern: /\b(pending|processing|in process|in progress|pendientes?|en proceso|en tramite)\b/i },
+  { status: 'Denied', pattern: /\b(denied|rejected|declined|denegad[oa]s?|rechazad[oa]s?|negad[oa]s?)\b/i }
+];
+
+// Sort requests ("sorted by provider", "oldest first", "ordenados por estado")
+const SORT_FIELD_PATTERN = /\b(?:sort(?:ed)?|order(?:ed)?|ordenad[oa]s?|ordenar)\s+(?:them\s+|los\s+)?(?:by|por)\s+(service type|type of service|tipo de servicio|type|tipo|service date|date|fecha|status|estado|provider|proveedor)\b/i;
+const SORT_FIELDS = {
+  'service type': 'serviceType', 'type of service': 'serviceType', 'tipo de servicio': 'serviceType', type: 'serviceType', tipo: 'serviceType',
+  'service date': 'serviceDate', date: 'serviceDate', fecha: 'serviceDate',
+  status: 'status', estado: 'status',
+  provider: 'provider', proveedor: 'provider'
+};
+const ASCENDING_PATTERN = /\b((oldest|earliest) (first|claims)|(a to z|a-z)|mas antiguos( primero)?|de la a a la z)\b/i;
+const DESCENDING_PATTERN = /\b((newest|latest|most recent) first|(z to a|z-a)|mas recientes primero|de la z a la a)\b/i;
+
+// Parameters the search_claims handler reads
+const CLAIM_SEARCH_PARAMETERS = ['claimStatus', 'servicePeriod', 'providerName', 'providerNpi', 'serviceType', 'claimSortField', 'sortOrder'];
+
+const ORDINALS = {
+  first: 1, '1st': 1,
+  second: 2, '2nd': 2,
+  third: 3, '3rd': 3,
+  fourth: 4, '4th': 4,
+  fifth: 5, '5th': 5,
+  primero: 1, primer: 1, primera: 1,
+  segundo: 2, segunda: 2,
+  tercero: 3, tercer: 3, tercera: 3,
+  cuarto: 4, cuarta: 4,
+  quinto: 5, quinta: 5
+};
+
+// Checked in order; the first matching rule wins. Spanish patterns run on
+// the text with its accents removed, so they are written without them.
+const INTENT_RULES = [
+  {
+    tag: 'goodbye',
+    pattern: /\b(bye|goodbye|that's all|that is all|i'm done|i am done|end chat)\b/i,
+    spanish: /\b(adios|hasta luego|eso es todo|ya termine|terminar chat)\b/i
+  },
+  {
+    tag: 'escalate_to_agent',
+    pattern: /\b(agent|representative|human|real person|live person|operator|someone to talk to)\b/i,
+    spanish: /\b(agente|representante|persona real|hablar con (una|alguien)|operador)\b/i
+  },
+  {
+    tag: 'authenticate',
+    pattern: /\b(log ?in|sign ?in|verify (me|my)|authenticate)\b/i,
+    spanish: /\b(iniciar sesion|inicia sesion|verificar(me)? (mi|mis|identidad)|identificarme)\b/i
+  },
+  {
+    tag: 'list_my_claims',
+    pattern: /\b((my|recent|all) claims|claims? history|claims do i have|any claims)\b/i,
+    spanish: /\b((mis|ver) reclam(os|aciones)|reclam(os|aciones) recientes|historial de reclam(os|aciones)|tengo reclamos)\b/i
+  },
+  {
+    tag: 'check_claim_status',
+    pattern: /\bclaims?\b/i,
+    spanish: /\breclam(o|os|acion|aciones)\b/i
+  },
+  {
+    tag: 'coverage_summary',
+    pattern: /\b(my coverage|coverage summary|what (coverage|am i covered|does my medicare cover)|what parts of medicare)\b/i,
+    spanish: /\b(mi cobertura|resumen de cobertura|que cubre mi medicare|que partes de medicare)\b/i
+  },
+  {
+    tag: 'find_provider',
+    pattern: /\b(find|search|looking for|need|recommend|near me)\b.*\b(doctors?|providers?|physicians?|specialists?|dentists?|\w+ologists?|pcp)\b|\b(find a provider|find another provider)\b/i,
+    spanish: /\b(buscar|busco|encontrar|necesito|recomiend\w*|cerca de mi)\b.*\b(medicos?|doctor(a|es|as)?|proveedor(es)?|especialistas?|dentistas?|\w+olog[oa]s?)\b/i
+  },
+  {
+    tag: 'ask_about_benefits',
+    pattern: /\b(benefits?|covers?|coverage|part [abcd]|dental|vision|hearing|prescriptions?|drugs?)\b/i,
+    spanish: /\b(beneficios?|cubre|cobertura|parte [abcd]|dental|vision|audicion|recetas?|medicamentos?)\b/i
+  },
+  {
+    tag: 'greeting',
+    pattern: /^\s*(hi|hello|hey|good (morning|afternoon|evening)|start|help)\b/i,
+    spanish: /^\s*(hola|buen(os|as) (dias|tardes|noches)|empezar|ayuda)\b/i
+  }
+];
+
+/**
+ * Remove accents ("reclamación" -> "reclamacion")
+ * Word boundaries (\b) only see ASCII letters, and users often type without
+ * accents anyway
+ */
+function removeAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Find the longest alias that appears in the text as whole words
+ * Accents are ignored on both sides
+ */
+function findAlias(text, aliases) {
+  const lower = removeAccents(text.toLowerCase());
+  const found = Object.keys(aliases)
+    .filter(alias => new RegExp(`\\b${removeAccents(alias).replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')}\\b`).test(lower))
+    .sort((a, b) => b.length - a.length);
+
+  return found.length > 0 ? aliases[found[0]] : null;
+}
+
+/**
+ * Read a position in a list ("the second one", "number 3", "2", "el segundo")
+ */
+function findListIndex(text) {
+  const lower = removeAccents(text.toLowerCase());
+  const number = lower.match(/^\s*(?:#|number\s+|claim\s+|numero\s+|reclamo\s+)?(\d)\s*$/) || lower.match(/\b(?:number|numero)\s+(\d)\b/);
+  if (number) {
+    return parseInt(number[1], 10);
+  }
+
+  const ordinal = Object.keys(ORDINALS).find(word => new RegExp(`\\b${word}\\b`).test(lower));
+  return ordinal ? ORDINALS[ordinal] : null;
+}
+
+/**
+ * Read a provider name after a preposition, skipping dates and program names
+ */
+function findProviderName(text) {
+  const match = text.match(PROVIDER_NAME_PATTERN);
+  return match && !NOT_PROVIDER_NAMES.test(match[1]) ? match[1].trim() : null;
+}
+
+/**
+ * Turn a { from, to } range into a CX date-period parameter
+ */
+function toDatePeriod(range) {
+  const toDate = value => {
+    if (!value) return undefined;
+    const [year, month, day] = value.split('-').map(Number);
+    return { year, month, day };
+  };
+
+  return { startDate: toDate(range.from), endDate: toDate(range.to) };
+}
+
+/**
+ * Extract entities from free text
+ *
+ * @param {string} text - User message
+ * @returns {Object} Entities found: claimNumber, medicareID, lastName,
+ *   dateOfBirth, passcode, benefitType, providerSpecialty, listIndex and the
+ *   claim search filters (claimStatus, servicePeriod, providerName,
+ *   providerNpi, serviceType, claimSortField, sortOrder), appealId and
+ *   appealReason
+ */
+function extractEntities(text) {
+  const entities = {};
+
+  const claim = text.match(CLAIM_NUMBER_PATTERN);
+  if (claim) {
+    entities.claimNumber = `CLM-${claim[1]}-${claim[2].padStart(3, '0')}`;
+  }
+
+  const appealId = text.match(APPEAL_ID_PATTERN);
+  if (appealId) {
+    entities.appealId = `APL-${appealId[1]}-${appealId[2].toUpperCase()}`;
+  }
+
+  const appealReason = text.match(APPEAL_REASON_PATTERN);
+  if (appealReason) {
+    entities.appealReason = appealReason[1].trim();
+  }
+
+  const medicareId = text.match(MEDICARE_ID_PATTERN);
+  if (medicareId) {
+    entities.medicareID = medicareId[1].toUpperCase();
+  }
+
+  const lastName = text.match(LAST_NAME_PATTERN);
+  if (lastName) {
+    entities.lastName = lastName[1];
+  }
+
+  const date = text.match(DATE_PATTERN);
+  if (date) {
+    entities.dateOfBirth = date[1];
+  }
+
+  const passcode = text.match(PASSCODE_PATTERN);
+  if (passcode) {
+    entities.passcode = passcode[1];
+  }
+
+  const benefitType = findAlias(text, BENEFIT_ALIASES);
+  if (benefitType) {
+    entities.benefitType = benefitType;
+  }
+
+  const specialty = findAlias(text, SPECIALTY_ALIASES);
+  if (specialty) {
+    entities.providerSpecialty = specialty;
+  }
+
+  const listIndex = findListIndex(text);
+  if (listIndex) {
+    entities.listIndex = listIndex;
+  }
+
+  const plainText = removeAccents(text);
+  const claimStatus = CLAIM_STATUS_WORDS.find(({ pattern }) => pattern.test(plainText));
+  if (claimStatus) {
+    entities.claimStatus = claimStatus.status;
+  }
+
+  const dateRange = extractDateRange(text);
+  if (dateRange) {
+    entities.servicePeriod = toDatePeriod(dateRange);
+  }
+
+  const npi = text.match(NPI_PATTERN);
+  if (npi) {
+    entities.providerNpi = npi[1];
+  }
+
+  const providerName = findProviderName(text);
+  if (providerName) {
+    entities.providerName = providerName;
+  }
+
+  const serviceType = text.match(SERVICE_TYPE_PATTERN);
+  if (serviceType && !extractDateRange(serviceType[1])) {
+    entities.serviceType = serviceType[1].trim();
+  }
+
+  const sortField = plainText.match(SORT_FIELD_PATTERN);
+  if (sortField) {
+    entities.claimSortField = SORT_FIELDS[sortField[1].toLowerCase()];
+  }
+  if (ASCENDING_PATTERN.test(plainText)) {
+    entities.sortOrder = 'asc';
+  } else if (DESCENDING_PATTERN.test(plainText)) {
+    entities.sortOrder = 'desc';
+  }
+
+  return entities;
+}
+
+/**
+ * Classify a message into an intent tag and parameters
+ * Session parameters disambiguate follow-ups: step-up answers while a sign-in
+ * challenge is open, list positions after a claim list, "show more" after a
+ * claim search with more results, and free-text replies to a re-prompt
+ * (SLOT_FILL_TAG), which for an appeal reason is whatever the user writes
+ *
+ * @param {string} text - User message
+ * @param {Object} parameters - Current session parameters
+ * @returns {Object} { tag, parameters } - tag is null when nothing matched
+ */
+function classifyIntent(text, parameters = {}) {
+  const entities = extractEntities(text);
+
+  // Step-up verification answers
+  if (parameters.authChallengeId && (entities.dateOfBirth || entities.passcode)) {
+    return {
+      tag: 'authenticate',
+      parameters: entities.passcode ? { passcode: entities.passcode } : { dateOfBirth: entities.dateOfBirth }
+    };
+  }
+
+  // The reason for an appeal is free text, unless the user wants to leave
+  const plainText = removeAccents(text);
+  if (parameters.pendingSlot?.slot === 'appealReason' &&
+      !INTENT_RULES.some(rule => ['goodbye', 'escalate_to_agent'].includes(rule.tag) && (rule.pattern.test(text) || rule.spanish.test(plainText)))) {
+    return { tag: SLOT_FILL_TAG, parameters: {} };
+  }
+
+  if (entities.medicareID) {
+    const authParameters = { medicareID: entities.medicareID };
+    if (entities.lastName) {
+      authParameters.lastName = entities.lastName;
+    }
+    return { tag: 'authenticate', parameters: authParameters };
+  }
+
+  // Appeals, filed for a claim or checked by appeal ID or claim
+  if (APPEAL_PATTERN.test(plainText)) {
+    if (entities.appealId || APPEAL_STATUS_PATTERN.test(plainText)) {
+      return {
+        tag: 'appeal_status',
+        parameters: { appealId: entities.appealId || null, claimNumber: entities.claimNumber || null }
+      };
+    }
+
+    const appealParameters = {};
+    if (entities.claimNumber) {
+      appealParameters.claimNumber = entities.claimNumber;
+    }
+    if (entities.appealReason) {
+      appealParameters.appealReason = entities.appealReason;
+    }
+    return { tag: 'file_appeal', parameters: appealParameters };
+  }
+
+  // Summary notices, for a period or the last full quarter
+  if (STATEMENT_PATTERN.test(plainText)) {
+    return { tag: 'request_statement', parameters: { statementPeriod: entities.servicePeriod || null } };
+  }
+
+  // Out-of-pocket spending, for a year or this year
+  if (OUT_OF_POCKET_PATTERN.test(plainText)) {
+    return { tag: 'out_of_pocket', parameters: { benefitYear: entities.servicePeriod || null } };
+  }
+
+  if (entities.claimNumber) {
+    return { tag: 'check_claim_status', parameters: { claimNumber: entities.claimNumber } };
+  }
+
+  if (entities.listIndex && Array.isArray(parameters.recentClaimIds) && parameters.recentClaimIds.length > 0) {
+    return { tag: 'select_claim', parameters: { claimIndex: entities.listIndex } };
+  }
+
+  if (parameters.claimSearch?.nextPageToken && MORE_RESULTS_PATTERN.test(plainText)) {
+    return { tag: 'more_claims', parameters: {} };
+  }
+
+  // Claims with search filters ("my denied claims from this summer")
+  const searchParameters = CLAIM_SEARCH_PARAMETERS.filter(name => entities[name]);
+  if (searchParameters.length > 0 && CLAIM_MENTION_PATTERN.test(plainText)) {
+    return {
+      tag: 'search_claims',
+      parameters: Object.fromEntries(searchParameters.map(name => [name, entities[name]]))
+    };
+  }
+
+  const rule = INTENT_RULES.find(candidate => candidate.pattern.test(text) || candidate.spanish.test(plainText));
+  if (rule) {
+    const ruleParameters = {};
+    if (rule.tag === 'ask_about_benefits' && entities.benefitType) {
+      ruleParameters.benefitType = entities.benefitType;
+    }
+    if (rule.tag === 'find_provider' && entities.providerSpecialty) {
+      ruleParameters.providerSpecialty = entities.providerSpecialty;
+    }
+    return { tag: rule.tag, parameters: ruleParameters };
+  }
+
+  // A bare specialty or benefit name ("dermatologist", "Part A")
+  if (entities.providerSpecialty && !entities.benefitType) {
+    return { tag: 'find_provider', parameters: { providerSpecialty: entities.providerSpecialty } };
+  }
+  if (entities.benefitType) {
+    return { tag: 'ask_about_benefits', parameters: { benefitType: entities.benefitType } };
+  }
+
+  // Anything else during sign-in repeats the current step's prompt
+  if (parameters.authChallengeId) {
+    return { tag: 'authenticate', parameters: {} };
+  }
+
+  if (parameters.pendingSlot) {
+    return { tag: SLOT_FILL_TAG, parameters: {} };
+  }
+
+  return { tag: null, parameters: {} };
+}
+
+module.exports = {
+  extractEntities,
+  classifyIntent
+};
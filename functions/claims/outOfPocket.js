@@ -0,0 +1,367 @@
+/**
+ * Year-to-Date Out-of-Pocket Tracker
+ *
+ * Adds up the beneficiary's share of their claims (patientResponsibility) for
+ * a benefit year and measures it against the Part B annual deductible, the
+ * Part A deductible for the benefit period and, for Medicare Advantage (Part C)
+ * plans, the yearly out-of-pocket maximum (MOOP). The deductibles and the MOOP
+ * come from the cost sharing in the benefits collection.
+ *
+ * Approved claims count; pending claims are reported apart, as their amounts
+ * may still change, and denied claims are left out. Claims don't split the
+ * beneficiary's share into deductible and coinsurance, so the whole share
+ * counts toward a deductible until it is met.
+ */
+
+const admin = require('firebase-admin');
+const { findBeneficiaryByIdentifier, resolveBeneficiaryIdentifiers } = require('../auth/medicareId');
+const { authorizeAccess, PERMISSIONS } = require('../auth/delegation');
+const { infoElement, descriptionElement } = require('../webhooks/richContent');
+const { DEFAULT_LOCALE, t, formatDate, formatCurrency } = require('../i18n/messages');
+
+// Services billed to Part A (facility care) and Part D (drugs); the rest is Part B
+const PART_A_SERVICES = /\b(inpatient|hospital stay|skilled nursing|hospice|home health)\b/i;
+const PART_D_SERVICES = /\b(prescriptions?|pharmacy|drugs?)\b/i;
+
+// A benefit period ends after 60 days in a row without inpatient care
+const BENEFIT_PERIOD_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIRST_BENEFIT_YEAR = 2000;
+const MAX_TRACKED_CLAIMS = 1000;
+
+// Where each limit is found in the benefits collection
+const LIMIT_SOURCES = {
+  partA: { benefitType: 'Part A', key: 'deductible' },
+  partB: { benefitType: 'Part B', key: 'deductible' },
+  moop: { benefitType: 'Part C', key: 'outOfPocketMaximum' }
+};
+
+function toCents(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a benefit year (2000 through the current year)
+ *
+ * @param {string|number} value - Year, or empty for the current year
+ * @returns {Object} { year } or { error, message }
+ */
+function parseBenefitYear(value) {
+  const currentYear = new Date().getUTCFullYear();
+  if (value === undefined || value === null || value === '') {
+    return { year: currentYear };
+  }
+
+  const year = Number(value);
+  if (!/^\d{4}$/.test(String(value).trim()) || year < FIRST_BENEFIT_YEAR || year > currentYear) {
+    return {
+      error: 'INVALID_YEAR',
+      message: `year must be between ${FIRST_BENEFIT_YEAR} and ${currentYear}`
+    };
+  }
+  return { year };
+}
+
+/**
+ * Which part of Medicare a claim is billed to
+ */
+function claimPart(claim) {
+  const service = `${claim.serviceType || ''} ${claim.provider?.specialty || ''}`;
+  if (PART_A_SERVICES.test(service)) {
+    return 'partA';
+  }
+  return PART_D_SERVICES.test(service) ? 'partD' : 'partB';
+}
+
+/**
+ * Whether the beneficiary is in a Medicare Advantage (Part C) plan
+ */
+function hasMedicareAdvantage(beneficiary) {
+  return (beneficiary.coverageType || []).includes('Part C') || /medicare advantage/i.test(beneficiary.planType || '');
+}
+
+/**
+ * Find the dollar amount for a cost-sharing key ("$240 per year (2024)" -> 240)
+ */
+function findCostSharingAmount(value, key) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  const amount = typeof value[key] === 'string' && value[key].match(/\$([\d,]+(?:\.\d{1,2})?)/);
+  if (amount) {
+    return Number(amount[1].replace(/,/g, ''));
+  }
+
+  for (const child of Object.values(value)) {
+    const found = findCostSharingAmount(child, key);
+    if (found !== null) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Deductibles and the MOOP from the benefits collection
+ * Limits that can't be found are null
+ */
+async function getCostSharingLimits() {
+  const benefitTypes = [...new Set(Object.values(LIMIT_SOURCES).map(source => source.benefitType))];
+  const snapshot = await admin.firestore().collection('benefits')
+    .where('benefitType', 'in', benefitTypes)
+    .get();
+  const benefits = new Map(snapshot.docs.map(doc => [doc.data().benefitType, doc.data()]));
+
+  return Object.fromEntries(Object.entries(LIMIT_SOURCES).map(([name, source]) => {
+    const limit = findCostSharingAmount(benefits.get(source.benefitType), source.key);
+    if (limit === null) {
+      console.warn('No cost-sharing amount in benefits:', source.benefitType, source.key);
+    }
+    return [name, limit];
+  }));
+}
+
+/**
+ * Group Part A claims into benefit periods, oldest first
+ * Claims carry no discharge date, so each service date stands in for one
+ */
+function groupBenefitPeriods(partAClaims) {
+  const periods = [];
+  partAClaims.forEach(claim => {
+    const current = periods[periods.length - 1];
+    if (current && claim.serviceDate <= current.end) {
+      current.claims.push(claim);
+      current.end = addDays(claim.serviceDate, BENEFIT_PERIOD_DAYS);
+    } else {
+      periods.push({ start: claim.serviceDate, end: addDays(claim.serviceDate, BENEFIT_PERIOD_DAYS), claims: [claim] });
+    }
+  });
+  return periods;
+}
+
+/**
+ * Progress toward a deductible or maximum
+ */
+function progress(limit, spentCents) {
+  const limitCents = toCents(limit);
+  const appliedCents = Math.min(spentCents, limitCents);
+  return {
+    limit,
+    applied: appliedCents / 100,
+    remaining: (limitCents - appliedCents) / 100,
+    met: spentCents >= limitCents
+  };
+}
+
+function sumShare(claims) {
+  return claims.reduce((sum, claim) => sum + toCents(claim.patientResponsibility), 0);
+}
+
+/**
+ * Build a beneficiary's out-of-pocket tracker for a benefit year
+ *
+ * @param {Object} sessionInfo - Session claims (medicareId, role, delegation)
+ * @param {number} year - Benefit year (see parseBenefitYear)
+ * @param {Object} requestContext - { ipAddress, userAgent } for the audit log
+ * @param {string} locale - Response language
+ * @returns {Promise<Object>} { success, tracker } - tracker has totals for the
+ *   year and partA, partB and moop progress ({ limit, applied, remaining, met };
+ *   null when the beneficiary doesn't have that coverage)
+ */
+async function buildOutOfPocketTracker(sessionInfo = {}, year, requestContext = {}, locale = DEFAULT_LOCALE) {
+  try {
+    if (!sessionInfo.medicareId) {
+      return {
+        success: false,
+        error: 'MISSING_MEDICARE_ID',
+        message: t(locale, 'claims.medicareIdRequired')
+      };
+    }
+
+    const beneficiaryDoc = await findBeneficiaryByIdentifier(sessionInfo.medicareId);
+    if (!beneficiaryDoc) {
+      return {
+        success: false,
+        error: 'INVALID_MEDICARE_ID',
+        message: t(locale, 'claims.invalidMedicareId')
+      };
+    }
+
+    const access = await authorizeAccess(
+      sessionInfo,
+      PERMISSIONS.CLAIMS_READ,
+      { type: 'outOfPocket', id: String(year) },
+      requestContext
+    );
+    if (!access.allowed) {
+      return {
+        success: false,
+        error: 'ACCESS_DENIED',
+        message: t(locale, 'access.claimsDenied')
+      };
+    }
+
+    const yearStart = `${year}-01-01`;
+    const yearEnd = `${year}-12-31`;
+    const today = new Date().toISOString().slice(0, 10);
+    const asOf = yearEnd < today ? yearEnd : today;
+
+    // The year before is read too: a benefit period can start in it
+    const beneficiaryIds = await resolveBeneficiaryIdentifiers(sessionInfo.medicareId);
+    const [claimsSnapshot, limits] = await Promise.all([
+      admin.firestore().collection('claims')
+        .where('medicareId', 'in', beneficiaryIds)
+        .where('serviceDate', '>=', `${year - 1}-01-01`)
+        .where('serviceDate', '<=', yearEnd)
+        .orderBy('serviceDate', 'desc')
+        .limit(MAX_TRACKED_CLAIMS)
+        .get(),
+      getCostSharingLimits()
+    ]);
+
+    const claims = claimsSnapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => a.serviceDate.localeCompare(b.serviceDate));
+    const approved = claims.filter(claim => claim.status === 'Approved');
+    const inYear = claim => claim.serviceDate >= yearStart;
+    const approvedInYear = approved.filter(inYear);
+    const byPart = part => approvedInYear.filter(claim => claimPart(claim) === part);
+
+    const beneficiary = beneficiaryDoc.data();
+    const coverage = beneficiary.coverageType || [];
+
+    let partA = null;
+    if (coverage.includes('Part A') && limits.partA !== null) {
+      const period = groupBenefitPeriods(approved.filter(claim => claimPart(claim) === 'partA'))
+        .filter(candidate => candidate.end >= yearStart)
+        .pop();
+      partA = {
+        ...progress(limits.partA, period ? sumShare(period.claims) : 0),
+        benefitPeriod: period ? { start: period.start, end: period.end, active: period.end >= asOf } : null
+      };
+    }
+
+    const partB = coverage.includes('Part B') && limits.partB !== null
+      ? progress(limits.partB, sumShare(byPart('partB')))
+      : null;
+
+    // Drugs don't count toward the MOOP
+    const moop = hasMedicareAdvantage(beneficiary) && limits.moop !== null
+      ? progress(limits.moop, sumShare(byPart('partA')) + sumShare(byPart('partB')))
+      : null;
+
+    return {
+      success: true,
+      tracker: {
+        locale,
+        year,
+        asOf,
+        planType: beneficiary.planType || null,
+        totals: {
+          outOfPocket: sumShare(approvedInYear) / 100,
+          pending: sumShare(claims.filter(claim => inYear(claim) && claim.status === 'Pending')) / 100,
+          partA: sumShare(byPart('partA')) / 100,
+          partB: sumShare(byPart('partB')) / 100,
+          partD: sumShare(byPart('partD')) / 100
+        },
+        claimCount: approvedInYear.length,
+        partA,
+        partB,
+        moop,
+        truncated: claims.length === MAX_TRACKED_CLAIMS
+      }
+    };
+  } catch (error) {
+    console.error('Error building out-of-pocket tracker:', error.message);
+    return {
+      success: false,
+      message: t(locale, 'outOfPocket.error')
+    };
+  }
+}
+
+/**
+ * Lines for a deductible or maximum ('$40.00 of $1,632.00 met', '$1,592.00 to go')
+ */
+function progressLines(locale, tracked, keys) {
+  const values = {
+    applied: formatCurrency(tracked.applied, locale),
+    limit: formatCurrency(tracked.limit, locale),
+    remaining: formatCurrency(tracked.remaining, locale)
+  };
+  return tracked.met
+    ? [t(locale, keys.met, values)]
+    : [t(locale, 'outOfPocket.applied', values), t(locale, 'outOfPocket.remaining', values)];
+}
+
+/**
+ * Summarize a tracker for the chat
+ *
+ * @param {Object} tracker - Result of buildOutOfPocketTracker()
+ * @returns {Object} { text, richContent } - plain-text fallback and a tracker card
+ */
+function formatOutOfPocketResponse(tracker) {
+  const { locale } = tracker;
+  const title = t(locale, 'outOfPocket.title', { year: tracker.year });
+  const asOf = t(locale, 'outOfPocket.asOf', { date: formatDate(tracker.asOf, locale) });
+
+  const summary = [t(locale, 'outOfPocket.totalSpent', { amount: formatCurrency(tracker.totals.outOfPocket, locale) })];
+  if (tracker.totals.pending > 0) {
+    summary.push(t(locale, 'outOfPocket.pending', { amount: formatCurrency(tracker.totals.pending, locale) }));
+  }
+
+  const sections = [];
+  if (tracker.partB) {
+    sections.push({
+      title: t(locale, 'outOfPocket.partB.title'),
+      lines: progressLines(locale, tracker.partB, { met: 'outOfPocket.partB.met' })
+    });
+  }
+  if (tracker.partA) {
+    const period = tracker.partA.benefitPeriod;
+    const periodLine = !period
+      ? t(locale, 'outOfPocket.partA.noBenefitPeriod')
+      : t(locale, period.active ? 'outOfPocket.partA.activePeriod' : 'outOfPocket.partA.endedPeriod', {
+        start: formatDate(period.start, locale),
+        end: formatDate(period.end, locale)
+      });
+    sections.push({
+      title: t(locale, 'outOfPocket.partA.title'),
+      lines: [periodLine, ...(period ? progressLines(locale, tracker.partA, { met: 'outOfPocket.partA.met' }) : [])]
+    });
+  }
+  if (tracker.moop) {
+    sections.push({
+      title: t(locale, 'outOfPocket.moop.title'),
+      lines: progressLines(locale, tracker.moop, { met: 'outOfPocket.moop.met' })
+    });
+  }
+
+  const estimate = t(locale, 'outOfPocket.estimate');
+  const text = [
+    `**${title}**\n${asOf}`,
+    summary.join('\n'),
+    ...sections.map(section => `**${section.title}:**\n${section.lines.map(line => `• ${line}`).join('\n')}`),
+    estimate
+  ].join('\n\n');
+
+  const richContent = [
+    infoElement(title, asOf),
+    descriptionElement(t(locale, 'outOfPocket.summaryTitle'), summary),
+    ...sections.map(section => descriptionElement(section.title, section.lines)),
+    descriptionElement(t(locale, 'outOfPocket.estimateTitle'), [estimate])
+  ];
+
+  return { text, richContent };
+}
+
+module.exports = {
+  parseBenefitYear,
+  buildOutOfPocketTracker,
+  formatOutOfPocketResponse
+};
@@ -0,0 +1,249 @@
+/**
+ * Claim Status History
+ *
+ * Each claim keeps a statusHistory subcollection (claims/{claimId}/statusHistory)
+ * with one entry per transition: submitted, approved, denied, paid, reopened
+ * for review. Entries carry the date the change took effect, when it was
+ * recorded and the reason given for it.
+ *
+ * The onClaimWrite trigger (see index.js) records the entries and notifies the
+ * beneficiary, in their language, when a claim is approved, paid or denied.
+ * Claims last written before history was recorded get a timeline derived from
+ * their submission, status and payment dates.
+ */
+
+const { createNotification, getNotificationLocale } = require('../notifications/notificationStore');
+const { DEFAULT_LOCALE, hasMessage, t, formatDate, formatCurrency } = require('../i18n/messages');
+
+const HISTORY_COLLECTION = 'statusHistory';
+
+const CLAIM_EVENTS = {
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+  PAID: 'paid',
+  REOPENED: 'reopened',
+  STATUS_CHANGED: 'status_changed'
+};
+
+// Event recorded when a claim moves into each status
+const STATUS_EVENTS = {
+  Approved: CLAIM_EVENTS.APPROVED,
+  Denied: CLAIM_EVENTS.DENIED,
+  Pending: CLAIM_EVENTS.REOPENED
+};
+
+// Events the beneficiary is notified of, with the notification priority
+const NOTIFIED_EVENTS = {
+  [CLAIM_EVENTS.APPROVED]: 'medium',
+  [CLAIM_EVENTS.PAID]: 'low',
+  [CLAIM_EVENTS.DENIED]: 'high'
+};
+
+// Firestore's ALREADY_EXISTS error code
+const ALREADY_EXISTS = 6;
+const MAX_TIMELINE_ENTRIES = 50;
+
+/**
+ * Today's date as YYYY-MM-DD (UTC)
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Why a claim is in its current status, if the claim says
+ */
+function statusReason(claim) {
+  if (claim.statusReason) {
+    return claim.statusReason;
+  }
+  if (claim.status === 'Denied') {
+    return claim.denialReason || null;
+  }
+  return claim.status === 'Pending' ? claim.notes || null : null;
+}
+
+/**
+ * History entries for a claim write, oldest first
+ * A new claim is submitted (and moves straight on if it was written with a
+ * decision); a payment is recorded the first time a payment date appears
+ *
+ * @param {Object|null} before - Claim before the write (null when created)
+ * @param {Object|null} after - Claim after the write (null when deleted)
+ * @returns {Array<Object>} { event, status, previousStatus, date, reason, amount, appealDeadline }
+ */
+function detectTransitions(before, after) {
+  if (!after) {
+    return [];
+  }
+
+  const transitions = [];
+  const entry = (event, date, details = {}) => transitions.push({
+    event,
+    status: after.status || null,
+    previousStatus: before ? before.status || null : null,
+    date: date || today(),
+    reason: null,
+    amount: null,
+    appealDeadline: null,
+    ...details
+  });
+
+  if (!before) {
+    entry(CLAIM_EVENTS.SUBMITTED, after.submissionDate, { status: 'Pending' });
+  }
+
+  const previousStatus = before ? before.status : 'Pending';
+  if (after.status && after.status !== previousStatus) {
+    entry(STATUS_EVENTS[after.status] || CLAIM_EVENTS.STATUS_CHANGED, after.statusDate, {
+      previousStatus,
+      reason: statusReason(after),
+      appealDeadline: after.status === 'Denied' ? after.appealDeadline || null : null
+    });
+  }
+
+  if (after.paymentDate && !(before && before.paymentDate)) {
+    entry(CLAIM_EVENTS.PAID, after.paymentDate, { amount: Number(after.paymentAmount) || 0 });
+  }
+
+  return transitions;
+}
+
+/**
+ * Timeline derived from a claim's own dates, for claims without history
+ */
+function deriveTimeline(claim) {
+  const timeline = detectTransitions(null, claim);
+  return timeline.map(entry => ({ ...entry, derived: true }));
+}
+
+/**
+ * Notify the beneficiary of a claim approval, payment or denial
+ * Failures are logged: the history entry is already recorded
+ */
+async function notifyClaimChange(claim, entry) {
+  try {
+    const locale = await getNotificationLocale(claim.medicareId);
+    const values = {
+      claimId: claim.claimId,
+      service: claim.serviceType || claim.description || claim.claimId,
+      approvedAmount: formatCurrency(claim.approvedAmount, locale),
+      responsibility: formatCurrency(claim.patientResponsibility, locale),
+      amount: formatCurrency(entry.amount, locale),
+      date: formatDate(entry.date, locale),
+      reason: entry.reason || t(locale, 'common.notAvailable'),
+      deadline: entry.appealDeadline ? formatDate(entry.appealDeadline, locale) : null
+    };
+
+    let message = t(locale, `claims.notifications.${entry.event}.message`, values);
+    if (entry.event === CLAIM_EVENTS.DENIED && entry.appealDeadline) {
+      message += ` ${t(locale, 'claims.notifications.denied.appealBy', values)}`;
+    }
+
+    await createNotification(claim.medicareId, {
+      type: 'claims',
+      priority: NOTIFIED_EVENTS[entry.event],
+      title: t(locale, `claims.notifications.${entry.event}.title`, values),
+      message,
+      actionLink: `/claims/${claim.claimId}`,
+      actionText: t(locale, 'claims.notifications.actionText'),
+      relatedTo: { type: 'claim', id: claim.claimId }
+    });
+  } catch (error) {
+    console.error('Error creating claim notification:', error.message);
+  }
+}
+
+/**
+ * Record a claim write in its status history and notify the beneficiary
+ * Entries are keyed by the trigger's event ID, so a retried event neither
+ * records nor notifies twice
+ *
+ * @param {Object} change - Firestore trigger change (before and after snapshots)
+ * @param {Object} context - Trigger context ({ eventId, params })
+ * @returns {Promise<Array<Object>>} The entries recorded
+ */
+async function recordClaimChange(change, context) {
+  const before = change.before.exists ? change.before.data() : null;
+  const after = change.after.exists ? change.after.data() : null;
+  const recordedAt = new Date().toISOString();
+  const recorded = [];
+
+  for (const [index, transition] of detectTransitions(before, after).entries()) {
+    const entry = { ...transition, recordedAt };
+    try {
+      await change.after.ref.collection(HISTORY_COLLECTION).doc(`${context.eventId}-${index}`).create(entry);
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) {
+        continue;
+      }
+      throw error;
+    }
+
+    recorded.push(entry);
+    if (NOTIFIED_EVENTS[entry.event] && after.medicareId) {
+      await notifyClaimChange(after, entry);
+    }
+  }
+
+  if (recorded.length > 0) {
+    console.info('Claim status history recorded:', context.params?.claimId, recorded.map(entry => entry.event).join(', '));
+  }
+  return recorded;
+}
+
+/**
+ * A claim's status timeline, oldest first
+ *
+ * @param {Object} claimRef - Firestore reference to the claim document
+ * @param {Object} claim - Claim document, used when it has no recorded history
+ * @returns {Promise<Array<Object>>} History entries
+ */
+async function getClaimTimeline(claimRef, claim) {
+  const snapshot = await claimRef.collection(HISTORY_COLLECTION)
+    .orderBy('recordedAt', 'asc')
+    .limit(MAX_TIMELINE_ENTRIES)
+    .get();
+
+  if (snapshot.empty) {
+    return deriveTimeline(claim);
+  }
+
+  // Order by when each change took effect; recording order breaks ties
+  return snapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Timeline lines for display ('September 18, 2024: Submitted')
+ *
+ * @param {Array<Object>} timeline - Result of getClaimTimeline()
+ * @param {string} locale - Response language
+ * @returns {Array<string>}
+ */
+function formatTimeline(timeline, locale = DEFAULT_LOCALE) {
+  return timeline.map(entry => {
+    const key = `claims.timeline.events.${entry.event}`;
+    const status = hasMessage(locale, `claims.statusNames.${entry.status}`)
+      ? t(locale, `claims.statusNames.${entry.status}`)
+      : entry.status;
+    let event = hasMessage(locale, key)
+      ? t(locale, key, { status, amount: formatCurrency(entry.amount, locale) })
+      : entry.event;
+
+    if (entry.reason) {
+      event = t(locale, 'claims.timeline.withReason', { event, reason: entry.reason });
+    }
+    return t(locale, 'claims.timeline.line', { date: formatDate(entry.date, locale), event });
+  });
+}
+
+module.exports = {
+  CLAIM_EVENTS,
+  detectTransitions,
+  recordClaimChange,
+  getClaimTimeline,
+  formatTimeline
+};
@@ -0,0 +1,244 @@
+/**
+ * Conversation History for the Virtual Agents
+ *
+ * Every webhook turn is appended to a conversations document keyed by the
+ * Dialogflow (or REST chat) session, in the schema of
+ * firestore/conversations.json. Message text is redacted before it is stored,
+ * and what callers type while signing in is never stored at all. Agents read
+ * the history when a conversation is handed off to them.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { redactText } = require('./redaction');
+const { writeAuditEntry, OUTCOMES } = require('../audit/auditLog');
+
+const CONVERSATION_COLLECTION = 'conversations';
+const MAX_STORED_MESSAGES = 200; // Older messages are dropped from long sessions
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+const CONVERSATION_ID_PATTERN = /^CONV-[A-Za-z0-9-]{3,40}$/;
+
+const CONVERSATION_STATUS = {
+  ACTIVE: 'active',
+  TRANSFERRED: 'transferred',
+  CLOSED: 'closed'
+};
+
+// Turns whose user text is credentials (IDs, dates of birth, passcodes, passwords)
+const SIGN_IN_TAGS = ['authenticate', 'authenticateProvider'];
+const ESCALATION_TAGS = ['escalate_to_agent', 'requestLiveAgent'];
+const CLOSING_TAGS = ['goodbye'];
+
+const SIGN_IN_PLACEHOLDER = '[SIGN-IN DETAILS REDACTED]';
+
+/**
+ * Conversation ID for a session
+ * Session names are paths (projects/.../sessions/...), so they are hashed
+ */
+function getConversationId(session) {
+  return `CONV-${crypto.createHash('sha256').update(session).digest('hex').substring(0, 24)}`;
+}
+
+/**
+ * Validate a conversation ID from a request
+ */
+function validateConversationId(conversationId) {
+  return typeof conversationId === 'string' && CONVERSATION_ID_PATTERN.test(conversationId);
+}
+
+/**
+ * Next status after a turn: escalations transfer the conversation, goodbyes
+ * close it, and a transferred conversation stays transferred
+ */
+function getNextStatus(currentStatus, tag, escalated) {
+  if (escalated || ESCALATION_TAGS.includes(tag)) {
+    return CONVERSATION_STATUS.TRANSFERRED;
+  }
+  if (CLOSING_TAGS.includes(tag)) {
+    return CONVERSATION_STATUS.CLOSED;
+  }
+  return currentStatus === CONVERSATION_STATUS.TRANSFERRED ? currentStatus : CONVERSATION_STATUS.ACTIVE;
+}
+
+/**
+ * Append a webhook turn to the session's conversation
+ *
+ * @param {Object} turn - { session, channel, tag, userText, botText, escalated,
+ *   participant: { beneficiaryId, representativeId, npiNumber }, names }
+ *   names are removed from the stored text along with other identifiers
+ * @returns {Promise<string>} Conversation ID
+ */
+async function recordConversationTurn(turn) {
+  const db = admin.firestore();
+  const conversationId = getConversationId(turn.session);
+  const conversationRef = db.collection(CONVERSATION_COLLECTION).doc(conversationId);
+  const participant = turn.participant || {};
+  const names = turn.names || [];
+  const now = new Date().toISOString();
+
+  await db.runTransaction(async transaction => {
+    const conversationDoc = await transaction.get(conversationRef);
+    const existing = conversationDoc.exists ? conversationDoc.data() : null;
+
+    let messageCount = existing ? existing.messageCount || existing.messages.length : 0;
+    const newMessage = (role, content) => {
+      messageCount += 1;
+      return {
+        messageId: `MSG-${String(messageCount).padStart(3, '0')}`,
+        role,
+        content,
+        tag: turn.tag || null,
+        timestamp: now
+      };
+    };
+
+    const messages = existing ? [...existing.messages] : [];
+    if (turn.userText) {
+      const userText = SIGN_IN_TAGS.includes(turn.tag) ? SIGN_IN_PLACEHOLDER : redactText(turn.userText, names);
+      messages.push(newMessage('user', userText));
+    }
+    messages.push(newMessage('assistant', redactText(turn.botText, names)));
+
+    const detectedIntents = existing?.contextPackage?.detectedIntents || [];
+    if (turn.tag && !detectedIntents.includes(turn.tag)) {
+      detectedIntents.push(turn.tag);
+    }
+
+    const status = getNextStatus(existing?.status, turn.tag, turn.escalated);
+    const transferredAt = status === CONVERSATION_STATUS.TRANSFERRED && existing?.status !== status
+      ? now
+      : existing?.transferredAt || null;
+
+    transaction.set(conversationRef, {
+      conversationId,
+      beneficiaryId: participant.beneficiaryId || existing?.beneficiaryId || null,
+      representativeId: participant.representativeId || existing?.representativeId || null,
+      npiNumber: participant.npiNumber || existing?.npiNumber || null,
+      status,
+      channel: turn.channel || existing?.channel || null,
+      startedAt: existing?.startedAt || now,
+      lastMessageAt: now,
+      transferredAt,
+      agentId: existing?.agentId || null,
+      agentAssigned: existing?.agentAssigned || false,
+      messageCount,
+      messages: messages.slice(-MAX_STORED_MESSAGES),
+      contextPackage: {
+        ...existing?.contextPackage,
+        detectedIntents
+      }
+    });
+  });
+
+  return conversationId;
+}
+
+/**
+ * Record the agent who picked up a transferred conversation
+ *
+ * @param {string} conversationId - Conversation ID
+ * @param {string} agentId - Support agent ID
+ */
+async function assignConversationAgent(conversationId, agentId) {
+  const db = admin.firestore();
+  await db.collection(CONVERSATION_COLLECTION).doc(conversationId).update({
+    agentId,
+    agentAssigned: true
+  });
+}
+
+/**
+ * Fetch a conversation
+ *
+ * @param {string} conversationId - Validated conversation ID
+ * @returns {Promise<Object|null>} Conversation document or null
+ */
+async function getConversation(conversationId) {
+  const db = admin.firestore();
+  const conversationDoc = await db.collection(CONVERSATION_COLLECTION).doc(conversationId).get();
+
+  return conversationDoc.exists ? conversationDoc.data() : null;
+}
+
+/**
+ * List a beneficiary's conversations, most recent first
+ *
+ * @param {Array<string>} beneficiaryIds - Every identifier of the beneficiary (legacy ID and MBI)
+ * @param {number} limit - Maximum number of conversations
+ * @returns {Promise<Array<Object>>} Conversation summaries (no messages)
+ */
+async function listConversations(beneficiaryIds, limit = DEFAULT_LIST_LIMIT) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(CONVERSATION_COLLECTION)
+    .where('beneficiaryId', 'in', beneficiaryIds)
+    .orderBy('lastMessageAt', 'desc')
+    .limit(Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT))
+    .get();
+
+  return snapshot.docs.map(doc => toConversationSummary(doc.data()));
+}
+
+/**
+ * Conversation fields for lists
+ */
+function toConversationSummary(conversation) {
+  return {
+    conversationId: conversation.conversationId,
+    beneficiaryId: conversation.beneficiaryId,
+    representativeId: conversation.representativeId || null,
+    status: conversation.status,
+    channel: conversation.channel,
+    startedAt: conversation.startedAt,
+    lastMessageAt: conversation.lastMessageAt,
+    messageCount: conversation.messageCount || conversation.messages.length,
+    agentAssigned: conversation.agentAssigned,
+    detectedIntents: conversation.contextPackage?.detectedIntents || []
+  };
+}
+
+/**
+ * Whether a beneficiary session may read a conversation
+ * Beneficiaries see all of their conversations; representatives only the
+ * ones they took part in
+ *
+ * @param {Object} claims - Verified beneficiary session claims
+ * @param {Object} conversation - Conversation document
+ * @param {Array<string>} beneficiaryIds - The session beneficiary's identifiers
+ */
+function isConversationParticipant(claims, conversation, beneficiaryIds) {
+  if (!beneficiaryIds.includes(conversation.beneficiaryId)) {
+    return false;
+  }
+
+  return claims.role !== 'representative' || conversation.representativeId === claims.representativeId;
+}
+
+/**
+ * Log a support agent reading conversation history
+ */
+async function logConversationAccess(agentId, action, details, context = {}) {
+  try {
+    await writeAuditEntry('conversationAccess', {
+      action,
+      actor: agentId,
+      outcome: OUTCOMES.SUCCESS,
+      ...details
+    }, context);
+  } catch (error) {
+    console.error('Error logging conversation access:', error);
+  }
+}
+
+module.exports = {
+  CONVERSATION_STATUS,
+  getConversationId,
+  validateConversationId,
+  recordConversationTurn,
+  assignConversationAgent,
+  getConversation,
+  listConversations,
+  toConversationSummary,
+  isConversationParticipant,
+  logConversationAccess
+};
@@ -0,0 +1,68 @@
+/**
+ * PHI Redaction for Stored Conversation Text
+ *
+ * Conversation history is kept for agents and analytics, not as a record of
+ * who said what about their health, so direct identifiers are replaced with
+ * placeholders before anything is written:
+ * - Medicare IDs (MBI and legacy XXX-XX-XXXX)
+ * - Dates (dates of birth and service dates)
+ * - One-time passcodes, email addresses and phone numbers
+ * - The beneficiary's own names, when known from the session
+ *
+ * Claim numbers and NPIs are kept: agents need them to pick up a handoff and
+ * they do not identify the beneficiary on their own.
+ */
+
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec';
+
+// Applied in order; earlier patterns win where they overlap
+const REDACTIONS = [
+  {
+    placeholder: '[MEDICARE_ID]',
+    pattern: /\b[1-9][AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d-?[AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d-?[AC-HJKMNP-RT-Y]{2}\d{2}\b/gi
+  },
+  { placeholder: '[MEDICARE_ID]', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { placeholder: '[EMAIL]', pattern: /\b[\w.+-]+@[\w-]+(\.[\w-]+)+\b/g },
+  { placeholder: '[DATE]', pattern: /\b\d{1,2}[/-]\d{1,2}[/-]\d{2,4}\b/g },
+  { placeholder: '[DATE]', pattern: /\b\d{4}-\d{1,2}-\d{1,2}\b/g },
+  { placeholder: '[DATE]', pattern: new RegExp(`\\b(${MONTHS})\\.? \\d{1,2}(st|nd|rd|th)?,? \\d{4}\\b`, 'gi') },
+  { placeholder: '[PHONE]', pattern: /(\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g },
+  { placeholder: '[PASSCODE]', pattern: /\b\d{6}\b/g }
+];
+
+/**
+ * Escape text for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+/**
+ * Redact PHI from a message
+ *
+ * @param {string} text - Message text
+ * @param {Array<string>} names - Names to remove (the beneficiary's first and last name)
+ * @returns {string} Text with identifiers replaced by placeholders
+ */
+function redactText(text, names = []) {
+  if (typeof text !== 'string' || !text) {
+    return '';
+  }
+
+  let redacted = REDACTIONS.reduce(
+    (current, { placeholder, pattern }) => current.replace(pattern, placeholder),
+    text
+  );
+
+  names
+    .filter(name => typeof name === 'string' && name.trim().length > 1)
+    .forEach(name => {
+      redacted = redacted.replace(new RegExp(`\\b${escapeRegExp(name.trim())}\\b`, 'gi'), '[NAME]');
+    });
+
+  return redacted;
+}
+
+module.exports = {
+  redactText
+};
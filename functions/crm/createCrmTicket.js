@@ -5,6 +5,8 @@
  */
 
 const admin = require('firebase-admin');
+const { validateNpi } = require('../auth/npi');
+const { writeAuditEntry, OUTCOMES } = require('../audit/auditLog');
 
 /**
  * Create a new support ticket in the CRM system (Firestore)
@@ -12,9 +14,11 @@ const admin = require('firebase-admin');
  * @param {string} issueSummary - Brief description of the issue
  * @param {string} status - Ticket status (default: 'Open')
  * @param {Object} additionalData - Optional additional ticket data
+ * @param {Object} actor - Staff member creating the ticket ({ userId, role, name })
+ * @param {Object} context - Request context ({ ipAddress, userAgent, correlationId })
  * @returns {Object} Created ticket details or error
  */
-async function createCrmTicket(npiNumber, issueSummary, status = 'Open', additionalData = {}) {
+async function createCrmTicket(npiNumber, issueSummary, status = 'Open', additionalData = {}, actor = null, context = {}) {
   const startTime = Date.now();
   
   try {
@@ -32,6 +36,9 @@ async function createCrmTicket(npiNumber, issueSummary, status = 'Open', additio
     if (cleanNpi.length !== 10) {
       return createErrorResponse('Invalid NPI format. Must be 10 digits.', 400);
     }
+    if (!validateNpi(cleanNpi)) {
+      return createErrorResponse('Invalid NPI check digit', 400);
+    }
 
     // Validate status
     const validStatuses = ['Open', 'In Progress', 'Resolved', 'Closed'];
@@ -70,10 +77,12 @@ async function createCrmTicket(npiNumber, issueSummary, status = 'Open', additio
       resolution: null,
       source: additionalData.source || 'Phone Call',
       metadata: {
-        createdBy: 'system',
+        ...additionalData.metadata,
+        createdBy: actor ? actor.userId : 'system',
+        createdByRole: actor ? actor.role : null,
+        createdByName: actor ? actor.name : null,
         providerSpecialty: providerInfo.specialty,
-        providerContact: providerInfo.phone,
-        ...additionalData.metadata
+        providerContact: providerInfo.phone
       }
     };
 
@@ -90,7 +99,7 @@ async function createCrmTicket(npiNumber, issueSummary, status = 'Open', additio
     }
 
     // Log ticket creation for audit trail
-    await logTicketCreation(ticketId, cleanNpi);
+    await logTicketCreation(ticketId, cleanNpi, ticketData.metadata.createdBy, context);
 
     // Send notifications (simulated)
     await sendTicketNotifications(ticketData);
@@ -109,6 +118,8 @@ async function createCrmTicket(npiNumber, issueSummary, status = 'Open', additio
         priority: ticketData.priority,
         status: ticketData.status,
         assignedAgent: ticketData.assignedAgent,
+        createdBy: ticketData.metadata.createdBy,
+        createdByName: ticketData.metadata.createdByName,
         createdDate: new Date().toISOString()
       },
       metadata: {
@@ -228,17 +239,16 @@ async function autoAssignAgent(category) {
 /**
  * Log ticket creation for audit trail
  */
-async function logTicketCreation(ticketId, npiNumber) {
-  const db = admin.firestore();
-  
+async function logTicketCreation(ticketId, npiNumber, performedBy = 'system', context = {}) {
   try {
-    await db.collection('ticketAuditLog').add({
+    await writeAuditEntry('tickets', {
+      action: 'created',
+      actor: performedBy,
+      outcome: OUTCOMES.SUCCESS,
       ticketId,
       npiNumber,
-      action: 'created',
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      performedBy: 'system'
-    });
+      performedBy
+    }, context);
   } catch (error) {
     console.error('Error logging ticket creation:', error);
   }
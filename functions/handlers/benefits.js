@@ -4,87 +4,94 @@
  * This module handles benefit inquiries with:
  * - Benefit type validation
  * - Firestore query for benefit information
- * - Detailed, human-readable responses
+ * - Detailed, human-readable responses in the caller's language
  * - Coverage details and cost-sharing information
  */
 
 const admin = require('firebase-admin');
+const { infoElement, descriptionElement, accordionElement } = require('../webhooks/richContent');
+const { findClosestMatches } = require('./closestMatches');
+const { DEFAULT_LOCALE, t } = require('../i18n/messages');
+
+const DEFAULT_BENEFIT_SUGGESTIONS = ['Part A', 'Part B', 'Part D'];
 
 /**
  * Format benefit information for user-friendly display
+ *
+ * @param {Object} benefit - Benefit document
+ * @param {string} locale - Language for labels (benefit content is shown as stored)
+ * @returns {Object} { text, richContent } - plain-text fallback and a benefit card
+ *   with one accordion per coverage area
  */
-function formatBenefitResponse(benefit) {
-  let response = `**${benefit.displayName}**\n\n`;
-  response += `${benefit.description}\n\n`;
+function formatBenefitResponse(benefit, locale = DEFAULT_LOCALE) {
+  let text = `**${benefit.displayName}**\n\n`;
+  text += `${benefit.description}\n\n`;
+  
+  const richContent = [infoElement(benefit.displayName, benefit.description)];
   
   // Coverage details
   if (benefit.coverage) {
-    response += `**Coverage Details:**\n\n`;
+    text += `**${t(locale, 'benefits.coverageDetails')}:**\n\n`;
     
     for (const [key, value] of Object.entries(benefit.coverage)) {
       if (typeof value === 'object' && value.description) {
-        response += `• **${formatKey(key)}:** ${value.description}\n`;
+        const costSharing = value.costSharing ? formatCostSharing(value.costSharing, locale) : [];
         
-        // Cost sharing information
-        if (value.costSharing) {
-          formatCostSharing(value.costSharing, response);
-        }
+        text += `• **${formatKey(key)}:** ${value.description}\n`;
+        text += costSharing.map(line => `  - ${line}\n`).join('');
+        text += '\n';
         
-        response += '\n';
+        richContent.push(accordionElement(
+          formatKey(key),
+          [value.description, ...costSharing].join('\n')
+        ));
       }
     }
   }
   
-  // Eligibility
-  if (benefit.eligibility) {
-    response += `**Eligibility:** ${benefit.eligibility}\n\n`;
-  }
+  // Eligibility, premium, late enrollment penalty, enrollment and recommendation
+  const notes = [
+    [t(locale, 'benefits.eligibility'), benefit.eligibility],
+    [t(locale, 'benefits.premium'), benefit.premium],
+    [t(locale, 'benefits.important'), benefit.lateEnrollmentPenalty],
+    [t(locale, 'benefits.enrollment'), benefit.enrollment],
+    [t(locale, 'benefits.recommendation'), benefit.recommendation]
+  ].filter(([, value]) => value);
   
-  // Premium information
-  if (benefit.premium) {
-    response += `**Premium:** ${benefit.premium}\n\n`;
-  }
+  notes.forEach(([label, value], index) => {
+    text += `**${label}:** ${value}\n${index < notes.length - 1 ? '\n' : ''}`;
+    richContent.push(descriptionElement(label, [value]));
+  });
   
-  // Late enrollment penalty
-  if (benefit.lateEnrollmentPenalty) {
-    response += `**Important:** ${benefit.lateEnrollmentPenalty}\n\n`;
-  }
-  
-  // Enrollment information
-  if (benefit.enrollment) {
-    response += `**Enrollment:** ${benefit.enrollment}\n\n`;
-  }
-  
-  // Recommendation
-  if (benefit.recommendation) {
-    response += `**💡 Recommendation:** ${benefit.recommendation}\n`;
-  }
-  
-  return response;
+  return { text, richContent };
 }
 
 /**
  * Format cost sharing information
+ *
+ * @returns {Array<string>} One line per cost
  */
-function formatCostSharing(costSharing, response) {
+function formatCostSharing(costSharing, locale = DEFAULT_LOCALE) {
+  const lines = [];
+  
   if (costSharing.deductible) {
-    response += `  - Deductible: ${costSharing.deductible}\n`;
+    lines.push(t(locale, 'benefits.deductible', { value: costSharing.deductible }));
   }
   if (costSharing.coinsurance) {
     if (Array.isArray(costSharing.coinsurance)) {
-      costSharing.coinsurance.forEach(item => {
-        response += `  - ${item}\n`;
-      });
+      lines.push(...costSharing.coinsurance);
     } else {
-      response += `  - Coinsurance: ${costSharing.coinsurance}\n`;
+      lines.push(t(locale, 'benefits.coinsurance', { value: costSharing.coinsurance }));
     }
   }
   if (costSharing.copayment) {
-    response += `  - Copayment: ${costSharing.copayment}\n`;
+    lines.push(t(locale, 'benefits.copayment', { value: costSharing.copayment }));
   }
   if (costSharing.cost) {
-    response += `  - Cost: ${costSharing.cost}\n`;
+    lines.push(t(locale, 'benefits.cost', { value: costSharing.cost }));
   }
+  
+  return lines;
 }
 
 /**
@@ -97,6 +104,69 @@ function formatKey(key) {
     .trim();
 }
 
+// Map common variations to standard benefit types
+const BENEFIT_ALIASES = {
+  'part a': 'Part A',
+  'parta': 'Part A',
+  'part-a': 'Part A',
+  'hospital': 'Part A',
+  'hospital insurance': 'Part A',
+  
+  'part b': 'Part B',
+  'partb': 'Part B',
+  'part-b': 'Part B',
+  'medical': 'Part B',
+  'medical insurance': 'Part B',
+  
+  'part c': 'Part C',
+  'partc': 'Part C',
+  'part-c': 'Part C',
+  'advantage': 'Part C',
+  'medicare advantage': 'Part C',
+  'ma': 'Part C',
+  
+  'part d': 'Part D',
+  'partd': 'Part D',
+  'part-d': 'Part D',
+  'drug': 'Part D',
+  'prescription': 'Part D',
+  'prescription drug': 'Part D',
+  
+  'dental': 'dental',
+  'teeth': 'dental',
+  'dentist': 'dental',
+  
+  'vision': 'vision',
+  'eye': 'vision',
+  'eyes': 'vision',
+  'glasses': 'vision',
+  'eyeglasses': 'vision',
+  
+  'hearing': 'hearing',
+  'hearing aid': 'hearing',
+  'hearing aids': 'hearing',
+  
+  // Spanish
+  'parte a': 'Part A',
+  'hospitalización': 'Part A',
+  'parte b': 'Part B',
+  'seguro médico': 'Part B',
+  'parte c': 'Part C',
+  'parte d': 'Part D',
+  'medicamentos': 'Part D',
+  'medicamentos recetados': 'Part D',
+  'recetas': 'Part D',
+  'dientes': 'dental',
+  'dentista': 'dental',
+  'visión': 'vision',
+  'ojos': 'vision',
+  'anteojos': 'vision',
+  'lentes': 'vision',
+  'audición': 'hearing',
+  'audifonos': 'hearing',
+  'audífonos': 'hearing'
+};
+
 /**
  * Normalize benefit type input
  */
@@ -107,50 +177,22 @@ function normalizeBenefitType(benefitType) {
   
   const normalized = benefitType.toLowerCase().trim();
   
-  // Map common variations to standard benefit types
-  const benefitMap = {
-    'part a': 'Part A',
-    'parta': 'Part A',
-    'part-a': 'Part A',
-    'hospital': 'Part A',
-    'hospital insurance': 'Part A',
-    
-    'part b': 'Part B',
-    'partb': 'Part B',
-    'part-b': 'Part B',
-    'medical': 'Part B',
-    'medical insurance': 'Part B',
-    
-    'part c': 'Part C',
-    'partc': 'Part C',
-    'part-c': 'Part C',
-    'advantage': 'Part C',
-    'medicare advantage': 'Part C',
-    'ma': 'Part C',
-    
-    'part d': 'Part D',
-    'partd': 'Part D',
-    'part-d': 'Part D',
-    'drug': 'Part D',
-    'prescription': 'Part D',
-    'prescription drug': 'Part D',
-    
-    'dental': 'dental',
-    'teeth': 'dental',
-    'dentist': 'dental',
-    
-    'vision': 'vision',
-    'eye': 'vision',
-    'eyes': 'vision',
-    'glasses': 'vision',
-    'eyeglasses': 'vision',
-    
-    'hearing': 'hearing',
-    'hearing aid': 'hearing',
-    'hearing aids': 'hearing'
-  };
+  return BENEFIT_ALIASES[normalized] || benefitType;
+}
+
+/**
+ * Suggest benefit types for a missing or unrecognized one
+ *
+ * @param {string} input - What the user typed (may be empty)
+ * @param {Array<string>} coverageTypes - The beneficiary's coverage, offered when nothing is close
+ * @returns {Array<string>} Up to three benefit types
+ */
+function suggestBenefitTypes(input, coverageTypes = []) {
+  const closest = findClosestMatches(input, Object.keys(BENEFIT_ALIASES), 6)
+    .map(alias => BENEFIT_ALIASES[alias]);
+  const fallback = coverageTypes.length > 0 ? coverageTypes : DEFAULT_BENEFIT_SUGGESTIONS;
   
-  return benefitMap[normalized] || benefitType;
+  return [...new Set(closest.length > 0 ? closest : fallback)].slice(0, 3);
 }
 
 /**
@@ -158,15 +200,17 @@ function normalizeBenefitType(benefitType) {
  * 
  * @param {string} benefitType - Type of benefit to look up
  * @param {Object} sessionInfo - Session information (optional)
+ * @param {string} locale - Response language
  * @returns {Promise<Object>} Benefit information response
  */
-async function handleAskAboutBenefits(benefitType, sessionInfo = {}) {
+async function handleAskAboutBenefits(benefitType, sessionInfo = {}, locale = DEFAULT_LOCALE) {
   try {
     // Validate input
     if (!benefitType) {
       return {
         success: false,
-        message: 'Please specify which benefit you would like to learn about. For example: Part A, Part B, Part D, dental, or vision.'
+        error: 'MISSING_BENEFIT_TYPE',
+        message: t(locale, 'benefits.missingType')
       };
     }
     
@@ -176,7 +220,8 @@ async function handleAskAboutBenefits(benefitType, sessionInfo = {}) {
     if (!normalizedType) {
       return {
         success: false,
-        message: 'I didn\'t understand that benefit type. Please try: Part A, Part B, Part C, Part D, dental, vision, or hearing.'
+        error: 'INVALID_BENEFIT_TYPE',
+        message: t(locale, 'benefits.invalidType')
       };
     }
     
@@ -191,34 +236,42 @@ async function handleAskAboutBenefits(benefitType, sessionInfo = {}) {
     if (snapshot.empty) {
       return {
         success: false,
-        message: `I couldn't find information about "${benefitType}". Please try: Part A, Part B, Part C, Part D, dental, vision, or hearing.`
+        error: 'BENEFIT_NOT_FOUND',
+        message: t(locale, 'benefits.notFound', { benefitType })
       };
     }
     
     const benefitDoc = snapshot.docs[0];
     const benefit = benefitDoc.data();
     
+    // Format benefit information
+    const formattedResponse = formatBenefitResponse(benefit, locale);
+    
     // If user is authenticated, personalize response based on their coverage
     let personalNote = '';
     if (sessionInfo.coverageType && Array.isArray(sessionInfo.coverageType)) {
+      let noteElement;
       if (sessionInfo.coverageType.includes(normalizedType)) {
-        personalNote = `\n**✓ You have ${normalizedType} coverage.**\n\n`;
+        const covered = t(locale, 'benefits.youHaveCoverage', { benefitType: normalizedType });
+        personalNote = `\n**${covered}**\n\n`;
+        noteElement = descriptionElement(covered);
       } else {
-        personalNote = `\n**Note:** You don't currently have ${normalizedType} coverage. `;
-        if (normalizedType === 'Part C' || normalizedType === 'Part D') {
-          personalNote += 'You may be able to enroll during the Annual Enrollment Period.\n\n';
-        } else {
-          personalNote += 'Contact us to learn about adding this coverage.\n\n';
-        }
+        const hint = normalizedType === 'Part C' || normalizedType === 'Part D'
+          ? t(locale, 'benefits.enrollmentPeriodHint')
+          : t(locale, 'benefits.addCoverageHint');
+        const note = t(locale, 'benefits.noCoverage', { benefitType: normalizedType, hint });
+        personalNote = `\n**${t(locale, 'benefits.note')}:** ${note}\n\n`;
+        noteElement = descriptionElement(t(locale, 'benefits.note'), [note]);
       }
+      
+      // Shown right under the card header
+      formattedResponse.richContent.splice(1, 0, noteElement);
     }
     
-    // Format and return benefit information
-    const formattedResponse = personalNote + formatBenefitResponse(benefit);
-    
     return {
       success: true,
-      message: formattedResponse,
+      message: personalNote + formattedResponse.text,
+      richContent: [formattedResponse.richContent],
       benefitType: normalizedType
     };
     
@@ -226,7 +279,7 @@ async function handleAskAboutBenefits(benefitType, sessionInfo = {}) {
     console.error('Error retrieving benefit information:', error.message);
     return {
       success: false,
-      message: 'An error occurred while retrieving benefit information. Please try again or contact our support team.'
+      message: t(locale, 'benefits.lookupError')
     };
   }
 }
@@ -235,28 +288,33 @@ async function handleAskAboutBenefits(benefitType, sessionInfo = {}) {
  * Get coverage summary for a beneficiary
  * 
  * @param {Array} coverageTypes - Array of coverage types
+ * @param {string} locale - Response language
  * @returns {Promise<Object>} Coverage summary response
  */
-async function getCoverageSummary(coverageTypes) {
+async function getCoverageSummary(coverageTypes, locale = DEFAULT_LOCALE) {
   try {
     if (!coverageTypes || !Array.isArray(coverageTypes) || coverageTypes.length === 0) {
       return {
         success: false,
-        message: 'No coverage information available.'
+        message: t(locale, 'benefits.noCoverageInformation')
       };
     }
     
-    let response = '**Your Coverage Summary:**\n\n';
+    let response = `**${t(locale, 'benefits.summaryTitle')}:**\n\n`;
     
     coverageTypes.forEach(type => {
       response += `✓ ${type}\n`;
     });
     
-    response += '\nTo learn more about any specific coverage type, just ask! For example: "Tell me about Part A" or "What does my dental coverage include?"';
+    response += `\n${t(locale, 'benefits.summaryOutro')}`;
     
     return {
       success: true,
       message: response,
+      richContent: [[
+        infoElement(t(locale, 'benefits.summaryTitle')),
+        descriptionElement(t(locale, 'benefits.covered'), coverageTypes.map(type => `✓ ${type}`))
+      ]],
       coverageTypes: coverageTypes
     };
     
@@ -264,14 +322,16 @@ async function getCoverageSummary(coverageTypes) {
     console.error('Error generating coverage summary:', error.message);
     return {
       success: false,
-      message: 'An error occurred while retrieving your coverage summary.'
+      message: t(locale, 'benefits.summaryError')
     };
   }
 }
 
 module.exports = {
+  BENEFIT_ALIASES,
   handleAskAboutBenefits,
   getCoverageSummary,
   normalizeBenefitType,
+  suggestBenefitTypes,
   formatBenefitResponse
 };
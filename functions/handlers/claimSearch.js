@@ -0,0 +1,434 @@
+/**
+ * Claim Search Handler for CMS Beneficiary Self-Service
+ *
+ * This module searches the signed-in beneficiary's claims with:
+ * - Filters for status, service-date range, provider (name or NPI) and service type
+ * - Sorting by any of those fields
+ * - Cursor pagination (the page token is the last claim ID of the previous page)
+ * - Results formatted like a claim status lookup, in the caller's language
+ *
+ * Firestore applies every filter, the sort and the cursor, so a search reads
+ * one page of claims plus counts. Provider names and service types match
+ * whole words ("springfield" finds Springfield General Hospital) through the
+ * searchTerms array the onClaimWrite trigger keeps on each claim. Claims
+ * written before the trigger was deployed get theirs from
+ * backfillClaimSearchTerms() (npm run backfill-claim-search-terms).
+ */
+
+const admin = require('firebase-admin');
+const { resolveBeneficiaryIdentifiers } = require('../auth/medicareId');
+const { authorizeAccess, PERMISSIONS } = require('../auth/delegation');
+const { formatClaimResponse, validateClaimNumber } = require('./claimStatus');
+const { DEFAULT_LOCALE, t } = require('../i18n/messages');
+
+const CLAIM_STATUSES = ['Approved', 'Pending', 'Denied'];
+
+// Claim field for each sortBy value
+const SORT_FIELDS = {
+  serviceDate: 'serviceDate',
+  status: 'status',
+  provider: 'provider.name',
+  serviceType: 'serviceType'
+};
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_FILTER_LENGTH = 100;
+
+// Claims read and updated per batch by the backfill (Firestore allows 500 writes per batch)
+const BACKFILL_BATCH_SIZE = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NPI_PATTERN = /^\d{10}$/;
+
+/**
+ * Validate a YYYY-MM-DD date
+ */
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Lowercase words without accents or punctuation ("X-Ray" -> "x ray")
+ */
+function normalizeSearchText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Every run of consecutive words in a name, so any whole-word phrase matches
+ */
+function getWordRuns(value) {
+  const words = normalizeSearchText(value).split(' ').filter(Boolean);
+  const runs = [];
+  for (let start = 0; start < words.length; start++) {
+    for (let end = start + 1; end <= words.length; end++) {
+      runs.push(words.slice(start, end).join(' '));
+    }
+  }
+  return runs;
+}
+
+/**
+ * Search terms stored on a claim
+ * Firestore allows one array-contains filter per query, so searches on both
+ * provider and service type match a combined term
+ *
+ * @param {Object} claim - Claim document
+ * @returns {Array<string>} Terms such as "provider:springfield" and
+ *   "provider:springfield|service:blood work"
+ */
+function buildClaimSearchTerms(claim) {
+  const providerRuns = getWordRuns(claim.provider?.name);
+  const serviceRuns = getWordRuns(claim.serviceType);
+
+  return [...new Set([
+    ...providerRuns.map(run => `provider:${run}`),
+    ...serviceRuns.map(run => `service:${run}`),
+    ...providerRuns.flatMap(provider => serviceRuns.map(service => `provider:${provider}|service:${service}`))
+  ])];
+}
+
+/**
+ * Whether a claim's stored searchTerms are the ones it should have
+ */
+function hasSearchTerms(claim, searchTerms) {
+  const current = claim.searchTerms || [];
+  return current.length === searchTerms.length && current.every((term, index) => term === searchTerms[index]);
+}
+
+/**
+ * The searchTerms value matching the criteria's provider and service type
+ */
+function getSearchTerm(criteria) {
+  const terms = [];
+  if (criteria.providerName) {
+    terms.push(`provider:${normalizeSearchText(criteria.providerName)}`);
+  }
+  if (criteria.serviceType) {
+    terms.push(`service:${normalizeSearchText(criteria.serviceType)}`);
+  }
+  return terms.length > 0 ? terms.join('|') : null;
+}
+
+/**
+ * Keep a claim's searchTerms in step with its provider and service type
+ * Called from the onClaimWrite trigger; the update is skipped when the terms
+ * are current, so it doesn't retrigger itself
+ *
+ * @param {Object} change - Firestore trigger change (before and after snapshots)
+ * @returns {Promise<boolean>} Whether the claim was updated
+ */
+async function syncClaimSearchTerms(change) {
+  if (!change.after.exists) {
+    return false;
+  }
+
+  const claim = change.after.data();
+  const searchTerms = buildClaimSearchTerms(claim);
+  if (hasSearchTerms(claim, searchTerms)) {
+    return false;
+  }
+
+  await change.after.ref.update({ searchTerms });
+  return true;
+}
+
+/**
+ * Fill in searchTerms on every claim that is missing them or has stale ones
+ * For claims written before the onClaimWrite trigger kept them; safe to run
+ * again, since claims with current terms are left alone
+ *
+ * @param {number} batchSize - Claims read (and at most updated) per batch
+ * @returns {Promise<Object>} { scanned, updated }
+ */
+async function backfillClaimSearchTerms(batchSize = BACKFILL_BATCH_SIZE) {
+  const db = admin.firestore();
+  const ordered = db.collection('claims')
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(batchSize);
+
+  let scanned = 0;
+  let updated = 0;
+  let lastDoc = null;
+
+  do {
+    const snapshot = await (lastDoc ? ordered.startAfter(lastDoc) : ordered).get();
+    const batch = db.batch();
+    let batchUpdates = 0;
+
+    snapshot.docs.forEach(doc => {
+      const searchTerms = buildClaimSearchTerms(doc.data());
+      if (!hasSearchTerms(doc.data(), searchTerms)) {
+        batch.update(doc.ref, { searchTerms });
+        batchUpdates++;
+      }
+    });
+
+    if (batchUpdates > 0) {
+      await batch.commit();
+    }
+
+    scanned += snapshot.size;
+    updated += batchUpdates;
+    lastDoc = snapshot.size === batchSize ? snapshot.docs[snapshot.size - 1] : null;
+  } while (lastDoc);
+
+  return { scanned, updated };
+}
+
+/**
+ * Validate and normalize claim search parameters
+ *
+ * @param {Object} query - status, from, to, provider, providerNpi, serviceType,
+ *   sortBy, sortOrder, limit, pageToken
+ * @returns {Object} { criteria } or { error, message }
+ */
+function parseClaimSearch(query = {}) {
+  let status = null;
+  if (query.status) {
+    status = CLAIM_STATUSES.find(value => value.toLowerCase() === String(query.status).trim().toLowerCase());
+    if (!status) {
+      return { error: 'INVALID_STATUS', message: `status must be one of: ${CLAIM_STATUSES.join(', ')}` };
+    }
+  }
+
+  const from = query.from ? String(query.from).trim() : null;
+  const to = query.to ? String(query.to).trim() : null;
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return { error: 'INVALID_DATE', message: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (from && to && from > to) {
+    return { error: 'INVALID_DATE', message: 'from must be on or before to' };
+  }
+
+  // A provider given as ten digits is an NPI
+  let providerName = query.provider ? String(query.provider).trim() : null;
+  let providerNpi = query.providerNpi ? String(query.providerNpi).trim() : null;
+  if (providerName && NPI_PATTERN.test(providerName) && !providerNpi) {
+    providerNpi = providerName;
+    providerName = null;
+  }
+  if (providerNpi && !NPI_PATTERN.test(providerNpi)) {
+    return { error: 'INVALID_NPI', message: 'providerNpi must be a 10-digit NPI' };
+  }
+
+  const serviceType = query.serviceType ? String(query.serviceType).trim() : null;
+  if ((providerName && providerName.length > MAX_FILTER_LENGTH) || (serviceType && serviceType.length > MAX_FILTER_LENGTH)) {
+    return { error: 'INVALID_FILTER', message: `provider and serviceType must be at most ${MAX_FILTER_LENGTH} characters` };
+  }
+  if ((providerName && !normalizeSearchText(providerName)) || (serviceType && !normalizeSearchText(serviceType))) {
+    return { error: 'INVALID_FILTER', message: 'provider and serviceType must contain letters or digits' };
+  }
+
+  const sortBy = query.sortBy || 'serviceDate';
+  if (!SORT_FIELDS[sortBy]) {
+    return { error: 'INVALID_SORT', message: `sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+
+  // Dates read newest first by default, everything else A to Z
+  const sortOrder = query.sortOrder ? String(query.sortOrder).toLowerCase() : (sortBy === 'serviceDate' ? 'desc' : 'asc');
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return { error: 'INVALID_SORT', message: 'sortOrder must be asc or desc' };
+  }
+
+  const pageToken = query.pageToken ? String(query.pageToken).trim().toUpperCase() : null;
+  if (pageToken && !validateClaimNumber(pageToken)) {
+    return { error: 'INVALID_PAGE_TOKEN', message: 'pageToken is not valid' };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    criteria: {
+      status,
+      from,
+      to,
+      providerName,
+      providerNpi,
+      serviceType,
+      sortBy,
+      sortOrder,
+      limit,
+      pageToken
+    }
+  };
+}
+
+/**
+ * Find the claim a page token points at, if it is one of the beneficiary's
+ */
+async function findCursorClaim(pageToken, beneficiaryIds) {
+  const snapshot = await admin.firestore().collection('claims')
+    .where('claimId', '==', pageToken)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty || !beneficiaryIds.includes(snapshot.docs[0].data().medicareId)) {
+    return null;
+  }
+  return snapshot.docs[0];
+}
+
+/**
+ * Search the beneficiary's claims
+ *
+ * @param {Object} sessionInfo - Verified session claims; representative
+ *   sessions must hold a delegation with claims access
+ * @param {Object} criteria - Result of parseClaimSearch()
+ * @param {Object} requestContext - Request context for the audit log
+ * @param {string} locale - Response language
+ * @returns {Promise<Object>} { success, message, richContent, claims, totalCount, nextPageToken }
+ */
+async function searchClaims(sessionInfo = {}, criteria, requestContext = {}, locale = DEFAULT_LOCALE) {
+  try {
+    if (!sessionInfo.medicareId) {
+      return {
+        success: false,
+        error: 'MISSING_MEDICARE_ID',
+        message: t(locale, 'claims.medicareIdRequired')
+      };
+    }
+
+    // Claims may be filed under either the legacy ID or the MBI
+    const beneficiaryIds = await resolveBeneficiaryIdentifiers(sessionInfo.medicareId);
+    if (beneficiaryIds.length === 0) {
+      return {
+        success: false,
+        error: 'INVALID_MEDICARE_ID',
+        message: t(locale, 'claims.invalidMedicareId')
+      };
+    }
+
+    const access = await authorizeAccess(
+      sessionInfo,
+      PERMISSIONS.CLAIMS_READ,
+      { type: 'claim', id: null },
+      requestContext
+    );
+    if (!access.allowed) {
+      return {
+        success: false,
+        error: 'ACCESS_DENIED',
+        message: t(locale, 'access.claimsDenied')
+      };
+    }
+
+    const db = admin.firestore();
+    let query = db.collection('claims').where('medicareId', 'in', beneficiaryIds);
+
+    if (criteria.status) {
+      query = query.where('status', '==', criteria.status);
+    }
+    if (criteria.providerNpi) {
+      query = query.where('provider.npi', '==', criteria.providerNpi);
+    }
+    if (criteria.from) {
+      query = query.where('serviceDate', '>=', criteria.from);
+    }
+    if (criteria.to) {
+      query = query.where('serviceDate', '<=', criteria.to);
+    }
+    const searchTerm = getSearchTerm(criteria);
+    if (searchTerm) {
+      query = query.where('searchTerms', 'array-contains', searchTerm);
+    }
+
+    // The document ID breaks ties so the cursor never skips or repeats a claim
+    const ordered = query
+      .orderBy(SORT_FIELDS[criteria.sortBy], criteria.sortOrder)
+      .orderBy(admin.firestore.FieldPath.documentId(), criteria.sortOrder);
+
+    let pageQuery = ordered;
+    let start = 0;
+    if (criteria.pageToken) {
+      const cursorDoc = await findCursorClaim(criteria.pageToken, beneficiaryIds);
+      if (!cursorDoc) {
+        return {
+          success: false,
+          error: 'INVALID_PAGE_TOKEN',
+          message: t(locale, 'claims.search.pageExpired')
+        };
+      }
+      pageQuery = ordered.startAfter(cursorDoc);
+      // Claims up to and including the cursor, to number this page's results
+      start = (await ordered.endAt(cursorDoc).count().get()).data().count;
+    }
+
+    // One extra claim tells whether another page follows
+    const [snapshot, countSnapshot] = await Promise.all([
+      pageQuery.limit(criteria.limit + 1).get(),
+      query.count().get()
+    ]);
+    const totalCount = countSnapshot.data().count;
+    const page = snapshot.docs.slice(0, criteria.limit).map(doc => doc.data());
+    const nextPageToken = snapshot.docs.length > criteria.limit ? page[page.length - 1].claimId : null;
+
+    if (page.length === 0) {
+      return {
+        success: true,
+        message: t(locale, 'claims.search.noResults'),
+        richContent: [],
+        claims: [],
+        totalCount,
+        nextPageToken: null
+      };
+    }
+
+    const formatted = page.map(claim => formatClaimResponse(claim, locale));
+
+    let message = `${t(locale, 'claims.search.intro', { total: totalCount, first: start + 1, last: start + page.length })}\n\n`;
+    message += formatted.map(response => response.text).join('\n');
+    if (nextPageToken) {
+      message += `\n${t(locale, 'claims.search.moreHint')}`;
+    }
+
+    return {
+      success: true,
+      message,
+      richContent: formatted.map(response => response.richContent),
+      claims: page.map(claim => ({
+        claimId: claim.claimId,
+        status: claim.status,
+        serviceDate: claim.serviceDate,
+        serviceType: claim.serviceType,
+        description: claim.description,
+        provider: {
+          name: claim.provider?.name,
+          npi: claim.provider?.npi
+        },
+        billedAmount: claim.billedAmount,
+        approvedAmount: claim.approvedAmount,
+        patientResponsibility: claim.patientResponsibility
+      })),
+      totalCount,
+      nextPageToken
+    };
+
+  } catch (error) {
+    console.error('Error searching claims:', error.message);
+    return {
+      success: false,
+      message: t(locale, 'claims.search.error')
+    };
+  }
+}
+
+module.exports = {
+  CLAIM_STATUSES,
+  isValidDate,
+  buildClaimSearchTerms,
+  syncClaimSearchTerms,
+  backfillClaimSearchTerms,
+  parseClaimSearch,
+  searchClaims
+};
@@ -4,69 +4,116 @@
  * This module handles claim status lookups with:
  * - Claim number validation
  * - Firestore query for claim data
- * - Human-readable response formatting
+ * - Human-readable response formatting in the caller's language
  * - Error handling
  */
 
 const admin = require('firebase-admin');
+const { resolveBeneficiaryIdentifiers } = require('../auth/medicareId');
+const { authorizeAccess, PERMISSIONS } = require('../auth/delegation');
+const { infoElement, descriptionElement, listElement } = require('../webhooks/richContent');
+const { getClaimTimeline, formatTimeline } = require('../claims/statusHistory');
+const { findClosestMatches } = require('./closestMatches');
+const { DEFAULT_LOCALE, hasMessage, t, formatDate, formatCurrency } = require('../i18n/messages');
+
+const STATUS_ICONS = {
+  'Approved': '✓',
+  'Pending': '⏳',
+  'Denied': '✗'
+};
+
+/**
+ * Claim status in the response language (unknown statuses as stored)
+ */
+function formatStatus(status, locale) {
+  return hasMessage(locale, `claims.statusNames.${status}`) ? t(locale, `claims.statusNames.${status}`) : status;
+}
 
 /**
  * Format a claim status response for the user
+ *
+ * @param {Object} claim - Claim document
+ * @param {string} locale - Response language
+ * @param {Array<Object>} timeline - Status history to include (optional)
+ * @returns {Object} { text, richContent } - plain-text fallback and a claim card
  */
-function formatClaimResponse(claim) {
-  const statusMessages = {
-    'Approved': '✓ Approved',
-    'Pending': '⏳ Pending',
-    'Denied': '✗ Denied'
-  };
+function formatClaimResponse(claim, locale = DEFAULT_LOCALE, timeline = null) {
+  const statusDisplay = STATUS_ICONS[claim.status]
+    ? `${STATUS_ICONS[claim.status]} ${formatStatus(claim.status, locale)}`
+    : claim.status;
+  const summary = [
+    t(locale, 'claims.statusLine', { status: statusDisplay }),
+    t(locale, 'claims.serviceDate', { date: formatDate(claim.serviceDate, locale) }),
+    t(locale, 'claims.provider', { name: claim.provider.name }),
+    t(locale, 'claims.service', { description: claim.description })
+  ];
   
-  const statusDisplay = statusMessages[claim.status] || claim.status;
-  
-  let response = `**Claim ${claim.claimId}**\n\n`;
-  response += `Status: ${statusDisplay}\n`;
-  response += `Service Date: ${formatDate(claim.serviceDate)}\n`;
-  response += `Provider: ${claim.provider.name}\n`;
-  response += `Service: ${claim.description}\n\n`;
+  // Status-specific details, shown as a bulleted section
+  let detailsTitle = null;
+  const details = [];
   
   if (claim.status === 'Approved') {
-    response += `**Financial Details:**\n`;
-    response += `• Billed Amount: $${claim.billedAmount.toFixed(2)}\n`;
-    response += `• Approved Amount: $${claim.approvedAmount.toFixed(2)}\n`;
-    response += `• Your Responsibility: $${claim.patientResponsibility.toFixed(2)}\n`;
+    detailsTitle = t(locale, 'claims.financialDetails');
+    details.push(t(locale, 'claims.billedAmount', { amount: formatCurrency(claim.billedAmount, locale) }));
+    details.push(t(locale, 'claims.approvedAmount', { amount: formatCurrency(claim.approvedAmount, locale) }));
+    details.push(t(locale, 'claims.yourResponsibility', { amount: formatCurrency(claim.patientResponsibility, locale) }));
     
     if (claim.paymentDate) {
-      response += `• Payment Date: ${formatDate(claim.paymentDate)}\n`;
-      response += `• Payment Amount: $${claim.paymentAmount.toFixed(2)}\n`;
+      details.push(t(locale, 'claims.paymentDate', { date: formatDate(claim.paymentDate, locale) }));
+      details.push(t(locale, 'claims.paymentAmount', { amount: formatCurrency(claim.paymentAmount, locale) }));
     }
   } else if (claim.status === 'Pending') {
-    response += `**Processing Information:**\n`;
-    response += `• Submitted: ${formatDate(claim.submissionDate)}\n`;
+    detailsTitle = t(locale, 'claims.processingInformation');
+    details.push(t(locale, 'claims.submitted', { date: formatDate(claim.submissionDate, locale) }));
     if (claim.notes) {
-      response += `• Notes: ${claim.notes}\n`;
+      details.push(t(locale, 'claims.notes', { notes: claim.notes }));
     }
   } else if (claim.status === 'Denied') {
-    response += `**Denial Information:**\n`;
+    detailsTitle = t(locale, 'claims.denialInformation');
     if (claim.denialReason) {
-      response += `• Reason: ${claim.denialReason}\n`;
+      details.push(t(locale, 'claims.reason', { reason: claim.denialReason }));
     }
     if (claim.appealDeadline) {
-      response += `• Appeal Deadline: ${formatDate(claim.appealDeadline)}\n`;
-      response += `\nYou have the right to appeal this decision. Please contact us for assistance with the appeal process.\n`;
+      details.push(t(locale, 'claims.appealDeadline', { date: formatDate(claim.appealDeadline, locale) }));
     }
   }
   
-  return response;
-}
-
-/**
- * Format date string to readable format
- */
-function formatDate(dateString) {
-  if (!dateString) return 'N/A';
+  const showAppealNotice = claim.status === 'Denied' && Boolean(claim.appealDeadline);
+  const appealNotice = t(locale, 'claims.appealNotice', { claimId: claim.claimId });
+  const title = t(locale, 'claims.title', { claimId: claim.claimId });
+  
+  let text = `**${title}**\n\n`;
+  text += summary.map(line => `${line}\n`).join('') + '\n';
+  
+  if (detailsTitle) {
+    text += `**${detailsTitle}:**\n`;
+    text += details.map(line => `• ${line}\n`).join('');
+  }
+  
+  const timelineLines = timeline && timeline.length > 0 ? formatTimeline(timeline, locale) : [];
+  if (timelineLines.length > 0) {
+    text += `\n**${t(locale, 'claims.timeline.title')}:**\n`;
+    text += timelineLines.map(line => `• ${line}\n`).join('');
+  }
+  if (showAppealNotice) {
+    text += `\n${appealNotice}\n`;
+  }
+  
+  const richContent = [
+    infoElement(title, statusDisplay),
+    descriptionElement(claim.description, summary.slice(1, 3))
+  ];
+  if (detailsTitle) {
+    richContent.push(descriptionElement(detailsTitle, details));
+  }
+  if (timelineLines.length > 0) {
+    richContent.push(descriptionElement(t(locale, 'claims.timeline.title'), timelineLines));
+  }
+  if (showAppealNotice) {
+    richContent.push(descriptionElement(t(locale, 'claims.appealRights'), [appealNotice]));
+  }
   
-  const date = new Date(dateString);
-  const options = { year: 'numeric', month: 'long', day: 'numeric' };
-  return date.toLocaleDateString('en-US', options);
+  return { text, richContent };
 }
 
 /**
@@ -82,20 +129,49 @@ function validateClaimNumber(claimNumber) {
   return claimPattern.test(claimNumber.trim());
 }
 
+/**
+ * Suggest claim numbers for a missing or mistyped one
+ * A number with a recognizable year and sequence ("clm 2024 7") is rewritten
+ * in CLM-YYYY-NNN form; the beneficiary's own claims follow, closest first
+ *
+ * @param {string} input - What the user typed (may be empty)
+ * @param {Array<string>} recentClaimIds - The beneficiary's recent claim IDs
+ * @returns {Array<string>} Up to three suggestions
+ */
+function suggestClaimNumbers(input, recentClaimIds = []) {
+  const suggestions = [];
+  const parts = typeof input === 'string' ? input.match(/(\d{4})\D*(\d{1,3})\s*$/) : null;
+  
+  if (parts) {
+    suggestions.push(`CLM-${parts[1]}-${parts[2].padStart(3, '0')}`);
+  }
+  
+  const closest = findClosestMatches(input, recentClaimIds);
+  suggestions.push(...closest, ...recentClaimIds);
+  
+  return [...new Set(suggestions)]
+    .filter(claimId => !input || claimId !== input.trim().toUpperCase())
+    .slice(0, 3);
+}
+
 /**
  * Handle claim status check request
  * 
  * @param {string} claimNumber - Claim number to look up
- * @param {Object} sessionInfo - Session information (optional)
+ * @param {Object} sessionInfo - Verified session claims (optional); representative
+ *   sessions must hold a delegation with claims access
+ * @param {Object} requestContext - Request context for the audit log
+ * @param {string} locale - Response language
  * @returns {Promise<Object>} Claim status response
  */
-async function handleCheckClaimStatus(claimNumber, sessionInfo = {}) {
+async function handleCheckClaimStatus(claimNumber, sessionInfo = {}, requestContext = {}, locale = DEFAULT_LOCALE) {
   try {
     // Validate claim number
     if (!claimNumber) {
       return {
         success: false,
-        message: 'Please provide a claim number to check its status.'
+        error: 'MISSING_CLAIM_NUMBER',
+        message: t(locale, 'claims.missingNumber')
       };
     }
     
@@ -104,7 +180,8 @@ async function handleCheckClaimStatus(claimNumber, sessionInfo = {}) {
     if (!validateClaimNumber(claimNumber)) {
       return {
         success: false,
-        message: 'Invalid claim number format. Please use format: CLM-YYYY-NNN (e.g., CLM-2024-001)'
+        error: 'INVALID_CLAIM_NUMBER',
+        message: t(locale, 'claims.invalidNumber')
       };
     }
     
@@ -119,7 +196,8 @@ async function handleCheckClaimStatus(claimNumber, sessionInfo = {}) {
     if (snapshot.empty) {
       return {
         success: false,
-        message: `I couldn't find a claim with number ${claimNumber}. Please verify the claim number and try again. If you continue to have issues, please contact our support team.`
+        error: 'CLAIM_NOT_FOUND',
+        message: t(locale, 'claims.notFound', { claimNumber })
       };
     }
     
@@ -127,32 +205,55 @@ async function handleCheckClaimStatus(claimNumber, sessionInfo = {}) {
     const claim = claimDoc.data();
     
     // If user is authenticated, verify the claim belongs to them
-    if (sessionInfo.medicareId && claim.medicareId !== sessionInfo.medicareId) {
-      return {
-        success: false,
-        message: 'This claim does not belong to your account. Please verify the claim number.'
-      };
+    // (claims may be filed under either the legacy ID or the MBI)
+    if (sessionInfo.medicareId) {
+      const ownedIds = await resolveBeneficiaryIdentifiers(sessionInfo.medicareId);
+      if (!ownedIds.includes(claim.medicareId)) {
+        return {
+          success: false,
+          error: 'CLAIM_NOT_OWNED',
+          message: t(locale, 'claims.notOwned')
+        };
+      }
+      
+      const access = await authorizeAccess(
+        sessionInfo,
+        PERMISSIONS.CLAIMS_READ,
+        { type: 'claim', id: claim.claimId },
+        requestContext
+      );
+      if (!access.allowed) {
+        return {
+          success: false,
+          error: 'ACCESS_DENIED',
+          message: t(locale, 'access.claimsDenied')
+        };
+      }
     }
     
-    // Format and return claim information
-    const formattedResponse = formatClaimResponse(claim);
+    // Format and return claim information, with how the claim progressed
+    const timeline = await getClaimTimeline(claimDoc.ref, claim);
+    const formattedResponse = formatClaimResponse(claim, locale, timeline);
     
     return {
       success: true,
-      message: formattedResponse,
+      message: formattedResponse.text,
+      richContent: [formattedResponse.richContent],
       claim: {
         claimId: claim.claimId,
         status: claim.status,
         serviceDate: claim.serviceDate,
-        provider: claim.provider.name
-      }
+        provider: claim.provider.name,
+        appealDeadline: claim.appealDeadline || null
+      },
+      timeline
     };
     
   } catch (error) {
     console.error('Error checking claim status:', error.message);
     return {
       success: false,
-      message: 'An error occurred while checking the claim status. Please try again or contact our support team for assistance.'
+      message: t(locale, 'claims.lookupError')
     };
   }
 }
@@ -160,23 +261,33 @@ async function handleCheckClaimStatus(claimNumber, sessionInfo = {}) {
 /**
  * Get recent claims for a beneficiary
  * 
- * @param {string} medicareId - Medicare ID
+ * @param {string} medicareId - MBI or legacy Medicare ID
  * @param {number} limit - Number of claims to retrieve
+ * @param {string} locale - Response language
  * @returns {Promise<Object>} Recent claims response
  */
-async function getRecentClaims(medicareId, limit = 5) {
+async function getRecentClaims(medicareId, limit = 5, locale = DEFAULT_LOCALE) {
   try {
     if (!medicareId) {
       return {
         success: false,
-        message: 'Medicare ID is required to retrieve claims.'
+        message: t(locale, 'claims.medicareIdRequired')
+      };
+    }
+    
+    // Claims may be filed under either the legacy ID or the MBI
+    const beneficiaryIds = await resolveBeneficiaryIdentifiers(medicareId);
+    if (beneficiaryIds.length === 0) {
+      return {
+        success: false,
+        message: t(locale, 'claims.invalidMedicareId')
       };
     }
     
     const db = admin.firestore();
     const claimsRef = db.collection('claims');
     const snapshot = await claimsRef
-      .where('medicareId', '==', medicareId)
+      .where('medicareId', 'in', beneficiaryIds)
       .orderBy('serviceDate', 'desc')
       .limit(limit)
       .get();
@@ -184,8 +295,9 @@ async function getRecentClaims(medicareId, limit = 5) {
     if (snapshot.empty) {
       return {
         success: true,
-        message: 'You have no claims on file.',
-        claims: []
+        message: t(locale, 'claims.noClaims'),
+        claims: [],
+        richContent: []
       };
     }
     
@@ -194,20 +306,29 @@ async function getRecentClaims(medicareId, limit = 5) {
       claims.push(doc.data());
     });
     
-    let response = `Here are your ${claims.length} most recent claim(s):\n\n`;
+    let response = `${t(locale, 'claims.recentIntro', { count: claims.length })}\n\n`;
     
     claims.forEach((claim, index) => {
-      response += `${index + 1}. **${claim.claimId}** - ${claim.status}\n`;
-      response += `   Service: ${claim.description}\n`;
-      response += `   Date: ${formatDate(claim.serviceDate)}\n`;
-      response += `   Provider: ${claim.provider.name}\n\n`;
+      response += `${index + 1}. **${claim.claimId}** - ${formatStatus(claim.status, locale)}\n`;
+      response += `   ${t(locale, 'claims.recentService', { description: claim.description })}\n`;
+      response += `   ${t(locale, 'claims.recentDate', { date: formatDate(claim.serviceDate, locale) })}\n`;
+      response += `   ${t(locale, 'claims.recentProvider', { name: claim.provider.name })}\n\n`;
     });
     
-    response += 'To get detailed information about a specific claim, please provide the claim number.';
+    response += t(locale, 'claims.recentOutro');
+    
+    const listCard = [
+      infoElement(t(locale, 'claims.recentTitle')),
+      ...claims.map(claim => listElement(
+        `${claim.claimId} - ${formatStatus(claim.status, locale)}`,
+        `${claim.description} · ${formatDate(claim.serviceDate, locale)}`
+      ))
+    ];
     
     return {
       success: true,
       message: response,
+      richContent: [listCard],
       claims: claims.map(c => ({
         claimId: c.claimId,
         status: c.status,
@@ -219,7 +340,7 @@ async function getRecentClaims(medicareId, limit = 5) {
     console.error('Error retrieving recent claims:', error.message);
     return {
       success: false,
-      message: 'An error occurred while retrieving your claims. Please try again.'
+      message: t(locale, 'claims.listError')
     };
   }
 }
@@ -228,5 +349,7 @@ module.exports = {
   handleCheckClaimStatus,
   getRecentClaims,
   validateClaimNumber,
-  formatClaimResponse
+  suggestClaimNumbers,
+  formatClaimResponse,
+  formatDate
 };
@@ -0,0 +1,64 @@
+/**
+ * Closest Match Suggestions
+ *
+ * Ranks known values (claim IDs, benefit types, specialties) by how close
+ * they are to what the user typed, for "did you mean" prompts.
+ */
+
+const MAX_RELATIVE_DISTANCE = 0.5;
+const MIN_SUBSTRING_LENGTH = 3; // So "ma" does not match every word containing it
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the options closest to the input
+ * Options containing the input (or contained in it) rank first, then by
+ * edit distance relative to length; distant options are dropped
+ *
+ * @param {string} input - What the user typed
+ * @param {Array<string>} options - Known values
+ * @param {number} limit - Maximum number of matches
+ * @returns {Array<string>} Closest options, best first
+ */
+function findClosestMatches(input, options, limit = 3) {
+  const needle = typeof input === 'string' ? input.toLowerCase().trim() : '';
+  if (!needle) {
+    return [];
+  }
+
+  const scored = [...new Set(options)].map(option => {
+    const candidate = option.toLowerCase();
+    const contains = Math.min(needle.length, candidate.length) >= MIN_SUBSTRING_LENGTH &&
+      (candidate.includes(needle) || needle.includes(candidate));
+    const score = contains
+      ? 0
+      : editDistance(needle, candidate) / Math.max(needle.length, candidate.length);
+    return { option, score };
+  });
+
+  return scored
+    .filter(match => match.score <= MAX_RELATIVE_DISTANCE)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map(match => match.option);
+}
+
+module.exports = {
+  findClosestMatches
+};
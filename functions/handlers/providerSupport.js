@@ -0,0 +1,279 @@
+/**
+ * Provider Support Handler for the CMS Provider Virtual Agent
+ *
+ * Backs the provider-side Dialogflow intents (dialogflow/provider-intents.json):
+ * - Claim status for claims billed under the signed-in provider's NPI, with
+ *   denial codes explained from the knowledge base
+ * - Policy questions answered from the knowledge base
+ * - Live agent handoff with a CRM ticket
+ */
+
+const admin = require('firebase-admin');
+const { validateClaimNumber, formatDate } = require('./claimStatus');
+const { searchKnowledgeBase } = require('../agent-assist/generateAgentAssistData');
+const { createCrmTicket } = require('../crm/createCrmTicket');
+const { getStaffActor } = require('../auth/providerUsers');
+const { infoElement, descriptionElement } = require('../webhooks/richContent');
+
+// Claim adjustment reason codes (group code + reason number), e.g. CO-16
+const DENIAL_CODE_PATTERN = /\b(CO|PR|OA|PI|CR)-(\d{1,3})\b/gi;
+
+/**
+ * Find the denial codes mentioned in text
+ *
+ * @param {...string} texts - Text to search (claim fields, the caller's question)
+ * @returns {Array<string>} Unique codes, upper-cased
+ */
+function findDenialCodes(...texts) {
+  const codes = texts
+    .filter(text => typeof text === 'string')
+    .flatMap(text => [...text.matchAll(DENIAL_CODE_PATTERN)].map(match => `${match[1]}-${match[2]}`.toUpperCase()));
+
+  return [...new Set(codes)];
+}
+
+/**
+ * Explain denial codes from the knowledge base
+ * Each code's meaning is read from the article that defines it ("CO-16 (Claim
+ * lacks information)") along with any resolution guidance that mentions it
+ *
+ * @param {Array<string>} codes - Denial codes
+ * @returns {Promise<Array<Object>>} { code, meaning, guidance, articleId, articleTitle }
+ */
+async function explainDenialCodes(codes) {
+  if (codes.length === 0) {
+    return [];
+  }
+
+  const db = admin.firestore();
+  const snapshot = await db.collection('knowledgeBase').get();
+  const articles = snapshot.docs.map(doc => doc.data());
+
+  return codes.map(code => {
+    const definition = new RegExp(`\\b${code} \\(([^)]+)\\)`);
+    const article = articles.find(candidate => definition.test(candidate.content || ''));
+    if (!article) {
+      return { code, meaning: null, guidance: [], articleId: null, articleTitle: null };
+    }
+
+    const sentences = article.content.split(/(?<=\.)\s+/);
+    return {
+      code,
+      meaning: article.content.match(definition)[1],
+      guidance: sentences.filter(sentence => sentence.includes(code) && !definition.test(sentence)),
+      articleId: article.id,
+      articleTitle: article.title
+    };
+  });
+}
+
+/**
+ * Format denial code explanations as text lines
+ */
+function formatDenialExplanations(explanations) {
+  return explanations.map(({ code, meaning, guidance }) => {
+    if (!meaning) {
+      return `${code}: not in our knowledge base. A live agent can explain this code.`;
+    }
+    return [`${code}: ${meaning}.`, ...guidance].join(' ');
+  });
+}
+
+/**
+ * Look up a claim billed under the provider's NPI
+ *
+ * @param {string} claimId - Claim number (CLM-YYYY-NNN)
+ * @param {Object} providerClaims - Verified provider session claims
+ * @returns {Promise<Object>} Claim status, denial explanations or error
+ */
+async function getProviderClaimStatus(claimId, providerClaims) {
+  try {
+    if (!claimId) {
+      return {
+        success: false,
+        error: 'MISSING_CLAIM_NUMBER',
+        message: 'What is the claim number you\'d like me to check? It should be in the format CLM-YYYY-NNN, like CLM-2024-001.'
+      };
+    }
+
+    const claimNumber = claimId.trim().toUpperCase();
+    if (!validateClaimNumber(claimNumber)) {
+      return {
+        success: false,
+        error: 'INVALID_CLAIM_NUMBER',
+        message: 'Invalid claim number format. Please use format: CLM-YYYY-NNN (e.g., CLM-2024-001)'
+      };
+    }
+
+    const db = admin.firestore();
+    const snapshot = await db.collection('claims')
+      .where('claimId', '==', claimNumber)
+      .limit(1)
+      .get();
+
+    // Claims billed by another provider are reported as not found
+    const claim = snapshot.empty ? null : snapshot.docs[0].data();
+    if (!claim || claim.provider?.npi !== providerClaims.npiNumber) {
+      return {
+        success: false,
+        error: 'CLAIM_NOT_FOUND',
+        message: `I wasn't able to find claim ${claimNumber} under your NPI. Please verify the claim number.`
+      };
+    }
+
+    const summary = [
+      `Status: ${claim.status} (as of ${formatDate(claim.statusDate)})`,
+      `Service Date: ${formatDate(claim.serviceDate)}`,
+      `Service: ${claim.serviceType}`,
+      `Billed Amount: $${claim.billedAmount.toFixed(2)}`
+    ];
+    if (claim.status === 'Approved' && claim.paymentDate) {
+      summary.push(`Paid: $${claim.paymentAmount.toFixed(2)} on ${formatDate(claim.paymentDate)}`);
+    }
+    if (claim.notes) {
+      summary.push(`Notes: ${claim.notes}`);
+    }
+
+    let denial = [];
+    if (claim.status === 'Denied') {
+      const explanations = await explainDenialCodes(findDenialCodes(claim.denialCode, claim.denialReason));
+      denial = [
+        `Reason: ${claim.denialReason || 'Not specified'}`,
+        ...formatDenialExplanations(explanations)
+      ];
+      if (claim.appealDeadline) {
+        denial.push(`Appeal Deadline: ${formatDate(claim.appealDeadline)}`);
+      }
+    }
+
+    let text = `**Claim ${claim.claimId}**\n\n${summary.join('\n')}\n`;
+    if (denial.length > 0) {
+      text += `\n**Denial Information:**\n${denial.map(line => `• ${line}`).join('\n')}\n`;
+    }
+
+    const card = [
+      infoElement(`Claim ${claim.claimId}`, claim.status),
+      descriptionElement(claim.serviceType, summary)
+    ];
+    if (denial.length > 0) {
+      card.push(descriptionElement('Denial Information', denial));
+    }
+
+    return {
+      success: true,
+      message: text,
+      richContent: [card],
+      claim: {
+        claimId: claim.claimId,
+        status: claim.status
+      }
+    };
+  } catch (error) {
+    console.error('Error checking provider claim status:', error.message);
+    return {
+      success: false,
+      message: 'An error occurred while checking the claim status. Please try again or ask for a live agent.'
+    };
+  }
+}
+
+/**
+ * Answer a policy question from the knowledge base
+ * Denial codes in the question are explained directly; otherwise the best
+ * matching articles are summarized
+ *
+ * @param {string} policyTopic - Topic Dialogflow matched (@policyTopic)
+ * @param {string} question - What the caller said
+ * @returns {Promise<Object>} Answer or NO_ARTICLES_FOUND
+ */
+async function answerPolicyQuestion(policyTopic, question) {
+  try {
+    const codes = findDenialCodes(question, policyTopic);
+    const explanations = await explainDenialCodes(codes);
+    if (explanations.some(explanation => explanation.meaning)) {
+      const lines = formatDenialExplanations(explanations);
+      return {
+        success: true,
+        message: `**Denial Codes**\n\n${lines.map(line => `• ${line}`).join('\n')}`,
+        richContent: [[infoElement('Denial Codes', codes.join(', ')), descriptionElement('What they mean', lines)]]
+      };
+    }
+
+    const articles = await searchKnowledgeBase(`${policyTopic || ''} ${question || ''}`);
+    if (articles.length === 0) {
+      return {
+        success: false,
+        error: 'NO_ARTICLES_FOUND',
+        message: 'I don\'t have guidance on that topic. Would you like me to connect you with a live agent?'
+      };
+    }
+
+    const text = articles
+      .map(article => `**${article.title}** (${article.id})\n${article.summary}`)
+      .join('\n\n');
+
+    return {
+      success: true,
+      message: `Here is what our policy guidance says:\n\n${text}`,
+      richContent: articles.map(article => [
+        infoElement(article.title, `${article.category} · ${article.id}`),
+        descriptionElement('Summary', [article.summary])
+      ]),
+      articles: articles.map(article => article.id)
+    };
+  } catch (error) {
+    console.error('Error answering policy question:', error.message);
+    return {
+      success: false,
+      message: 'An error occurred while looking up that policy. Please try again or ask for a live agent.'
+    };
+  }
+}
+
+/**
+ * Open a CRM ticket for a live agent handoff
+ * The ticket records the transfer for the receiving agent, so it is opened
+ * for any signed-in staff role
+ *
+ * @param {Object} providerClaims - Verified provider session claims
+ * @param {Object} conversation - { claimId, policyTopic, reason } from session parameters
+ * @param {Object} context - Request context for audit logs
+ * @returns {Promise<Object>} createCrmTicket result
+ */
+async function requestProviderHandoff(providerClaims, conversation = {}, context = {}) {
+  const topics = [];
+  if (conversation.claimId) {
+    topics.push(`claim ${conversation.claimId}`);
+  }
+  if (conversation.policyTopic) {
+    topics.push(`${conversation.policyTopic} policy`);
+  }
+
+  const summary = topics.length > 0
+    ? `Live agent requested from virtual agent about ${topics.join(' and ')}`
+    : 'Live agent requested from virtual agent';
+
+  return createCrmTicket(
+    providerClaims.npiNumber,
+    summary,
+    'Open',
+    {
+      source: 'Virtual Agent',
+      metadata: {
+        claimId: conversation.claimId || null,
+        policyTopic: conversation.policyTopic || null,
+        escalationReason: conversation.reason || 'CALLER_REQUESTED'
+      }
+    },
+    getStaffActor(providerClaims),
+    context
+  );
+}
+
+module.exports = {
+  findDenialCodes,
+  explainDenialCodes,
+  getProviderClaimStatus,
+  answerPolicyQuestion,
+  requestProviderHandoff
+};
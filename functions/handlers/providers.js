@@ -4,39 +4,149 @@
  * This module handles provider searches with:
  * - Specialty validation and normalization
  * - Firestore query for provider data
- * - Formatted provider listings
+ * - Formatted provider listings in the caller's language
  * - Filtering by availability and location
  */
 
 const admin = require('firebase-admin');
+const { infoElement, descriptionElement } = require('../webhooks/richContent');
+const { findClosestMatches } = require('./closestMatches');
+const { DEFAULT_LOCALE, hasMessage, t } = require('../i18n/messages');
+
+/**
+ * A specialty's name in the caller's language
+ * Catalogs without a name for it (including English) show it as stored
+ */
+function formatSpecialtyName(specialty, locale = DEFAULT_LOCALE) {
+  const key = `providers.specialtyNames.${specialty}`;
+  return hasMessage(locale, key) ? t(locale, key) : specialty;
+}
 
 /**
  * Format provider information for display
+ *
+ * @param {Object} provider - Provider document
+ * @param {string} locale - Response language
+ * @returns {Object} { text, richContent } - plain-text fallback and a provider card
  */
-function formatProviderListing(provider) {
-  let listing = `**${provider.name}** ${provider.acceptingNewPatients ? '✓' : '✗'}\n`;
-  listing += `${provider.practiceName}\n`;
-  listing += `${provider.specialty.charAt(0).toUpperCase() + provider.specialty.slice(1)}\n`;
-  listing += `${provider.address.street}, ${provider.address.city}, ${provider.address.state} ${provider.address.zipCode}\n`;
-  listing += `📞 ${provider.phone}\n`;
+function formatProviderListing(provider, locale = DEFAULT_LOCALE) {
+  const specialty = provider.specialty.charAt(0).toUpperCase() + provider.specialty.slice(1);
+  const details = [
+    `${provider.address.street}, ${provider.address.city}, ${provider.address.state} ${provider.address.zipCode}`,
+    `📞 ${provider.phone}`
+  ];
   
   if (provider.rating) {
-    listing += `⭐ ${provider.rating}/5.0 (${provider.reviews} reviews)\n`;
+    details.push(t(locale, 'providers.reviews', { rating: provider.rating, reviews: provider.reviews }));
   }
   
   if (provider.languagesSpoken && provider.languagesSpoken.length > 0) {
-    listing += `🗣️ Languages: ${provider.languagesSpoken.join(', ')}\n`;
+    details.push(t(locale, 'providers.languages', { languages: provider.languagesSpoken.join(', ') }));
   }
   
-  if (provider.acceptingNewPatients) {
-    listing += `✅ Accepting new patients\n`;
-  } else {
-    listing += `❌ Not accepting new patients\n`;
-  }
+  details.push(t(locale, provider.acceptingNewPatients ? 'providers.accepting' : 'providers.notAccepting'));
   
-  return listing;
+  let text = `**${provider.name}** ${provider.acceptingNewPatients ? '✓' : '✗'}\n`;
+  text += `${provider.practiceName}\n`;
+  text += `${specialty}\n`;
+  text += details.map(line => `${line}\n`).join('');
+  
+  return {
+    text,
+    richContent: [
+      infoElement(provider.name, `${provider.practiceName} · ${specialty}`),
+      descriptionElement(t(locale, 'providers.contact'), details)
+    ]
+  };
 }
 
+// Map common variations to standard specialties
+const SPECIALTY_ALIASES = {
+  'primary care': 'primary care',
+  'pcp': 'primary care',
+  'general practitioner': 'primary care',
+  'family doctor': 'primary care',
+  'family medicine': 'primary care',
+  'family physician': 'primary care',
+  
+  'cardiologist': 'cardiologist',
+  'heart doctor': 'cardiologist',
+  'cardiac': 'cardiologist',
+  'cardiology': 'cardiologist',
+  
+  'dentist': 'dentist',
+  'dental': 'dentist',
+  'orthodontist': 'dentist',
+  'oral surgeon': 'dentist',
+  
+  'dermatologist': 'dermatologist',
+  'skin doctor': 'dermatologist',
+  'dermatology': 'dermatologist',
+  
+  'endocrinologist': 'endocrinologist',
+  'diabetes doctor': 'endocrinologist',
+  'hormone specialist': 'endocrinologist',
+  'endocrinology': 'endocrinologist',
+  
+  'gastroenterologist': 'gastroenterologist',
+  'gi doctor': 'gastroenterologist',
+  'digestive specialist': 'gastroenterologist',
+  'gastroenterology': 'gastroenterologist',
+  
+  'neurologist': 'neurologist',
+  'brain doctor': 'neurologist',
+  'neurology': 'neurologist',
+  
+  'oncologist': 'oncologist',
+  'cancer doctor': 'oncologist',
+  'oncology': 'oncologist',
+  
+  'ophthalmologist': 'ophthalmologist',
+  'eye doctor': 'ophthalmologist',
+  'vision specialist': 'ophthalmologist',
+  'ophthalmology': 'ophthalmologist',
+  
+  'orthopedist': 'orthopedist',
+  'orthopedic surgeon': 'orthopedist',
+  'bone doctor': 'orthopedist',
+  'orthopedics': 'orthopedist',
+  
+  'psychiatrist': 'psychiatrist',
+  'mental health doctor': 'psychiatrist',
+  'psychiatry': 'psychiatrist',
+  
+  'pulmonologist': 'pulmonologist',
+  'lung doctor': 'pulmonologist',
+  'respiratory specialist': 'pulmonologist',
+  'pulmonology': 'pulmonologist',
+  
+  // Spanish
+  'atención primaria': 'primary care',
+  'atencion primaria': 'primary care',
+  'médico de cabecera': 'primary care',
+  'medico de cabecera': 'primary care',
+  'médico de familia': 'primary care',
+  'cardiólogo': 'cardiologist',
+  'cardiologo': 'cardiologist',
+  'cardióloga': 'cardiologist',
+  'dentista': 'dentist',
+  'dermatólogo': 'dermatologist',
+  'dermatologo': 'dermatologist',
+  'dermatóloga': 'dermatologist',
+  'endocrinólogo': 'endocrinologist',
+  'gastroenterólogo': 'gastroenterologist',
+  'neurólogo': 'neurologist',
+  'oncólogo': 'oncologist',
+  'oftalmólogo': 'ophthalmologist',
+  'oculista': 'ophthalmologist',
+  'ortopedista': 'orthopedist',
+  'traumatólogo': 'orthopedist',
+  'psiquiatra': 'psychiatrist',
+  'neumólogo': 'pulmonologist'
+};
+
+const DEFAULT_SPECIALTY_SUGGESTIONS = ['primary care', 'cardiologist', 'dermatologist'];
+
 /**
  * Normalize specialty input
  */
@@ -47,68 +157,24 @@ function normalizeSpecialty(specialty) {
   
   const normalized = specialty.toLowerCase().trim();
   
-  // Map common variations to standard specialties
-  const specialtyMap = {
-    'primary care': 'primary care',
-    'pcp': 'primary care',
-    'general practitioner': 'primary care',
-    'family doctor': 'primary care',
-    'family medicine': 'primary care',
-    'family physician': 'primary care',
-    
-    'cardiologist': 'cardiologist',
-    'heart doctor': 'cardiologist',
-    'cardiac': 'cardiologist',
-    'cardiology': 'cardiologist',
-    
-    'dentist': 'dentist',
-    'dental': 'dentist',
-    'orthodontist': 'dentist',
-    'oral surgeon': 'dentist',
-    
-    'dermatologist': 'dermatologist',
-    'skin doctor': 'dermatologist',
-    'dermatology': 'dermatologist',
-    
-    'endocrinologist': 'endocrinologist',
-    'diabetes doctor': 'endocrinologist',
-    'hormone specialist': 'endocrinologist',
-    'endocrinology': 'endocrinologist',
-    
-    'gastroenterologist': 'gastroenterologist',
-    'gi doctor': 'gastroenterologist',
-    'digestive specialist': 'gastroenterologist',
-    'gastroenterology': 'gastroenterologist',
-    
-    'neurologist': 'neurologist',
-    'brain doctor': 'neurologist',
-    'neurology': 'neurologist',
-    
-    'oncologist': 'oncologist',
-    'cancer doctor': 'oncologist',
-    'oncology': 'oncologist',
-    
-    'ophthalmologist': 'ophthalmologist',
-    'eye doctor': 'ophthalmologist',
-    'vision specialist': 'ophthalmologist',
-    'ophthalmology': 'ophthalmologist',
-    
-    'orthopedist': 'orthopedist',
-    'orthopedic surgeon': 'orthopedist',
-    'bone doctor': 'orthopedist',
-    'orthopedics': 'orthopedist',
-    
-    'psychiatrist': 'psychiatrist',
-    'mental health doctor': 'psychiatrist',
-    'psychiatry': 'psychiatrist',
-    
-    'pulmonologist': 'pulmonologist',
-    'lung doctor': 'pulmonologist',
-    'respiratory specialist': 'pulmonologist',
-    'pulmonology': 'pulmonologist'
-  };
+  return SPECIALTY_ALIASES[normalized] || specialty;
+}
+
+/**
+ * Suggest specialties for a missing or unrecognized one
+ *
+ * @param {string} input - What the user typed (may be empty)
+ * @returns {Array<string>} Up to three specialties, excluding the one already searched
+ */
+function suggestSpecialties(input) {
+  const searched = normalizeSpecialty(input);
+  const closest = findClosestMatches(input, Object.keys(SPECIALTY_ALIASES), 8)
+    .map(alias => SPECIALTY_ALIASES[alias])
+    .filter(specialty => specialty !== searched);
   
-  return specialtyMap[normalized] || specialty;
+  return [...new Set(closest.length > 0 ? closest : DEFAULT_SPECIALTY_SUGGESTIONS)]
+    .filter(specialty => specialty !== searched)
+    .slice(0, 3);
 }
 
 /**
@@ -117,15 +183,17 @@ function normalizeSpecialty(specialty) {
  * @param {string} providerSpecialty - Specialty to search for
  * @param {Object} sessionInfo - Session information (optional)
  * @param {Object} filters - Search filters (acceptingNewPatients, location, etc.)
+ * @param {string} locale - Response language
  * @returns {Promise<Object>} Provider search response
  */
-async function handleFindProvider(providerSpecialty, sessionInfo = {}, filters = {}) {
+async function handleFindProvider(providerSpecialty, sessionInfo = {}, filters = {}, locale = DEFAULT_LOCALE) {
   try {
     // Validate input
     if (!providerSpecialty) {
       return {
         success: false,
-        message: 'Please specify what type of provider you\'re looking for. For example: primary care, cardiologist, dentist, or dermatologist.'
+        error: 'MISSING_SPECIALTY',
+        message: t(locale, 'providers.missingSpecialty')
       };
     }
     
@@ -135,7 +203,8 @@ async function handleFindProvider(providerSpecialty, sessionInfo = {}, filters =
     if (!normalizedSpecialty) {
       return {
         success: false,
-        message: 'I didn\'t understand that specialty. Please try: primary care, cardiologist, dentist, dermatologist, or another medical specialty.'
+        error: 'INVALID_SPECIALTY',
+        message: t(locale, 'providers.invalidSpecialty')
       };
     }
     
@@ -154,7 +223,8 @@ async function handleFindProvider(providerSpecialty, sessionInfo = {}, filters =
     if (snapshot.empty) {
       return {
         success: false,
-        message: `I couldn't find any ${normalizedSpecialty} providers in our directory. Please try a different specialty or contact our support team for assistance.`
+        error: 'NO_PROVIDERS_FOUND',
+        message: t(locale, 'providers.noneFound', { specialty: formatSpecialtyName(normalizedSpecialty, locale) })
       };
     }
     
@@ -172,17 +242,23 @@ async function handleFindProvider(providerSpecialty, sessionInfo = {}, filters =
     });
     
     // Format response
-    let response = `I found ${providers.length} ${normalizedSpecialty} provider(s):\n\n`;
+    let response = `${t(locale, 'providers.found', {
+      count: providers.length,
+      specialty: formatSpecialtyName(normalizedSpecialty, locale)
+    })}\n\n`;
     
-    providers.forEach((provider, index) => {
-      response += `**${index + 1}. ${formatProviderListing(provider)}**\n\n`;
+    const listings = providers.map(provider => formatProviderListing(provider, locale));
+    
+    listings.forEach((listing, index) => {
+      response += `**${index + 1}. ${listing.text}**\n\n`;
     });
     
-    response += 'To schedule an appointment, please call the provider directly or contact our support team for assistance.';
+    response += t(locale, 'providers.scheduling');
     
     return {
       success: true,
       message: response,
+      richContent: listings.map(listing => listing.richContent),
       providers: providers.map(p => ({
         name: p.name,
         specialty: p.specialty,
@@ -195,7 +271,7 @@ async function handleFindProvider(providerSpecialty, sessionInfo = {}, filters =
     console.error('Error searching for providers:', error.message);
     return {
       success: false,
-      message: 'An error occurred while searching for providers. Please try again or contact our support team.'
+      message: t(locale, 'providers.searchError')
     };
   }
 }
@@ -204,14 +280,15 @@ async function handleFindProvider(providerSpecialty, sessionInfo = {}, filters =
  * Get provider details by ID
  * 
  * @param {string} providerId - Provider ID
+ * @param {string} locale - Response language
  * @returns {Promise<Object>} Provider details response
  */
-async function getProviderDetails(providerId) {
+async function getProviderDetails(providerId, locale = DEFAULT_LOCALE) {
   try {
     if (!providerId) {
       return {
         success: false,
-        message: 'Provider ID is required.'
+        message: t(locale, 'providers.idRequired')
       };
     }
     
@@ -225,26 +302,30 @@ async function getProviderDetails(providerId) {
     if (snapshot.empty) {
       return {
         success: false,
-        message: 'Provider not found.'
+        message: t(locale, 'providers.notFound')
       };
     }
     
     const providerDoc = snapshot.docs[0];
     const provider = providerDoc.data();
     
-    let response = formatProviderListing(provider);
+    const listing = formatProviderListing(provider, locale);
+    let response = listing.text;
     
     // Add office hours
     if (provider.officeHours) {
-      response += '\n**Office Hours:**\n';
-      for (const [day, hours] of Object.entries(provider.officeHours)) {
-        response += `• ${day.charAt(0).toUpperCase() + day.slice(1)}: ${hours}\n`;
-      }
+      const officeHours = Object.entries(provider.officeHours)
+        .map(([day, hours]) => `${day.charAt(0).toUpperCase() + day.slice(1)}: ${hours}`);
+      
+      response += `\n**${t(locale, 'providers.officeHours')}:**\n`;
+      response += officeHours.map(line => `• ${line}\n`).join('');
+      listing.richContent.push(descriptionElement(t(locale, 'providers.officeHours'), officeHours));
     }
     
     return {
       success: true,
       message: response,
+      richContent: [listing.richContent],
       provider: provider
     };
     
@@ -252,14 +333,16 @@ async function getProviderDetails(providerId) {
     console.error('Error retrieving provider details:', error.message);
     return {
       success: false,
-      message: 'An error occurred while retrieving provider details.'
+      message: t(locale, 'providers.detailsError')
     };
   }
 }
 
 module.exports = {
+  SPECIALTY_ALIASES,
   handleFindProvider,
   getProviderDetails,
   normalizeSpecialty,
+  suggestSpecialties,
   formatProviderListing
 };
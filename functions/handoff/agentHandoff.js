@@ -0,0 +1,416 @@
+/**
+ * Live Agent Handoff
+ *
+ * When a signed-in beneficiary asks for (or is escalated to) a person, a
+ * handoff is queued with a context package for the agent: masked Medicare ID,
+ * plan, why the conversation was escalated and the last few (already
+ * redacted) messages. Support agents claim handoffs from the queue, and
+ * messages are relayed between the beneficiary and the agent through the
+ * handoff entry until either side closes it.
+ *
+ * Entries are kept in the store from ./handoffQueue.js.
+ */
+
+const crypto = require('crypto');
+const { getHandoffQueue } = require('./handoffQueue');
+const { findBeneficiaryByIdentifier, resolveBeneficiaryIdentifiers } = require('../auth/medicareId');
+const { getConversation, assignConversationAgent, isConversationParticipant } = require('../conversations/conversationStore');
+const { redactText } = require('../conversations/redaction');
+
+const HANDOFF_STATUS = {
+  WAITING: 'waiting',
+  ASSIGNED: 'assigned',
+  CLOSED: 'closed'
+};
+
+const MESSAGE_ROLES = {
+  BENEFICIARY: 'beneficiary',
+  AGENT: 'agent',
+  SYSTEM: 'system'
+};
+
+const HANDOFF_ID_PATTERN = /^HO-[a-f0-9]{16}$/;
+const CONTEXT_MESSAGE_COUNT = 5;
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_STORED_MESSAGES = 200;
+const DEFAULT_MINUTES_PER_POSITION = 4;
+
+/**
+ * Estimated wait per place in the queue, from HANDOFF_MINUTES_PER_POSITION
+ */
+function getMinutesPerPosition() {
+  const minutes = parseInt(process.env.HANDOFF_MINUTES_PER_POSITION, 10);
+  return minutes > 0 ? minutes : DEFAULT_MINUTES_PER_POSITION;
+}
+
+/**
+ * Validate a handoff ID from a request
+ */
+function validateHandoffId(handoffId) {
+  return typeof handoffId === 'string' && HANDOFF_ID_PATTERN.test(handoffId);
+}
+
+/**
+ * Result for unknown handoff IDs
+ */
+function handoffNotFound() {
+  return { success: false, error: 'NOT_FOUND', message: 'Handoff not found' };
+}
+
+/**
+ * Mask an identifier down to its last 4 characters (•••-••-6789)
+ */
+function maskIdentifier(identifier) {
+  return identifier.replace(/[A-Za-z0-9](?=(?:[^A-Za-z0-9]*[A-Za-z0-9]){4})/g, '•');
+}
+
+/**
+ * Package what the agent needs to pick up the conversation
+ */
+async function buildContextPackage(claims, conversationId, reason) {
+  const [beneficiaryDoc, conversation] = await Promise.all([
+    findBeneficiaryByIdentifier(claims.medicareId),
+    getConversation(conversationId)
+  ]);
+  const beneficiary = beneficiaryDoc ? beneficiaryDoc.data() : {};
+
+  return {
+    maskedBeneficiaryId: maskIdentifier(claims.medicareId),
+    displayName: beneficiary.firstName
+      ? `${beneficiary.firstName} ${(beneficiary.lastName || '').charAt(0)}.`
+      : null,
+    planType: beneficiary.planType || null,
+    coverageType: beneficiary.coverageType || [],
+    requestedBy: claims.role === 'representative' ? 'representative' : 'beneficiary',
+    reason,
+    detectedIntents: conversation?.contextPackage?.detectedIntents || [],
+    lastMessages: (conversation?.messages || [])
+      .slice(-CONTEXT_MESSAGE_COUNT)
+      .map(({ role, content, timestamp }) => ({ role, content, timestamp }))
+  };
+}
+
+/**
+ * Append a relay message to an entry
+ *
+ * @returns {Object} { messageCount, messages } to spread into the entry
+ */
+function appendMessage(entry, role, content, senderName = null) {
+  const messageCount = (entry.messageCount || 0) + 1;
+  const message = {
+    messageId: `MSG-${String(messageCount).padStart(3, '0')}`,
+    role,
+    senderName,
+    content,
+    timestamp: new Date().toISOString()
+  };
+
+  return {
+    messageCount,
+    messages: [...entry.messages, message].slice(-MAX_STORED_MESSAGES)
+  };
+}
+
+/**
+ * Messages after a given message ID (all messages when not given)
+ */
+function getMessagesAfter(entry, afterMessageId) {
+  const index = entry.messages.findIndex(message => message.messageId === afterMessageId);
+  return index === -1 ? entry.messages : entry.messages.slice(index + 1);
+}
+
+/**
+ * Place in line and estimated wait for a handoff
+ *
+ * @param {Object} entry - Handoff entry
+ * @returns {Promise<Object>} { handoffId, status, position, estimatedWaitMinutes, agentName }
+ */
+async function getQueueStatus(entry) {
+  let position = null;
+  let estimatedWaitMinutes = null;
+
+  if (entry.status === HANDOFF_STATUS.WAITING) {
+    const waiting = await getHandoffQueue().listByStatus(HANDOFF_STATUS.WAITING);
+    const index = waiting.findIndex(candidate => candidate.handoffId === entry.handoffId);
+    position = index === -1 ? waiting.length + 1 : index + 1;
+    estimatedWaitMinutes = position * getMinutesPerPosition();
+  }
+
+  return {
+    handoffId: entry.handoffId,
+    status: entry.status,
+    position,
+    estimatedWaitMinutes,
+    agentName: entry.agentName
+  };
+}
+
+/**
+ * Queue a live agent handoff for a signed-in beneficiary
+ * A session that already has an open handoff keeps its place in line
+ *
+ * @param {Object} request - { conversationId, claims: verified beneficiary session claims,
+ *   reason: escalation reason, channel, existingHandoffId: the session's last handoff }
+ * @returns {Promise<Object>} { success, handoffId, status, position, estimatedWaitMinutes, agentName }
+ */
+async function requestHandoff({ conversationId, claims, reason, channel, existingHandoffId }) {
+  const queue = getHandoffQueue();
+
+  // Session parameters can be edited by the caller, so only their own handoff is reused
+  const existing = await getBeneficiaryHandoff(existingHandoffId, claims);
+  if (existing && existing.status !== HANDOFF_STATUS.CLOSED) {
+    return { success: true, ...await getQueueStatus(existing) };
+  }
+
+  const entry = {
+    handoffId: `HO-${crypto.randomBytes(8).toString('hex')}`,
+    conversationId,
+    status: HANDOFF_STATUS.WAITING,
+    reason,
+    channel: channel || null,
+    beneficiaryId: claims.medicareId,
+    representativeId: claims.representativeId || null,
+    queuedAt: new Date().toISOString(),
+    assignedAt: null,
+    closedAt: null,
+    agentId: null,
+    agentName: null,
+    contextPackage: await buildContextPackage(claims, conversationId, reason),
+    messageCount: 0,
+    messages: []
+  };
+
+  await queue.add(entry);
+  console.log('Live agent handoff queued:', entry.handoffId);
+
+  return { success: true, ...await getQueueStatus(entry) };
+}
+
+/**
+ * Fetch a handoff entry
+ *
+ * @param {string} handoffId - Handoff ID
+ * @returns {Promise<Object|null>} Entry or null
+ */
+async function getHandoff(handoffId) {
+  return validateHandoffId(handoffId) ? getHandoffQueue().get(handoffId) : null;
+}
+
+/**
+ * Fetch a handoff for a signed-in beneficiary or representative
+ * Handoffs they did not take part in are treated as not found
+ *
+ * @param {string} handoffId - Handoff ID (from session parameters or the request)
+ * @param {Object} claims - Verified beneficiary session claims
+ * @returns {Promise<Object|null>} Entry or null
+ */
+async function getBeneficiaryHandoff(handoffId, claims) {
+  const entry = await getHandoff(handoffId);
+  if (!entry || !claims || !claims.medicareId) {
+    return null;
+  }
+
+  const beneficiaryIds = await resolveBeneficiaryIdentifiers(claims.medicareId);
+  return isConversationParticipant(claims, entry, beneficiaryIds) ? entry : null;
+}
+
+/**
+ * The beneficiary's view of a handoff: place in line and relayed messages
+ */
+async function toBeneficiaryView(entry, afterMessageId) {
+  return {
+    ...await getQueueStatus(entry),
+    messages: getMessagesAfter(entry, afterMessageId)
+  };
+}
+
+/**
+ * An agent's view of a handoff
+ * The beneficiary's full ID is only shown to the agent the handoff is assigned to
+ */
+function toAgentView(entry, agentId) {
+  const { beneficiaryId, representativeId, ...view } = entry;
+
+  return entry.agentId === agentId
+    ? { ...view, beneficiaryId, representativeId }
+    : view;
+}
+
+/**
+ * List handoffs for agents: the waiting queue, or the agent's own assigned handoffs
+ *
+ * @param {string} status - 'waiting' or 'assigned'
+ * @param {string} agentId - Agent listing the handoffs
+ * @returns {Promise<Array<Object>>} Entries (without messages), queue order
+ */
+async function listHandoffs(status, agentId) {
+  const entries = await getHandoffQueue().listByStatus(status);
+
+  return entries
+    .filter(entry => status !== HANDOFF_STATUS.ASSIGNED || entry.agentId === agentId)
+    .map((entry, index) => {
+      const { messages, ...summary } = toAgentView(entry, agentId);
+      return status === HANDOFF_STATUS.WAITING ? { ...summary, position: index + 1 } : summary;
+    });
+}
+
+/**
+ * Claim a waiting handoff
+ *
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} agent - { agentId, agentName }
+ * @returns {Promise<Object>} { success, handoff } or NOT_FOUND / ALREADY_CLAIMED / HANDOFF_CLOSED
+ */
+async function claimHandoff(handoffId, agent) {
+  if (!validateHandoffId(handoffId)) {
+    return handoffNotFound();
+  }
+
+  const agentName = agent.agentName || agent.agentId;
+  let error = null;
+  const entry = await getHandoffQueue().update(handoffId, current => {
+    if (current.status !== HANDOFF_STATUS.WAITING) {
+      error = current.status === HANDOFF_STATUS.ASSIGNED ? 'ALREADY_CLAIMED' : 'HANDOFF_CLOSED';
+      return null;
+    }
+
+    return {
+      ...current,
+      status: HANDOFF_STATUS.ASSIGNED,
+      agentId: agent.agentId,
+      agentName,
+      assignedAt: new Date().toISOString(),
+      ...appendMessage(current, MESSAGE_ROLES.SYSTEM, `${agentName} has joined the conversation.`)
+    };
+  });
+
+  if (!entry) {
+    return handoffNotFound();
+  }
+  if (error) {
+    return {
+      success: false,
+      error,
+      message: error === 'ALREADY_CLAIMED' ? 'Another agent has already claimed this handoff' : 'This handoff is closed'
+    };
+  }
+
+  try {
+    await assignConversationAgent(entry.conversationId, agent.agentId);
+  } catch (assignError) {
+    console.error('Error assigning conversation agent:', assignError.message);
+  }
+
+  return { success: true, handoff: toAgentView(entry, agent.agentId) };
+}
+
+/**
+ * Relay a message through a handoff
+ * Beneficiaries can write while they wait; agents only once they hold the handoff
+ *
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} sender - { role: 'beneficiary' | 'agent', agentId }
+ * @param {string} text - Message text (redacted before it is stored)
+ * @returns {Promise<Object>} { success, messageId } or an error
+ */
+async function postHandoffMessage(handoffId, sender, text) {
+  const content = typeof text === 'string' ? text.trim() : '';
+  if (!content || content.length > MAX_MESSAGE_LENGTH) {
+    return {
+      success: false,
+      error: 'INVALID_MESSAGE',
+      message: `text must be 1-${MAX_MESSAGE_LENGTH} characters`
+    };
+  }
+
+  if (!validateHandoffId(handoffId)) {
+    return handoffNotFound();
+  }
+
+  let error = null;
+  const entry = await getHandoffQueue().update(handoffId, current => {
+    if (current.status === HANDOFF_STATUS.CLOSED) {
+      error = 'HANDOFF_CLOSED';
+      return null;
+    }
+    if (sender.role === MESSAGE_ROLES.AGENT && current.agentId !== sender.agentId) {
+      error = 'NOT_ASSIGNED';
+      return null;
+    }
+
+    const senderName = sender.role === MESSAGE_ROLES.AGENT ? current.agentName : null;
+    return { ...current, ...appendMessage(current, sender.role, redactText(content), senderName) };
+  });
+
+  if (!entry) {
+    return handoffNotFound();
+  }
+  if (error) {
+    return {
+      success: false,
+      error,
+      message: error === 'HANDOFF_CLOSED' ? 'This handoff is closed' : 'This handoff is not assigned to you'
+    };
+  }
+
+  return { success: true, messageId: entry.messages[entry.messages.length - 1].messageId };
+}
+
+/**
+ * Close a handoff
+ * Either the beneficiary or the assigned agent can end the conversation
+ *
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} closedBy - { role: 'beneficiary' | 'agent', agentId }
+ * @returns {Promise<Object>} { success } or an error
+ */
+async function closeHandoff(handoffId, closedBy) {
+  if (!validateHandoffId(handoffId)) {
+    return handoffNotFound();
+  }
+
+  let error = null;
+  const entry = await getHandoffQueue().update(handoffId, current => {
+    if (current.status === HANDOFF_STATUS.CLOSED) {
+      return null;
+    }
+    if (closedBy.role === MESSAGE_ROLES.AGENT && current.agentId !== closedBy.agentId) {
+      error = 'NOT_ASSIGNED';
+      return null;
+    }
+
+    return {
+      ...current,
+      status: HANDOFF_STATUS.CLOSED,
+      closedAt: new Date().toISOString(),
+      ...appendMessage(current, MESSAGE_ROLES.SYSTEM, 'The conversation with the agent has ended.')
+    };
+  });
+
+  if (!entry) {
+    return handoffNotFound();
+  }
+  if (error) {
+    return { success: false, error, message: 'This handoff is not assigned to you' };
+  }
+
+  return { success: true };
+}
+
+module.exports = {
+  HANDOFF_STATUS,
+  MESSAGE_ROLES,
+  validateHandoffId,
+  maskIdentifier,
+  getMessagesAfter,
+  getQueueStatus,
+  requestHandoff,
+  getHandoff,
+  getBeneficiaryHandoff,
+  toBeneficiaryView,
+  toAgentView,
+  listHandoffs,
+  claimHandoff,
+  postHandoffMessage,
+  closeHandoff
+};
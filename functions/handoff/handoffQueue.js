@@ -0,0 +1,144 @@
+/**
+ * Live Agent Handoff Queue Storage
+ *
+ * Pluggable store for handoff queue entries (see ./agentHandoff.js). The
+ * Firestore store (handoffQueue collection) is the default; the in-memory
+ * store is a local stand-in for tests and the emulator, selected with
+ * HANDOFF_QUEUE=memory or registered with setHandoffQueue().
+ *
+ * A queue is an object with:
+ * - async add(entry)
+ * - async get(handoffId) -> entry or null
+ * - async update(handoffId, updater) -> stored entry, or null when not found.
+ *   updater(entry) runs atomically and returns the new entry, or null to
+ *   leave the entry as it is.
+ * - async listByStatus(status) -> entries, longest waiting first
+ */
+
+const admin = require('firebase-admin');
+
+const HANDOFF_COLLECTION = 'handoffQueue';
+
+/**
+ * Firestore store: one document per handoff
+ */
+const firestoreQueue = {
+  name: 'firestore',
+
+  async add(entry) {
+    await admin.firestore().collection(HANDOFF_COLLECTION).doc(entry.handoffId).set(entry);
+  },
+
+  async get(handoffId) {
+    const handoffDoc = await admin.firestore().collection(HANDOFF_COLLECTION).doc(handoffId).get();
+    return handoffDoc.exists ? handoffDoc.data() : null;
+  },
+
+  async update(handoffId, updater) {
+    const db = admin.firestore();
+    const handoffRef = db.collection(HANDOFF_COLLECTION).doc(handoffId);
+
+    return db.runTransaction(async transaction => {
+      const handoffDoc = await transaction.get(handoffRef);
+      if (!handoffDoc.exists) {
+        return null;
+      }
+
+      const updated = updater(handoffDoc.data());
+      if (!updated) {
+        return handoffDoc.data();
+      }
+
+      transaction.set(handoffRef, updated);
+      return updated;
+    });
+  },
+
+  async listByStatus(status) {
+    const snapshot = await admin.firestore().collection(HANDOFF_COLLECTION)
+      .where('status', '==', status)
+      .orderBy('queuedAt', 'asc')
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+};
+
+/**
+ * In-memory stand-in: entries live in this process only
+ */
+function createMemoryQueue() {
+  const entries = new Map();
+  const copy = entry => JSON.parse(JSON.stringify(entry));
+
+  return {
+    name: 'memory',
+
+    async add(entry) {
+      entries.set(entry.handoffId, copy(entry));
+    },
+
+    async get(handoffId) {
+      return entries.has(handoffId) ? copy(entries.get(handoffId)) : null;
+    },
+
+    async update(handoffId, updater) {
+      if (!entries.has(handoffId)) {
+        return null;
+      }
+
+      const updated = updater(copy(entries.get(handoffId)));
+      if (updated) {
+        entries.set(handoffId, copy(updated));
+      }
+      return copy(entries.get(handoffId));
+    },
+
+    async listByStatus(status) {
+      return [...entries.values()]
+        .filter(entry => entry.status === status)
+        .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+        .map(copy);
+    }
+  };
+}
+
+let registeredQueue = null;
+let memoryQueue = null;
+
+/**
+ * Register the store used for the handoff queue
+ */
+function setHandoffQueue(queue) {
+  const methods = ['add', 'get', 'update', 'listByStatus'];
+  if (queue && methods.some(method => typeof queue[method] !== 'function')) {
+    throw new Error(`Handoff queue must implement ${methods.join(', ')}`);
+  }
+  registeredQueue = queue;
+}
+
+/**
+ * Resolve the active store
+ */
+function getHandoffQueue() {
+  if (registeredQueue) {
+    return registeredQueue;
+  }
+
+  const configured = process.env.HANDOFF_QUEUE;
+  if (configured === 'memory') {
+    memoryQueue = memoryQueue || createMemoryQueue();
+    return memoryQueue;
+  }
+  if (configured && configured !== 'firestore') {
+    throw new Error(`Unknown HANDOFF_QUEUE: ${configured}`);
+  }
+
+  return firestoreQueue;
+}
+
+module.exports = {
+  createMemoryQueue,
+  setHandoffQueue,
+  getHandoffQueue
+};
@@ -0,0 +1,353 @@
+/**
+ * English messages (the default locale)
+ *
+ * Sign-in failures keep the wording of the auth modules; other locales
+ * translate them by error code under auth.errors. Specialty names are shown
+ * as stored unless a locale names them under providers.specialtyNames.
+ */
+
+const SUPPORT_CONTACT = `**CMS Support:**
+📞 Phone: 1-800-MEDICARE (1-800-633-4227)
+⏰ Available 24/7
+🗣️ TTY: 1-877-486-2048`;
+
+module.exports = {
+  common: {
+    fallback: 'I\'m not sure how to help with that. Could you please rephrase your question?',
+    error: 'I encountered an error processing your request. Please try again or contact our support team.',
+    notAvailable: 'N/A',
+    supportContact: SUPPORT_CONTACT
+  },
+
+  chips: {
+    mainMenu: ['Check claim status', 'Learn about benefits', 'Find a provider', 'Talk to an agent'],
+    afterClaim: ['Check another claim', 'Learn about benefits', 'Talk to an agent'],
+    afterProviders: ['Find another provider', 'Learn about benefits', 'Talk to an agent'],
+    afterCoverage: ['Show my claims', 'Find a provider', 'Talk to an agent'],
+    showMoreClaims: 'Show more claims',
+    appealClaim: 'Appeal {claimId}',
+    checkAppealStatus: 'Check my appeal status',
+    findProvider: 'Find a provider',
+    talkToAgent: 'Talk to an agent'
+  },
+
+  greeting: {
+    welcome: `Hello! Welcome to the CMS Beneficiary Self-Service portal. I'm here to help you with:
+
+• Checking claim status
+• Learning about your benefits
+• Finding healthcare providers
+• Getting connected to a support agent
+
+How can I assist you today?`
+  },
+
+  goodbye: {
+    message: `Thank you for using the CMS Beneficiary Self-Service portal. Have a great day!
+
+If you need assistance in the future, feel free to return anytime. Stay healthy! 👋`
+  },
+
+  auth: {
+    required: 'For your security, I need to verify your identity first. Please provide your Medicare ID and last name.',
+    medicareIdPrompt: 'Please provide your Medicare ID number. This is the 11-character Medicare Beneficiary Identifier on your Medicare card (e.g., 1EG4-TE5-MK73).',
+    lastNamePrompt: 'Please provide your last name for verification.',
+    steps: {
+      DATE_OF_BIRTH: 'Thank you. To protect your account, please tell me your date of birth (MM/DD/YYYY).',
+      ONE_TIME_PASSCODE: 'Please enter the 6-digit passcode we just sent you.'
+    },
+    welcomeBack: 'Welcome back, {firstName}! You\'ve been successfully authenticated. How can I help you today?'
+  },
+
+  access: {
+    claimsDenied: 'Your authorization for this beneficiary does not include access to claims.',
+    coverageDenied: 'Your authorization for this beneficiary does not include access to coverage details.',
+    appealsDenied: 'Your authorization for this beneficiary does not include filing appeals. Full access is required.'
+  },
+
+  slots: {
+    labels: {
+      claimNumber: 'claim number',
+      benefitType: 'benefit',
+      providerSpecialty: 'type of provider',
+      appealReason: 'reason for your appeal'
+    },
+    stillNotFound: 'I\'m sorry, I still couldn\'t find the {label} you need.',
+    didYouMean: 'Did you mean: {candidates}?',
+    connectAgent: 'Let me connect you with a support agent.'
+  },
+
+  claims: {
+    statusNames: {
+      Approved: 'Approved',
+      Pending: 'Pending',
+      Denied: 'Denied'
+    },
+    title: 'Claim {claimId}',
+    statusLine: 'Status: {status}',
+    serviceDate: 'Service Date: {date}',
+    provider: 'Provider: {name}',
+    service: 'Service: {description}',
+    financialDetails: 'Financial Details',
+    billedAmount: 'Billed Amount: {amount}',
+    approvedAmount: 'Approved Amount: {amount}',
+    yourResponsibility: 'Your Responsibility: {amount}',
+    paymentDate: 'Payment Date: {date}',
+    paymentAmount: 'Payment Amount: {amount}',
+    processingInformation: 'Processing Information',
+    submitted: 'Submitted: {date}',
+    notes: 'Notes: {notes}',
+    denialInformation: 'Denial Information',
+    reason: 'Reason: {reason}',
+    appealDeadline: 'Appeal Deadline: {date}',
+    appealRights: 'Your Appeal Rights',
+    appealNotice: 'You have the right to appeal this decision. Say "appeal {claimId}" to start a redetermination request, or contact us for assistance with the appeal process.',
+    missingNumber: 'Please provide a claim number to check its status.',
+    invalidNumber: 'Invalid claim number format. Please use format: CLM-YYYY-NNN (e.g., CLM-2024-001)',
+    notFound: 'I couldn\'t find a claim with number {claimNumber}. Please verify the claim number and try again. If you continue to have issues, please contact our support team.',
+    notOwned: 'This claim does not belong to your account. Please verify the claim number.',
+    lookupError: 'An error occurred while checking the claim status. Please try again or contact our support team for assistance.',
+    medicareIdRequired: 'Medicare ID is required to retrieve claims.',
+    invalidMedicareId: 'Invalid Medicare ID format.',
+    noClaims: 'You have no claims on file.',
+    recentIntro: 'Here are your {count} most recent claim(s):',
+    recentService: 'Service: {description}',
+    recentDate: 'Date: {date}',
+    recentProvider: 'Provider: {name}',
+    recentOutro: 'To get detailed information about a specific claim, reply with its claim number or its number in this list.',
+    recentTitle: 'Your Recent Claims',
+    listError: 'An error occurred while retrieving your claims. Please try again.',
+    chooseFromList: 'Please choose a claim between 1 and {count}, or tell me its claim number.',
+    timeline: {
+      title: 'Status History',
+      line: '{date}: {event}',
+      withReason: '{event} - {reason}',
+      events: {
+        submitted: 'Claim submitted',
+        approved: 'Approved',
+        denied: 'Denied',
+        paid: 'Paid {amount}',
+        reopened: 'Reopened for review',
+        status_changed: 'Status changed to {status}'
+      }
+    },
+    notifications: {
+      actionText: 'View Claim',
+      approved: {
+        title: 'Claim Approved',
+        message: 'Your {service} claim ({claimId}) has been approved. Medicare approved {approvedAmount}, and your share is {responsibility}.'
+      },
+      paid: {
+        title: 'Claim Paid',
+        message: 'Medicare paid {amount} on {date} for your {service} claim ({claimId}).'
+      },
+      denied: {
+        title: 'Claim Denied',
+        message: 'Your {service} claim ({claimId}) was denied: {reason}.',
+        appealBy: 'You can appeal this decision until {deadline}.'
+      }
+    },
+    search: {
+      intro: '{total} claim(s) match your search. Showing {first} to {last}:',
+      noResults: 'I couldn\'t find any claims matching your search. Try a different status, date range or provider.',
+      moreHint: 'Say "show more" to see the next results.',
+      nothingToContinue: 'There are no more results to show. You can start a new search, for example "show my denied claims from this summer".',
+      pageExpired: 'Your claims changed since the last page of results. Please search again.',
+      invalidCriteria: 'I couldn\'t use those search details. Try a status (approved, pending or denied), a time period such as "last month", or a provider name.',
+      error: 'An error occurred while searching your claims. Please try again.'
+    }
+  },
+
+  appeals: {
+    statusNames: {
+      Submitted: 'Submitted',
+      'Under Review': 'Under Review',
+      Decided: 'Decided'
+    },
+    decisions: {
+      Favorable: 'Favorable',
+      'Partially Favorable': 'Partially Favorable',
+      Unfavorable: 'Unfavorable'
+    },
+    title: 'Appeal {appealId}',
+    detailsTitle: 'Appeal Details',
+    claimLine: 'Claim: {claimId}',
+    statusLine: 'Status: {status}',
+    filedLine: 'Filed: {date}',
+    documentsLine: 'Supporting Documents: {count}',
+    decisionLine: 'Decision: {decision}',
+    decisionReasonLine: 'Reason: {reason}',
+    decidedLine: 'Decided: {date}',
+    missingClaimNumber: 'Which claim would you like to appeal? Please tell me the claim number (e.g., CLM-2024-007).',
+    notAppealable: 'Claim {claimId} was not denied, so there is no decision to appeal.',
+    deadlinePassed: 'The deadline to appeal claim {claimId} was {date}. Please contact us if you believe you had good cause for filing late.',
+    alreadyFiled: 'Claim {claimId} already has an appeal, {appealId}, with status {status}.',
+    reasonPrompt: 'Please tell me in a sentence or two why you believe claim {claimId} should be covered.',
+    invalidReason: 'Please describe the reason for your appeal in {min} to {max} characters.',
+    invalidDocuments: 'Some of those documents could not be attached. You can attach up to {max} of your own uploaded documents.',
+    filed: 'Your appeal {appealId} for claim {claimId} has been submitted with {count} supporting document(s). We will notify you when a decision is made, usually within 60 days.',
+    fileError: 'An error occurred while filing your appeal. Please try again or contact our support team.',
+    notFound: 'I couldn\'t find that appeal. Please check the appeal number (e.g., APL-2024-3F9A2C).',
+    none: 'You have no appeals on file.',
+    noneForClaim: 'There is no appeal on file for claim {claimId}.',
+    listTitle: 'Your Appeals',
+    listIntro: 'Here are your {count} most recent appeal(s):',
+    listOutro: 'To see the details of an appeal, tell me its appeal number.',
+    alreadyDecided: 'Appeal {appealId} has already been decided, so documents can no longer be added.',
+    lookupError: 'An error occurred while retrieving your appeals. Please try again.',
+    notifications: {
+      actionText: 'View Appeal',
+      submitted: {
+        title: 'Appeal Submitted',
+        message: 'We received your appeal {appealId} for claim {claimId}. We will let you know as soon as a decision is made.'
+      },
+      decided: {
+        title: 'Appeal Decision Available',
+        message: 'A decision has been made on your appeal {appealId} for claim {claimId}: {decision}.'
+      }
+    }
+  },
+
+  statements: {
+    title: 'Medicare Summary Notice',
+    period: '{from} to {to}',
+    generatedOn: 'Notice date: {date}',
+    beneficiaryTitle: 'Your Information',
+    medicareNumber: 'Medicare Number: {id}',
+    summaryTitle: 'Your Summary',
+    claimCount: 'Claims: {count} ({approved} approved, {pending} pending, {denied} denied)',
+    totalBilled: 'Amount providers billed: {amount}',
+    totalApproved: 'Medicare-approved amount: {amount}',
+    totalPaid: 'Medicare paid: {amount}',
+    totalYouMayBeBilled: 'You may be billed: {amount}',
+    notABill: 'THIS IS NOT A BILL. Your providers may bill you for the amounts shown under "You may be billed".',
+    claimsTitle: 'Your Claims',
+    tableCaption: 'Claims with a service date from {period}',
+    columns: {
+      claim: 'Claim, date and status',
+      service: 'Provider and service',
+      billed: 'Amount billed',
+      approved: 'Medicare approved',
+      paid: 'Medicare paid',
+      youMayBeBilled: 'You may be billed',
+      note: 'Note'
+    },
+    procedureCodes: 'Procedure codes: {codes}',
+    diagnosisCodes: 'Diagnosis codes: {codes}',
+    total: 'Total',
+    seeNote: 'See note {letter}',
+    notesTitle: 'Notes About Your Claims',
+    noteHeading: 'Note {letter} - Claim {claimId}',
+    notes: {
+      pending: 'This claim is still being processed. The amounts shown may change, and Medicare has not paid it yet.',
+      denied: 'Medicare denied this claim: {reason}.',
+      deniedNoReason: 'Medicare denied this claim.',
+      appealBy: 'If you disagree with this decision, you can appeal until {date}. To start an appeal, say "appeal {claimId}" in the chat.',
+      appealClosed: 'The deadline to appeal this decision was {date}.',
+      appealFiled: 'Your appeal {appealId} for this claim is {status}.',
+      appealDecided: 'Your appeal {appealId} for this claim has been decided: {decision}.'
+    },
+    appealRightsTitle: 'How to Appeal',
+    appealRights: 'If you disagree with a decision on this notice, you can ask for a redetermination (the first level of appeal) until the appeal deadline shown in its note, usually 120 days after the decision. Explain why you disagree and include any documents that support your appeal. For help, call 1-800-MEDICARE (1-800-633-4227); TTY users can call 1-877-486-2048.',
+    footer: 'Medicare Summary Notice for {period}. This is not a bill.',
+    pageNumber: 'Page {page} of {pages}',
+    noClaims: 'You have no claims with a service date from {period}.',
+    denialsTitle: 'Denied Claims',
+    deniedLine: '{claimId}: {reason}',
+    downloadHint: 'You can download the full statement as a PDF or as an accessible web page from Documents in the mobile app.',
+    invalidPeriod: 'I couldn\'t use that statement period. Try a quarter such as "Q3 2024" or "last quarter", or a range of up to one year.',
+    error: 'An error occurred while preparing your statement. Please try again.'
+  },
+
+  outOfPocket: {
+    title: 'Your {year} Out-of-Pocket Costs',
+    asOf: 'As of {date}',
+    summaryTitle: 'Your Costs',
+    totalSpent: 'Your share of approved claims: {amount}',
+    pending: 'Pending claims may add: {amount}',
+    applied: '{applied} of {limit} met',
+    remaining: '{remaining} to go',
+    partB: {
+      title: 'Part B Deductible',
+      met: 'You\'ve met your {limit} deductible for the year'
+    },
+    partA: {
+      title: 'Part A Deductible',
+      activePeriod: 'Benefit period from {start}; it ends {end} if you have no inpatient care before then',
+      endedPeriod: 'Benefit period from {start} to {end}',
+      noBenefitPeriod: 'No benefit period this year. The deductible applies when you\'re admitted to a hospital or skilled nursing facility.',
+      met: 'You\'ve met your {limit} deductible for this benefit period'
+    },
+    moop: {
+      title: 'Plan Out-of-Pocket Maximum',
+      met: 'You\'ve reached your {limit} maximum. Your plan pays for covered services for the rest of the year.'
+    },
+    estimateTitle: 'About These Amounts',
+    estimate: 'These amounts are estimates from your processed claims. Your plan or providers may show different totals while claims are still being processed.',
+    invalidYear: 'I can show your costs for this year or an earlier year. Which year would you like?',
+    error: 'An error occurred while adding up your costs. Please try again.'
+  },
+
+  benefits: {
+    coverageDetails: 'Coverage Details',
+    eligibility: 'Eligibility',
+    premium: 'Premium',
+    important: 'Important',
+    enrollment: 'Enrollment',
+    recommendation: '💡 Recommendation',
+    deductible: 'Deductible: {value}',
+    coinsurance: 'Coinsurance: {value}',
+    copayment: 'Copayment: {value}',
+    cost: 'Cost: {value}',
+    missingType: 'Please specify which benefit you would like to learn about. For example: Part A, Part B, Part D, dental, or vision.',
+    invalidType: 'I didn\'t understand that benefit type. Please try: Part A, Part B, Part C, Part D, dental, vision, or hearing.',
+    notFound: 'I couldn\'t find information about "{benefitType}". Please try: Part A, Part B, Part C, Part D, dental, vision, or hearing.',
+    youHaveCoverage: '✓ You have {benefitType} coverage.',
+    note: 'Note',
+    noCoverage: 'You don\'t currently have {benefitType} coverage. {hint}',
+    enrollmentPeriodHint: 'You may be able to enroll during the Annual Enrollment Period.',
+    addCoverageHint: 'Contact us to learn about adding this coverage.',
+    lookupError: 'An error occurred while retrieving benefit information. Please try again or contact our support team.',
+    noCoverageInformation: 'No coverage information available.',
+    summaryTitle: 'Your Coverage Summary',
+    covered: 'Covered',
+    summaryOutro: 'To learn more about any specific coverage type, just ask! For example: "Tell me about Part A" or "What does my dental coverage include?"',
+    summaryError: 'An error occurred while retrieving your coverage summary.'
+  },
+
+  providers: {
+    reviews: '⭐ {rating}/5.0 ({reviews} reviews)',
+    languages: '🗣️ Languages: {languages}',
+    accepting: '✅ Accepting new patients',
+    notAccepting: '❌ Not accepting new patients',
+    contact: 'Contact',
+    missingSpecialty: 'Please specify what type of provider you\'re looking for. For example: primary care, cardiologist, dentist, or dermatologist.',
+    invalidSpecialty: 'I didn\'t understand that specialty. Please try: primary care, cardiologist, dentist, dermatologist, or another medical specialty.',
+    noneFound: 'I couldn\'t find any {specialty} providers in our directory. Please try a different specialty or contact our support team for assistance.',
+    found: 'I found {count} {specialty} provider(s):',
+    scheduling: 'To schedule an appointment, please call the provider directly or contact our support team for assistance.',
+    searchError: 'An error occurred while searching for providers. Please try again or contact our support team.',
+    idRequired: 'Provider ID is required.',
+    notFound: 'Provider not found.',
+    officeHours: 'Office Hours',
+    detailsError: 'An error occurred while retrieving provider details.'
+  },
+
+  handoff: {
+    assigned: '{agentName} is with you now. Anything you type here goes to them.',
+    waiting: 'You\'re number {position} in line, and the estimated wait is about {minutes} minutes. An agent will join this chat; anything you type until then is passed on to them.',
+    waitingOneMinute: 'You\'re number {position} in line, and the estimated wait is about 1 minute. An agent will join this chat; anything you type until then is passed on to them.',
+    queued: 'I understand you\'d like to speak with a support agent. {status}\n\nPrefer to call?\n\n{contact}',
+    signInFirst: `I understand you'd like to speak with a support agent. You can reach one by phone:
+
+{contact}
+
+To chat with an agent here instead, please sign in first so they can see your account. Is there anything else I can help you with?`,
+    messageSent: 'Your message was sent. {status}'
+  },
+
+  frustration: {
+    escalate: 'I\'m sorry this has been difficult. Let me connect you with a support agent.\n\n{contact}',
+    offer: 'I\'m sorry this is taking a while. Would you like to talk to a support agent?'
+  }
+};
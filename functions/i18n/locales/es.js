@@ -0,0 +1,390 @@
+/**
+ * Spanish messages
+ *
+ * Benefit types (Part A, Part D...) and provider specialties stay as stored,
+ * since chips send them back as typed.
+ */
+
+const SUPPORT_CONTACT = `**Soporte de CMS:**
+📞 Teléfono: 1-800-MEDICARE (1-800-633-4227)
+⏰ Disponible las 24 horas, los 7 días de la semana
+🗣️ TTY: 1-877-486-2048`;
+
+module.exports = {
+  common: {
+    fallback: 'No estoy seguro de cómo ayudarle con eso. ¿Podría expresar su pregunta de otra manera?',
+    error: 'Ocurrió un error al procesar su solicitud. Inténtelo de nuevo o comuníquese con nuestro equipo de soporte.',
+    notAvailable: 'N/D',
+    supportContact: SUPPORT_CONTACT
+  },
+
+  chips: {
+    mainMenu: ['Consultar un reclamo', 'Conocer mis beneficios', 'Buscar un proveedor', 'Hablar con un agente'],
+    afterClaim: ['Consultar otro reclamo', 'Conocer mis beneficios', 'Hablar con un agente'],
+    afterProviders: ['Buscar otro proveedor', 'Conocer mis beneficios', 'Hablar con un agente'],
+    afterCoverage: ['Ver mis reclamos', 'Buscar un proveedor', 'Hablar con un agente'],
+    showMoreClaims: 'Ver más reclamos',
+    appealClaim: 'Apelar {claimId}',
+    checkAppealStatus: 'Ver el estado de mi apelación',
+    findProvider: 'Buscar un proveedor',
+    talkToAgent: 'Hablar con un agente'
+  },
+
+  greeting: {
+    welcome: `¡Hola! Bienvenido al portal de autoservicio para beneficiarios de CMS. Puedo ayudarle a:
+
+• Consultar el estado de sus reclamos
+• Conocer sus beneficios
+• Buscar proveedores de salud
+• Comunicarse con un agente de soporte
+
+¿En qué puedo ayudarle hoy?`
+  },
+
+  goodbye: {
+    message: `Gracias por usar el portal de autoservicio para beneficiarios de CMS. ¡Que tenga un buen día!
+
+Si necesita ayuda en el futuro, puede volver cuando quiera. ¡Cuídese! 👋`
+  },
+
+  auth: {
+    required: 'Por su seguridad, primero necesito verificar su identidad. Indíqueme su número de Medicare y su apellido.',
+    medicareIdPrompt: 'Indíqueme su número de Medicare. Es el Identificador de Beneficiario de Medicare de 11 caracteres que aparece en su tarjeta de Medicare (p. ej., 1EG4-TE5-MK73).',
+    lastNamePrompt: 'Indíqueme su apellido para la verificación.',
+    steps: {
+      DATE_OF_BIRTH: 'Gracias. Para proteger su cuenta, indíqueme su fecha de nacimiento (MM/DD/AAAA).',
+      ONE_TIME_PASSCODE: 'Ingrese el código de 6 dígitos que le acabamos de enviar.'
+    },
+    welcomeBack: '¡Bienvenido de nuevo, {firstName}! Su identidad fue verificada. ¿En qué puedo ayudarle hoy?',
+    passcodeSent: 'Enviamos un código de 6 dígitos a {destination}. Ingréselo para terminar de iniciar sesión.',
+    // By error code, and by step for errors that depend on what was asked
+    errors: {
+      MISSING_CREDENTIALS: 'Se requieren su número de Medicare y su apellido.',
+      INVALID_FORMAT: 'El formato del número de Medicare no es válido. Ingrese su Identificador de Beneficiario de Medicare de 11 caracteres (p. ej., 1EG4-TE5-MK73) o XXX-XX-XXXX.',
+      RATE_LIMIT_EXCEEDED: 'Demasiados intentos fallidos. Inténtelo de nuevo más tarde.',
+      INVALID_CREDENTIALS: 'El número de Medicare o el apellido no son válidos.',
+      CHALLENGE_NOT_FOUND: 'No encontramos su sesión de verificación. Comience de nuevo.',
+      CHALLENGE_LOCKED: 'Demasiadas respuestas incorrectas. Comience de nuevo más tarde.',
+      CHALLENGE_EXPIRED: 'Su sesión de verificación venció. Comience de nuevo.',
+      INVALID_STEP: 'Paso de verificación inesperado. Comience de nuevo.',
+      NO_CONTACT_METHOD: 'No tenemos un correo electrónico ni un número de teléfono registrado para enviarle un código. Llame al 1-800-MEDICARE.',
+      PASSCODE_EXPIRED: 'Su código venció. Comience de nuevo.',
+      PASSCODE_NOT_SENT: 'No pudimos enviarle el código. Comience de nuevo más tarde o llame al 1-800-MEDICARE.',
+      INTERNAL_ERROR: 'Ocurrió un error durante la verificación. Inténtelo de nuevo.',
+      DATE_OF_BIRTH: {
+        INVALID_FORMAT: 'Ingrese su fecha de nacimiento en el formato MM/DD/AAAA.',
+        VERIFICATION_FAILED: 'Esa fecha de nacimiento no coincide con nuestros registros. Inténtelo de nuevo.'
+      },
+      ONE_TIME_PASSCODE: {
+        INVALID_FORMAT: 'Ingrese el código de 6 dígitos que le enviamos.',
+        VERIFICATION_FAILED: 'Ese código no es correcto. Inténtelo de nuevo.'
+      }
+    }
+  },
+
+  access: {
+    claimsDenied: 'Su autorización para este beneficiario no incluye acceso a los reclamos.',
+    coverageDenied: 'Su autorización para este beneficiario no incluye acceso a los detalles de cobertura.',
+    appealsDenied: 'Su autorización para este beneficiario no incluye presentar apelaciones. Se requiere acceso completo.'
+  },
+
+  slots: {
+    labels: {
+      claimNumber: 'número de reclamo',
+      benefitType: 'beneficio',
+      providerSpecialty: 'tipo de proveedor',
+      appealReason: 'motivo de su apelación'
+    },
+    stillNotFound: 'Lo siento, todavía no encuentro el {label} que necesita.',
+    didYouMean: '¿Quiso decir: {candidates}?',
+    connectAgent: 'Permítame comunicarle con un agente de soporte.'
+  },
+
+  claims: {
+    statusNames: {
+      Approved: 'Aprobado',
+      Pending: 'Pendiente',
+      Denied: 'Denegado'
+    },
+    title: 'Reclamo {claimId}',
+    statusLine: 'Estado: {status}',
+    serviceDate: 'Fecha del servicio: {date}',
+    provider: 'Proveedor: {name}',
+    service: 'Servicio: {description}',
+    financialDetails: 'Detalles financieros',
+    billedAmount: 'Monto facturado: {amount}',
+    approvedAmount: 'Monto aprobado: {amount}',
+    yourResponsibility: 'Su responsabilidad: {amount}',
+    paymentDate: 'Fecha de pago: {date}',
+    paymentAmount: 'Monto pagado: {amount}',
+    processingInformation: 'Información de procesamiento',
+    submitted: 'Presentado: {date}',
+    notes: 'Notas: {notes}',
+    denialInformation: 'Información de la denegación',
+    reason: 'Motivo: {reason}',
+    appealDeadline: 'Fecha límite para apelar: {date}',
+    appealRights: 'Su derecho a apelar',
+    appealNotice: 'Tiene derecho a apelar esta decisión. Diga "apelar {claimId}" para iniciar una solicitud de redeterminación, o comuníquese con nosotros para recibir ayuda con el proceso de apelación.',
+    missingNumber: 'Indíqueme un número de reclamo para consultar su estado.',
+    invalidNumber: 'El formato del número de reclamo no es válido. Use el formato CLM-AAAA-NNN (p. ej., CLM-2024-001).',
+    notFound: 'No encontré un reclamo con el número {claimNumber}. Verifique el número de reclamo e inténtelo de nuevo. Si el problema continúa, comuníquese con nuestro equipo de soporte.',
+    notOwned: 'Este reclamo no pertenece a su cuenta. Verifique el número de reclamo.',
+    lookupError: 'Ocurrió un error al consultar el estado del reclamo. Inténtelo de nuevo o comuníquese con nuestro equipo de soporte.',
+    medicareIdRequired: 'Se requiere el número de Medicare para obtener los reclamos.',
+    invalidMedicareId: 'El formato del número de Medicare no es válido.',
+    noClaims: 'No tiene reclamos registrados.',
+    recentIntro: 'Estos son sus {count} reclamo(s) más reciente(s):',
+    recentService: 'Servicio: {description}',
+    recentDate: 'Fecha: {date}',
+    recentProvider: 'Proveedor: {name}',
+    recentOutro: 'Para ver los detalles de un reclamo, responda con su número de reclamo o con su posición en esta lista.',
+    recentTitle: 'Sus reclamos recientes',
+    listError: 'Ocurrió un error al obtener sus reclamos. Inténtelo de nuevo.',
+    chooseFromList: 'Elija un reclamo entre 1 y {count}, o indíqueme su número de reclamo.',
+    timeline: {
+      title: 'Historial del estado',
+      line: '{date}: {event}',
+      withReason: '{event} - {reason}',
+      events: {
+        submitted: 'Reclamo presentado',
+        approved: 'Aprobado',
+        denied: 'Denegado',
+        paid: 'Pagado {amount}',
+        reopened: 'Reabierto para revisión',
+        status_changed: 'El estado cambió a {status}'
+      }
+    },
+    notifications: {
+      actionText: 'Ver reclamo',
+      approved: {
+        title: 'Reclamo aprobado',
+        message: 'Su reclamo de {service} ({claimId}) fue aprobado. Medicare aprobó {approvedAmount} y su parte es {responsibility}.'
+      },
+      paid: {
+        title: 'Reclamo pagado',
+        message: 'Medicare pagó {amount} el {date} por su reclamo de {service} ({claimId}).'
+      },
+      denied: {
+        title: 'Reclamo denegado',
+        message: 'Su reclamo de {service} ({claimId}) fue denegado: {reason}.',
+        appealBy: 'Puede apelar esta decisión hasta el {deadline}.'
+      }
+    },
+    search: {
+      intro: '{total} reclamo(s) coinciden con su búsqueda. Mostrando del {first} al {last}:',
+      noResults: 'No encontré reclamos que coincidan con su búsqueda. Pruebe con otro estado, período o proveedor.',
+      moreHint: 'Diga "ver más" para ver los siguientes resultados.',
+      nothingToContinue: 'No hay más resultados para mostrar. Puede hacer una nueva búsqueda, por ejemplo "mis reclamos denegados de este verano".',
+      pageExpired: 'Sus reclamos cambiaron desde la última página de resultados. Vuelva a buscar, por favor.',
+      invalidCriteria: 'No pude usar esos datos de búsqueda. Pruebe con un estado (aprobado, pendiente o denegado), un período como "el mes pasado" o el nombre de un proveedor.',
+      error: 'Ocurrió un error al buscar sus reclamos. Inténtelo de nuevo.'
+    }
+  },
+
+  appeals: {
+    statusNames: {
+      Submitted: 'Presentada',
+      'Under Review': 'En revisión',
+      Decided: 'Decidida'
+    },
+    decisions: {
+      Favorable: 'Favorable',
+      'Partially Favorable': 'Parcialmente favorable',
+      Unfavorable: 'Desfavorable'
+    },
+    title: 'Apelación {appealId}',
+    detailsTitle: 'Detalles de la apelación',
+    claimLine: 'Reclamo: {claimId}',
+    statusLine: 'Estado: {status}',
+    filedLine: 'Presentada: {date}',
+    documentsLine: 'Documentos de respaldo: {count}',
+    decisionLine: 'Decisión: {decision}',
+    decisionReasonLine: 'Motivo: {reason}',
+    decidedLine: 'Decidida: {date}',
+    missingClaimNumber: '¿Qué reclamo desea apelar? Indíqueme el número de reclamo (p. ej., CLM-2024-007).',
+    notAppealable: 'El reclamo {claimId} no fue denegado, así que no hay una decisión que apelar.',
+    deadlinePassed: 'La fecha límite para apelar el reclamo {claimId} fue el {date}. Comuníquese con nosotros si cree que tuvo un motivo justificado para presentarla tarde.',
+    alreadyFiled: 'El reclamo {claimId} ya tiene una apelación, {appealId}, con estado {status}.',
+    reasonPrompt: 'Explíqueme en una o dos oraciones por qué cree que el reclamo {claimId} debería estar cubierto.',
+    invalidReason: 'Describa el motivo de su apelación en {min} a {max} caracteres.',
+    invalidDocuments: 'No se pudieron adjuntar algunos de esos documentos. Puede adjuntar hasta {max} de los documentos que usted ha subido.',
+    filed: 'Su apelación {appealId} del reclamo {claimId} fue presentada con {count} documento(s) de respaldo. Le avisaremos cuando se tome una decisión, normalmente en un plazo de 60 días.',
+    fileError: 'Ocurrió un error al presentar su apelación. Inténtelo de nuevo o comuníquese con nuestro equipo de soporte.',
+    notFound: 'No encontré esa apelación. Verifique el número de apelación (p. ej., APL-2024-3F9A2C).',
+    none: 'No tiene apelaciones registradas.',
+    noneForClaim: 'No hay ninguna apelación registrada para el reclamo {claimId}.',
+    listTitle: 'Sus apelaciones',
+    listIntro: 'Estas son sus {count} apelación(es) más recientes:',
+    listOutro: 'Para ver los detalles de una apelación, indíqueme su número de apelación.',
+    alreadyDecided: 'La apelación {appealId} ya fue decidida, así que ya no se pueden agregar documentos.',
+    lookupError: 'Ocurrió un error al consultar sus apelaciones. Inténtelo de nuevo.',
+    notifications: {
+      actionText: 'Ver apelación',
+      submitted: {
+        title: 'Apelación presentada',
+        message: 'Recibimos su apelación {appealId} del reclamo {claimId}. Le avisaremos en cuanto se tome una decisión.'
+      },
+      decided: {
+        title: 'Decisión de apelación disponible',
+        message: 'Se tomó una decisión sobre su apelación {appealId} del reclamo {claimId}: {decision}.'
+      }
+    }
+  },
+
+  statements: {
+    title: 'Resumen de Medicare',
+    period: '{from} al {to}',
+    generatedOn: 'Fecha del aviso: {date}',
+    beneficiaryTitle: 'Su información',
+    medicareNumber: 'Número de Medicare: {id}',
+    summaryTitle: 'Su resumen',
+    claimCount: 'Reclamos: {count} ({approved} aprobados, {pending} pendientes, {denied} denegados)',
+    totalBilled: 'Monto facturado por los proveedores: {amount}',
+    totalApproved: 'Monto aprobado por Medicare: {amount}',
+    totalPaid: 'Medicare pagó: {amount}',
+    totalYouMayBeBilled: 'Le pueden facturar: {amount}',
+    notABill: 'ESTO NO ES UNA FACTURA. Sus proveedores pueden facturarle los montos que aparecen en "Le pueden facturar".',
+    claimsTitle: 'Sus reclamos',
+    tableCaption: 'Reclamos con fecha de servicio del {period}',
+    columns: {
+      claim: 'Reclamo, fecha y estado',
+      service: 'Proveedor y servicio',
+      billed: 'Monto facturado',
+      approved: 'Aprobado por Medicare',
+      paid: 'Pagado por Medicare',
+      youMayBeBilled: 'Le pueden facturar',
+      note: 'Nota'
+    },
+    procedureCodes: 'Códigos de procedimiento: {codes}',
+    diagnosisCodes: 'Códigos de diagnóstico: {codes}',
+    total: 'Total',
+    seeNote: 'Ver nota {letter}',
+    notesTitle: 'Notas sobre sus reclamos',
+    noteHeading: 'Nota {letter} - Reclamo {claimId}',
+    notes: {
+      pending: 'Este reclamo todavía se está procesando. Los montos pueden cambiar y Medicare aún no lo ha pagado.',
+      denied: 'Medicare denegó este reclamo: {reason}.',
+      deniedNoReason: 'Medicare denegó este reclamo.',
+      appealBy: 'Si no está de acuerdo con esta decisión, puede apelar hasta el {date}. Para iniciar una apelación, diga "apelar {claimId}" en el chat.',
+      appealClosed: 'El plazo para apelar esta decisión venció el {date}.',
+      appealFiled: 'Su apelación {appealId} de este reclamo está en estado: {status}.',
+      appealDecided: 'Se tomó una decisión sobre su apelación {appealId} de este reclamo: {decision}.'
+    },
+    appealRightsTitle: 'Cómo apelar',
+    appealRights: 'Si no está de acuerdo con una decisión de este aviso, puede pedir una redeterminación (el primer nivel de apelación) hasta la fecha límite que aparece en su nota, normalmente 120 días después de la decisión. Explique por qué no está de acuerdo e incluya los documentos que respalden su apelación. Para obtener ayuda, llame al 1-800-MEDICARE (1-800-633-4227); los usuarios de TTY pueden llamar al 1-877-486-2048.',
+    footer: 'Resumen de Medicare del {period}. Esto no es una factura.',
+    pageNumber: 'Página {page} de {pages}',
+    noClaims: 'No tiene reclamos con fecha de servicio del {period}.',
+    denialsTitle: 'Reclamos denegados',
+    deniedLine: '{claimId}: {reason}',
+    downloadHint: 'Puede descargar el resumen completo en PDF o como página web accesible desde Documentos en la aplicación móvil.',
+    invalidPeriod: 'No pude usar ese período. Pruebe con un trimestre, como "el tercer trimestre de 2024" o "el trimestre pasado", o un rango de hasta un año.',
+    error: 'Ocurrió un error al preparar su resumen. Inténtelo de nuevo.'
+  },
+
+  outOfPocket: {
+    title: 'Sus gastos de bolsillo de {year}',
+    asOf: 'Al {date}',
+    summaryTitle: 'Sus gastos',
+    totalSpent: 'Su parte de los reclamos aprobados: {amount}',
+    pending: 'Los reclamos pendientes pueden sumar: {amount}',
+    applied: '{applied} de {limit} cubiertos',
+    remaining: 'Faltan {remaining}',
+    partB: {
+      title: 'Deducible de la Parte B',
+      met: 'Ya alcanzó su deducible de {limit} del año'
+    },
+    partA: {
+      title: 'Deducible de la Parte A',
+      activePeriod: 'Período de beneficios desde el {start}; termina el {end} si no recibe atención como paciente internado antes de esa fecha',
+      endedPeriod: 'Período de beneficios del {start} al {end}',
+      noBenefitPeriod: 'No tiene un período de beneficios este año. El deducible se aplica cuando lo internan en un hospital o centro de enfermería especializada.',
+      met: 'Ya alcanzó su deducible de {limit} de este período de beneficios'
+    },
+    moop: {
+      title: 'Máximo de gastos de bolsillo del plan',
+      met: 'Ya alcanzó su máximo de {limit}. Su plan paga los servicios cubiertos por el resto del año.'
+    },
+    estimateTitle: 'Sobre estos montos',
+    estimate: 'Estos montos son estimaciones basadas en sus reclamos procesados. Su plan o sus proveedores pueden mostrar otros totales mientras se procesan reclamos.',
+    invalidYear: 'Puedo mostrarle sus gastos de este año o de un año anterior. ¿De qué año los quiere ver?',
+    error: 'Ocurrió un error al sumar sus gastos. Inténtelo de nuevo.'
+  },
+
+  benefits: {
+    coverageDetails: 'Detalles de la cobertura',
+    eligibility: 'Elegibilidad',
+    premium: 'Prima',
+    important: 'Importante',
+    enrollment: 'Inscripción',
+    recommendation: '💡 Recomendación',
+    deductible: 'Deducible: {value}',
+    coinsurance: 'Coseguro: {value}',
+    copayment: 'Copago: {value}',
+    cost: 'Costo: {value}',
+    missingType: 'Indique sobre qué beneficio desea información. Por ejemplo: Part A, Part B, Part D, dental o vision.',
+    invalidType: 'No entendí ese tipo de beneficio. Intente con: Part A, Part B, Part C, Part D, dental, vision o hearing.',
+    notFound: 'No encontré información sobre "{benefitType}". Intente con: Part A, Part B, Part C, Part D, dental, vision o hearing.',
+    youHaveCoverage: '✓ Usted tiene cobertura de {benefitType}.',
+    note: 'Nota',
+    noCoverage: 'Actualmente no tiene cobertura de {benefitType}. {hint}',
+    enrollmentPeriodHint: 'Es posible que pueda inscribirse durante el Período de Inscripción Anual.',
+    addCoverageHint: 'Comuníquese con nosotros para saber cómo agregar esta cobertura.',
+    lookupError: 'Ocurrió un error al obtener la información de beneficios. Inténtelo de nuevo o comuníquese con nuestro equipo de soporte.',
+    noCoverageInformation: 'No hay información de cobertura disponible.',
+    summaryTitle: 'Resumen de su cobertura',
+    covered: 'Cubierto',
+    summaryOutro: '¡Para saber más sobre un tipo de cobertura, solo pregunte! Por ejemplo: "Beneficios de Part A" o "¿Qué incluye mi cobertura dental?"',
+    summaryError: 'Ocurrió un error al obtener el resumen de su cobertura.'
+  },
+
+  providers: {
+    reviews: '⭐ {rating}/5.0 ({reviews} reseñas)',
+    languages: '🗣️ Idiomas: {languages}',
+    accepting: '✅ Acepta pacientes nuevos',
+    notAccepting: '❌ No acepta pacientes nuevos',
+    contact: 'Contacto',
+    specialtyNames: {
+      'primary care': 'atención primaria',
+      cardiologist: 'cardiología',
+      dentist: 'odontología',
+      dermatologist: 'dermatología',
+      endocrinologist: 'endocrinología',
+      gastroenterologist: 'gastroenterología',
+      neurologist: 'neurología',
+      oncologist: 'oncología',
+      ophthalmologist: 'oftalmología',
+      orthopedist: 'ortopedia',
+      psychiatrist: 'psiquiatría',
+      pulmonologist: 'neumología'
+    },
+    missingSpecialty: 'Indique qué tipo de proveedor busca. Por ejemplo: atención primaria, cardiólogo, dentista o dermatólogo.',
+    invalidSpecialty: 'No entendí esa especialidad. Intente con: atención primaria, cardiólogo, dentista, dermatólogo u otra especialidad médica.',
+    noneFound: 'No encontré proveedores de {specialty} en nuestro directorio. Intente con otra especialidad o comuníquese con nuestro equipo de soporte.',
+    found: 'Encontré {count} proveedor(es) de {specialty}:',
+    scheduling: 'Para programar una cita, llame directamente al proveedor o comuníquese con nuestro equipo de soporte.',
+    searchError: 'Ocurrió un error al buscar proveedores. Inténtelo de nuevo o comuníquese con nuestro equipo de soporte.',
+    idRequired: 'Se requiere el ID del proveedor.',
+    notFound: 'No se encontró el proveedor.',
+    officeHours: 'Horario de atención',
+    detailsError: 'Ocurrió un error al obtener los detalles del proveedor.'
+  },
+
+  handoff: {
+    assigned: '{agentName} ya le está atendiendo. Todo lo que escriba aquí le llegará.',
+    waiting: 'Usted es el número {position} en la fila y el tiempo de espera estimado es de unos {minutes} minutos. Un agente se unirá a este chat; lo que escriba mientras tanto se le enviará.',
+    waitingOneMinute: 'Usted es el número {position} en la fila y el tiempo de espera estimado es de 1 minuto. Un agente se unirá a este chat; lo que escriba mientras tanto se le enviará.',
+    queued: 'Entiendo que desea hablar con un agente de soporte. {status}\n\n¿Prefiere llamar?\n\n{contact}',
+    signInFirst: `Entiendo que desea hablar con un agente de soporte. Puede comunicarse con uno por teléfono:
+
+{contact}
+
+Para chatear aquí con un agente, primero inicie sesión para que pueda ver su cuenta. ¿Hay algo más en lo que pueda ayudarle?`,
+    messageSent: 'Su mensaje fue enviado. {status}'
+  },
+
+  frustration: {
+    escalate: 'Lamento que esto haya sido difícil. Permítame comunicarle con un agente de soporte.\n\n{contact}',
+    offer: 'Lamento que esto esté tomando tiempo. ¿Desea hablar con un agente de soporte?'
+  }
+};
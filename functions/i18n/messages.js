@@ -0,0 +1,129 @@
+/**
+ * Message Catalog for Beneficiary-Facing Text
+ *
+ * Messages live in ./locales/<locale>.js as nested objects and are looked up
+ * by dotted key ('claims.notFound'). A key missing from the requested locale
+ * falls back to English. `{name}` placeholders are filled from the values
+ * passed to t().
+ *
+ * The locale comes from the beneficiary's preference (preferences.
+ * communicationLanguage or preferredLanguage, carried in the session) or
+ * else the Dialogflow languageCode, e.g. 'es-US'.
+ */
+
+const LOCALES = {
+  en: require('./locales/en'),
+  es: require('./locales/es')
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// Intl locale used to format dates and amounts for each catalog
+const FORMAT_LOCALES = {
+  en: 'en-US',
+  es: 'es-US'
+};
+
+/**
+ * Reduce a language tag ('es-US', 'es_419', 'ES') to a supported locale
+ * Returns null for anything unsupported
+ */
+function normalizeLocale(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * The first supported locale among the candidates, in order of preference
+ */
+function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) {
+      return locale;
+    }
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * A beneficiary or representative record's language preference, if any
+ */
+function getPreferredLanguage(record) {
+  return normalizeLocale(record?.preferences?.communicationLanguage) || normalizeLocale(record?.preferredLanguage);
+}
+
+function lookup(locale, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), LOCALES[locale]);
+}
+
+/**
+ * Whether a locale defines a message itself (without falling back)
+ */
+function hasMessage(locale, key) {
+  return lookup(normalizeLocale(locale) || DEFAULT_LOCALE, key) !== undefined;
+}
+
+/**
+ * Look up a message and fill its placeholders
+ * Lists (chip sets) are returned as they are
+ *
+ * @param {string} locale - Supported locale; anything else reads as English
+ * @param {string} key - Dotted message key
+ * @param {Object} values - Placeholder values
+ * @returns {string|Array<string>} The message, or the key when no catalog has it
+ */
+function t(locale, key, values = {}) {
+  let message = lookup(normalizeLocale(locale) || DEFAULT_LOCALE, key);
+  if (message === undefined) {
+    message = lookup(DEFAULT_LOCALE, key);
+  }
+  if (message === undefined) {
+    console.warn('Missing message:', key);
+    return key;
+  }
+  if (typeof message !== 'string') {
+    return message;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+}
+
+/**
+ * Format a date for display ('September 15, 2024', '15 de septiembre de 2024')
+ */
+function formatDate(dateString, locale = DEFAULT_LOCALE) {
+  if (!dateString) return t(locale, 'common.notAvailable');
+
+  const date = new Date(dateString);
+  const options = { year: 'numeric', month: 'long', day: 'numeric' };
+  return date.toLocaleDateString(FORMAT_LOCALES[normalizeLocale(locale) || DEFAULT_LOCALE], options);
+}
+
+/**
+ * Format a dollar amount for display ('$1,234.50')
+ */
+function formatCurrency(amount, locale = DEFAULT_LOCALE) {
+  return new Intl.NumberFormat(FORMAT_LOCALES[normalizeLocale(locale) || DEFAULT_LOCALE], {
+    style: 'currency',
+    currency: 'USD'
+  }).format(Number(amount) || 0);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  resolveLocale,
+  getPreferredLanguage,
+  hasMessage,
+  t,
+  formatDate,
+  formatCurrency
+};
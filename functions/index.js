@@ -8,17 +8,88 @@ const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const cors = require('cors')({ origin: true });
 const { handleWebhook } = require('./webhooks/dialogflowWebhook');
-const { authenticateUser } = require('./auth/authenticateUser');
+const { handleRestChat, handleDialogflowEsRequest } = require('./channels/channelAdapters');
+const {
+  authenticateUser,
+  continueAuthentication,
+  refreshSession,
+  logout,
+  logoutAllSessions
+} = require('./auth/authenticateUser');
+const { authenticateRepresentative } = require('./auth/authenticateRepresentative');
 const { authenticateProvider } = require('./auth/authenticateProvider');
 const { generateAgentAssistData } = require('./agent-assist/generateAgentAssistData');
 const { createCrmTicket } = require('./crm/createCrmTicket');
+const { requireSession } = require('./auth/requireSession');
+const { getRequestContext } = require('./audit/requestContext');
+const { listLockouts } = require('./auth/rateLimiter');
+const { unlockAccount } = require('./auth/accountLockouts');
+const { analyzeAuthActivity, listFindings, resolveFinding } = require('./auth/suspiciousActivity');
+const {
+  parseSearchFilters,
+  searchAuditLogs,
+  exportAuditLogs,
+  recordAuditAccess,
+  applyAuditRetention
+} = require('./audit/auditLog');
+const {
+  STAFF_PERMISSIONS,
+  getStaffActor,
+  requireStaffPermission,
+  createProviderUser,
+  listProviderUsers
+} = require('./auth/providerUsers');
+const { resolveBeneficiaryIdentifiers } = require('./auth/medicareId');
+const {
+  validateConversationId,
+  getConversation,
+  listConversations,
+  isConversationParticipant,
+  logConversationAccess
+} = require('./conversations/conversationStore');
+const {
+  HANDOFF_STATUS,
+  MESSAGE_ROLES,
+  getHandoff,
+  toBeneficiaryView,
+  toAgentView,
+  listHandoffs,
+  claimHandoff,
+  postHandoffMessage,
+  closeHandoff
+} = require('./handoff/agentHandoff');
+const { AUDIENCES } = require('./auth/sessionTokens');
+const { parseClaimSearch, searchClaims, syncClaimSearchTerms } = require('./handlers/claimSearch');
+const { resolveLocale } = require('./i18n/messages');
+const {
+  APPEAL_STATUS,
+  getAppeal,
+  getBeneficiaryAppeal,
+  listBeneficiaryAppeals,
+  fileAppeal,
+  addAppealDocuments,
+  listAppealsByStatus,
+  logAppealAccess,
+  reviewAppeal
+} = require('./appeals/appeals');
+const {
+  parseStatementPeriod,
+  buildSummaryNotice,
+  renderSummaryNoticePdf,
+  renderSummaryNoticeHtml
+} = require('./statements/summaryNotice');
+const { recordClaimChange } = require('./claims/statusHistory');
+const { parseBenefitYear, buildOutOfPocketTracker } = require('./claims/outOfPocket');
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
 
 /**
- * Dialogflow CX Webhook
- * Handles all webhook requests from Dialogflow CX
+ * Dialogflow Webhook
+ * Handles webhook requests from Dialogflow CX, and from Dialogflow ES (v2)
+ * agents (detected by `queryResult`)
+ * Requires the agent's service token (or a beneficiary or provider session
+ * token) in the Authorization header
  */
 exports.dialogflowWebhook = functions.https.onRequest(async (req, res) => {
   // Enable CORS
@@ -30,11 +101,19 @@ exports.dialogflowWebhook = functions.https.onRequest(async (req, res) => {
         return;
       }
       
+      const caller = await requireSession(req, res, [AUDIENCES.DIALOGFLOW_AGENT, AUDIENCES.BENEFICIARY, AUDIENCES.PROVIDER]);
+      if (!caller) {
+        return;
+      }
+      
       // Log incoming request (without sensitive data)
       console.log('Webhook request received');
       
       // Handle the webhook
-      const response = await handleWebhook(req.body);
+      const context = { caller, requestContext: getRequestContext(req, res) };
+      const response = req.body.queryResult
+        ? await handleDialogflowEsRequest(req.body, context)
+        : await handleWebhook(req.body, context);
       
       // Send response
       res.status(200).json(response);
@@ -55,10 +134,552 @@ exports.dialogflowWebhook = functions.https.onRequest(async (req, res) => {
   });
 });
 
+/**
+ * Chat API
+ * REST chat channel for the web and mobile chat: { sessionId?, text, context?: { channel } }
+ * Returns { success, sessionId, intent, text, richContent, suggestions, authenticated }.
+ * Signed-in app users may send their beneficiary token in the Authorization header;
+ * otherwise the user signs in through the conversation.
+ */
+exports.chatApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      let caller = null;
+      if (req.headers.authorization) {
+        caller = await requireSession(req, res, AUDIENCES.BENEFICIARY);
+        if (!caller) {
+          return;
+        }
+      }
+      
+      const result = await handleRestChat(req.body, { caller, requestContext: getRequestContext(req, res) });
+      
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      console.error('Chat API error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred processing your message'
+      });
+    }
+  });
+});
+
+/**
+ * Claim Search API
+ * The signed-in beneficiary's claims (a representative's needs claims access)
+ *
+ * GET ?status=Denied&from=2024-06-01&to=2024-08-31&provider=springfield
+ *     &serviceType=lab&sortBy=serviceDate&sortOrder=desc&limit=10&pageToken=CLM-...
+ *   -> { success, claims, totalCount, nextPageToken, message, richContent }
+ *
+ * provider matches part of the provider's name, or is a 10-digit NPI;
+ * sortBy is serviceDate, status, provider or serviceType. Messages are in the
+ * session's preferred language, or ?languageCode=.
+ */
+exports.claimSearchApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      const session = await requireSession(req, res, AUDIENCES.BENEFICIARY);
+      if (!session) {
+        return;
+      }
+      
+      const parsed = parseClaimSearch(req.query);
+      if (parsed.error) {
+        res.status(400).json({ success: false, error: parsed.error, message: parsed.message });
+        return;
+      }
+      
+      const locale = resolveLocale(session.preferredLanguage, req.query.languageCode);
+      const result = await searchClaims(session, parsed.criteria, getRequestContext(req, res), locale);
+      
+      if (!result.success) {
+        const status = result.error === 'ACCESS_DENIED' ? 403 : result.error ? 400 : 500;
+        res.status(status).json({ success: false, error: result.error || 'INTERNAL_ERROR', message: result.message });
+        return;
+      }
+      
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Claim search API error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred searching claims'
+      });
+    }
+  });
+});
+
+/**
+ * Summary Notice API
+ * The signed-in beneficiary's Medicare Summary Notice for a quarter or date
+ * range (a representative's needs claims access)
+ *
+ * GET ?period=2024-Q3&format=pdf
+ * GET ?from=2024-07-01&to=2024-09-30&format=html
+ *   -> the statement as an attachment (pdf or accessible html), or
+ *      { success, notice } for format=json (the default)
+ *
+ * Without a period or dates, the last full quarter. The statement is in the
+ * session's preferred language, or ?languageCode=.
+ */
+exports.summaryNoticeApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      const session = await requireSession(req, res, AUDIENCES.BENEFICIARY);
+      if (!session) {
+        return;
+      }
+      
+      const format = req.query.format || 'json';
+      if (!['json', 'pdf', 'html'].includes(format)) {
+        res.status(400).json({ success: false, error: 'INVALID_FORMAT', message: 'format must be json, pdf or html' });
+        return;
+      }
+      
+      const parsed = parseStatementPeriod(req.query);
+      if (parsed.error) {
+        res.status(400).json({ success: false, error: parsed.error, message: parsed.message });
+        return;
+      }
+      
+      const locale = resolveLocale(session.preferredLanguage, req.query.languageCode);
+      const result = await buildSummaryNotice(session, parsed.period, getRequestContext(req, res), locale);
+      
+      if (!result.success) {
+        const status = result.error === 'ACCESS_DENIED' ? 403 : result.error ? 400 : 500;
+        res.status(status).json({ success: false, error: result.error || 'INTERNAL_ERROR', message: result.message });
+        return;
+      }
+      
+      if (format === 'json') {
+        res.status(200).json(result);
+        return;
+      }
+      
+      const document = format === 'pdf' ? renderSummaryNoticePdf(result.notice) : renderSummaryNoticeHtml(result.notice);
+      res.set('Content-Type', document.contentType);
+      res.set('Content-Disposition', `attachment; filename="${document.filename}"`);
+      res.status(200).send(document.body);
+    } catch (error) {
+      console.error('Summary notice API error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred preparing the statement'
+      });
+    }
+  });
+});
+
+/**
+ * Out-of-Pocket API
+ * The signed-in beneficiary's spending for a benefit year against their
+ * Part A and Part B deductibles and, in a Medicare Advantage plan, the
+ * out-of-pocket maximum (a representative's needs claims access)
+ *
+ * GET [?year=2024] -> { success, tracker }
+ */
+exports.outOfPocketApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      const session = await requireSession(req, res, AUDIENCES.BENEFICIARY);
+      if (!session) {
+        return;
+      }
+      
+      const parsed = parseBenefitYear(req.query.year);
+      if (parsed.error) {
+        res.status(400).json({ success: false, error: parsed.error, message: parsed.message });
+        return;
+      }
+      
+      const locale = resolveLocale(session.preferredLanguage, req.query.languageCode);
+      const result = await buildOutOfPocketTracker(session, parsed.year, getRequestContext(req, res), locale);
+      
+      if (!result.success) {
+        const status = result.error === 'ACCESS_DENIED' ? 403 : result.error ? 400 : 500;
+        res.status(status).json({ success: false, error: result.error || 'INTERNAL_ERROR', message: result.message });
+        return;
+      }
+      
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Out-of-pocket API error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred adding up out-of-pocket costs'
+      });
+    }
+  });
+});
+
+/**
+ * Conversations API
+ * Chat history recorded by the webhook (redacted)
+ *
+ * GET ?conversationId=CONV-... -> { success, conversation } (with messages)
+ * GET [?limit=N]               -> { success, conversations } (summaries, most recent first)
+ *
+ * Beneficiaries see their own conversations (representatives only those they
+ * took part in). Support agents pass ?beneficiaryId= to list; every support
+ * agent read is written to the conversation access log.
+ */
+exports.conversationsApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      const session = await requireSession(req, res, [AUDIENCES.BENEFICIARY, AUDIENCES.SUPPORT_AGENT]);
+      if (!session) {
+        return;
+      }
+      
+      const isAgent = session.aud === AUDIENCES.SUPPORT_AGENT;
+      const requestContext = getRequestContext(req, res);
+      
+      if (req.query.conversationId !== undefined) {
+        const conversationId = req.query.conversationId;
+        const conversation = validateConversationId(conversationId) ? await getConversation(conversationId) : null;
+        const allowed = conversation && (isAgent ||
+          isConversationParticipant(session, conversation, await resolveBeneficiaryIdentifiers(session.medicareId)));
+        
+        // Other beneficiaries' conversations are reported as not found
+        if (!allowed) {
+          res.status(404).json({
+            success: false,
+            error: 'NOT_FOUND',
+            message: 'Conversation not found'
+          });
+          return;
+        }
+        
+        if (isAgent) {
+          await logConversationAccess(session.sub, 'viewed', {
+            conversationId,
+            beneficiaryId: conversation.beneficiaryId
+          }, requestContext);
+        }
+        
+        res.status(200).json({ success: true, conversation });
+        return;
+      }
+      
+      let beneficiaryIds;
+      if (isAgent) {
+        beneficiaryIds = await resolveBeneficiaryIdentifiers(req.query.beneficiaryId);
+        if (beneficiaryIds.length === 0) {
+          res.status(400).json({
+            success: false,
+            error: 'INVALID_BENEFICIARY_ID',
+            message: 'beneficiaryId must be a Medicare ID (MBI or legacy format)'
+          });
+          return;
+        }
+      } else {
+        beneficiaryIds = await resolveBeneficiaryIdentifiers(session.medicareId);
+      }
+      
+      const conversations = await listConversations(beneficiaryIds, req.query.limit);
+      
+      if (isAgent) {
+        await logConversationAccess(session.sub, 'listed', {
+          beneficiaryId: beneficiaryIds[0],
+          resultCount: conversations.length
+        }, requestContext);
+      }
+      
+      res.status(200).json({
+        success: true,
+        conversations: isAgent
+          ? conversations
+          : conversations.filter(conversation => isConversationParticipant(session, conversation, beneficiaryIds))
+      });
+    } catch (error) {
+      console.error('Conversations API error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred retrieving conversations'
+      });
+    }
+  });
+});
+
+// HTTP status for handoff errors; anything else is a bad request
+const HANDOFF_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  NOT_ASSIGNED: 403,
+  ALREADY_CLAIMED: 409,
+  HANDOFF_CLOSED: 409
+};
+
+/**
+ * Live Agent Handoff API
+ * Handoffs are queued by the virtual agent when a signed-in beneficiary is
+ * escalated (see handoff/agentHandoff.js). Requires a beneficiary or support
+ * agent session token.
+ *
+ * Beneficiaries:
+ * - GET ?handoffId=HO-...&after=MSG-NNN -> place in line, estimated wait and new messages
+ * - POST { action: 'message', handoffId, text } or { action: 'close', handoffId }
+ *
+ * Support agents:
+ * - GET -> the waiting queue (?status=assigned for the agent's own handoffs)
+ * - GET ?handoffId=HO-... -> the handoff with its context package and messages
+ * - POST { action: 'claim', handoffId, agentName? }, { action: 'message', handoffId, text }
+ *   or { action: 'close', handoffId }
+ */
+exports.handoffApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'GET' && req.method !== 'POST') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      const session = await requireSession(req, res, [AUDIENCES.BENEFICIARY, AUDIENCES.SUPPORT_AGENT]);
+      if (!session) {
+        return;
+      }
+      
+      const isAgent = session.aud === AUDIENCES.SUPPORT_AGENT;
+      const requestContext = getRequestContext(req, res);
+      const handoffId = req.method === 'GET' ? req.query.handoffId : req.body?.handoffId;
+      
+      if (req.method === 'GET' && handoffId === undefined) {
+        if (!isAgent) {
+          res.status(400).json({
+            success: false,
+            error: 'MISSING_HANDOFF_ID',
+            message: 'handoffId is required'
+          });
+          return;
+        }
+        
+        const status = req.query.status === HANDOFF_STATUS.ASSIGNED ? HANDOFF_STATUS.ASSIGNED : HANDOFF_STATUS.WAITING;
+        res.status(200).json({ success: true, handoffs: await listHandoffs(status, session.sub) });
+        return;
+      }
+      
+      // Other beneficiaries' handoffs are reported as not found
+      const handoff = await getHandoff(handoffId);
+      const allowed = handoff && (isAgent ||
+        isConversationParticipant(session, handoff, await resolveBeneficiaryIdentifiers(session.medicareId)));
+      
+      if (!allowed) {
+        res.status(404).json({
+          success: false,
+          error: 'NOT_FOUND',
+          message: 'Handoff not found'
+        });
+        return;
+      }
+      
+      const auditDetails = {
+        handoffId,
+        conversationId: handoff.conversationId,
+        beneficiaryId: handoff.beneficiaryId
+      };
+      
+      if (req.method === 'GET') {
+        if (isAgent) {
+          await logConversationAccess(session.sub, 'handoff_viewed', auditDetails, requestContext);
+          res.status(200).json({ success: true, handoff: toAgentView(handoff, session.sub) });
+        } else {
+          res.status(200).json({ success: true, handoff: await toBeneficiaryView(handoff, req.query.after) });
+        }
+        return;
+      }
+      
+      const { action, text, agentName } = req.body || {};
+      const sender = isAgent
+        ? { role: MESSAGE_ROLES.AGENT, agentId: session.sub }
+        : { role: MESSAGE_ROLES.BENEFICIARY };
+      
+      let result;
+      if (action === 'claim' && isAgent) {
+        result = await claimHandoff(handoffId, {
+          agentId: session.sub,
+          agentName: typeof agentName === 'string' && agentName.trim() ? agentName.trim().substring(0, 60) : null
+        });
+        if (result.success) {
+          await logConversationAccess(session.sub, 'handoff_claimed', auditDetails, requestContext);
+        }
+      } else if (action === 'message') {
+        result = await postHandoffMessage(handoffId, sender, text);
+      } else if (action === 'close') {
+        result = await closeHandoff(handoffId, sender);
+      } else {
+        res.status(400).json({
+          success: false,
+          error: 'INVALID_ACTION',
+          message: isAgent ? "action must be 'claim', 'message' or 'close'" : "action must be 'message' or 'close'"
+        });
+        return;
+      }
+      
+      res.status(result.success ? 200 : HANDOFF_ERROR_STATUS[result.error] || 400).json(result);
+    } catch (error) {
+      console.error('Handoff API error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred processing the handoff'
+      });
+    }
+  });
+});
+
+// HTTP status for appeal errors; anything else is a bad request
+const APPEAL_ERROR_STATUS = {
+  ACCESS_DENIED: 403,
+  CLAIM_NOT_OWNED: 403,
+  CLAIM_NOT_FOUND: 404,
+  APPEAL_NOT_FOUND: 404,
+  APPEAL_EXISTS: 409,
+  APPEAL_DECIDED: 409,
+  INVALID_STATUS_CHANGE: 409
+};
+
+/**
+ * Claim Appeals API
+ * Redetermination requests for denied claims (see appeals/appeals.js).
+ * Requires a beneficiary or support agent session token.
+ *
+ * Beneficiaries (filing needs the beneficiary or a full-access representative):
+ * - GET [?claimId=CLM-...] -> { success, appeals } (most recent first)
+ * - GET ?appealId=APL-... -> { success, appeal }
+ * - POST { action: 'file', claimId, reason, documentIds? } -> { success, message, appeal }
+ * - POST { action: 'attach', appealId, documentIds } -> { success, appeal }
+ *
+ * Support agents (reads and reviews are written to appealAuditLog):
+ * - GET [?status=Under Review] -> appeals waiting in that status (default Submitted), oldest first
+ * - GET ?appealId=APL-... -> { success, appeal }
+ * - POST { action: 'review', appealId, status, decision?, decisionReason?, agentName? }
+ *   (status 'Under Review', then 'Decided' with a decision and its reason)
+ */
+exports.appealsApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'GET' && req.method !== 'POST') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      const session = await requireSession(req, res, [AUDIENCES.BENEFICIARY, AUDIENCES.SUPPORT_AGENT]);
+      if (!session) {
+        return;
+      }
+      
+      const isAgent = session.aud === AUDIENCES.SUPPORT_AGENT;
+      const requestContext = getRequestContext(req, res);
+      const locale = resolveLocale(session.preferredLanguage, req.query.languageCode);
+      
+      let result;
+      if (req.method === 'GET' && isAgent) {
+        if (req.query.appealId !== undefined) {
+          const appeal = await getAppeal(req.query.appealId);
+          if (appeal) {
+            await logAppealAccess(session.sub, 'viewed', {
+              appealId: appeal.appealId,
+              beneficiaryId: appeal.beneficiaryId
+            }, requestContext);
+          }
+          result = appeal ? { success: true, appeal } : { success: false, error: 'APPEAL_NOT_FOUND', message: 'Appeal not found' };
+        } else {
+          const status = req.query.status === APPEAL_STATUS.UNDER_REVIEW ? APPEAL_STATUS.UNDER_REVIEW : APPEAL_STATUS.SUBMITTED;
+          const appeals = await listAppealsByStatus(status, req.query.limit);
+          await logAppealAccess(session.sub, 'listed', { status, resultCount: appeals.length }, requestContext);
+          result = { success: true, appeals };
+        }
+      } else if (req.method === 'GET') {
+        result = req.query.appealId !== undefined
+          ? await getBeneficiaryAppeal(session, req.query.appealId, requestContext, locale)
+          : await listBeneficiaryAppeals(session, { claimId: req.query.claimId, limit: req.query.limit }, requestContext, locale);
+      } else {
+        const { action, appealId, claimId, reason, documentIds, status, decision, decisionReason, agentName } = req.body || {};
+        
+        if (action === 'review' && isAgent) {
+          result = await reviewAppeal(appealId, {
+            agentId: session.sub,
+            agentName: typeof agentName === 'string' && agentName.trim() ? agentName.trim().substring(0, 60) : null
+          }, { status, decision, decisionReason }, requestContext);
+        } else if (action === 'file' && !isAgent) {
+          result = await fileAppeal(session, { claimNumber: claimId, reason, documentIds, channel: 'api' }, requestContext, locale);
+        } else if (action === 'attach' && !isAgent) {
+          result = await addAppealDocuments(session, appealId, documentIds, requestContext, locale);
+        } else {
+          res.status(400).json({
+            success: false,
+            error: 'INVALID_ACTION',
+            message: isAgent ? "action must be 'review'" : "action must be 'file' or 'attach'"
+          });
+          return;
+        }
+      }
+      
+      if (!result.success) {
+        const httpStatus = result.error ? APPEAL_ERROR_STATUS[result.error] || 400 : 500;
+        res.status(httpStatus).json({ success: false, error: result.error || 'INTERNAL_ERROR', message: result.message });
+        return;
+      }
+      
+      res.status(req.method === 'POST' && req.body.action === 'file' ? 201 : 200).json(result);
+    } catch (error) {
+      console.error('Appeals API error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred processing the appeal'
+      });
+    }
+  });
+});
+
 /**
  * Authentication Function
  * Standalone function for authenticating beneficiaries
  * Can be called directly from the frontend
+ * 
+ * Multi-step flow:
+ * 1. { medicareId, lastName } -> { challengeId, nextStep: 'DATE_OF_BIRTH' }
+ * 2. { challengeId, dateOfBirth } -> { nextStep: 'ONE_TIME_PASSCODE' }
+ * 3. { challengeId, passcode } -> { authenticated: true, sessionToken, refreshToken, firebaseToken }
+ *
+ * Authorized representatives start step 1 with { representativeId, lastName, medicareId }
+ * (their own ID and last name, the beneficiary's Medicare ID); steps 2-3 use
+ * the representative's own date of birth and contact details.
+ *
+ * firebaseToken is a Firebase Auth custom token; pass it to signInWithCustomToken()
+ * to read the beneficiary's own documents directly under firestore.rules.
  */
 exports.authenticateBeneficiary = functions.https.onRequest(async (req, res) => {
   cors(req, res, async () => {
@@ -69,9 +690,20 @@ exports.authenticateBeneficiary = functions.https.onRequest(async (req, res) =>
         return;
       }
       
-      const { medicareId, lastName } = req.body;
+      const { medicareId, lastName, representativeId, challengeId, dateOfBirth, passcode } = req.body;
+      const context = getRequestContext(req, res);
       
-      if (!medicareId || !lastName) {
+      let result;
+      if (challengeId) {
+        // Steps 2-3: date of birth, then one-time passcode
+        result = await continueAuthentication(challengeId, { dateOfBirth, passcode }, context);
+      } else if (representativeId) {
+        // Step 1 for representatives: representative ID, last name and beneficiary
+        result = await authenticateRepresentative(representativeId, lastName, medicareId, context);
+      } else if (medicareId && lastName) {
+        // Step 1: Medicare ID and last name
+        result = await authenticateUser(medicareId, lastName, context);
+      } else {
         res.status(400).json({
           success: false,
           error: 'MISSING_CREDENTIALS',
@@ -80,10 +712,16 @@ exports.authenticateBeneficiary = functions.https.onRequest(async (req, res) =>
         return;
       }
       
-      const result = await authenticateUser(medicareId, lastName);
-      
       if (result.success) {
         res.status(200).json(result);
+      } else if (result.error === 'RATE_LIMIT_EXCEEDED' || result.error === 'CHALLENGE_LOCKED') {
+        res.status(429).json(result);
+      } else if (result.error === 'DELEGATION_NOT_FOUND') {
+        res.status(403).json(result);
+      } else if (result.error === 'PASSCODE_NOT_SENT') {
+        res.status(503).json(result);
+      } else if (result.error === 'INTERNAL_ERROR') {
+        res.status(500).json(result);
       } else {
         res.status(401).json(result);
       }
@@ -98,9 +736,110 @@ exports.authenticateBeneficiary = functions.https.onRequest(async (req, res) =>
   });
 });
 
+/**
+ * Session Refresh Function
+ * Exchanges a refresh token for a new session token and refresh token
+ * Fails once the session is revoked or has hit its idle/absolute timeout
+ */
+exports.refreshBeneficiarySession = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      const { refreshToken } = req.body;
+      if (!refreshToken) {
+        res.status(400).json({
+          success: false,
+          error: 'MISSING_REFRESH_TOKEN',
+          message: 'A refresh token is required'
+        });
+        return;
+      }
+      
+      const result = await refreshSession(refreshToken);
+      
+      if (result.success) {
+        res.status(200).json(result);
+      } else if (result.error === 'INTERNAL_ERROR') {
+        res.status(500).json(result);
+      } else {
+        res.status(401).json(result);
+      }
+    } catch (error) {
+      console.error('Session refresh error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred refreshing the session'
+      });
+    }
+  });
+});
+
+/**
+ * Logout Function
+ * Ends the session identified by the beneficiary token in the Authorization header
+ */
+exports.logoutBeneficiary = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      const session = await requireSession(req, res, AUDIENCES.BENEFICIARY);
+      if (!session) {
+        return;
+      }
+      
+      res.status(200).json(await logout(session));
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred during logout'
+      });
+    }
+  });
+});
+
+/**
+ * Revoke All Sessions Function
+ * Ends every session for the caller's beneficiary record (sign out everywhere)
+ */
+exports.revokeBeneficiarySessions = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+      
+      const session = await requireSession(req, res, AUDIENCES.BENEFICIARY);
+      if (!session) {
+        return;
+      }
+      
+      res.status(200).json(await logoutAllSessions(session));
+    } catch (error) {
+      console.error('Session revocation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred revoking sessions'
+      });
+    }
+  });
+});
+
 /**
  * Provider Authentication Function
- * Authenticates healthcare providers using NPI number
+ * Authenticates clinic staff by organization NPI, email and password
  * Use Case 2: Provider Agent Assist
  */
 exports.authenticateProviderApi = functions.https.onRequest(async (req, res) => {
@@ -111,7 +850,7 @@ exports.authenticateProviderApi = functions.https.onRequest(async (req, res) =>
         return;
       }
       
-      const { npiNumber } = req.body;
+      const { npiNumber, email, password } = req.body;
       
       if (!npiNumber) {
         res.status(400).json({
@@ -122,7 +861,7 @@ exports.authenticateProviderApi = functions.https.onRequest(async (req, res) =>
         return;
       }
       
-      const result = await authenticateProvider(npiNumber);
+      const result = await authenticateProvider(npiNumber, email, password, getRequestContext(req, res));
       res.status(result.statusCode).json(result);
       
     } catch (error) {
@@ -139,6 +878,7 @@ exports.authenticateProviderApi = functions.https.onRequest(async (req, res) =>
 /**
  * Agent Assist Data Generation Function
  * Generates real-time agent assist data using Gemini AI
+ * Requires a provider session token; the provider ID comes from the token
  * Use Case 2: Provider Agent Assist
  */
 exports.generateAgentAssistDataApi = functions.https.onRequest(async (req, res) => {
@@ -149,18 +889,28 @@ exports.generateAgentAssistDataApi = functions.https.onRequest(async (req, res)
         return;
       }
       
-      const { transcript, providerId } = req.body;
+      const session = await requireSession(req, res, AUDIENCES.PROVIDER);
+      if (!session || !requireStaffPermission(session, res, STAFF_PERMISSIONS.AGENT_ASSIST)) {
+        return;
+      }
       
-      if (!transcript || !providerId) {
+      const { transcript } = req.body;
+      
+      if (!transcript) {
         res.status(400).json({
           success: false,
           error: 'MISSING_PARAMETERS',
-          message: 'Transcript and provider ID are required'
+          message: 'Transcript is required'
         });
         return;
       }
       
-      const result = await generateAgentAssistData(transcript, providerId);
+      const result = await generateAgentAssistData(
+        transcript,
+        session.npiNumber,
+        getStaffActor(session),
+        getRequestContext(req, res)
+      );
       
       if (result.success) {
         res.status(200).json(result);
@@ -182,6 +932,7 @@ exports.generateAgentAssistDataApi = functions.https.onRequest(async (req, res)
 /**
  * CRM Ticket Creation Function
  * Creates support tickets in Firestore (simulated CRM)
+ * Requires a provider session token; the NPI comes from the token
  * Use Case 2: Provider Agent Assist
  */
 exports.createCrmTicketApi = functions.https.onRequest(async (req, res) => {
@@ -192,22 +943,29 @@ exports.createCrmTicketApi = functions.https.onRequest(async (req, res) => {
         return;
       }
       
-      const { npiNumber, issueSummary, status, additionalData } = req.body;
+      const session = await requireSession(req, res, AUDIENCES.PROVIDER);
+      if (!session || !requireStaffPermission(session, res, STAFF_PERMISSIONS.TICKETS_CREATE)) {
+        return;
+      }
+      
+      const { issueSummary, status, additionalData } = req.body;
       
-      if (!npiNumber || !issueSummary) {
+      if (!issueSummary) {
         res.status(400).json({
           success: false,
           error: 'MISSING_PARAMETERS',
-          message: 'NPI number and issue summary are required'
+          message: 'Issue summary is required'
         });
         return;
       }
       
       const result = await createCrmTicket(
-        npiNumber,
+        session.npiNumber,
         issueSummary,
         status || 'Open',
-        additionalData || {}
+        additionalData || {},
+        getStaffActor(session),
+        getRequestContext(req, res)
       );
       
       if (result.success) {
@@ -227,6 +985,216 @@ exports.createCrmTicketApi = functions.https.onRequest(async (req, res) => {
   });
 });
 
+/**
+ * Provider Staff User Management Function
+ * GET lists the organization's staff users; POST creates one
+ * Requires a provider session token with the admin role
+ * Use Case 2: Provider Agent Assist
+ */
+exports.providerUsersApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'GET' && req.method !== 'POST') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+
+      const session = await requireSession(req, res, AUDIENCES.PROVIDER);
+      if (!session || !requireStaffPermission(session, res, STAFF_PERMISSIONS.USERS_MANAGE)) {
+        return;
+      }
+
+      if (req.method === 'GET') {
+        const users = await listProviderUsers(session.npiNumber);
+        res.status(200).json({ success: true, users });
+        return;
+      }
+
+      const result = await createProviderUser(session.npiNumber, req.body || {}, getStaffActor(session));
+      if (result.success) {
+        res.status(201).json(result);
+      } else {
+        res.status(result.error === 'USER_EXISTS' ? 409 : 400).json(result);
+      }
+
+    } catch (error) {
+      console.error('Provider user management error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred managing provider users'
+      });
+    }
+  });
+});
+
+/**
+ * Compliance Audit Log Function
+ * Searches an audit log by time range, actor and outcome, or exports the
+ * search as CSV or JSONL (format=csv|jsonl)
+ * Requires a compliance operator token; every search is itself audited
+ *
+ * Query: log, from, to, actor, outcome, limit, pageToken, format
+ */
+exports.auditLogsApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+
+      const session = await requireSession(req, res, AUDIENCES.COMPLIANCE);
+      if (!session) {
+        return;
+      }
+
+      const { filters, error, message } = parseSearchFilters(req.query);
+      if (error) {
+        res.status(400).json({ success: false, error, message });
+        return;
+      }
+
+      const format = req.query.format || 'json';
+      const context = getRequestContext(req, res);
+
+      if (format === 'csv' || format === 'jsonl') {
+        const result = await exportAuditLogs(filters, format);
+        await recordAuditAccess(session, 'audit.export', filters, result.count, context);
+
+        res.set('Content-Type', result.contentType);
+        res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+        res.set('X-Export-Truncated', String(result.truncated));
+        res.status(200).send(result.body);
+        return;
+      }
+
+      if (format !== 'json') {
+        res.status(400).json({
+          success: false,
+          error: 'INVALID_FORMAT',
+          message: 'format must be one of: json, csv, jsonl'
+        });
+        return;
+      }
+
+      const result = await searchAuditLogs(filters);
+      await recordAuditAccess(session, 'audit.search', filters, result.entries.length, context);
+
+      res.status(200).json({ success: true, ...result });
+
+    } catch (error) {
+      console.error('Audit log query error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred querying the audit logs'
+      });
+    }
+  });
+});
+
+/**
+ * Claim Status Trigger
+ * On every claim write: records the status transitions in the claim's
+ * statusHistory subcollection and notifies the beneficiary when the claim is
+ * approved, paid or denied (see claims/statusHistory.js), and refreshes the
+ * claim's searchTerms for claim search (see handlers/claimSearch.js)
+ */
+exports.onClaimWrite = functions.firestore
+  .document('claims/{claimId}')
+  .onWrite(async (change, context) => {
+    await recordClaimChange(change, context);
+    await syncClaimSearchTerms(change);
+    return null;
+  });
+
+/**
+ * Audit Log Retention Job
+ * Daily: archives (or purges) audit entries older than AUDIT_RETENTION_DAYS
+ * See audit/auditLog.js for the retention settings
+ */
+exports.auditLogRetention = functions.pubsub
+  .schedule('every day 03:00')
+  .timeZone('America/New_York')
+  .onRun(async () => {
+    await applyAuditRetention();
+    return null;
+  });
+
+/**
+ * Account Security Administration Function
+ * GET lists locked-out accounts and security findings (?status=open|resolved)
+ * POST { action: 'unlock', limiterKey } or { action: 'unlock', scope, identifier }
+ * unlocks an account; POST { action: 'resolve', findingId } resolves a finding
+ * Requires a security administrator token
+ */
+exports.accountSecurityApi = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      if (req.method !== 'GET' && req.method !== 'POST') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return;
+      }
+
+      const session = await requireSession(req, res, AUDIENCES.SECURITY_ADMIN);
+      if (!session) {
+        return;
+      }
+
+      if (req.method === 'GET') {
+        const status = req.query.status === 'resolved' ? 'resolved' : 'open';
+        const [lockouts, findings] = await Promise.all([listLockouts(), listFindings(status)]);
+        res.status(200).json({ success: true, lockouts, findings });
+        return;
+      }
+
+      const { action, findingId } = req.body || {};
+
+      if (action === 'unlock') {
+        const result = await unlockAccount(req.body, session.sub, getRequestContext(req, res));
+        res.status(result.success ? 200 : 400).json(result);
+        return;
+      }
+
+      if (action === 'resolve' && typeof findingId === 'string' && /^[a-f0-9]{32}$/.test(findingId)) {
+        const resolved = await resolveFinding(findingId, session.sub);
+        res.status(resolved ? 200 : 404).json({
+          success: resolved,
+          message: resolved ? 'Finding resolved' : 'No open finding with that ID'
+        });
+        return;
+      }
+
+      res.status(400).json({
+        success: false,
+        error: 'INVALID_ACTION',
+        message: "action must be 'unlock' or 'resolve' (with findingId)"
+      });
+
+    } catch (error) {
+      console.error('Account security administration error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'An error occurred processing the request'
+      });
+    }
+  });
+});
+
+/**
+ * Suspicious Activity Scan
+ * Every 5 minutes: analyzes recent sign-in attempts and raises alerts
+ * See auth/suspiciousActivity.js for the detection rules
+ */
+exports.suspiciousActivityScan = functions.pubsub
+  .schedule('every 5 minutes')
+  .onRun(async () => {
+    await analyzeAuthActivity();
+    return null;
+  });
+
 /**
  * Health Check Function
  * Simple endpoint to verify the functions are running
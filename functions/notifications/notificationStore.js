@@ -0,0 +1,69 @@
+/**
+ * Beneficiary Notifications
+ *
+ * Writes notifications in the schema of firestore/notifications.json, the
+ * feed the mobile app shows. Titles and messages are in the beneficiary's
+ * preferred language. Beneficiaries can only mark them read or dismissed
+ * (see firestore.rules); everything else is created here.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { findBeneficiaryByIdentifier } = require('../auth/medicareId');
+const { getPreferredLanguage, DEFAULT_LOCALE } = require('../i18n/messages');
+
+const NOTIFICATION_COLLECTION = 'notifications';
+const PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+const DEFAULT_EXPIRY_DAYS = 30;
+
+/**
+ * Generate a notification ID (NOTIF-YYYY-XXXXXXXX)
+ */
+function generateNotificationId() {
+  return `NOTIF-${new Date().getFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * The language to write a beneficiary's notifications in
+ */
+async function getNotificationLocale(beneficiaryId) {
+  const beneficiaryDoc = await findBeneficiaryByIdentifier(beneficiaryId);
+  return (beneficiaryDoc && getPreferredLanguage(beneficiaryDoc.data())) || DEFAULT_LOCALE;
+}
+
+/**
+ * Create a notification for a beneficiary
+ *
+ * @param {string} beneficiaryId - Medicare ID the notification is for
+ * @param {Object} notification - { type, priority, title, message, actionLink, actionText, relatedTo }
+ * @returns {Promise<Object>} The stored notification
+ */
+async function createNotification(beneficiaryId, notification) {
+  const now = new Date();
+  const record = {
+    notificationId: generateNotificationId(),
+    beneficiaryId,
+    type: notification.type,
+    priority: PRIORITIES.includes(notification.priority) ? notification.priority : 'medium',
+    title: notification.title,
+    message: notification.message,
+    actionLink: notification.actionLink || null,
+    actionText: notification.actionText || null,
+    relatedTo: notification.relatedTo || null,
+    createdAt: now.toISOString(),
+    readAt: null,
+    dismissedAt: null,
+    expiresAt: new Date(now.getTime() + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+
+  const db = admin.firestore();
+  await db.collection(NOTIFICATION_COLLECTION).doc(record.notificationId).set(record);
+
+  return record;
+}
+
+module.exports = {
+  PRIORITIES,
+  getNotificationLocale,
+  createNotification
+};
@@ -0,0 +1,167 @@
+/**
+ * Minimal PDF Writer
+ *
+ * Writes PDF 1.4 documents made of text, ruled lines and shaded boxes on US
+ * Letter pages, using the standard Helvetica fonts every PDF reader has, so
+ * statements need no extra dependencies. Pages are lists of drawing
+ * operations with coordinates in points from the top-left corner:
+ *
+ *   { text, x, y, size, bold, align: 'left' | 'right' }
+ *   { line: [x1, y1, x2, y2], width }
+ *   { box: [x, y, width, height], gray }
+ *
+ * Text is WinAnsi encoded: Latin-1 characters (including Spanish accents),
+ * bullets and dashes print as they are, anything else as "?".
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths (1/1000 em) for printable ASCII, from the font's AFM
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+// WinAnsi codes for punctuation outside Latin-1
+const WINANSI_PUNCTUATION = { '\u2022': '\x95', '\u2013': '\x96', '\u2014': '\x97' };
+// Helvetica-Bold runs about this much wider
+const BOLD_WIDTH_FACTOR = 1.08;
+
+/**
+ * Approximate width of a line of text in points
+ * Accented letters are measured as their base letter
+ */
+function textWidth(text, size, bold = false) {
+  const units = [...String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '')]
+    .reduce((sum, char) => {
+      const code = char.charCodeAt(0);
+      return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+    }, 0);
+
+  return (units * size / 1000) * (bold ? BOLD_WIDTH_FACTOR : 1);
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ */
+function wrapText(text, maxWidth, size, bold = false) {
+  const lines = [];
+  let line = '';
+
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size, bold) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Encode text as a PDF string literal in WinAnsi (Latin-1) bytes
+ */
+function pdfString(text) {
+  const latin1 = String(text)
+    .normalize('NFC')
+    .replace(/[\u2000-\u200b\u202f]/g, ' ')
+    .replace(/[\u2022\u2013\u2014]/g, char => WINANSI_PUNCTUATION[char])
+    .replace(/[^\x20-\x7e\x95-\x97\xa0-\xff]/g, '?');
+
+  return `(${latin1.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Content stream for one page
+ */
+function renderPage(operations) {
+  return operations.map(operation => {
+    if (operation.box) {
+      const [x, y, width, height] = operation.box;
+      return `${formatNumber(operation.gray ?? 0.9)} g ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} ${formatNumber(width)} ${formatNumber(height)} re f 0 g`;
+    }
+
+    if (operation.line) {
+      const [x1, y1, x2, y2] = operation.line;
+      return `${formatNumber(operation.width || 0.5)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`;
+    }
+
+    const size = operation.size || 10;
+    const x = operation.align === 'right'
+      ? operation.x - textWidth(operation.text, size, operation.bold)
+      : operation.x;
+    return `BT /${operation.bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - operation.y)} Td ${pdfString(operation.text)} Tj ET`;
+  }).join('\n');
+}
+
+/**
+ * PDF date string (D:YYYYMMDDHHmmSSZ)
+ */
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Write a PDF document
+ *
+ * @param {Array<Array<Object>>} pages - Drawing operations for each page
+ * @param {Object} info - { title, language } (language is a BCP 47 tag such as 'en-US')
+ * @returns {Buffer} The PDF file
+ */
+function renderPdf(pages, info = {}) {
+  const pageIds = pages.map((page, index) => 5 + index * 2);
+  const objects = [
+    `<< /Type /Catalog /Pages 2 0 R /Lang ${pdfString(info.language || 'en-US')} >>`,
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+
+  pages.forEach((operations, index) => {
+    const content = renderPage(operations);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  objects.push(`<< /Title ${pdfString(info.title || '')} /Producer (CMS Beneficiary Self-Service) /CreationDate (${pdfDate(new Date())}) >>`);
+  const infoId = objects.length;
+
+  let body = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(body, 'latin1');
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  textWidth,
+  wrapText,
+  renderPdf
+};
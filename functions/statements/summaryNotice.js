@@ -0,0 +1,684 @@
+/**
+ * Medicare Summary Notices
+ *
+ * Statements of a beneficiary's claims for a quarter or a date range, in the
+ * style of the Medicare Summary Notice (MSN):
+ * - Every claim with a service date in the period, oldest first, with the
+ *   amount billed, the Medicare-approved amount, what Medicare paid and what
+ *   the beneficiary may be billed
+ * - Totals for the period and how many claims were approved, pending or denied
+ * - Lettered notes explaining each denial, its appeal deadline and any appeal
+ *   already filed, and that pending claims may still change
+ *
+ * A notice renders as a PDF for printing and as accessible HTML (language
+ * attribute, headings, table caption and header scopes) for screen readers,
+ * both in the caller's language. Identifiers are masked to their last 4
+ * characters.
+ */
+
+const admin = require('firebase-admin');
+const { findBeneficiaryByIdentifier, resolveBeneficiaryIdentifiers } = require('../auth/medicareId');
+const { authorizeAccess, PERMISSIONS } = require('../auth/delegation');
+const { isValidDate } = require('../handlers/claimSearch');
+const { quarterRange } = require('../channels/dateRanges');
+const { maskIdentifier } = require('../handoff/agentHandoff');
+const { infoElement, descriptionElement } = require('../webhooks/richContent');
+const { PAGE_WIDTH, PAGE_HEIGHT, wrapText, renderPdf } = require('./pdfWriter');
+const { DEFAULT_LOCALE, hasMessage, t, formatDate, formatCurrency } = require('../i18n/messages');
+
+const PERIOD_PATTERN = /^(\d{4})-?Q([1-4])$/i;
+const MAX_PERIOD_DAYS = 366;
+// Upper bound on claims in one statement
+const MAX_STATEMENT_CLAIMS = 500;
+
+// Language tags for the PDF and HTML documents
+const DOCUMENT_LANGUAGES = {
+  en: 'en-US',
+  es: 'es-US'
+};
+
+// PDF layout, in points
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_TOP = PAGE_HEIGHT - 50;
+const TABLE_FONT_SIZE = 8;
+const TABLE_LINE_HEIGHT = 10;
+// Claims table columns: [message key, width, right-aligned]
+const TABLE_COLUMNS = [
+  ['statements.columns.claim', 92, false],
+  ['statements.columns.service', 178, false],
+  ['statements.columns.billed', 58, true],
+  ['statements.columns.approved', 58, true],
+  ['statements.columns.paid', 58, true],
+  ['statements.columns.youMayBeBilled', 62, true],
+  ['statements.columns.note', 26, true]
+];
+
+/**
+ * The calendar quarter before the one a date falls in
+ */
+function lastFullQuarter(now) {
+  const quarter = Math.floor(now.getUTCMonth() / 3) + 1;
+  return quarter === 1
+    ? quarterRange(now.getUTCFullYear() - 1, 4)
+    : quarterRange(now.getUTCFullYear(), quarter - 1);
+}
+
+/**
+ * Validate the period a statement covers
+ * A quarter ('2024-Q3') or a from/to date range; the last full quarter
+ * when neither is given
+ *
+ * @param {Object} query - period, from, to
+ * @param {Date} now - Reference date for the default period
+ * @returns {Object} { period: { from, to } } or { error, message }
+ */
+function parseStatementPeriod(query = {}, now = new Date()) {
+  if (query.period) {
+    const match = String(query.period).trim().match(PERIOD_PATTERN);
+    if (!match) {
+      return { error: 'INVALID_PERIOD', message: 'period must be a quarter such as 2024-Q3' };
+    }
+    return { period: quarterRange(Number(match[1]), Number(match[2])) };
+  }
+
+  const from = query.from ? String(query.from).trim() : null;
+  const to = query.to ? String(query.to).trim() : null;
+  if (!from && !to) {
+    return { period: lastFullQuarter(now) };
+  }
+  if (!from || !to || !isValidDate(from) || !isValidDate(to)) {
+    return { error: 'INVALID_DATE', message: 'from and to must both be dates in YYYY-MM-DD format' };
+  }
+  if (from > to) {
+    return { error: 'INVALID_DATE', message: 'from must be on or before to' };
+  }
+  if ((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) >= MAX_PERIOD_DAYS) {
+    return { error: 'INVALID_DATE', message: `A statement can cover at most ${MAX_PERIOD_DAYS} days` };
+  }
+
+  return { period: { from, to } };
+}
+
+/**
+ * Today's date as YYYY-MM-DD (UTC), for comparing with appeal deadlines
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function toCents(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+/**
+ * A status or decision name in the statement language (as stored otherwise)
+ */
+function formatValue(group, value, locale) {
+  const key = `${group}.${value}`;
+  return hasMessage(locale, key) ? t(locale, key) : value;
+}
+
+/**
+ * Explain a claim that needs one: why it was denied and how to appeal, or
+ * that it is still being processed
+ */
+function explainClaim(claim, appeal, locale) {
+  if (claim.status === 'Pending') {
+    return t(locale, 'statements.notes.pending');
+  }
+  if (claim.status !== 'Denied') {
+    return null;
+  }
+
+  const parts = [claim.denialReason
+    ? t(locale, 'statements.notes.denied', { reason: claim.denialReason.replace(/\.$/, '') })
+    : t(locale, 'statements.notes.deniedNoReason')];
+
+  if (appeal && appeal.status === 'Decided') {
+    parts.push(t(locale, 'statements.notes.appealDecided', {
+      appealId: appeal.appealId,
+      decision: formatValue('appeals.decisions', appeal.decision, locale)
+    }));
+  } else if (appeal) {
+    parts.push(t(locale, 'statements.notes.appealFiled', {
+      appealId: appeal.appealId,
+      status: formatValue('appeals.statusNames', appeal.status, locale)
+    }));
+  } else if (claim.appealDeadline && claim.appealDeadline >= today()) {
+    parts.push(t(locale, 'statements.notes.appealBy', {
+      date: formatDate(claim.appealDeadline, locale),
+      claimId: claim.claimId
+    }));
+  } else if (claim.appealDeadline) {
+    parts.push(t(locale, 'statements.notes.appealClosed', { date: formatDate(claim.appealDeadline, locale) }));
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Letter for the nth note: A to Z, then AA, BB and so on
+ */
+function noteLetter(index) {
+  return String.fromCharCode(65 + index % 26).repeat(Math.floor(index / 26) + 1);
+}
+
+/**
+ * Statement line for one claim
+ */
+function toStatementLine(claim, appeal, note) {
+  return {
+    claimId: claim.claimId,
+    serviceDate: claim.serviceDate,
+    status: claim.status,
+    provider: claim.provider?.name || null,
+    serviceType: claim.serviceType || null,
+    description: claim.description || null,
+    procedureCodes: claim.procedureCodes || [],
+    diagnosisCodes: claim.diagnosisCodes || [],
+    billedAmount: toCents(claim.billedAmount) / 100,
+    approvedAmount: toCents(claim.approvedAmount) / 100,
+    paidAmount: toCents(claim.paymentAmount) / 100,
+    youMayBeBilled: toCents(claim.patientResponsibility) / 100,
+    denialReason: claim.denialReason || null,
+    appealDeadline: claim.appealDeadline || null,
+    appealId: appeal ? appeal.appealId : null,
+    note: note ? note.letter : null
+  };
+}
+
+/**
+ * Build a beneficiary's summary notice for a period
+ *
+ * @param {Object} sessionInfo - Verified session claims; representative
+ *   sessions must hold a delegation with claims access
+ * @param {Object} period - { from, to } from parseStatementPeriod()
+ * @param {Object} requestContext - Request context for the audit log
+ * @param {string} locale - Statement language
+ * @returns {Promise<Object>} { success, notice } or { success: false, error, message }
+ */
+async function buildSummaryNotice(sessionInfo = {}, period, requestContext = {}, locale = DEFAULT_LOCALE) {
+  try {
+    if (!sessionInfo.medicareId) {
+      return {
+        success: false,
+        error: 'MISSING_MEDICARE_ID',
+        message: t(locale, 'claims.medicareIdRequired')
+      };
+    }
+
+    const beneficiaryDoc = await findBeneficiaryByIdentifier(sessionInfo.medicareId);
+    if (!beneficiaryDoc) {
+      return {
+        success: false,
+        error: 'INVALID_MEDICARE_ID',
+        message: t(locale, 'claims.invalidMedicareId')
+      };
+    }
+
+    const access = await authorizeAccess(
+      sessionInfo,
+      PERMISSIONS.CLAIMS_READ,
+      { type: 'statement', id: `${period.from}/${period.to}` },
+      requestContext
+    );
+    if (!access.allowed) {
+      return {
+        success: false,
+        error: 'ACCESS_DENIED',
+        message: t(locale, 'access.claimsDenied')
+      };
+    }
+
+    // Claims and appeals may be filed under either the legacy ID or the MBI
+    const beneficiaryIds = await resolveBeneficiaryIdentifiers(sessionInfo.medicareId);
+    const db = admin.firestore();
+    const [claimsSnapshot, appealsSnapshot] = await Promise.all([
+      db.collection('claims')
+        .where('medicareId', 'in', beneficiaryIds)
+        .where('serviceDate', '>=', period.from)
+        .where('serviceDate', '<=', period.to)
+        .orderBy('serviceDate', 'desc')
+        .limit(MAX_STATEMENT_CLAIMS)
+        .get(),
+      db.collection('appeals').where('beneficiaryId', 'in', beneficiaryIds).get()
+    ]);
+
+    const appealsByClaim = new Map(appealsSnapshot.docs.map(doc => [doc.data().claimId, doc.data()]));
+    const claims = claimsSnapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => a.serviceDate.localeCompare(b.serviceDate) || a.claimId.localeCompare(b.claimId));
+
+    const notes = [];
+    const lines = claims.map(claim => {
+      const appeal = appealsByClaim.get(claim.claimId);
+      const text = explainClaim(claim, appeal, locale);
+      const note = text ? { letter: noteLetter(notes.length), claimId: claim.claimId, text } : null;
+      if (note) {
+        notes.push(note);
+      }
+      return toStatementLine(claim, appeal, note);
+    });
+
+    const total = field => lines.reduce((sum, line) => sum + toCents(line[field]), 0) / 100;
+    const count = status => lines.filter(line => line.status === status).length;
+    const beneficiary = beneficiaryDoc.data();
+
+    return {
+      success: true,
+      notice: {
+        locale,
+        period: { from: period.from, to: period.to },
+        generatedAt: new Date().toISOString(),
+        beneficiary: {
+          name: [beneficiary.firstName, beneficiary.lastName].filter(Boolean).join(' '),
+          maskedId: maskIdentifier(beneficiary.mbi || beneficiary.medicareId),
+          address: beneficiary.address || null
+        },
+        claims: lines,
+        notes,
+        totals: {
+          billedAmount: total('billedAmount'),
+          approvedAmount: total('approvedAmount'),
+          paidAmount: total('paidAmount'),
+          youMayBeBilled: total('youMayBeBilled')
+        },
+        counts: {
+          approved: count('Approved'),
+          pending: count('Pending'),
+          denied: count('Denied')
+        },
+        truncated: claims.length === MAX_STATEMENT_CLAIMS
+      }
+    };
+  } catch (error) {
+    console.error('Error building summary notice:', error.message);
+    return {
+      success: false,
+      message: t(locale, 'statements.error')
+    };
+  }
+}
+
+function formatPeriod(notice) {
+  return t(notice.locale, 'statements.period', {
+    from: formatDate(notice.period.from, notice.locale),
+    to: formatDate(notice.period.to, notice.locale)
+  });
+}
+
+function addressLines(address) {
+  if (!address) {
+    return [];
+  }
+  return [address.street, [address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ')]
+    .filter(Boolean);
+}
+
+/**
+ * The summary lines shared by every rendering
+ */
+function summaryLines(notice) {
+  const { locale, totals, counts } = notice;
+  return [
+    t(locale, 'statements.claimCount', { count: notice.claims.length, ...counts }),
+    t(locale, 'statements.totalBilled', { amount: formatCurrency(totals.billedAmount, locale) }),
+    t(locale, 'statements.totalApproved', { amount: formatCurrency(totals.approvedAmount, locale) }),
+    t(locale, 'statements.totalPaid', { amount: formatCurrency(totals.paidAmount, locale) }),
+    t(locale, 'statements.totalYouMayBeBilled', { amount: formatCurrency(totals.youMayBeBilled, locale) })
+  ];
+}
+
+function codesLine(line, locale) {
+  const codes = [];
+  if (line.procedureCodes.length > 0) {
+    codes.push(t(locale, 'statements.procedureCodes', { codes: line.procedureCodes.join(', ') }));
+  }
+  if (line.diagnosisCodes.length > 0) {
+    codes.push(t(locale, 'statements.diagnosisCodes', { codes: line.diagnosisCodes.join(', ') }));
+  }
+  return codes.join('; ');
+}
+
+function statementFilename(notice, extension) {
+  return `medicare-summary-notice-${notice.period.from}-${notice.period.to}.${extension}`;
+}
+
+/**
+ * Render a summary notice as a PDF
+ *
+ * @param {Object} notice - Result of buildSummaryNotice()
+ * @returns {Object} { contentType, filename, body }
+ */
+function renderSummaryNoticePdf(notice) {
+  const { locale } = notice;
+  const pages = [];
+  let operations;
+  let y;
+
+  const text = (value, x, options = {}) => operations.push({ text: value, x, y, size: 10, ...options });
+  const newPage = () => {
+    operations = [];
+    pages.push(operations);
+    y = MARGIN;
+  };
+  const ensureSpace = height => {
+    if (y + height > FOOTER_TOP) {
+      newPage();
+      return true;
+    }
+    return false;
+  };
+  const paragraph = (value, options = {}) => {
+    const size = options.size || 9;
+    wrapText(value, options.width || CONTENT_WIDTH, size, options.bold).forEach(line => {
+      ensureSpace(size + 3);
+      y += size + 3;
+      text(line, options.x || MARGIN, { size, bold: options.bold });
+    });
+  };
+  const heading = value => {
+    ensureSpace(40);
+    y += 22;
+    text(value, MARGIN, { size: 12, bold: true });
+    y += 4;
+    operations.push({ line: [MARGIN, y, PAGE_WIDTH - MARGIN, y], width: 0.75 });
+  };
+
+  // Title band
+  newPage();
+  operations.push({ box: [0, 0, PAGE_WIDTH, 78], gray: 0.9 });
+  y = 38;
+  text(t(locale, 'statements.title'), MARGIN, { size: 20, bold: true });
+  text(t(locale, 'statements.generatedOn', { date: formatDate(notice.generatedAt, locale) }), PAGE_WIDTH - MARGIN, { size: 9, align: 'right' });
+  y = 60;
+  text(formatPeriod(notice), MARGIN, { size: 11 });
+
+  // Beneficiary on the left, summary on the right
+  const top = 104;
+  const summaryX = PAGE_WIDTH / 2 + 10;
+  const column = (x, width, lines, bold = () => false) => lines.forEach((line, index) =>
+    wrapText(line, width, 10, bold(index)).forEach(part => {
+      y += 13;
+      text(part, x, { bold: bold(index) });
+    }));
+
+  y = top;
+  text(notice.beneficiary.name, MARGIN, { size: 11, bold: true });
+  column(MARGIN, summaryX - MARGIN - 20,
+    [t(locale, 'statements.medicareNumber', { id: notice.beneficiary.maskedId }), ...addressLines(notice.beneficiary.address)]);
+  const beneficiaryBottom = y;
+
+  y = top;
+  text(t(locale, 'statements.summaryTitle'), summaryX, { size: 11, bold: true });
+  column(summaryX, PAGE_WIDTH - MARGIN - summaryX, summaryLines(notice), index => index === 4);
+  y = Math.max(y, beneficiaryBottom) + 6;
+  paragraph(t(locale, 'statements.notABill'), { bold: true });
+
+  // Claims table
+  heading(t(locale, 'statements.claimsTitle'));
+  const columnX = TABLE_COLUMNS.reduce((positions, column, index) => {
+    positions.push(index === 0 ? MARGIN : positions[index - 1] + TABLE_COLUMNS[index - 1][1]);
+    return positions;
+  }, []);
+  const cellX = index => (TABLE_COLUMNS[index][2] ? columnX[index] + TABLE_COLUMNS[index][1] - 4 : columnX[index] + 4);
+
+  const row = (cells, options = {}) => {
+    const wrapped = cells.map((cell, index) => [].concat(cell).flatMap(value =>
+      wrapText(value, TABLE_COLUMNS[index][1] - 8, TABLE_FONT_SIZE, options.bold)));
+    const height = Math.max(...wrapped.map(lines => lines.length)) * TABLE_LINE_HEIGHT + 6;
+    const rowTop = y;
+    if (options.shade) {
+      operations.push({ box: [MARGIN, rowTop, CONTENT_WIDTH, height], gray: options.shade });
+    }
+    wrapped.forEach((lines, index) => lines.forEach((line, lineIndex) => operations.push({
+      text: line,
+      x: cellX(index),
+      y: rowTop + (lineIndex + 1) * TABLE_LINE_HEIGHT,
+      size: TABLE_FONT_SIZE,
+      bold: options.bold || (index === 0 && lineIndex === 0),
+      align: TABLE_COLUMNS[index][2] ? 'right' : 'left'
+    })));
+    y = rowTop + height;
+    operations.push({ line: [MARGIN, y, PAGE_WIDTH - MARGIN, y], width: options.bold ? 1 : 0.25 });
+    return height;
+  };
+  const headerCells = TABLE_COLUMNS.map(([key]) => t(locale, key));
+  const tableHeader = () => {
+    y += 8;
+    row(headerCells, { bold: true, shade: 0.9 });
+  };
+  // Height of the header row, measured the same way row() lays it out
+  const headerHeight = Math.max(...headerCells.map((cell, index) =>
+    wrapText(cell, TABLE_COLUMNS[index][1] - 8, TABLE_FONT_SIZE, true).length)) * TABLE_LINE_HEIGHT + 14;
+
+  if (notice.claims.length === 0) {
+    paragraph(t(locale, 'statements.noClaims', { period: formatPeriod(notice) }));
+  } else {
+    ensureSpace(headerHeight + 40);
+    tableHeader();
+    notice.claims.forEach(line => {
+      const cells = [
+        [line.claimId, formatDate(line.serviceDate, locale), formatValue('claims.statusNames', line.status, locale)],
+        [line.provider, line.description || line.serviceType, codesLine(line, locale)].filter(Boolean),
+        formatCurrency(line.billedAmount, locale),
+        formatCurrency(line.approvedAmount, locale),
+        formatCurrency(line.paidAmount, locale),
+        formatCurrency(line.youMayBeBilled, locale),
+        line.note || ''
+      ];
+      const lineCount = Math.max(...cells.map((cell, index) => [].concat(cell)
+        .flatMap(value => wrapText(value, TABLE_COLUMNS[index][1] - 8, TABLE_FONT_SIZE)).length));
+      if (ensureSpace(lineCount * TABLE_LINE_HEIGHT + 6)) {
+        tableHeader();
+      }
+      row(cells);
+    });
+    ensureSpace(TABLE_LINE_HEIGHT + 6);
+    row([
+      t(locale, 'statements.total'),
+      '',
+      formatCurrency(notice.totals.billedAmount, locale),
+      formatCurrency(notice.totals.approvedAmount, locale),
+      formatCurrency(notice.totals.paidAmount, locale),
+      formatCurrency(notice.totals.youMayBeBilled, locale),
+      ''
+    ], { bold: true });
+  }
+
+  if (notice.notes.length > 0) {
+    heading(t(locale, 'statements.notesTitle'));
+    notice.notes.forEach(note => {
+      y += 4;
+      paragraph(t(locale, 'statements.noteHeading', { letter: note.letter, claimId: note.claimId }), { bold: true });
+      paragraph(note.text);
+    });
+  }
+
+  heading(t(locale, 'statements.appealRightsTitle'));
+  paragraph(t(locale, 'statements.appealRights'));
+
+  // Footer on every page, now that the page count is known
+  pages.forEach((page, index) => {
+    page.push(
+      { line: [MARGIN, FOOTER_TOP + 14, PAGE_WIDTH - MARGIN, FOOTER_TOP + 14], width: 0.25 },
+      { text: t(locale, 'statements.footer', { period: formatPeriod(notice) }), x: MARGIN, y: FOOTER_TOP + 28, size: 8 },
+      { text: t(locale, 'statements.pageNumber', { page: index + 1, pages: pages.length }), x: PAGE_WIDTH - MARGIN, y: FOOTER_TOP + 28, size: 8, align: 'right' }
+    );
+  });
+
+  return {
+    contentType: 'application/pdf',
+    filename: statementFilename(notice, 'pdf'),
+    body: renderPdf(pages, {
+      title: `${t(locale, 'statements.title')} - ${formatPeriod(notice)}`,
+      language: DOCUMENT_LANGUAGES[locale] || DOCUMENT_LANGUAGES[DEFAULT_LOCALE]
+    })
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+  })[char]);
+}
+
+/**
+ * Render a summary notice as an accessible HTML page
+ *
+ * @param {Object} notice - Result of buildSummaryNotice()
+ * @returns {Object} { contentType, filename, body }
+ */
+function renderSummaryNoticeHtml(notice) {
+  const { locale } = notice;
+  const period = formatPeriod(notice);
+  const title = `${t(locale, 'statements.title')} - ${period}`;
+  const amount = value => `<td class="amount">${escapeHtml(formatCurrency(value, locale))}</td>`;
+  const noteId = letter => `note-${letter.toLowerCase()}`;
+
+  const claimRows = notice.claims.map(line => [
+    '<tr>',
+    `<th scope="row">${escapeHtml(line.claimId)}<br>${escapeHtml(formatDate(line.serviceDate, locale))}<br>${escapeHtml(formatValue('claims.statusNames', line.status, locale))}</th>`,
+    `<td>${[line.provider, line.description || line.serviceType, codesLine(line, locale)].filter(Boolean).map(escapeHtml).join('<br>')}</td>`,
+    amount(line.billedAmount),
+    amount(line.approvedAmount),
+    amount(line.paidAmount),
+    amount(line.youMayBeBilled),
+    `<td>${line.note ? `<a href="#${noteId(line.note)}">${escapeHtml(t(locale, 'statements.seeNote', { letter: line.note }))}</a>` : ''}</td>`,
+    '</tr>'
+  ].join(''));
+
+  const claimsSection = notice.claims.length === 0
+    ? `<p>${escapeHtml(t(locale, 'statements.noClaims', { period }))}</p>`
+    : [
+      '<table>',
+      `<caption>${escapeHtml(t(locale, 'statements.tableCaption', { period }))}</caption>`,
+      `<thead><tr>${TABLE_COLUMNS.map(([key]) => `<th scope="col">${escapeHtml(t(locale, key))}</th>`).join('')}</tr></thead>`,
+      `<tbody>\n${claimRows.join('\n')}\n</tbody>`,
+      `<tfoot><tr><th scope="row" colspan="2">${escapeHtml(t(locale, 'statements.total'))}</th>` +
+        `${amount(notice.totals.billedAmount)}${amount(notice.totals.approvedAmount)}` +
+        `${amount(notice.totals.paidAmount)}${amount(notice.totals.youMayBeBilled)}<td></td></tr></tfoot>`,
+      '</table>'
+    ].join('\n');
+
+  const notesSection = notice.notes.length === 0 ? '' : [
+    '<section aria-labelledby="notes-heading">',
+    `<h2 id="notes-heading">${escapeHtml(t(locale, 'statements.notesTitle'))}</h2>`,
+    '<dl>',
+    ...notice.notes.map(note =>
+      `<dt id="${noteId(note.letter)}">${escapeHtml(t(locale, 'statements.noteHeading', { letter: note.letter, claimId: note.claimId }))}</dt>` +
+      `<dd>${escapeHtml(note.text)}</dd>`),
+    '</dl>',
+    '</section>'
+  ].join('\n');
+
+  const body = `<!DOCTYPE html>
+<html lang="${DOCUMENT_LANGUAGES[locale] || DOCUMENT_LANGUAGES[DEFAULT_LOCALE]}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; font-size: 1rem; line-height: 1.5; color: #1b1b1b; margin: 0; }
+main { max-width: 60rem; margin: 0 auto; padding: 1rem; }
+table { border-collapse: collapse; width: 100%; }
+caption { text-align: left; font-weight: bold; padding: 0.5rem 0; }
+th, td { border: 1px solid #71767a; padding: 0.5rem; text-align: left; vertical-align: top; }
+thead th, tfoot th, tfoot td { background: #f0f0f0; }
+.amount { text-align: right; white-space: nowrap; }
+a { color: #005ea2; }
+a:focus { outline: 3px solid #2491ff; }
+</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${escapeHtml(t(locale, 'statements.title'))}</h1>
+<p>${escapeHtml(period)}</p>
+<p>${escapeHtml(t(locale, 'statements.generatedOn', { date: formatDate(notice.generatedAt, locale) }))}</p>
+<p><strong>${escapeHtml(t(locale, 'statements.notABill'))}</strong></p>
+</header>
+<section aria-labelledby="beneficiary-heading">
+<h2 id="beneficiary-heading">${escapeHtml(t(locale, 'statements.beneficiaryTitle'))}</h2>
+<p>${escapeHtml(notice.beneficiary.name)}<br>${escapeHtml(t(locale, 'statements.medicareNumber', { id: notice.beneficiary.maskedId }))}</p>
+${notice.beneficiary.address ? `<address>${addressLines(notice.beneficiary.address).map(escapeHtml).join('<br>')}</address>` : ''}
+</section>
+<section aria-labelledby="summary-heading">
+<h2 id="summary-heading">${escapeHtml(t(locale, 'statements.summaryTitle'))}</h2>
+<ul>
+${summaryLines(notice).map(line => `<li>${escapeHtml(line)}</li>`).join('\n')}
+</ul>
+</section>
+<section aria-labelledby="claims-heading">
+<h2 id="claims-heading">${escapeHtml(t(locale, 'statements.claimsTitle'))}</h2>
+${claimsSection}
+</section>
+${notesSection}
+<section aria-labelledby="appeal-rights-heading">
+<h2 id="appeal-rights-heading">${escapeHtml(t(locale, 'statements.appealRightsTitle'))}</h2>
+<p>${escapeHtml(t(locale, 'statements.appealRights'))}</p>
+</section>
+</main>
+</body>
+</html>
+`;
+
+  return {
+    contentType: 'text/html; charset=utf-8',
+    filename: statementFilename(notice, 'html'),
+    body
+  };
+}
+
+/**
+ * Summarize a notice for the chat
+ *
+ * @param {Object} notice - Result of buildSummaryNotice()
+ * @returns {Object} { text, richContent } - plain-text fallback and a statement card
+ */
+function formatSummaryNoticeResponse(notice) {
+  const { locale } = notice;
+  const title = t(locale, 'statements.title');
+  const period = formatPeriod(notice);
+
+  if (notice.claims.length === 0) {
+    const message = t(locale, 'statements.noClaims', { period });
+    return { text: message, richContent: [infoElement(title, period)] };
+  }
+
+  const lines = summaryLines(notice);
+  const denials = notice.claims
+    .filter(line => line.status === 'Denied')
+    .map(line => t(locale, 'statements.deniedLine', {
+      claimId: line.claimId,
+      reason: line.denialReason || t(locale, 'common.notAvailable')
+    }));
+
+  const sections = [
+    `**${title}**\n${period}`,
+    lines.join('\n')
+  ];
+  if (denials.length > 0) {
+    sections.push(`${t(locale, 'statements.denialsTitle')}\n${denials.join('\n')}`);
+  }
+  sections.push(t(locale, 'statements.downloadHint'));
+
+  const richContent = [
+    infoElement(title, period),
+    descriptionElement(t(locale, 'statements.summaryTitle'), lines)
+  ];
+  if (denials.length > 0) {
+    richContent.push(descriptionElement(t(locale, 'statements.denialsTitle'), denials));
+  }
+
+  return { text: sections.join('\n\n'), richContent };
+}
+
+module.exports = {
+  parseStatementPeriod,
+  buildSummaryNotice,
+  renderSummaryNoticePdf,
+  renderSummaryNoticeHtml,
+  formatSummaryNoticeResponse
+};
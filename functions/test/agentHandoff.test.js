@@ -0,0 +1,129 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin').createFakeAdmin());
+
+const admin = require('firebase-admin');
+const { createMemoryQueue, setHandoffQueue } = require('../handoff/handoffQueue');
+const { requestHandoff, getHandoff, getBeneficiaryHandoff } = require('../handoff/agentHandoff');
+const { handleWebhook } = require('../webhooks/dialogflowWebhook');
+const { AUDIENCES } = require('../auth/sessionTokens');
+
+const MARY = { aud: AUDIENCES.BENEFICIARY, role: 'beneficiary', medicareId: '123-45-6789' };
+const MARY_BY_MBI = { aud: AUDIENCES.BENEFICIARY, role: 'beneficiary', medicareId: '1EG4TE5MK73' };
+const ROBERT = { aud: AUDIENCES.BENEFICIARY, role: 'beneficiary', medicareId: '234-56-7890' };
+
+function sessionPath(id) {
+  return `projects/demo/locations/global/agents/agent/sessions/${id}`;
+}
+
+async function queueHandoff(claims, sessionId) {
+  return requestHandoff({
+    conversationId: sessionId,
+    claims,
+    reason: 'CALLER_REQUESTED',
+    channel: 'web'
+  });
+}
+
+function webhookRequest(tag, parameters, text = 'Is anyone there?') {
+  return {
+    text,
+    fulfillmentInfo: { tag },
+    sessionInfo: { session: sessionPath('robert-session'), parameters }
+  };
+}
+
+describe('agentHandoff ownership', () => {
+  beforeEach(() => {
+    admin.testing.reset();
+    admin.testing.seed('beneficiaries/123-45-6789', {
+      medicareId: '123-45-6789',
+      mbi: '1EG4TE5MK73',
+      firstName: 'Mary',
+      lastName: 'Johnson'
+    });
+    admin.testing.seed('beneficiaries/234-56-7890', {
+      medicareId: '234-56-7890',
+      firstName: 'Robert',
+      lastName: 'Smith'
+    });
+    setHandoffQueue(createMemoryQueue());
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setHandoffQueue(null);
+    jest.restoreAllMocks();
+  });
+
+  test('a beneficiary can fetch their own handoff by either identifier', async () => {
+    const { handoffId } = await queueHandoff(MARY, 'mary-session');
+
+    expect(await getBeneficiaryHandoff(handoffId, MARY)).toMatchObject({ handoffId });
+    expect(await getBeneficiaryHandoff(handoffId, MARY_BY_MBI)).toMatchObject({ handoffId });
+  });
+
+  test("another beneficiary's handoff is treated as not found", async () => {
+    const { handoffId } = await queueHandoff(MARY, 'mary-session');
+
+    expect(await getBeneficiaryHandoff(handoffId, ROBERT)).toBeNull();
+    expect(await getBeneficiaryHandoff(handoffId, null)).toBeNull();
+  });
+
+  test('representatives only see handoffs they started', async () => {
+    const representative = { ...MARY, role: 'representative', representativeId: 'REP-000001' };
+    const { handoffId } = await queueHandoff(representative, 'rep-session');
+
+    expect(await getBeneficiaryHandoff(handoffId, representative)).toMatchObject({ handoffId });
+    expect(await getBeneficiaryHandoff(handoffId, { ...representative, representativeId: 'REP-000002' })).toBeNull();
+  });
+
+  test("requesting a handoff never reuses another beneficiary's handoff", async () => {
+    const marys = await queueHandoff(MARY, 'mary-session');
+
+    const roberts = await requestHandoff({
+      conversationId: 'robert-session',
+      claims: ROBERT,
+      reason: 'CALLER_REQUESTED',
+      existingHandoffId: marys.handoffId
+    });
+
+    expect(roberts.handoffId).not.toBe(marys.handoffId);
+    expect((await getHandoff(roberts.handoffId)).beneficiaryId).toBe('234-56-7890');
+  });
+
+  test("the webhook does not report another beneficiary's handoff", async () => {
+    const marys = await queueHandoff(MARY, 'mary-session');
+
+    const response = await handleWebhook(
+      webhookRequest('escalate_to_agent', { handoffId: marys.handoffId }, 'I want a person'),
+      { caller: ROBERT }
+    );
+
+    const { handoffId } = response.sessionInfo.parameters;
+    expect(handoffId).toMatch(/^HO-/);
+    expect(handoffId).not.toBe(marys.handoffId);
+  });
+
+  test("the webhook does not relay messages into another beneficiary's handoff", async () => {
+    const marys = await queueHandoff(MARY, 'mary-session');
+
+    await handleWebhook(
+      webhookRequest('greeting', { handoffId: marys.handoffId }),
+      { caller: ROBERT }
+    );
+
+    expect((await getHandoff(marys.handoffId)).messages).toEqual([]);
+  });
+
+  test('the webhook relays messages into the caller\'s own handoff', async () => {
+    const marys = await queueHandoff(MARY, 'mary-session');
+
+    await handleWebhook(
+      webhookRequest('greeting', { handoffId: marys.handoffId }),
+      { caller: MARY }
+    );
+
+    expect((await getHandoff(marys.handoffId)).messages).toEqual([
+      expect.objectContaining({ role: 'beneficiary', content: 'Is anyone there?' })
+    ]);
+  });
+});
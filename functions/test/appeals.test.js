@@ -0,0 +1,235 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin').createFakeAdmin());
+
+const admin = require('firebase-admin');
+const {
+  APPEAL_STATUS,
+  DECISIONS,
+  fileAppeal,
+  getAppeal,
+  reviewAppeal
+} = require('../appeals/appeals');
+
+const ROBERT = { role: 'beneficiary', medicareId: '234-56-7890' };
+const MARY = { role: 'beneficiary', medicareId: '123-45-6789' };
+const AGENT = { agentId: 'AGENT-001', agentName: 'Pat Lee' };
+const OTHER_AGENT = { agentId: 'AGENT-002', agentName: 'Sam Ortiz' };
+
+const REASON = 'The MRI was ordered by my neurologist after two falls.';
+
+function fileRobertsAppeal(request = {}) {
+  return fileAppeal(ROBERT, { claimNumber: 'CLM-2024-007', reason: REASON, channel: 'api', ...request });
+}
+
+function decision(decisionValue = DECISIONS.FAVORABLE) {
+  return {
+    status: APPEAL_STATUS.DECIDED,
+    decision: decisionValue,
+    decisionReason: 'The neurologist documented medical necessity.'
+  };
+}
+
+function list(collectionPath) {
+  return admin.testing.list(collectionPath).map(path => admin.testing.read(path));
+}
+
+describe('appeals', () => {
+  beforeEach(() => {
+    admin.testing.reset();
+    admin.testing.seed('beneficiaries/234-56-7890', {
+      medicareId: '234-56-7890',
+      firstName: 'Robert',
+      preferences: { language: 'en' }
+    });
+    admin.testing.seed('beneficiaries/123-45-6789', { medicareId: '123-45-6789', mbi: '1EG4TE5MK73' });
+    admin.testing.seed('claims/CLM-2024-007', {
+      claimId: 'CLM-2024-007',
+      medicareId: '234-56-7890',
+      status: 'Denied',
+      appealDeadline: '2024-12-15'
+    });
+    admin.testing.seed('claims/CLM-2024-002', {
+      claimId: 'CLM-2024-002',
+      medicareId: '234-56-7890',
+      status: 'Approved',
+      appealDeadline: '2024-12-15'
+    });
+    admin.testing.seed('documents/DOC-2024-007', {
+      documentId: 'DOC-2024-007',
+      beneficiaryId: '234-56-7890',
+      relatedTo: { type: 'claim', id: 'CLM-2024-007' }
+    });
+    jest.useFakeTimers({ now: new Date('2024-10-15T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('fileAppeal', () => {
+    test('files a Submitted appeal with the claim\'s documents and notifies the beneficiary', async () => {
+      const result = await fileRobertsAppeal();
+
+      expect(result.success).toBe(true);
+      expect(result.appeal).toMatchObject({
+        appealId: expect.stringMatching(/^APL-2024-[A-F0-9]{6}$/),
+        claimId: 'CLM-2024-007',
+        status: APPEAL_STATUS.SUBMITTED,
+        documentIds: ['DOC-2024-007']
+      });
+
+      const { appealId } = result.appeal;
+      expect(await getAppeal(appealId)).toMatchObject({
+        beneficiaryId: '234-56-7890',
+        filedBy: 'beneficiary',
+        statusHistory: [{ status: APPEAL_STATUS.SUBMITTED, at: '2024-10-15T12:00:00.000Z' }]
+      });
+      expect(admin.testing.read('documents/DOC-2024-007').relatedTo).toEqual({ type: 'appeal', id: appealId });
+      expect(list('notifications')).toEqual([
+        expect.objectContaining({ beneficiaryId: '234-56-7890', relatedTo: { type: 'appeal', id: appealId } })
+      ]);
+    });
+
+    test('a claim can only be appealed once', async () => {
+      const first = await fileRobertsAppeal();
+      const second = await fileRobertsAppeal();
+
+      expect(second).toMatchObject({ success: false, error: 'APPEAL_EXISTS' });
+      expect(list('appeals').map(appeal => appeal.appealId)).toEqual([first.appeal.appealId]);
+    });
+
+    test('a double submit files one appeal', async () => {
+      const results = await Promise.all([fileRobertsAppeal(), fileRobertsAppeal()]);
+
+      expect(results.filter(result => result.success)).toHaveLength(1);
+      expect(results.filter(result => result.error === 'APPEAL_EXISTS')).toHaveLength(1);
+      expect(list('appeals')).toHaveLength(1);
+    });
+
+    test.each([
+      ['another beneficiary\'s claim', MARY, {}, 'CLAIM_NOT_OWNED'],
+      ['a claim that was not denied', ROBERT, { claimNumber: 'CLM-2024-002' }, 'CLAIM_NOT_APPEALABLE'],
+      ['a missing reason', ROBERT, { reason: '  ' }, 'MISSING_APPEAL_REASON'],
+      ['documents the beneficiary does not own', ROBERT, { documentIds: ['DOC-2024-999'] }, 'INVALID_DOCUMENTS']
+    ])('refuses %s', async (label, session, request, error) => {
+      const result = await fileAppeal(session, { claimNumber: 'CLM-2024-007', reason: REASON, ...request });
+
+      expect(result).toMatchObject({ success: false, error });
+      expect(list('appeals')).toEqual([]);
+    });
+
+    test('refuses appeals after the deadline', async () => {
+      jest.setSystemTime(new Date('2024-12-16T12:00:00Z'));
+
+      expect(await fileRobertsAppeal()).toMatchObject({ success: false, error: 'APPEAL_DEADLINE_PASSED' });
+    });
+  });
+
+  describe('reviewAppeal', () => {
+    let appealId;
+
+    beforeEach(async () => {
+      ({ appeal: { appealId } } = await fileRobertsAppeal());
+    });
+
+    test('moves an appeal to Under Review and then to Decided', async () => {
+      const started = await reviewAppeal(appealId, AGENT, { status: APPEAL_STATUS.UNDER_REVIEW });
+      expect(started).toMatchObject({
+        success: true,
+        appeal: { status: APPEAL_STATUS.UNDER_REVIEW, reviewerId: 'AGENT-001', reviewerName: 'Pat Lee' }
+      });
+
+      jest.setSystemTime(new Date('2024-10-20T09:30:00Z'));
+      const decided = await reviewAppeal(appealId, AGENT, decision());
+      expect(decided.success).toBe(true);
+
+      expect(await getAppeal(appealId)).toMatchObject({
+        status: APPEAL_STATUS.DECIDED,
+        decision: DECISIONS.FAVORABLE,
+        decisionReason: 'The neurologist documented medical necessity.',
+        decidedAt: '2024-10-20T09:30:00.000Z',
+        statusHistory: [
+          { status: APPEAL_STATUS.SUBMITTED, at: '2024-10-15T12:00:00.000Z' },
+          { status: APPEAL_STATUS.UNDER_REVIEW, at: '2024-10-15T12:00:00.000Z', by: 'AGENT-001' },
+          { status: APPEAL_STATUS.DECIDED, at: '2024-10-20T09:30:00.000Z', by: 'AGENT-001' }
+        ]
+      });
+      expect(list('appealAuditLog').map(entry => entry.action).sort()).toEqual(['decided', 'review_started']);
+      expect(list('notifications').map(notification => notification.priority).sort()).toEqual(['high', 'medium']);
+    });
+
+    test('a Submitted appeal cannot be decided without a review', async () => {
+      const result = await reviewAppeal(appealId, AGENT, decision());
+
+      expect(result).toMatchObject({ success: false, error: 'INVALID_STATUS_CHANGE' });
+      expect(result.message).toBe('A Submitted appeal can only move to Under Review');
+      expect(await getAppeal(appealId)).toMatchObject({ status: APPEAL_STATUS.SUBMITTED, decision: null });
+      expect(list('appealAuditLog')).toEqual([]);
+    });
+
+    test('statuses cannot be repeated or moved back', async () => {
+      await reviewAppeal(appealId, AGENT, { status: APPEAL_STATUS.UNDER_REVIEW });
+
+      expect(await reviewAppeal(appealId, AGENT, { status: APPEAL_STATUS.UNDER_REVIEW }))
+        .toMatchObject({ success: false, error: 'INVALID_STATUS_CHANGE' });
+      expect(await reviewAppeal(appealId, AGENT, { status: APPEAL_STATUS.SUBMITTED }))
+        .toMatchObject({ success: false, error: 'INVALID_STATUS_CHANGE' });
+    });
+
+    test('a decided appeal cannot be reviewed again', async () => {
+      await reviewAppeal(appealId, AGENT, { status: APPEAL_STATUS.UNDER_REVIEW });
+      await reviewAppeal(appealId, AGENT, decision());
+
+      expect(await reviewAppeal(appealId, OTHER_AGENT, decision(DECISIONS.UNFAVORABLE))).toEqual({
+        success: false,
+        error: 'INVALID_STATUS_CHANGE',
+        message: 'This appeal has already been decided'
+      });
+      expect((await getAppeal(appealId)).decision).toBe(DECISIONS.FAVORABLE);
+    });
+
+    test('a decision needs one of the decisions and a reason', async () => {
+      await reviewAppeal(appealId, AGENT, { status: APPEAL_STATUS.UNDER_REVIEW });
+
+      expect(await reviewAppeal(appealId, AGENT, { ...decision(), decision: 'Maybe' }))
+        .toMatchObject({ success: false, error: 'INVALID_DECISION' });
+      expect(await reviewAppeal(appealId, AGENT, { ...decision(), decisionReason: ' ' }))
+        .toMatchObject({ success: false, error: 'INVALID_DECISION' });
+      expect((await getAppeal(appealId)).status).toBe(APPEAL_STATUS.UNDER_REVIEW);
+    });
+
+    test('only one of two agents starting a review at once succeeds', async () => {
+      const results = await Promise.all([
+        reviewAppeal(appealId, AGENT, { status: APPEAL_STATUS.UNDER_REVIEW }),
+        reviewAppeal(appealId, OTHER_AGENT, { status: APPEAL_STATUS.UNDER_REVIEW })
+      ]);
+
+      expect(results.map(result => result.success)).toEqual([true, false]);
+      expect(results[1].error).toBe('INVALID_STATUS_CHANGE');
+      expect((await getAppeal(appealId)).statusHistory.map(entry => entry.status))
+        .toEqual([APPEAL_STATUS.SUBMITTED, APPEAL_STATUS.UNDER_REVIEW]);
+    });
+
+    test('only one of two decisions made at once is recorded', async () => {
+      await reviewAppeal(appealId, AGENT, { status: APPEAL_STATUS.UNDER_REVIEW });
+
+      const results = await Promise.all([
+        reviewAppeal(appealId, AGENT, decision(DECISIONS.FAVORABLE)),
+        reviewAppeal(appealId, OTHER_AGENT, decision(DECISIONS.UNFAVORABLE))
+      ]);
+
+      expect(results.map(result => result.success)).toEqual([true, false]);
+      expect(await getAppeal(appealId)).toMatchObject({ decision: DECISIONS.FAVORABLE, reviewerId: 'AGENT-001' });
+      expect(list('notifications').filter(notification => notification.priority === 'high')).toHaveLength(1);
+    });
+
+    test('unknown appeals are not found', async () => {
+      expect(await reviewAppeal('APL-2024-000000', AGENT, { status: APPEAL_STATUS.UNDER_REVIEW }))
+        .toMatchObject({ success: false, error: 'APPEAL_NOT_FOUND' });
+      expect(await reviewAppeal('not-an-appeal', AGENT, { status: APPEAL_STATUS.UNDER_REVIEW }))
+        .toMatchObject({ success: false, error: 'APPEAL_NOT_FOUND' });
+    });
+  });
+});
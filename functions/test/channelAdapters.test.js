@@ -0,0 +1,107 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin').createFakeAdmin());
+
+const admin = require('firebase-admin');
+const { handleRestChat } = require('../channels/channelAdapters');
+const { AUDIENCES } = require('../auth/sessionTokens');
+
+const MARY = { aud: AUDIENCES.BENEFICIARY, sub: '123-45-6789', sid: 'sid-mary', role: 'beneficiary', medicareId: '123-45-6789' };
+const ROBERT = { aud: AUDIENCES.BENEFICIARY, sub: '234-56-7890', sid: 'sid-robert', role: 'beneficiary', medicareId: '234-56-7890' };
+
+const CHOSEN_ID = 'attacker-chosen-session-id';
+
+function chat(text, sessionId, caller = null) {
+  return handleRestChat({ sessionId, text, context: { channel: 'web' } }, { caller });
+}
+
+function storedSession(sessionId) {
+  return admin.testing.read(`chatSessions/${sessionId}`);
+}
+
+describe('REST chat sessions', () => {
+  beforeEach(() => {
+    admin.testing.reset();
+    admin.testing.seed('beneficiaries/123-45-6789', { medicareId: '123-45-6789', firstName: 'Mary' });
+    admin.testing.seed('beneficiaries/234-56-7890', { medicareId: '234-56-7890', firstName: 'Robert' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('the server issues the session ID', async () => {
+    const reply = await chat('Hello');
+
+    expect(reply.success).toBe(true);
+    expect(reply.sessionId).toMatch(/^[a-f0-9]{32}$/);
+    expect(storedSession(reply.sessionId)).toMatchObject({ channel: 'web', owner: null });
+  });
+
+  test('a session ID the server did not issue is replaced', async () => {
+    const reply = await chat('Hello', CHOSEN_ID);
+
+    expect(reply.sessionId).not.toBe(CHOSEN_ID);
+    expect(storedSession(CHOSEN_ID)).toBeUndefined();
+  });
+
+  test('the issued session ID continues the conversation', async () => {
+    const first = await chat('Check my claim status');
+    const second = await chat('Hello again', first.sessionId);
+
+    expect(second.sessionId).toBe(first.sessionId);
+  });
+
+  test('a session bound to a signed-in caller is not usable by anyone else', async () => {
+    const marys = await chat('Hello', undefined, MARY);
+    expect(storedSession(marys.sessionId).owner).toBe('sid-mary');
+
+    const anonymous = await chat('Hello', marys.sessionId);
+    const roberts = await chat('Hello', marys.sessionId, ROBERT);
+    const marysNextSignIn = await chat('Hello', marys.sessionId, { ...MARY, sid: 'sid-mary-2' });
+
+    [anonymous, roberts, marysNextSignIn].forEach(reply => {
+      expect(reply.sessionId).not.toBe(marys.sessionId);
+    });
+    expect((await chat('Hello', marys.sessionId, MARY)).sessionId).toBe(marys.sessionId);
+  });
+
+  test('an anonymous session is not taken over by a signed-in caller', async () => {
+    const anonymous = await chat('Hello');
+
+    const marys = await chat('Hello', anonymous.sessionId, MARY);
+
+    expect(marys.sessionId).not.toBe(anonymous.sessionId);
+    expect(storedSession(anonymous.sessionId).owner).toBeNull();
+  });
+
+  test('stored parameters are not loaded into a replacement session', async () => {
+    admin.testing.seed('chatSessions/victim-session-0001', {
+      parameters: { authenticated: true, sessionToken: 'victim-token', medicareID: '123-45-6789' },
+      channel: 'web',
+      owner: 'sid-mary',
+      updatedAt: Date.now()
+    });
+
+    const reply = await chat('Show my claims', 'victim-session-0001');
+
+    expect(reply.authenticated).toBe(false);
+    expect(storedSession(reply.sessionId).parameters).not.toHaveProperty('sessionToken');
+  });
+
+  test('an expired session starts over under a new ID', async () => {
+    jest.useFakeTimers({ now: new Date('2024-10-15T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const first = await chat('Hello');
+
+    jest.advanceTimersByTime(31 * 60 * 1000);
+    const second = await chat('Hello', first.sessionId);
+
+    expect(second.sessionId).not.toBe(first.sessionId);
+  });
+
+  test('badly formatted session IDs are rejected', async () => {
+    expect(await chat('Hello', 'not a session id')).toMatchObject({ success: false, error: 'INVALID_SESSION_ID' });
+  });
+});
@@ -0,0 +1,247 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin').createFakeAdmin());
+
+const admin = require('firebase-admin');
+const {
+  buildClaimSearchTerms,
+  syncClaimSearchTerms,
+  backfillClaimSearchTerms,
+  parseClaimSearch,
+  searchClaims
+} = require('../handlers/claimSearch');
+
+const MARY = { role: 'beneficiary', medicareId: '123-45-6789' };
+
+const CLAIMS = [
+  {
+    claimId: 'CLM-2024-001',
+    medicareId: '123-45-6789',
+    status: 'Approved',
+    serviceDate: '2024-09-15',
+    serviceType: 'Inpatient Hospital Care',
+    provider: { name: 'Springfield General Hospital', npi: '1234567893' }
+  },
+  {
+    claimId: 'CLM-2024-006',
+    medicareId: '123-45-6789',
+    status: 'Approved',
+    serviceDate: '2024-06-15',
+    serviceType: 'Prescription Medication',
+    provider: { name: 'Springfield Pharmacy', npi: '6789012345' }
+  },
+  {
+    claimId: 'CLM-2024-011',
+    medicareId: '1EG4TE5MK73',
+    status: 'Denied',
+    serviceDate: '2024-07-02',
+    serviceType: 'X-Ray Imaging',
+    provider: { name: 'Shelbyville Imaging', npi: '4567890122' }
+  },
+  {
+    claimId: 'CLM-2024-012',
+    medicareId: '123-45-6789',
+    status: 'Pending',
+    serviceDate: '2024-10-01',
+    serviceType: 'Blood Work',
+    provider: { name: 'Springfield General Hospital', npi: '1234567893' }
+  },
+  {
+    claimId: 'CLM-2024-002',
+    medicareId: '234-56-7890',
+    status: 'Approved',
+    serviceDate: '2024-08-20',
+    serviceType: 'Specialist Consultation',
+    provider: { name: 'Springfield Cardiology', npi: '2345678900' }
+  }
+];
+
+function seedClaim(claim, { withSearchTerms = true } = {}) {
+  admin.testing.seed(`claims/${claim.claimId}`, withSearchTerms
+    ? { ...claim, searchTerms: buildClaimSearchTerms(claim) }
+    : claim);
+}
+
+async function search(query, sessionInfo = MARY) {
+  const { criteria, error } = parseClaimSearch(query);
+  if (error) {
+    throw new Error(error);
+  }
+  return searchClaims(sessionInfo, criteria);
+}
+
+function claimIds(result) {
+  return result.claims.map(claim => claim.claimId);
+}
+
+describe('claimSearch', () => {
+  beforeEach(() => {
+    admin.testing.reset();
+    admin.testing.seed('beneficiaries/123-45-6789', { medicareId: '123-45-6789', mbi: '1EG4TE5MK73' });
+    admin.testing.seed('beneficiaries/234-56-7890', { medicareId: '234-56-7890' });
+    CLAIMS.forEach(claim => seedClaim(claim));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseClaimSearch', () => {
+    test('defaults to newest first, ten per page', () => {
+      expect(parseClaimSearch({}).criteria).toMatchObject({
+        sortBy: 'serviceDate',
+        sortOrder: 'desc',
+        limit: 10,
+        pageToken: null
+      });
+    });
+
+    test('normalizes filters', () => {
+      expect(parseClaimSearch({
+        status: 'denied',
+        provider: '1234567893',
+        sortBy: 'provider',
+        limit: '500',
+        pageToken: 'clm-2024-001'
+      }).criteria).toMatchObject({
+        status: 'Denied',
+        providerName: null,
+        providerNpi: '1234567893',
+        sortOrder: 'asc',
+        limit: 50,
+        pageToken: 'CLM-2024-001'
+      });
+    });
+
+    test.each([
+      [{ status: 'Lost' }, 'INVALID_STATUS'],
+      [{ from: '2024-02-30' }, 'INVALID_DATE'],
+      [{ from: '2024-10-01', to: '2024-09-01' }, 'INVALID_DATE'],
+      [{ providerNpi: '12345' }, 'INVALID_NPI'],
+      [{ provider: '!!!' }, 'INVALID_FILTER'],
+      [{ serviceType: 'x'.repeat(101) }, 'INVALID_FILTER'],
+      [{ sortBy: 'billedAmount' }, 'INVALID_SORT'],
+      [{ sortOrder: 'sideways' }, 'INVALID_SORT'],
+      [{ pageToken: 'not-a-claim' }, 'INVALID_PAGE_TOKEN']
+    ])('rejects %p', (query, error) => {
+      expect(parseClaimSearch(query).error).toBe(error);
+    });
+  });
+
+  test('search terms cover every whole-word run of the provider and service', () => {
+    const terms = buildClaimSearchTerms(CLAIMS[2]);
+
+    expect(terms).toEqual(expect.arrayContaining([
+      'provider:shelbyville',
+      'provider:shelbyville imaging',
+      'service:x ray',
+      'service:ray imaging',
+      'provider:imaging|service:x ray imaging'
+    ]));
+    expect(terms).not.toContain('provider:shelby');
+  });
+
+  test("returns the beneficiary's claims under either identifier, newest first", async () => {
+    const result = await search({});
+
+    expect(result.success).toBe(true);
+    expect(claimIds(result)).toEqual(['CLM-2024-012', 'CLM-2024-001', 'CLM-2024-011', 'CLM-2024-006']);
+    expect(result.totalCount).toBe(4);
+  });
+
+  test('matches provider names and service types by whole words', async () => {
+    expect(claimIds(await search({ provider: 'springfield' })))
+      .toEqual(['CLM-2024-012', 'CLM-2024-001', 'CLM-2024-006']);
+    expect(claimIds(await search({ provider: 'Springfield General Hospital' })))
+      .toEqual(['CLM-2024-012', 'CLM-2024-001']);
+    expect(claimIds(await search({ serviceType: 'x-ray' }))).toEqual(['CLM-2024-011']);
+    expect(claimIds(await search({ provider: 'springfield', serviceType: 'blood work' }))).toEqual(['CLM-2024-012']);
+    expect((await search({ provider: 'spring' })).claims).toEqual([]);
+  });
+
+  test('filters by status, NPI and service dates', async () => {
+    expect(claimIds(await search({ status: 'approved' }))).toEqual(['CLM-2024-001', 'CLM-2024-006']);
+    expect(claimIds(await search({ providerNpi: '1234567893' }))).toEqual(['CLM-2024-012', 'CLM-2024-001']);
+    expect(claimIds(await search({ from: '2024-07-01', to: '2024-09-30' }))).toEqual(['CLM-2024-001', 'CLM-2024-011']);
+  });
+
+  test('sorts by other fields', async () => {
+    expect(claimIds(await search({ sortBy: 'status' })))
+      .toEqual(['CLM-2024-001', 'CLM-2024-006', 'CLM-2024-011', 'CLM-2024-012']);
+    expect(claimIds(await search({ sortBy: 'serviceDate', sortOrder: 'asc' })))
+      .toEqual(['CLM-2024-006', 'CLM-2024-011', 'CLM-2024-001', 'CLM-2024-012']);
+  });
+
+  test('pages with a cursor and numbers each page', async () => {
+    const first = await search({ limit: 3 });
+    expect(claimIds(first)).toEqual(['CLM-2024-012', 'CLM-2024-001', 'CLM-2024-011']);
+    expect(first.nextPageToken).toBe('CLM-2024-011');
+    expect(first.totalCount).toBe(4);
+
+    const second = await search({ limit: 3, pageToken: first.nextPageToken });
+    expect(claimIds(second)).toEqual(['CLM-2024-006']);
+    expect(second.nextPageToken).toBeNull();
+    expect(second.message).toContain('4 claim(s) match your search. Showing 4 to 4');
+  });
+
+  test("refuses page tokens for another beneficiary's claim", async () => {
+    const result = await search({ pageToken: 'CLM-2024-002' });
+
+    expect(result).toMatchObject({ success: false, error: 'INVALID_PAGE_TOKEN' });
+  });
+
+  test('reports no results without failing', async () => {
+    const result = await search({ provider: 'Capital City Clinic' });
+
+    expect(result).toMatchObject({ success: true, claims: [], totalCount: 0, nextPageToken: null });
+  });
+
+  test('requires a signed-in beneficiary', async () => {
+    expect(await search({}, {})).toMatchObject({ success: false, error: 'MISSING_MEDICARE_ID' });
+  });
+
+  describe('claims written before the search terms trigger', () => {
+    const legacyClaim = {
+      claimId: 'CLM-2023-100',
+      medicareId: '123-45-6789',
+      status: 'Approved',
+      serviceDate: '2023-11-02',
+      serviceType: 'Annual Wellness Visit',
+      provider: { name: 'Springfield Family Practice', npi: '1093817465' }
+    };
+
+    beforeEach(() => {
+      seedClaim(legacyClaim, { withSearchTerms: false });
+    });
+
+    test('are found by name once the backfill has run', async () => {
+      expect(claimIds(await search({ provider: 'family practice' }))).toEqual([]);
+
+      const result = await backfillClaimSearchTerms(2);
+
+      expect(result).toEqual({ scanned: CLAIMS.length + 1, updated: 1 });
+      expect(admin.testing.read('claims/CLM-2023-100').searchTerms).toEqual(buildClaimSearchTerms(legacyClaim));
+      expect(claimIds(await search({ provider: 'family practice' }))).toEqual(['CLM-2023-100']);
+      expect(claimIds(await search({ provider: 'springfield' })))
+        .toEqual(['CLM-2024-012', 'CLM-2024-001', 'CLM-2024-006', 'CLM-2023-100']);
+    });
+
+    test('the backfill rewrites stale terms and can be rerun', async () => {
+      admin.testing.seed('claims/CLM-2024-001', { ...CLAIMS[0], searchTerms: ['provider:old name'] });
+
+      expect(await backfillClaimSearchTerms()).toEqual({ scanned: CLAIMS.length + 1, updated: 2 });
+      expect(await backfillClaimSearchTerms()).toEqual({ scanned: CLAIMS.length + 1, updated: 0 });
+      expect(claimIds(await search({ provider: 'old name' }))).toEqual([]);
+    });
+  });
+
+  test('the claim trigger keeps search terms current without retriggering itself', async () => {
+    const ref = admin.firestore().doc('claims/CLM-2024-001');
+    await ref.update({ provider: { name: 'Springfield Regional Medical Center', npi: '1234567893' } });
+    const change = { after: await ref.get() };
+
+    expect(await syncClaimSearchTerms(change)).toBe(true);
+    expect(claimIds(await search({ provider: 'regional medical' }))).toEqual(['CLM-2024-001']);
+
+    expect(await syncClaimSearchTerms({ after: await ref.get() })).toBe(false);
+  });
+});
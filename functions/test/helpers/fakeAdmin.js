@@ -0,0 +1,511 @@
+/**
+ * In-memory stand-in for the parts of firebase-admin the functions use
+ *
+ * Install it in a test file with:
+ *   jest.mock('firebase-admin', () => require('./helpers/fakeAdmin').createFakeAdmin());
+ *
+ * Supports document reads and writes, the query shapes used by the handlers
+ * (where, orderBy, startAfter, endAt, limit, count) and batches. Transactions
+ * are optimistic like Firestore's: a transaction whose reads changed before
+ * it committed is retried, so concurrent callers can be tested with
+ * Promise.all().
+ */
+
+const DOCUMENT_ID = '__name__';
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => ({ fieldValue: 'serverTimestamp' }),
+  increment: (amount) => ({ fieldValue: 'increment', amount }),
+  arrayUnion: (...values) => ({ fieldValue: 'arrayUnion', values }),
+  delete: () => ({ fieldValue: 'delete' })
+};
+
+function firestoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Deep copy that keeps Timestamps, so callers can't mutate stored data
+ */
+function clone(value) {
+  if (value instanceof Timestamp) {
+    return new Timestamp(value.millis);
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function resolveFieldValue(current, value) {
+  if (!value || !value.fieldValue) {
+    return clone(value);
+  }
+  switch (value.fieldValue) {
+    case 'serverTimestamp':
+      return Timestamp.now();
+    case 'increment':
+      return (current || 0) + value.amount;
+    case 'arrayUnion':
+      return [...(current || []), ...value.values.filter(item => !(current || []).includes(item))];
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Apply an update (dotted field paths allowed) to existing data
+ */
+function applyUpdate(existing, update) {
+  const result = clone(existing || {});
+
+  for (const [fieldPath, value] of Object.entries(update)) {
+    const parts = fieldPath.split('.');
+    let target = result;
+    for (const part of parts.slice(0, -1)) {
+      target[part] = target[part] && typeof target[part] === 'object' ? target[part] : {};
+      target = target[part];
+    }
+
+    const field = parts[parts.length - 1];
+    const resolved = resolveFieldValue(target[field], value);
+    if (resolved === undefined) {
+      delete target[field];
+    } else {
+      target[field] = resolved;
+    }
+  }
+
+  return result;
+}
+
+function comparable(value) {
+  return value instanceof Timestamp ? value.millis : value;
+}
+
+function compareValues(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+function matches(value, op, expected) {
+  const actual = comparable(value);
+  const target = comparable(expected);
+
+  switch (op) {
+    case '==': return actual === target;
+    case '!=': return actual !== target;
+    case '<': return actual !== undefined && actual < target;
+    case '<=': return actual !== undefined && actual <= target;
+    case '>': return actual !== undefined && actual > target;
+    case '>=': return actual !== undefined && actual >= target;
+    case 'in': return expected.map(comparable).includes(actual);
+    case 'array-contains': return Array.isArray(value) && value.map(comparable).includes(target);
+    case 'array-contains-any': return Array.isArray(value) && value.some(item => expected.includes(item));
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+/**
+ * Create a fresh fake firebase-admin module
+ */
+function createFakeAdmin() {
+  // path -> { data, version }
+  const documents = new Map();
+  let autoIdCounter = 0;
+  let failure = null;
+
+  function checkFailure() {
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  function write(path, data) {
+    const version = documents.has(path) ? documents.get(path).version + 1 : 1;
+    documents.set(path, { data, version });
+  }
+
+  function remove(path) {
+    documents.delete(path);
+  }
+
+  class DocumentSnapshot {
+    constructor(ref, data) {
+      this.ref = ref;
+      this.id = ref.id;
+      this.exists = data !== undefined;
+      this.stored = data;
+    }
+
+    data() {
+      return this.exists ? clone(this.stored) : undefined;
+    }
+
+    get(fieldPath) {
+      if (fieldPath === DOCUMENT_ID) {
+        return this.id;
+      }
+      return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), this.stored);
+    }
+  }
+
+  class DocumentReference {
+    constructor(path) {
+      this.path = path;
+      this.id = path.split('/').pop();
+    }
+
+    get parent() {
+      return new CollectionReference(this.path.split('/').slice(0, -1).join('/'));
+    }
+
+    collection(name) {
+      return new CollectionReference(`${this.path}/${name}`);
+    }
+
+    snapshot() {
+      const entry = documents.get(this.path);
+      return new DocumentSnapshot(this, entry ? entry.data : undefined);
+    }
+
+    async get() {
+      checkFailure();
+      return this.snapshot();
+    }
+
+    async set(data, options = {}) {
+      checkFailure();
+      this.setNow(data, options);
+    }
+
+    setNow(data, options = {}) {
+      const entry = documents.get(this.path);
+      write(this.path, applyUpdate(options.merge && entry ? entry.data : {}, data));
+    }
+
+    async update(data) {
+      checkFailure();
+      this.updateNow(data);
+    }
+
+    updateNow(data) {
+      const entry = documents.get(this.path);
+      if (!entry) {
+        throw firestoreError(5, `NOT_FOUND: ${this.path}`);
+      }
+      write(this.path, applyUpdate(entry.data, data));
+    }
+
+    async create(data) {
+      checkFailure();
+      this.createNow(data);
+    }
+
+    createNow(data) {
+      if (documents.has(this.path)) {
+        throw firestoreError(6, `ALREADY_EXISTS: ${this.path}`);
+      }
+      write(this.path, applyUpdate({}, data));
+    }
+
+    async delete() {
+      checkFailure();
+      remove(this.path);
+    }
+  }
+
+  class Query {
+    constructor(path, options = {}) {
+      this.path = path;
+      this.filters = options.filters || [];
+      this.orders = options.orders || [];
+      this.limitCount = options.limitCount === undefined ? null : options.limitCount;
+      this.startAfterValues = options.startAfterValues || null;
+      this.endAtValues = options.endAtValues || null;
+      this.groupId = options.groupId || null;
+    }
+
+    with(changes) {
+      return new Query(this.path, { ...this, ...changes });
+    }
+
+    where(fieldPath, op, value) {
+      return this.with({ filters: [...this.filters, { fieldPath, op, value }] });
+    }
+
+    orderBy(fieldPath, direction = 'asc') {
+      return this.with({ orders: [...this.orders, { fieldPath, direction }] });
+    }
+
+    limit(limitCount) {
+      return this.with({ limitCount });
+    }
+
+    select() {
+      return this;
+    }
+
+    startAfter(...values) {
+      return this.with({ startAfterValues: values });
+    }
+
+    endAt(...values) {
+      return this.with({ endAtValues: values });
+    }
+
+    count() {
+      return {
+        get: async () => {
+          const snapshot = await this.with({ limitCount: null }).get();
+          return { data: () => ({ count: snapshot.size }) };
+        }
+      };
+    }
+
+    cursorValues(values) {
+      if (values.length === 1 && values[0] instanceof DocumentSnapshot) {
+        return this.orders.map(order => values[0].get(order.fieldPath));
+      }
+      return values;
+    }
+
+    compareToCursor(doc, values) {
+      const cursor = this.cursorValues(values);
+      for (let i = 0; i < cursor.length; i++) {
+        const { fieldPath, direction } = this.orders[i];
+        const result = compareValues(doc.get(fieldPath), cursor[i]);
+        if (result !== 0) {
+          return direction === 'desc' ? -result : result;
+        }
+      }
+      return 0;
+    }
+
+    inScope(path) {
+      const parts = path.split('/');
+      if (this.groupId) {
+        return parts.length % 2 === 0 && parts[parts.length - 2] === this.groupId;
+      }
+      return path.startsWith(`${this.path}/`) && parts.length === this.path.split('/').length + 1;
+    }
+
+    matchingDocs() {
+      let docs = [...documents.entries()]
+        .filter(([path]) => this.inScope(path))
+        .map(([path, entry]) => new DocumentSnapshot(new DocumentReference(path), entry.data));
+
+      for (const { fieldPath, op, value } of this.filters) {
+        docs = docs.filter(doc => matches(doc.get(fieldPath), op, value));
+      }
+
+      // Firestore only returns documents that have every ordered field
+      docs = docs.filter(doc => this.orders.every(({ fieldPath }) => doc.get(fieldPath) !== undefined));
+
+      docs.sort((a, b) => {
+        for (const { fieldPath, direction } of this.orders) {
+          const result = compareValues(a.get(fieldPath), b.get(fieldPath));
+          if (result !== 0) {
+            return direction === 'desc' ? -result : result;
+          }
+        }
+        return compareValues(a.ref.path, b.ref.path);
+      });
+
+      if (this.startAfterValues) {
+        docs = docs.filter(doc => this.compareToCursor(doc, this.startAfterValues) > 0);
+      }
+      if (this.endAtValues) {
+        docs = docs.filter(doc => this.compareToCursor(doc, this.endAtValues) <= 0);
+      }
+      if (this.limitCount !== null) {
+        docs = docs.slice(0, this.limitCount);
+      }
+      return docs;
+    }
+
+    async get() {
+      checkFailure();
+
+      const docs = this.matchingDocs();
+      return {
+        docs,
+        size: docs.length,
+        empty: docs.length === 0,
+        forEach: (callback) => docs.forEach(callback)
+      };
+    }
+  }
+
+  class CollectionReference extends Query {
+    constructor(path) {
+      super(path);
+      this.id = path.split('/').pop();
+    }
+
+    doc(id) {
+      return new DocumentReference(`${this.path}/${id || `auto${++autoIdCounter}`}`);
+    }
+
+    async add(data) {
+      const ref = this.doc();
+      await ref.set(data);
+      return ref;
+    }
+  }
+
+  function createBatch() {
+    const operations = [];
+    const batch = {
+      set: (ref, data, options) => { operations.push(() => ref.setNow(data, options)); return batch; },
+      update: (ref, data) => { operations.push(() => ref.updateNow(data)); return batch; },
+      create: (ref, data) => { operations.push(() => ref.createNow(data)); return batch; },
+      delete: (ref) => { operations.push(() => remove(ref.path)); return batch; },
+      commit: async () => {
+        checkFailure();
+        operations.forEach(operation => operation());
+      }
+    };
+    return batch;
+  }
+
+  async function runTransaction(updateFunction) {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      checkFailure();
+
+      const reads = new Map();
+      const queries = [];
+      const operations = [];
+      const recordRead = (path) => {
+        if (!reads.has(path)) {
+          reads.set(path, documents.has(path) ? documents.get(path).version : 0);
+        }
+      };
+
+      const transaction = {
+        get: async (refOrQuery) => {
+          checkFailure();
+          if (refOrQuery instanceof DocumentReference) {
+            recordRead(refOrQuery.path);
+            return refOrQuery.snapshot();
+          }
+          const snapshot = await refOrQuery.get();
+          snapshot.docs.forEach(doc => recordRead(doc.ref.path));
+          queries.push({ query: refOrQuery, paths: snapshot.docs.map(doc => doc.ref.path).join('|') });
+          return snapshot;
+        },
+        set: (ref, data, options) => { operations.push(() => ref.setNow(data, options)); return transaction; },
+        update: (ref, data) => { operations.push(() => ref.updateNow(data)); return transaction; },
+        create: (ref, data) => { operations.push(() => ref.createNow(data)); return transaction; },
+        delete: (ref) => { operations.push(() => remove(ref.path)); return transaction; }
+      };
+
+      const result = await updateFunction(transaction);
+
+      // Commit only if nothing this transaction read has changed since,
+      // including documents that have started or stopped matching its queries
+      const conflict = [...reads.entries()].some(([path, version]) =>
+        (documents.has(path) ? documents.get(path).version : 0) !== version
+      ) || queries.some(({ query, paths }) =>
+        query.matchingDocs().map(doc => doc.ref.path).join('|') !== paths
+      );
+      if (!conflict) {
+        operations.forEach(operation => operation());
+        return result;
+      }
+    }
+
+    throw firestoreError(10, 'ABORTED: too much contention');
+  }
+
+  const db = {
+    collection: (name) => new CollectionReference(name),
+    collectionGroup: (groupId) => new Query('', { groupId }),
+    doc: (path) => new DocumentReference(path),
+    batch: createBatch,
+    runTransaction
+  };
+
+  const firestore = () => db;
+  firestore.FieldValue = FieldValue;
+  firestore.Timestamp = Timestamp;
+  firestore.FieldPath = { documentId: () => DOCUMENT_ID };
+
+  const auth = {
+    createCustomToken: jest.fn(async (uid, claims) => `custom-token:${uid}:${JSON.stringify(claims || {})}`),
+    revokeRefreshTokens: jest.fn(async () => {}),
+    verifyIdToken: jest.fn(async () => {
+      throw new Error('verifyIdToken is not configured for this test');
+    })
+  };
+
+  return {
+    apps: [],
+    initializeApp: () => {},
+    firestore,
+    auth: () => auth,
+
+    // Test helpers
+    testing: {
+      reset() {
+        documents.clear();
+        failure = null;
+      },
+      seed(path, data) {
+        write(path, applyUpdate({}, data));
+      },
+      read(path) {
+        const entry = documents.get(path);
+        return entry ? clone(entry.data) : undefined;
+      },
+      list(collectionPath) {
+        const depth = collectionPath.split('/').length + 1;
+        return [...documents.keys()]
+          .filter(path => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+          .sort();
+      },
+      // Make every Firestore call reject until reset
+      failWith(error) {
+        failure = error;
+      }
+    }
+  };
+}
+
+module.exports = { createFakeAdmin };
@@ -0,0 +1,203 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin').createFakeAdmin());
+
+const admin = require('firebase-admin');
+const {
+  POLICIES,
+  reserveAttempt,
+  reserveAttempts,
+  recordFailure,
+  resetRateLimit,
+  getLimiterKey,
+  listLockouts,
+  unlockKey
+} = require('../auth/rateLimiter');
+
+const MEDICARE_ID = '123-45-6789';
+const START = new Date('2024-10-15T12:00:00Z');
+
+function limiterDoc(key, policy) {
+  return admin.testing.read(`authRateLimits/${getLimiterKey(key, policy)}`);
+}
+
+/**
+ * One sign-in attempt that fails its credential check
+ */
+async function failedAttempt(key, policy) {
+  const reservation = await reserveAttempt(key, policy);
+  if (!reservation.allowed) {
+    return { reservation };
+  }
+  return { reservation, failure: await recordFailure(key, policy) };
+}
+
+describe('rateLimiter', () => {
+  beforeEach(() => {
+    admin.testing.reset();
+    jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('stores limiter state under a hashed key, never the identifier', async () => {
+    await failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+
+    const [path] = admin.testing.list('authRateLimits');
+    expect(path).toBe(`authRateLimits/${getLimiterKey(MEDICARE_ID, POLICIES.BENEFICIARY_ID)}`);
+    expect(path).not.toContain(MEDICARE_ID);
+    expect(getLimiterKey(MEDICARE_ID, POLICIES.BENEFICIARY_ID))
+      .not.toBe(getLimiterKey(MEDICARE_ID, POLICIES.CLIENT_IP));
+  });
+
+  test('locks the key on the fifth failure in the window', async () => {
+    for (let i = 1; i <= 4; i++) {
+      const { reservation, failure } = await failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+      expect(reservation.allowed).toBe(true);
+      expect(failure.locked).toBe(false);
+      jest.advanceTimersByTime(1000);
+    }
+
+    const { failure } = await failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+    expect(failure).toEqual({ locked: true, lockedUntil: Date.now() + 15 * 60 * 1000 });
+
+    const refused = await reserveAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+    expect(refused).toEqual({ allowed: false, waitTime: 15 * 60 * 1000 });
+  });
+
+  test('failures that fall out of the window stop counting', async () => {
+    for (let i = 0; i < 4; i++) {
+      await failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+    }
+    jest.advanceTimersByTime(15 * 60 * 1000);
+
+    const { reservation, failure } = await failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+    expect(reservation.allowed).toBe(true);
+    expect(failure.locked).toBe(false);
+  });
+
+  test('repeat lockouts back off exponentially', async () => {
+    const lockOut = async () => {
+      let failure;
+      for (let i = 0; i < 5; i++) {
+        ({ failure } = await failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID));
+      }
+      return failure.lockedUntil - Date.now();
+    };
+
+    expect(await lockOut()).toBe(15 * 60 * 1000);
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    expect(await lockOut()).toBe(30 * 60 * 1000);
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    expect(await lockOut()).toBe(60 * 60 * 1000);
+  });
+
+  test('parallel guesses cannot exceed the limit', async () => {
+    const attempts = await Promise.all(
+      Array.from({ length: 12 }, () => failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID))
+    );
+
+    const checked = attempts.filter(attempt => attempt.reservation.allowed);
+    expect(checked).toHaveLength(POLICIES.BENEFICIARY_ID.maxAttempts);
+    expect(attempts.some(attempt => attempt.failure && attempt.failure.locked)).toBe(true);
+    expect(limiterDoc(MEDICARE_ID, POLICIES.BENEFICIARY_ID).lockedUntil).toBeGreaterThan(Date.now());
+  });
+
+  test('attempts in progress hold a slot until they are recorded', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await reserveAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID)).allowed).toBe(true);
+    }
+
+    expect(await reserveAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID)).toEqual({ allowed: false, waitTime: 30 * 1000 });
+
+    // Reservations that are never recorded expire
+    jest.advanceTimersByTime(30 * 1000);
+    expect((await reserveAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID)).allowed).toBe(true);
+  });
+
+  test('a failure recorded while the key is locked keeps the existing lockout', async () => {
+    for (let i = 0; i < 5; i++) {
+      await reserveAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+    }
+    let lockedUntil;
+    for (let i = 0; i < 5; i++) {
+      ({ lockedUntil } = await recordFailure(MEDICARE_ID, POLICIES.BENEFICIARY_ID));
+    }
+    jest.advanceTimersByTime(1000);
+
+    expect(await recordFailure(MEDICARE_ID, POLICIES.BENEFICIARY_ID)).toEqual({ locked: true, lockedUntil });
+    expect(limiterDoc(MEDICARE_ID, POLICIES.BENEFICIARY_ID).lockoutCount).toBe(1);
+  });
+
+  test('combines keys and reports the most restrictive result', async () => {
+    for (let i = 0; i < 5; i++) {
+      await failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+    }
+
+    const result = await reserveAttempts([
+      { key: MEDICARE_ID, policy: POLICIES.BENEFICIARY_ID },
+      { key: '203.0.113.7', policy: POLICIES.CLIENT_IP },
+      { key: null, policy: POLICIES.CLIENT_IP }
+    ]);
+
+    expect(result).toEqual({ allowed: false, waitTime: 15 * 60 * 1000, unavailable: false });
+  });
+
+  test('reset clears the window but keeps the lockout count', async () => {
+    for (let i = 0; i < 5; i++) {
+      await failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+    }
+    await reserveAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+
+    await resetRateLimit(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+
+    expect(limiterDoc(MEDICARE_ID, POLICIES.BENEFICIARY_ID)).toMatchObject({
+      attempts: [],
+      pendingAttempts: [],
+      lockedUntil: null,
+      lockoutCount: 1
+    });
+    expect((await reserveAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID)).allowed).toBe(true);
+  });
+
+  test('lists and unlocks locked-out keys', async () => {
+    for (let i = 0; i < 5; i++) {
+      await failedAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+    }
+    const limiterKey = getLimiterKey(MEDICARE_ID, POLICIES.BENEFICIARY_ID);
+
+    expect(await listLockouts()).toEqual([expect.objectContaining({ limiterKey, scope: 'medicareId', lockoutCount: 1 })]);
+
+    expect(await unlockKey(limiterKey)).toBe(true);
+    expect(await listLockouts()).toEqual([]);
+    expect(limiterDoc(MEDICARE_ID, POLICIES.BENEFICIARY_ID).lockoutCount).toBe(0);
+    expect(await unlockKey('unknown')).toBe(false);
+  });
+
+  describe('when Firestore is unavailable', () => {
+    const failOpenPolicy = { ...POLICIES.CLIENT_IP, failClosed: false };
+
+    beforeEach(() => {
+      admin.testing.failWith(new Error('UNAVAILABLE'));
+    });
+
+    test('fail-closed policies refuse attempts', async () => {
+      expect(await reserveAttempt(MEDICARE_ID, POLICIES.BENEFICIARY_ID))
+        .toEqual({ allowed: false, waitTime: POLICIES.BENEFICIARY_ID.windowMs, unavailable: true });
+    });
+
+    test('fail-closed policies report failures as locked', async () => {
+      expect(await recordFailure(MEDICARE_ID, POLICIES.BENEFICIARY_ID))
+        .toEqual({ locked: true, lockedUntil: null, unavailable: true });
+    });
+
+    test('fail-open policies let attempts through', async () => {
+      expect(await reserveAttempt('203.0.113.7', failOpenPolicy))
+        .toEqual({ allowed: true, waitTime: 0, unavailable: true });
+      expect(await recordFailure('203.0.113.7', failOpenPolicy))
+        .toEqual({ locked: false, lockedUntil: null, unavailable: true });
+    });
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Firestore security rules tests
+ *
+ * Run against the Firestore emulator with `npm run test:rules`, which starts
+ * it through `firebase emulators:exec` and sets FIRESTORE_EMULATOR_HOST.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails
+} = require('@firebase/rules-unit-testing');
+const { buildBeneficiaryClaims } = require('../../auth/firebaseCustomToken');
+
+const MARY = { medicareId: '123-45-6789', mbi: '1EG4TE5MK73' };
+const ROBERT = { medicareId: '234-56-7890', mbi: null };
+
+// auth_time is in seconds, like the revokedAt written on sign-out
+const SIGNED_IN_AT = 1728993600;
+
+const SEED = {
+  'beneficiaries/123-45-6789': { medicareId: '123-45-6789', mbi: '1EG4TE5MK73', authUid: 'mary-uid' },
+  'beneficiaries/234-56-7890': { medicareId: '234-56-7890', authUid: 'robert-uid' },
+  'claims/CLM-2024-001': { claimId: 'CLM-2024-001', medicareId: '123-45-6789', status: 'Approved' },
+  'claims/CLM-2024-011': { claimId: 'CLM-2024-011', medicareId: '1EG4TE5MK73', status: 'Denied' },
+  'claims/CLM-2024-002': { claimId: 'CLM-2024-002', medicareId: '234-56-7890', status: 'Approved' },
+  'claims/CLM-2024-001/statusHistory/1': { status: 'Approved', previousStatus: 'Pending' },
+  'claims/CLM-2024-002/statusHistory/1': { status: 'Approved', previousStatus: 'Pending' },
+  'appeals/APL-2024-001': { appealId: 'APL-2024-001', beneficiaryId: '123-45-6789', status: 'Submitted' },
+  'appeals/APL-2024-002': { appealId: 'APL-2024-002', beneficiaryId: '234-56-7890', status: 'Submitted' },
+  'notifications/NOTIF-2024-001': { beneficiaryId: '123-45-6789', title: 'Annual Wellness Visit Due', readAt: null, dismissedAt: null },
+  'notifications/NOTIF-2024-003': { beneficiaryId: '234-56-7890', title: 'Claim Processed', readAt: null, dismissedAt: null },
+  'documents/DOC-2024-001': { beneficiaryId: '123-45-6789', title: 'Medicare Summary Notice' },
+  'documents/DOC-2024-004': { beneficiaryId: '1EG4TE5MK73', title: 'Plan Annual Notice of Change' },
+  'documents/DOC-2024-003': { beneficiaryId: '234-56-7890', title: 'Medicare Summary Notice' },
+  'conversations/CONV-2024-001': { beneficiaryId: '123-45-6789', channel: 'web' },
+  'conversations/CONV-2024-002': { beneficiaryId: '234-56-7890', channel: 'web' },
+  'benefits/BEN-001': { name: 'Annual Wellness Visit' },
+  'providers/1234567893': { name: 'Springfield General Hospital' },
+  'sessions/SESSION-1': { medicareId: '123-45-6789' }
+};
+
+let testEnv;
+
+function signIn(uid, beneficiary, token = {}) {
+  return testEnv.authenticatedContext(uid, {
+    ...buildBeneficiaryClaims(beneficiary),
+    auth_time: SIGNED_IN_AT,
+    ...token
+  }).firestore();
+}
+
+function read(db, docPath) {
+  return db.doc(docPath).get();
+}
+
+describe('firestore.rules', () => {
+  let mary;
+  let robert;
+  let anonymous;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-cms-beneficiary-rules',
+      firestore: {
+        rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    if (testEnv) {
+      await testEnv.cleanup();
+    }
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async context => {
+      const db = context.firestore();
+      for (const [docPath, data] of Object.entries(SEED)) {
+        await db.doc(docPath).set(data);
+      }
+    });
+
+    mary = signIn('mary-uid', MARY);
+    robert = signIn('robert-uid', ROBERT);
+    anonymous = testEnv.unauthenticatedContext().firestore();
+  });
+
+  describe('isOwner', () => {
+    test('beneficiaries read their own record and claims', async () => {
+      await assertSucceeds(read(mary, 'beneficiaries/123-45-6789'));
+      await assertSucceeds(read(mary, 'claims/CLM-2024-001'));
+      await assertSucceeds(read(robert, 'claims/CLM-2024-002'));
+    });
+
+    test('records keyed by the MBI belong to the beneficiary with that MBI', async () => {
+      await assertSucceeds(read(mary, 'claims/CLM-2024-011'));
+      await assertSucceeds(read(mary, 'documents/DOC-2024-004'));
+      await assertFails(read(robert, 'claims/CLM-2024-011'));
+    });
+
+    test("another beneficiary's records are denied", async () => {
+      await assertFails(read(mary, 'beneficiaries/234-56-7890'));
+      await assertFails(read(mary, 'claims/CLM-2024-002'));
+      await assertFails(read(robert, 'claims/CLM-2024-001'));
+    });
+
+    test('queries must be limited to the caller\'s own records', async () => {
+      await assertSucceeds(mary.collection('claims').where('medicareId', '==', '123-45-6789').get());
+      await assertFails(mary.collection('claims').get());
+    });
+
+    test('a token without the beneficiary role is denied', async () => {
+      const staff = signIn('staff-uid', MARY, { role: 'support_agent' });
+
+      await assertFails(read(staff, 'claims/CLM-2024-001'));
+    });
+
+    test('unauthenticated callers are denied', async () => {
+      await assertFails(read(anonymous, 'beneficiaries/123-45-6789'));
+      await assertFails(read(anonymous, 'claims/CLM-2024-001'));
+    });
+  });
+
+  describe('isNotRevoked', () => {
+    async function revoke(uid, revokedAt) {
+      await testEnv.withSecurityRulesDisabled(context => (
+        context.firestore().doc(`authRevocations/${uid}`).set({ revokedAt })
+      ));
+    }
+
+    test('tokens issued before sign-out are denied', async () => {
+      await revoke('mary-uid', SIGNED_IN_AT + 60);
+
+      await assertFails(read(mary, 'claims/CLM-2024-001'));
+      await assertFails(read(mary, 'notifications/NOTIF-2024-001'));
+    });
+
+    test('a token from the same second as sign-out is denied', async () => {
+      await revoke('mary-uid', SIGNED_IN_AT);
+
+      await assertFails(read(mary, 'claims/CLM-2024-001'));
+    });
+
+    test('signing in again after sign-out restores access', async () => {
+      await revoke('mary-uid', SIGNED_IN_AT - 60);
+
+      await assertSucceeds(read(mary, 'claims/CLM-2024-001'));
+    });
+
+    test("one beneficiary's sign-out does not affect another", async () => {
+      await revoke('robert-uid', SIGNED_IN_AT + 60);
+
+      await assertSucceeds(read(mary, 'claims/CLM-2024-001'));
+      await assertFails(read(robert, 'claims/CLM-2024-002'));
+    });
+
+    test('callers cannot clear their own revocation', async () => {
+      await revoke('mary-uid', SIGNED_IN_AT + 60);
+
+      await assertFails(read(mary, 'authRevocations/mary-uid'));
+      await assertFails(mary.doc('authRevocations/mary-uid').delete());
+    });
+  });
+
+  describe('claims/{claimId}/statusHistory', () => {
+    test('is readable with the claim', async () => {
+      await assertSucceeds(read(mary, 'claims/CLM-2024-001/statusHistory/1'));
+      await assertSucceeds(mary.collection('claims/CLM-2024-001/statusHistory').get());
+    });
+
+    test("another beneficiary's history is denied", async () => {
+      await assertFails(read(robert, 'claims/CLM-2024-001/statusHistory/1'));
+      await assertFails(robert.collection('claims/CLM-2024-001/statusHistory').get());
+    });
+
+    test('cannot be written by the owner', async () => {
+      await assertFails(mary.doc('claims/CLM-2024-001/statusHistory/2').set({ status: 'Denied' }));
+      await assertFails(mary.doc('claims/CLM-2024-001/statusHistory/1').delete());
+    });
+  });
+
+  describe('notifications', () => {
+    test('owners read their notifications', async () => {
+      await assertSucceeds(read(mary, 'notifications/NOTIF-2024-001'));
+      await assertFails(read(mary, 'notifications/NOTIF-2024-003'));
+    });
+
+    test('owners may mark a notification read or dismissed', async () => {
+      await assertSucceeds(mary.doc('notifications/NOTIF-2024-001').update({ readAt: '2024-10-15T12:00:00Z' }));
+      await assertSucceeds(mary.doc('notifications/NOTIF-2024-001').update({ dismissedAt: '2024-10-15T12:05:00Z' }));
+    });
+
+    test('owners may not change anything else', async () => {
+      await assertFails(mary.doc('notifications/NOTIF-2024-001').update({ title: 'Changed' }));
+      await assertFails(mary.doc('notifications/NOTIF-2024-001').update({
+        readAt: '2024-10-15T12:00:00Z',
+        beneficiaryId: '234-56-7890'
+      }));
+    });
+
+    test("another beneficiary's notification cannot be marked read", async () => {
+      await assertFails(mary.doc('notifications/NOTIF-2024-003').update({ readAt: '2024-10-15T12:00:00Z' }));
+    });
+
+    test('cannot be created or deleted', async () => {
+      await assertFails(mary.doc('notifications/NOTIF-NEW').set({ beneficiaryId: '123-45-6789', title: 'Hello' }));
+      await assertFails(mary.doc('notifications/NOTIF-2024-001').delete());
+    });
+  });
+
+  describe.each([
+    ['documents', 'DOC-2024-001', 'DOC-2024-003'],
+    ['conversations', 'CONV-2024-001', 'CONV-2024-002'],
+    ['appeals', 'APL-2024-001', 'APL-2024-002']
+  ])('%s', (collection, marysId, robertsId) => {
+    test('owners read their own', async () => {
+      await assertSucceeds(read(mary, `${collection}/${marysId}`));
+      await assertSucceeds(mary.collection(collection).where('beneficiaryId', '==', '123-45-6789').get());
+    });
+
+    test("another beneficiary's are denied", async () => {
+      await assertFails(read(mary, `${collection}/${robertsId}`));
+      await assertFails(read(anonymous, `${collection}/${marysId}`));
+      await assertFails(mary.collection(collection).get());
+    });
+
+    test('cannot be written directly', async () => {
+      await assertFails(mary.doc(`${collection}/${marysId}`).update({ beneficiaryId: '123-45-6789' }));
+      await assertFails(mary.doc(`${collection}/NEW`).set({ beneficiaryId: '123-45-6789' }));
+      await assertFails(mary.doc(`${collection}/${marysId}`).delete());
+    });
+  });
+
+  test('beneficiaries and claims cannot be written directly', async () => {
+    await assertFails(mary.doc('beneficiaries/123-45-6789').update({ email: 'new@example.com' }));
+    await assertFails(mary.doc('claims/CLM-2024-001').update({ status: 'Approved' }));
+  });
+
+  test('benefits and providers are public and read-only', async () => {
+    await assertSucceeds(read(anonymous, 'benefits/BEN-001'));
+    await assertSucceeds(read(anonymous, 'providers/1234567893'));
+    await assertFails(mary.doc('providers/1234567893').update({ name: 'Changed' }));
+  });
+
+  test('everything else is denied', async () => {
+    await assertFails(read(mary, 'sessions/SESSION-1'));
+    await assertFails(mary.doc('sessions/SESSION-2').set({ medicareId: '123-45-6789' }));
+  });
+});
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+const {
+  AUDIENCES,
+  issueToken,
+  verifyToken,
+  issueBeneficiaryToken,
+  issueRepresentativeToken,
+  issueServiceToken
+} = require('../auth/sessionTokens');
+
+const SECRET = 'test-secret-that-is-at-least-32-characters';
+
+function decodePart(part) {
+  return JSON.parse(Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+}
+
+function encodePart(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+describe('sessionTokens', () => {
+  const originalSecret = process.env.SESSION_TOKEN_SECRET;
+
+  beforeEach(() => {
+    process.env.SESSION_TOKEN_SECRET = SECRET;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    process.env.SESSION_TOKEN_SECRET = originalSecret;
+  });
+
+  test('verifies a token it issued and returns its claims', () => {
+    const token = issueToken('1EG4TE5MK73', AUDIENCES.BENEFICIARY, { role: 'beneficiary' });
+
+    const result = verifyToken(token, AUDIENCES.BENEFICIARY);
+
+    expect(result.valid).toBe(true);
+    expect(result.claims).toMatchObject({
+      iss: 'cms-beneficiary-selfservice',
+      aud: AUDIENCES.BENEFICIARY,
+      sub: '1EG4TE5MK73',
+      role: 'beneficiary'
+    });
+    expect(result.claims.exp - result.claims.iat).toBe(3600);
+  });
+
+  test('refuses to issue or verify tokens without a strong secret', () => {
+    const token = issueToken('subject', AUDIENCES.BENEFICIARY);
+    process.env.SESSION_TOKEN_SECRET = 'too-short';
+
+    expect(() => issueToken('subject', AUDIENCES.BENEFICIARY)).toThrow(/SESSION_TOKEN_SECRET/);
+    expect(() => verifyToken(token, AUDIENCES.BENEFICIARY)).toThrow(/SESSION_TOKEN_SECRET/);
+  });
+
+  test('rejects missing and malformed tokens', () => {
+    expect(verifyToken(undefined, AUDIENCES.BENEFICIARY)).toEqual({ valid: false, error: 'MISSING_TOKEN' });
+    expect(verifyToken('not-a-jwt', AUDIENCES.BENEFICIARY)).toEqual({ valid: false, error: 'INVALID_TOKEN' });
+    expect(verifyToken('%%%.%%%.%%%', AUDIENCES.BENEFICIARY)).toEqual({ valid: false, error: 'INVALID_TOKEN' });
+  });
+
+  test('rejects a token whose payload was changed', () => {
+    const [header, payload, signature] = issueToken('subject', AUDIENCES.BENEFICIARY).split('.');
+    const tampered = encodePart({ ...decodePart(payload), sub: 'someone-else' });
+
+    expect(verifyToken(`${header}.${tampered}.${signature}`, AUDIENCES.BENEFICIARY))
+      .toEqual({ valid: false, error: 'INVALID_SIGNATURE' });
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const token = issueToken('subject', AUDIENCES.BENEFICIARY);
+    process.env.SESSION_TOKEN_SECRET = 'a-different-secret-of-32-characters!!';
+
+    expect(verifyToken(token, AUDIENCES.BENEFICIARY)).toEqual({ valid: false, error: 'INVALID_SIGNATURE' });
+  });
+
+  test('rejects alg=none tokens', () => {
+    const payload = decodePart(issueToken('subject', AUDIENCES.BENEFICIARY).split('.')[1]);
+    const unsigned = `${encodePart({ alg: 'none', typ: 'JWT' })}.${encodePart(payload)}.`;
+
+    expect(verifyToken(unsigned, AUDIENCES.BENEFICIARY)).toEqual({ valid: false, error: 'INVALID_TOKEN' });
+  });
+
+  test('rejects tokens from another issuer even when correctly signed', () => {
+    const header = encodePart({ alg: 'HS256', typ: 'JWT' });
+    const now = Math.floor(Date.now() / 1000);
+    const payload = encodePart({ iss: 'someone-else', aud: AUDIENCES.BENEFICIARY, sub: 'x', iat: now, exp: now + 60 });
+    const signature = crypto.createHmac('sha256', SECRET).update(`${header}.${payload}`).digest('base64url');
+
+    expect(verifyToken(`${header}.${payload}.${signature}`, AUDIENCES.BENEFICIARY))
+      .toEqual({ valid: false, error: 'INVALID_ISSUER' });
+  });
+
+  test('only accepts the expected audience(s)', () => {
+    const token = issueServiceToken('dialogflow-cx');
+
+    expect(verifyToken(token, AUDIENCES.BENEFICIARY)).toEqual({ valid: false, error: 'INVALID_AUDIENCE' });
+    expect(verifyToken(token, [AUDIENCES.BENEFICIARY, AUDIENCES.DIALOGFLOW_AGENT]).valid).toBe(true);
+  });
+
+  test('rejects expired tokens after the clock skew allowance', () => {
+    jest.useFakeTimers({ now: new Date('2024-10-15T12:00:00Z') });
+    const token = issueToken('subject', AUDIENCES.BENEFICIARY, {}, 60);
+
+    jest.setSystemTime(new Date('2024-10-15T12:01:20Z'));
+    expect(verifyToken(token, AUDIENCES.BENEFICIARY).valid).toBe(true);
+
+    jest.setSystemTime(new Date('2024-10-15T12:01:31Z'));
+    expect(verifyToken(token, AUDIENCES.BENEFICIARY)).toEqual({ valid: false, error: 'TOKEN_EXPIRED' });
+  });
+
+  test('rejects tokens issued in the future', () => {
+    jest.useFakeTimers({ now: new Date('2024-10-15T12:10:00Z') });
+    const token = issueToken('subject', AUDIENCES.BENEFICIARY);
+
+    jest.setSystemTime(new Date('2024-10-15T12:00:00Z'));
+    expect(verifyToken(token, AUDIENCES.BENEFICIARY)).toEqual({ valid: false, error: 'INVALID_TOKEN' });
+  });
+
+  test('beneficiary tokens are keyed by Medicare ID and bound to the session', () => {
+    const token = issueBeneficiaryToken({
+      medicareId: '123-45-6789',
+      mbi: '1EG4TE5MK73',
+      firstName: 'John',
+      coverageType: ['Part A']
+    }, 'session-1');
+
+    const { claims } = verifyToken(token, AUDIENCES.BENEFICIARY);
+    expect(claims).toMatchObject({
+      sub: '123-45-6789',
+      role: 'beneficiary',
+      sid: 'session-1',
+      medicareId: '123-45-6789',
+      mbi: '1EG4TE5MK73'
+    });
+  });
+
+  test('MBI-only beneficiaries use the MBI as their identifier', () => {
+    const token = issueBeneficiaryToken({ mbi: '1EG4TE5MK73', firstName: 'Ana' }, 'session-2');
+
+    expect(verifyToken(token, AUDIENCES.BENEFICIARY).claims).toMatchObject({
+      sub: '1EG4TE5MK73',
+      medicareId: '1EG4TE5MK73'
+    });
+  });
+
+  test('representative tokens never outlive the delegation', () => {
+    jest.useFakeTimers({ now: new Date('2024-10-15T12:00:00Z') });
+    const token = issueRepresentativeToken(
+      { representativeId: 'REP-000001', firstName: 'Mary' },
+      { medicareId: '123-45-6789', firstName: 'John' },
+      { delegationId: 'DEL-1', scope: ['claims'], expiresAt: '2024-10-15T12:10:00Z' },
+      'session-3'
+    );
+
+    const { claims } = verifyToken(token, AUDIENCES.BENEFICIARY);
+    expect(claims).toMatchObject({
+      sub: 'REP-000001',
+      role: 'representative',
+      delegationId: 'DEL-1',
+      medicareId: '123-45-6789'
+    });
+    expect(claims.exp - claims.iat).toBe(600);
+  });
+});
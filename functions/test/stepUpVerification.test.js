@@ -0,0 +1,209 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin').createFakeAdmin());
+
+const admin = require('firebase-admin');
+const { setOtpSender } = require('../auth/otpSender');
+const {
+  STEPS,
+  MAX_STEP_ATTEMPTS,
+  normalizeDateOfBirth,
+  startChallenge,
+  getChallengeSubject,
+  verifyDateOfBirth,
+  verifyPasscode
+} = require('../auth/stepUpVerification');
+
+const SUBJECT_PATH = 'beneficiaries/123-45-6789';
+
+const sender = { send: jest.fn() };
+
+async function start(context) {
+  const subjectDoc = await admin.firestore().doc(SUBJECT_PATH).get();
+  return startChallenge(subjectDoc, context);
+}
+
+function sentPasscode() {
+  return sender.send.mock.calls[sender.send.mock.calls.length - 1][0].passcode;
+}
+
+function challenge(challengeId) {
+  return admin.testing.read(`authChallenges/${challengeId}`);
+}
+
+describe('stepUpVerification', () => {
+  beforeEach(() => {
+    admin.testing.reset();
+    admin.testing.seed(SUBJECT_PATH, {
+      medicareId: '123-45-6789',
+      dateOfBirth: '1955-03-15',
+      email: 'mary.johnson@example.com',
+      phone: '(555) 123-4567',
+      preferences: { notificationMethod: 'email' }
+    });
+    sender.send.mockReset();
+    sender.send.mockResolvedValue();
+    setOtpSender(sender);
+    jest.useFakeTimers({ now: new Date('2024-10-15T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    setOtpSender(null);
+  });
+
+  describe('normalizeDateOfBirth', () => {
+    test.each([
+      ['1955-03-15', '1955-03-15'],
+      ['1955-3-5', '1955-03-05'],
+      ['03/15/1955', '1955-03-15'],
+      ['3/5/1955', '1955-03-05'],
+      [{ year: 1955, month: 3, day: 15 }, '1955-03-15'],
+      ['15 March 1955', null],
+      ['', null],
+      [19550315, null]
+    ])('%p -> %p', (input, expected) => {
+      expect(normalizeDateOfBirth(input)).toBe(expected);
+    });
+  });
+
+  test('a new challenge starts at the date of birth step', async () => {
+    const started = await start({ ipAddress: '203.0.113.7' });
+
+    expect(started).toEqual({
+      challengeId: expect.stringMatching(/^[a-f0-9]{32}$/),
+      nextStep: STEPS.DATE_OF_BIRTH,
+      expiresAt: '2024-10-15T12:10:00.000Z'
+    });
+    expect(await getChallengeSubject(started.challengeId)).toEqual({ subjectPath: SUBJECT_PATH, delegationId: null });
+  });
+
+  test('completes after the date of birth and the passcode', async () => {
+    const { challengeId } = await start();
+
+    const dobResult = await verifyDateOfBirth(challengeId, '03/15/1955');
+    expect(dobResult).toMatchObject({
+      success: true,
+      nextStep: STEPS.ONE_TIME_PASSCODE,
+      deliveryChannel: 'email',
+      maskedDestination: 'm***@example.com'
+    });
+    expect(sender.send).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'email',
+      destination: 'mary.johnson@example.com',
+      passcode: expect.stringMatching(/^\d{6}$/),
+      expiresInMinutes: 5
+    }));
+
+    // Only a hash of the passcode is stored
+    expect(JSON.stringify(challenge(challengeId))).not.toContain(sentPasscode());
+
+    const passcodeResult = await verifyPasscode(challengeId, sentPasscode());
+    expect(passcodeResult).toEqual({
+      success: true,
+      nextStep: STEPS.COMPLETED,
+      subjectPath: SUBJECT_PATH,
+      delegationId: null
+    });
+
+    // Challenges are single use
+    expect(challenge(challengeId)).toBeUndefined();
+    expect((await verifyPasscode(challengeId, sentPasscode())).error).toBe('CHALLENGE_NOT_FOUND');
+  });
+
+  test('sends the passcode by SMS when the subject prefers it', async () => {
+    admin.testing.seed(SUBJECT_PATH, {
+      dateOfBirth: '1955-03-15',
+      phone: '(555) 123-4567',
+      preferences: { notificationMethod: 'sms' }
+    });
+    const { challengeId } = await start();
+
+    expect(await verifyDateOfBirth(challengeId, '1955-03-15')).toMatchObject({
+      deliveryChannel: 'sms',
+      maskedDestination: '(***) ***-4567'
+    });
+  });
+
+  test('wrong answers report the subject and lock the challenge when attempts run out', async () => {
+    const { challengeId } = await start({ delegationId: 'DEL-1' });
+
+    const first = await verifyDateOfBirth(challengeId, '1960-01-01');
+    expect(first).toMatchObject({
+      success: false,
+      error: 'VERIFICATION_FAILED',
+      wrongAnswer: true,
+      subjectPath: SUBJECT_PATH,
+      delegationId: 'DEL-1',
+      attemptsRemaining: MAX_STEP_ATTEMPTS - 1
+    });
+
+    await verifyDateOfBirth(challengeId, '1960-01-01');
+    const last = await verifyDateOfBirth(challengeId, '1960-01-01');
+    expect(last).toMatchObject({ error: 'CHALLENGE_LOCKED', locked: true, wrongAnswer: true });
+
+    // Even the right answer is refused once locked
+    expect(await verifyDateOfBirth(challengeId, '1955-03-15')).toMatchObject({ success: false, error: 'CHALLENGE_LOCKED' });
+    expect(sender.send).not.toHaveBeenCalled();
+  });
+
+  test('wrong passcodes count against the challenge', async () => {
+    const { challengeId } = await start();
+    await verifyDateOfBirth(challengeId, '1955-03-15');
+    const wrong = sentPasscode() === '000000' ? '111111' : '000000';
+
+    for (let i = 1; i < MAX_STEP_ATTEMPTS; i++) {
+      expect(await verifyPasscode(challengeId, wrong)).toMatchObject({ error: 'VERIFICATION_FAILED', wrongAnswer: true });
+    }
+    expect(await verifyPasscode(challengeId, wrong)).toMatchObject({ error: 'CHALLENGE_LOCKED', locked: true });
+    expect(await verifyPasscode(challengeId, sentPasscode())).toMatchObject({ error: 'CHALLENGE_LOCKED' });
+  });
+
+  test('badly formatted answers are not counted as wrong answers', async () => {
+    const { challengeId } = await start();
+
+    expect(await verifyDateOfBirth(challengeId, 'March 15th')).toEqual({
+      success: false,
+      error: 'INVALID_FORMAT',
+      message: 'Please enter your date of birth as MM/DD/YYYY.'
+    });
+    expect(challenge(challengeId).attempts).toBe(0);
+  });
+
+  test('steps must be answered in order', async () => {
+    const { challengeId } = await start();
+
+    expect(await verifyPasscode(challengeId, '123456')).toMatchObject({ success: false, error: 'INVALID_STEP' });
+  });
+
+  test('expired challenges and passcodes are refused', async () => {
+    const { challengeId } = await start();
+    await verifyDateOfBirth(challengeId, '1955-03-15');
+
+    jest.advanceTimersByTime(5 * 60 * 1000 + 1);
+    expect(await verifyPasscode(challengeId, sentPasscode())).toMatchObject({ error: 'PASSCODE_EXPIRED' });
+
+    const second = await start();
+    jest.advanceTimersByTime(10 * 60 * 1000 + 1);
+    expect(await verifyDateOfBirth(second.challengeId, '1955-03-15')).toMatchObject({ error: 'CHALLENGE_EXPIRED' });
+  });
+
+  test('locks the challenge when the passcode cannot be sent', async () => {
+    sender.send.mockRejectedValue(new Error('SMTP unavailable'));
+    const { challengeId } = await start();
+
+    expect(await verifyDateOfBirth(challengeId, '1955-03-15')).toMatchObject({
+      success: false,
+      error: 'PASSCODE_NOT_SENT'
+    });
+    expect(challenge(challengeId)).toMatchObject({ step: STEPS.LOCKED, passcodeHash: null });
+  });
+
+  test('locks the challenge when there is no contact method on file', async () => {
+    admin.testing.seed(SUBJECT_PATH, { dateOfBirth: '1955-03-15' });
+    const { challengeId } = await start();
+
+    expect(await verifyDateOfBirth(challengeId, '1955-03-15')).toMatchObject({ error: 'NO_CONTACT_METHOD' });
+    expect(challenge(challengeId).step).toBe(STEPS.LOCKED);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Claim Search Terms Backfill
+ *
+ * Claim search filters on the searchTerms array that the onClaimWrite trigger
+ * keeps on each claim. Claims written before that trigger was deployed have
+ * no searchTerms, so provider and service type searches skip them until this
+ * backfill has run. Claims whose terms are already current are not rewritten,
+ * so it is safe to run more than once.
+ *
+ * Usage, from /functions (application default credentials, or the emulator
+ * when FIRESTORE_EMULATOR_HOST is set):
+ *   npm run backfill-claim-search-terms
+ *   npm run backfill-claim-search-terms -- --project=<projectId>
+ */
+
+const admin = require('firebase-admin');
+const { backfillClaimSearchTerms } = require('../handlers/claimSearch');
+
+async function main() {
+  const projectArg = process.argv.slice(2).find(arg => arg.startsWith('--project='));
+  const projectId = projectArg ? projectArg.slice('--project='.length) : process.env.GCLOUD_PROJECT;
+
+  admin.initializeApp(projectId ? { projectId } : undefined);
+
+  const { scanned, updated } = await backfillClaimSearchTerms();
+  console.log(`Claims scanned: ${scanned}, search terms updated: ${updated}`);
+}
+
+main().catch(error => {
+  console.error('Backfill failed:', error.message);
+  process.exitCode = 1;
+});
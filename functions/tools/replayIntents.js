@@ -0,0 +1,587 @@
+/**
+ * Offline Conversation Harness
+ *
+ * Replays the Dialogflow training phrases against handleWebhook, backed by
+ * the Firestore emulator seeded from /firestore/*.json (with claim
+ * searchTerms filled in by the backfill, since triggers don't run):
+ * - Each training phrase becomes a CX webhook request carrying its intent's
+ *   tag and the parameters annotated in the phrase, with entity synonyms
+ *   resolved to their canonical values as CX does. Provider phrases are
+ *   plain text, so their parameters are extracted with the provider entities.
+ * - Each phrase runs in a fresh session as a signed-in caller: the first
+ *   seeded beneficiary, or an admin of the first seeded provider
+ * - The clock is pinned to REPLAY_DATE, within the seed data's dates, so
+ *   relative dates ("this summer", year to date) give the same responses
+ *   on every run
+ *
+ * Reports tags (from intents and flow pages) with no webhook handler, flow
+ * routes to undefined intents, how often the webhook answers each intent's
+ * phrases with its fallback, how often the built-in REST chat classifier
+ * picks another intent, handler errors, and differences from the golden
+ * responses in tools/golden/replies.json. Fallbacks and errors are read from
+ * the webhook response payload; an exception from handleWebhook is an error.
+ *
+ * Usage, from /functions:
+ *   firebase emulators:exec --only firestore "npm run replay-intents"
+ *   npm run replay-intents -- --update-golden    Rewrite the golden responses
+ *   npm run replay-intents -- --intent=FindProvider
+ *
+ * Exits with 1 when a tag is unmapped, a handler errors or a response no
+ * longer matches its golden.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const DIALOGFLOW_DIR = path.join(ROOT_DIR, 'dialogflow');
+const SEED_DIR = path.join(ROOT_DIR, 'firestore');
+const GOLDEN_PATH = path.join(__dirname, 'golden', 'replies.json');
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'faomeroct10';
+const REPLAY_DATE = '2024-10-15T15:00:00Z';
+
+const AGENTS = [
+  { name: 'beneficiary', intents: 'intents.json', entities: 'entities.json', flows: null },
+  { name: 'provider', intents: 'provider-intents.json', entities: 'provider-entities.json', flows: 'provider-flows.json' }
+];
+
+// Document ID field for each seeded collection (see docs/TESTING_GUIDE.md)
+const DOCUMENT_ID_FIELDS = {
+  appeals: 'appealId',
+  beneficiaries: 'medicareId',
+  benefits: 'benefitType',
+  claims: 'claimId',
+  conversations: 'conversationId',
+  delegations: 'delegationId',
+  documents: 'documentId',
+  knowledgeBase: 'id',
+  notifications: 'notificationId',
+  providerUsers: 'userId',
+  providers: 'npiNumber',
+  representatives: 'representativeId',
+  smartReplies: 'replyId',
+  tickets: 'ticketId'
+};
+
+const NUMBER_WORDS = {
+  one: 1, first: 1, two: 2, second: 2, three: 3, third: 3,
+  four: 4, fourth: 4, five: 5, fifth: 5, last: -1
+};
+
+// Values that change from run to run are replaced before comparing with the golden
+const VOLATILE_VALUES = [
+  [/\bHO-[a-f0-9]{16}\b/g, 'HO-<id>'],
+  [/\bTKT-\d{4}-\d{4}\b/g, 'TKT-<id>'],
+  [/\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z\b/g, '<timestamp>'],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '<token>']
+];
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = { updateGolden: false, intent: null };
+
+  argv.forEach(arg => {
+    if (arg === '--update-golden') {
+      options.updateGolden = true;
+    } else if (arg.startsWith('--intent=')) {
+      options.intent = arg.substring('--intent='.length);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Make new Date() and Date.now() start from the given time
+ */
+function pinClock(isoTime) {
+  const RealDate = Date;
+  const offset = new RealDate(isoTime).getTime() - RealDate.now();
+
+  global.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [RealDate.now() + offset]));
+    }
+
+    static now() {
+      return RealDate.now() + offset;
+    }
+  };
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Records in a seed file, by collection
+ * Files hold either { collection: [records] } or a bare array named after the file
+ */
+function readSeedCollections(fileName) {
+  const data = readJson(path.join(SEED_DIR, fileName));
+  if (Array.isArray(data)) {
+    return { [path.basename(fileName, '.json')]: data };
+  }
+
+  return Object.fromEntries(
+    Object.entries(data).filter(([, records]) => Array.isArray(records) && records.every(record => record && typeof record === 'object'))
+  );
+}
+
+/**
+ * Empty the Firestore emulator and load the seed data
+ * Refuses to run against anything but the emulator
+ */
+async function seedEmulator() {
+  const host = process.env.FIRESTORE_EMULATOR_HOST;
+  if (!host) {
+    throw new Error('FIRESTORE_EMULATOR_HOST is not set. Run under `firebase emulators:exec --only firestore`.');
+  }
+
+  const response = await fetch(`http://${host}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`Could not clear the Firestore emulator: HTTP ${response.status}`);
+  }
+
+  const db = admin.firestore();
+  const counts = {};
+
+  for (const fileName of fs.readdirSync(SEED_DIR).filter(name => name.endsWith('.json')).sort()) {
+    for (const [collection, records] of Object.entries(readSeedCollections(fileName))) {
+      const idField = DOCUMENT_ID_FIELDS[collection];
+      const batch = db.batch();
+
+      records.forEach(record => {
+        const ref = idField && record[idField]
+          ? db.collection(collection).doc(String(record[idField]).replace(/\//g, '_'))
+          : db.collection(collection).doc();
+        batch.set(ref, record);
+      });
+
+      await batch.commit();
+      counts[collection] = records.length;
+    }
+  }
+
+  // Claim search matches names through searchTerms, which the onClaimWrite
+  // trigger keeps in production. Functions don't run here, so fill them in
+  // the way existing claims get them.
+  const { backfillClaimSearchTerms } = require('../handlers/claimSearch');
+  await backfillClaimSearchTerms();
+
+  return counts;
+}
+
+/**
+ * Entity lookup by type (@name): map entities resolve synonyms to values,
+ * regexp entities match their pattern
+ */
+function loadEntities(fileName) {
+  const entities = {};
+
+  readJson(path.join(DIALOGFLOW_DIR, fileName)).entities.forEach(entity => {
+    const pattern = typeof entity.regexp === 'string' ? entity.regexp : entity.regexp?.pattern;
+    entities[`@${entity.name}`] = {
+      kind: entity.kind,
+      pattern: pattern ? new RegExp(pattern, 'i') : null,
+      values: (entity.entities || []).map(({ value, synonyms }) => ({
+        value,
+        synonyms: [value, ...(synonyms || [])].map(synonym => synonym.toLowerCase())
+      }))
+    };
+  });
+
+  return entities;
+}
+
+/**
+ * Canonical value for an annotated part of a training phrase
+ */
+function resolveEntityValue(entityType, text, entities) {
+  if (entityType === '@sys.number') {
+    return NUMBER_WORDS[text.toLowerCase()] || Number(text) || text;
+  }
+
+  const entity = entities[entityType];
+  if (entity?.kind === 'KIND_MAP') {
+    const match = entity.values.find(({ synonyms }) => synonyms.includes(text.toLowerCase()));
+    return match ? match.value : text;
+  }
+
+  return text;
+}
+
+/**
+ * Extract a parameter from plain text with its entity type
+ */
+function extractParameter(entityType, text, entities) {
+  if (entityType === '@sys.email') {
+    return text.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/)?.[0] || null;
+  }
+
+  const entity = entities[entityType];
+  if (!entity) {
+    return null;
+  }
+
+  if (entity.kind === 'KIND_REGEXP') {
+    return text.match(entity.pattern)?.[0] || null;
+  }
+
+  const lower = text.toLowerCase();
+  const match = entity.values.find(({ synonyms }) => synonyms.some(synonym =>
+    new RegExp(`\\b${synonym.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')}\\b`).test(lower)
+  ));
+  return match ? match.value : null;
+}
+
+/**
+ * Turn a training phrase into { text, parameters }
+ * Annotated phrases (parts) carry their parameters; plain phrases are extracted
+ */
+function synthesizePhrase(phrase, intent, entities) {
+  if (typeof phrase === 'string') {
+    const parameters = {};
+    (intent.parameters || []).forEach(parameter => {
+      const value = extractParameter(parameter.entityType, phrase, entities);
+      if (value !== null) {
+        parameters[parameter.name] = value;
+      }
+    });
+    return { text: phrase, parameters };
+  }
+
+  const parameters = {};
+  phrase.parts.forEach(part => {
+    if (part.alias) {
+      parameters[part.alias] = resolveEntityValue(part.entityType, part.text, entities);
+    }
+  });
+
+  return { text: phrase.parts.map(part => part.text).join(''), parameters };
+}
+
+/**
+ * Webhook tags used by flow pages, and the intents flow routes refer to
+ */
+function readFlowReferences(fileName) {
+  const pages = readJson(path.join(DIALOGFLOW_DIR, fileName)).flows.flatMap(flow => flow.pages || []);
+
+  return {
+    tags: pages.map(page => page.entryFulfillment?.webhook).filter(Boolean),
+    intents: pages.flatMap(page => (page.transitionRoutes || []).map(route => route.intent)).filter(Boolean)
+  };
+}
+
+/**
+ * Load every agent's intents as replay cases
+ */
+function loadCases(onlyIntent) {
+  const cases = [];
+  const flowTags = [];
+  const undefinedRouteIntents = [];
+
+  AGENTS.forEach(agent => {
+    const entities = loadEntities(agent.entities);
+    const intents = readJson(path.join(DIALOGFLOW_DIR, agent.intents)).intents;
+
+    if (agent.flows) {
+      const references = readFlowReferences(agent.flows);
+      flowTags.push(...references.tags.map(tag => ({ agent: agent.name, tag })));
+      references.intents
+        .filter(name => !intents.some(intent => intent.name === name))
+        .forEach(name => undefinedRouteIntents.push({ agent: agent.name, intent: name }));
+    }
+
+    intents
+      .filter(intent => !onlyIntent || intent.name === onlyIntent)
+      .forEach(intent => {
+        cases.push({
+          agent: agent.name,
+          intent: intent.name,
+          tag: intent.webhookTag || intent.action || null,
+          phrases: intent.trainingPhrases.map(phrase => synthesizePhrase(phrase, intent, entities))
+        });
+      });
+  });
+
+  return { cases, flowTags, undefinedRouteIntents: [...new Map(undefinedRouteIntents.map(item => [`${item.agent}/${item.intent}`, item])).values()] };
+}
+
+/**
+ * Verified caller claims for each agent, from the seed data
+ */
+function buildCallers() {
+  const { AUDIENCES } = require('../auth/sessionTokens');
+  const beneficiary = readSeedCollections('beneficiaries.json').beneficiaries[0];
+  const staffUser = readSeedCollections('providerUsers.json').providerUsers.find(user => user.role === 'admin');
+
+  return {
+    beneficiary: {
+      aud: AUDIENCES.BENEFICIARY,
+      sub: beneficiary.medicareId,
+      role: 'beneficiary',
+      sid: 'replay-beneficiary',
+      medicareId: beneficiary.medicareId,
+      mbi: beneficiary.mbi || null,
+      firstName: beneficiary.firstName,
+      coverageType: beneficiary.coverageType || []
+    },
+    provider: {
+      aud: AUDIENCES.PROVIDER,
+      sub: staffUser.userId,
+      role: 'provider',
+      npiNumber: staffUser.npiNumber,
+      staffUserId: staffUser.userId,
+      staffRole: staffUser.role,
+      staffName: `${staffUser.firstName} ${staffUser.lastName}`
+    }
+  };
+}
+
+/**
+ * Run a function with console output captured instead of printed
+ * Handlers log every request; only their errors are kept for the report
+ */
+async function withQuietConsole(fn) {
+  const original = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  const errors = [];
+
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = (...args) => errors.push(args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' '));
+
+  try {
+    return { result: await fn(), errors };
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+/**
+ * Replace run-specific values so responses compare across runs
+ */
+function normalize(text) {
+  return VOLATILE_VALUES.reduce((current, [pattern, replacement]) => current.replace(pattern, replacement), text);
+}
+
+/**
+ * The comparable parts of a webhook response
+ */
+function summarizeResponse(response) {
+  const { normalizeResponse } = require('../channels/channelAdapters');
+  const { text, suggestions } = normalizeResponse(response);
+
+  return {
+    text: normalize(text),
+    chips: suggestions,
+    parameters: Object.keys(response.sessionInfo?.parameters || {}).sort()
+  };
+}
+
+/**
+ * Lines that differ between a golden and an actual response
+ */
+function diffResponses(expected, actual) {
+  const lines = [];
+  const expectedLines = expected.text.split('\n');
+  const actualLines = actual.text.split('\n');
+
+  expectedLines.filter(line => !actualLines.includes(line)).forEach(line => lines.push(`- ${line}`));
+  actualLines.filter(line => !expectedLines.includes(line)).forEach(line => lines.push(`+ ${line}`));
+
+  ['chips', 'parameters'].forEach(field => {
+    if (JSON.stringify(expected[field]) !== JSON.stringify(actual[field])) {
+      lines.push(`- ${field}: ${JSON.stringify(expected[field])}`);
+      lines.push(`+ ${field}: ${JSON.stringify(actual[field])}`);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Replay every case and collect the results
+ */
+async function replay(cases, callers) {
+  const { handleWebhook } = require('../webhooks/dialogflowWebhook');
+  const { classifyIntent } = require('../channels/intentClassifier');
+  const results = [];
+
+  for (const replayCase of cases) {
+    for (const [index, phrase] of replayCase.phrases.entries()) {
+      const key = `${replayCase.intent}/${index + 1}`;
+      const request = {
+        text: phrase.text,
+        fulfillmentInfo: { tag: replayCase.tag },
+        sessionInfo: {
+          session: `projects/${PROJECT_ID}/locations/global/agents/replay/sessions/${crypto.createHash('sha256').update(key).digest('hex').substring(0, 16)}`,
+          parameters: { ...phrase.parameters }
+        }
+      };
+
+      const { result: response, errors } = await withQuietConsole(async () => {
+        try {
+          return await handleWebhook(request, {
+            caller: callers[replayCase.agent],
+            channel: 'replay',
+            requestContext: { ipAddress: '127.0.0.1', userAgent: 'replayIntents', correlationId: key }
+          });
+        } catch (error) {
+          return { thrown: error };
+        }
+      });
+
+      if (response.thrown) {
+        errors.push(`Threw: ${response.thrown.message}`);
+      }
+
+      results.push({
+        key,
+        agent: replayCase.agent,
+        intent: replayCase.intent,
+        tag: replayCase.tag,
+        text: phrase.text,
+        response: response.thrown ? null : summarizeResponse(response),
+        fallback: response.payload?.fallback === true,
+        failed: Boolean(response.thrown) || response.payload?.success === false,
+        errors,
+        classifiedTag: replayCase.agent === 'beneficiary' ? classifyIntent(phrase.text, {}).tag : undefined
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Print the report and return whether everything passed
+ */
+function report({ cases, flowTags, undefinedRouteIntents }, results, golden, options) {
+  const { isHandledTag } = require('../webhooks/dialogflowWebhook');
+  let passed = true;
+
+  console.log(`\nReplayed ${results.length} training phrases from ${cases.length} intents\n`);
+
+  const unmapped = [
+    ...cases.filter(replayCase => !isHandledTag(replayCase.tag))
+      .map(replayCase => `${replayCase.agent} intent ${replayCase.intent}: tag ${replayCase.tag || '(none)'}`),
+    ...flowTags.filter(({ tag }) => !isHandledTag(tag))
+      .map(({ agent, tag }) => `${agent} flow page webhook: tag ${tag}`)
+  ];
+  console.log('Unmapped tags:');
+  console.log(unmapped.length > 0 ? unmapped.map(line => `  ${line}`).join('\n') : '  none');
+  passed = passed && unmapped.length === 0;
+
+  if (undefinedRouteIntents.length > 0) {
+    console.log('\nFlow routes to intents that are not defined (warning):');
+    undefinedRouteIntents.forEach(({ agent, intent }) => console.log(`  ${agent}: ${intent}`));
+  }
+
+  console.log('\nIntent                    Tag                    Phrases  Webhook fallback  Misclassified  Errors  Golden diffs');
+  const diffs = [];
+
+  cases.forEach(replayCase => {
+    const caseResults = results.filter(result => result.intent === replayCase.intent);
+    const classified = caseResults.filter(result => result.classifiedTag !== undefined);
+    const fallbacks = caseResults.filter(result => result.fallback);
+    const misclassified = classified.filter(result => result.classifiedTag !== replayCase.tag);
+    const failures = caseResults.filter(result => result.failed);
+    const changed = caseResults.filter(result => golden[result.key] && result.response &&
+      diffResponses(golden[result.key], result.response).length > 0);
+    diffs.push(...changed);
+
+    const fallbackRate = caseResults.length > 0
+      ? `${Math.round((fallbacks.length / caseResults.length) * 100)}% (${fallbacks.length})`
+      : 'n/a';
+
+    console.log([
+      replayCase.intent.padEnd(25),
+      String(replayCase.tag).padEnd(22),
+      String(caseResults.length).padStart(7),
+      fallbackRate.padStart(17),
+      (classified.length > 0 ? String(misclassified.length) : 'n/a').padStart(14),
+      String(failures.length).padStart(7),
+      String(changed.length).padStart(13)
+    ].join(' '));
+
+    misclassified.forEach(result => console.log(`    classified as ${result.classifiedTag || 'fallback'}: "${result.text}"`));
+  });
+
+  const failures = results.filter(result => result.failed);
+  if (failures.length > 0) {
+    console.log('\nHandler errors:');
+    failures.forEach(result => {
+      console.log(`  ${result.key} "${result.text}"`);
+      result.errors.forEach(error => console.log(`    ${error}`));
+    });
+    passed = false;
+  }
+
+  if (options.updateGolden) {
+    console.log(`\nGolden responses written to ${path.relative(process.cwd(), GOLDEN_PATH)}`);
+    return passed;
+  }
+
+  const missing = results.filter(result => !golden[result.key]);
+  if (missing.length > 0) {
+    console.log(`\n${missing.length} phrases have no golden response; run with --update-golden to record them`);
+  }
+
+  if (diffs.length > 0) {
+    console.log('\nGolden response diffs:');
+    diffs.forEach(result => {
+      console.log(`  ${result.key} "${result.text}"`);
+      diffResponses(golden[result.key], result.response).forEach(line => console.log(`    ${line}`));
+    });
+    passed = false;
+  }
+
+  return passed;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  pinClock(REPLAY_DATE);
+
+  // Local signing secret for tokens issued during the replay
+  process.env.SESSION_TOKEN_SECRET = process.env.SESSION_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+  admin.initializeApp({ projectId: PROJECT_ID });
+  require('../auth/otpSender').setOtpSender({ name: 'replay', async send() {} });
+
+  const loaded = loadCases(options.intent);
+  if (loaded.cases.length === 0) {
+    throw new Error(`No intent named ${options.intent}`);
+  }
+
+  const counts = await seedEmulator();
+  console.log(`Seeded ${Object.values(counts).reduce((sum, count) => sum + count, 0)} documents into ${Object.keys(counts).length} collections`);
+
+  const results = await replay(loaded.cases, buildCallers());
+  const golden = fs.existsSync(GOLDEN_PATH) ? readJson(GOLDEN_PATH) : {};
+
+  if (options.updateGolden) {
+    // Keep goldens for intents that were not replayed this run
+    results.filter(result => result.response).forEach(result => {
+      golden[result.key] = result.response;
+    });
+    fs.mkdirSync(path.dirname(GOLDEN_PATH), { recursive: true });
+    fs.writeFileSync(GOLDEN_PATH, `${JSON.stringify(golden, null, 2)}\n`);
+  }
+
+  const passed = report(loaded, results, golden, options);
+  process.exitCode = passed ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error('Replay failed:', error.message);
+  process.exitCode = 1;
+});
@@ -3,26 +3,79 @@
  * 
  * This module handles webhook requests from Dialogflow CX and routes them
  * to the appropriate handler functions.
+ *
+ * Beneficiary replies are in the session's locale (see getRequestLocale);
+ * the provider agent answers in English.
  */
 
-const { authenticateUser } = require('../auth/authenticateUser');
-const { handleCheckClaimStatus, getRecentClaims } = require('../handlers/claimStatus');
-const { handleAskAboutBenefits, getCoverageSummary } = require('../handlers/benefits');
-const { handleFindProvider } = require('../handlers/providers');
+const { authenticateUser, continueAuthentication, logout } = require('../auth/authenticateUser');
+const { STEPS } = require('../auth/stepUpVerification');
+const { handleCheckClaimStatus, getRecentClaims, suggestClaimNumbers } = require('../handlers/claimStatus');
+const { handleAskAboutBenefits, getCoverageSummary, suggestBenefitTypes } = require('../handlers/benefits');
+const { handleFindProvider, suggestSpecialties } = require('../handlers/providers');
+const { parseClaimSearch, searchClaims } = require('../handlers/claimSearch');
+const { dateRangeFromParameter } = require('../channels/dateRanges');
+const { fileAppeal, describeAppeals } = require('../appeals/appeals');
+const { parseStatementPeriod, buildSummaryNotice, formatSummaryNoticeResponse } = require('../statements/summaryNotice');
+const { parseBenefitYear, buildOutOfPocketTracker, formatOutOfPocketResponse } = require('../claims/outOfPocket');
+const { getProviderClaimStatus, answerPolicyQuestion, requestProviderHandoff } = require('../handlers/providerSupport');
+const { authenticateProvider } = require('../auth/authenticateProvider');
+const { AUDIENCES } = require('../auth/sessionTokens');
+const { verifySession } = require('../auth/requireSession');
+const { authorizeAccess, PERMISSIONS } = require('../auth/delegation');
+const { createPayloadMessage, chipsElement } = require('./richContent');
+const { resumePendingSlot, needsSlot, promptForSlot } = require('./slotFilling');
+const { scoreTurn, FRUSTRATION_ACTIONS } = require('./frustration');
+const { recordConversationTurn, getConversationId } = require('../conversations/conversationStore');
+const { resolveLocale, hasMessage, t } = require('../i18n/messages');
+const {
+  HANDOFF_STATUS,
+  MESSAGE_ROLES,
+  requestHandoff,
+  getHandoff,
+  getBeneficiaryHandoff,
+  getMessagesAfter,
+  getQueueStatus,
+  postHandoffMessage
+} = require('../handoff/agentHandoff');
+
+/**
+ * Suggestion chips offered after each kind of response
+ * Beneficiary menus are in the message catalog (chips.*); benefit types are
+ * sent back as they are in every language
+ */
+const SUGGESTIONS = {
+  AFTER_BENEFITS: ['Part A', 'Part B', 'Part D'],
+  PROVIDER_MENU: ['Check a claim', 'Policy question', 'Talk to a live agent'],
+  AFTER_PROVIDER_CLAIM: ['Check another claim', 'Policy question', 'Talk to a live agent']
+};
 
 /**
  * Create Dialogflow CX response
+ * The text message is always sent; cards and chips are added as a custom
+ * payload for channels that render rich content
+ *
+ * @param {string} fulfillmentText - Plain-text message
+ * @param {Object} sessionParameters - Session parameters to set
+ * @param {Object} rich - { cards: Array<Array<Object>>, chips: Array<string> }
  */
-function createDialogflowResponse(fulfillmentText, sessionParameters = {}) {
+function createDialogflowResponse(fulfillmentText, sessionParameters = {}, rich = {}) {
+  const messages = [
+    {
+      text: {
+        text: [fulfillmentText]
+      }
+    }
+  ];
+  
+  const payloadMessage = createPayloadMessage(rich.cards, rich.chips);
+  if (payloadMessage) {
+    messages.push(payloadMessage);
+  }
+  
   return {
     fulfillmentResponse: {
-      messages: [
-        {
-          text: {
-            text: [fulfillmentText]
-          }
-        }
-      ]
+      messages
     },
     sessionInfo: {
       parameters: sessionParameters
@@ -30,162 +83,1111 @@ function createDialogflowResponse(fulfillmentText, sessionParameters = {}) {
   };
 }
 
+// Tags where the caller asked for a person themselves
+const ESCALATION_TAGS = ['escalate_to_agent', 'requestLiveAgent'];
+
 /**
- * Handle Greeting intent
+ * Locale for the turn: the signed-in beneficiary's preference (from their
+ * token, or stored in the session when they signed in), then the
+ * Dialogflow languageCode, then English
+ */
+function getRequestLocale(request, context = {}) {
+  return resolveLocale(
+    context.caller?.preferredLanguage,
+    request.sessionInfo?.parameters?.preferredLanguage,
+    request.languageCode
+  );
+}
+
+/**
+ * Resolve verified beneficiary claims for the current session
+ * Prefers a beneficiary caller token, then the session token stored in
+ * session parameters. Caller-supplied identifiers are never trusted, and
+ * tokens whose session was revoked or timed out are rejected.
+ */
+async function resolveBeneficiaryClaims(request, context = {}) {
+  if (context.caller && context.caller.aud === AUDIENCES.BENEFICIARY) {
+    return context.caller;
+  }
+
+  const sessionToken = request.sessionInfo?.parameters?.sessionToken;
+  if (!sessionToken) {
+    return null;
+  }
+
+  const result = await verifySession(sessionToken, AUDIENCES.BENEFICIARY);
+  return result.valid ? result.claims : null;
+}
+
+/**
+ * Response asking the user to authenticate first
+ * Clears any stale session so the agent stops treating the user as signed in
  */
-async function handleGreeting(request) {
-  const greeting = `Hello! Welcome to the CMS Beneficiary Self-Service portal. I'm here to help you with:
+function createAuthenticationRequiredResponse(locale) {
+  return createDialogflowResponse(
+    t(locale, 'auth.required'),
+    {
+      authenticated: false,
+      sessionToken: null
+    }
+  );
+}
 
-• Checking claim status
-• Learning about your benefits
-• Finding healthcare providers
-• Getting connected to a support agent
+/**
+ * Re-prompt for a slot the handler could not use, with candidate values
+ * Escalates to an agent once the retries run out
+ */
+function createSlotPromptResponse(tag, slot, result, context, candidates) {
+  const prompt = promptForSlot(tag, slot, result, context.pendingSlot, candidates, context.locale);
+  
+  if (prompt.escalate) {
+    return createDialogflowResponse(
+      `${prompt.message} ${t(context.locale, 'slots.connectAgent')}\n\n${t(context.locale, 'common.supportContact')}`,
+      prompt.parameters
+    );
+  }
+  
+  return createDialogflowResponse(prompt.message, prompt.parameters, { chips: prompt.chips });
+}
 
-How can I assist you today?`;
+/**
+ * The beneficiary's recent claim IDs, for claim number suggestions
+ * Uses the last listed claims when the session has them
+ */
+async function loadRecentClaimIds(request, claims, context) {
+  const listed = request.sessionInfo?.parameters?.recentClaimIds;
+  if (Array.isArray(listed) && listed.length > 0) {
+    return listed;
+  }
+  
+  const access = await authorizeAccess(
+    claims,
+    PERMISSIONS.CLAIMS_READ,
+    { type: 'claim', id: null },
+    context.requestContext
+  );
+  if (!access.allowed) {
+    return [];
+  }
+  
+  const result = await getRecentClaims(claims.medicareId);
+  return result.success ? result.claims.map(claim => claim.claimId) : [];
+}
 
-  return createDialogflowResponse(greeting);
+/**
+ * Handle Greeting intent
+ */
+async function handleGreeting(request, context) {
+  return createDialogflowResponse(t(context.locale, 'greeting.welcome'), {}, { chips: t(context.locale, 'chips.mainMenu') });
+}
+
+/**
+ * Prompt for a step-up verification step
+ */
+function getAuthStepPrompt(step, locale) {
+  return t(locale, `auth.steps.${step === STEPS.ONE_TIME_PASSCODE ? step : STEPS.DATE_OF_BIRTH}`);
+}
+
+/**
+ * A sign-in result's message in the session's locale
+ * The auth modules word their messages in English; other locales translate
+ * them by error code, per step where the same code means different things
+ */
+function localizeAuthMessage(result, step, locale) {
+  const keys = [`auth.errors.${step}.${result.error}`, `auth.errors.${result.error}`];
+  const key = result.error && keys.find(candidate => hasMessage(locale, candidate));
+  return key ? t(locale, key) : result.message;
 }
 
 /**
  * Handle Authenticate User intent
+ * Multi-step: Medicare ID + last name, then date of birth, then passcode.
+ * The challenge ID and current step are kept in session parameters.
  */
-async function handleAuthenticate(request) {
+async function handleAuthenticate(request, context) {
   const parameters = request.sessionInfo?.parameters || {};
-  const medicareId = parameters.medicareID;
-  const lastName = parameters.lastName;
+  const challengeId = parameters.authChallengeId;
+  const locale = context.locale;
   
-  const result = await authenticateUser(medicareId, lastName);
+  let result;
+  if (challengeId && (parameters.dateOfBirth || parameters.passcode)) {
+    result = await continueAuthentication(challengeId, {
+      dateOfBirth: parameters.dateOfBirth,
+      passcode: parameters.passcode
+    }, context.requestContext);
+  } else if (challengeId) {
+    return createDialogflowResponse(getAuthStepPrompt(parameters.authStep, locale));
+  } else {
+    result = await authenticateUser(parameters.medicareID, parameters.lastName, context.requestContext);
+  }
   
-  if (result.success) {
-    const greeting = `Welcome back, ${result.beneficiary.firstName}! You've been successfully authenticated. How can I help you today?`;
+  // Answers are consumed on every turn so a wrong value is asked for again
+  const clearedAnswers = {
+    dateOfBirth: null,
+    passcode: null
+  };
+  
+  if (result.success && result.authenticated) {
+    // From here on the session speaks the signed-in person's language
+    const preferredLanguage = (result.representative || result.beneficiary).preferredLanguage || null;
+    const sessionLocale = resolveLocale(preferredLanguage, locale);
+    const greeting = t(sessionLocale, 'auth.welcomeBack', { firstName: result.beneficiary.firstName });
     
     return createDialogflowResponse(greeting, {
+      ...clearedAnswers,
+      authChallengeId: null,
+      authStep: null,
       authenticated: true,
       medicareId: result.beneficiary.medicareId,
       firstName: result.beneficiary.firstName,
       lastName: result.beneficiary.lastName,
       coverageType: result.beneficiary.coverageType,
+      preferredLanguage,
       sessionToken: result.sessionToken
+    }, { chips: t(sessionLocale, 'chips.mainMenu') });
+  }
+  
+  if (result.success) {
+    let prompt = getAuthStepPrompt(result.nextStep, locale);
+    if (result.nextStep === STEPS.ONE_TIME_PASSCODE) {
+      prompt = hasMessage(locale, 'auth.passcodeSent')
+        ? t(locale, 'auth.passcodeSent', { destination: result.maskedDestination })
+        : result.message;
+    }
+    
+    return createDialogflowResponse(prompt, {
+      ...clearedAnswers,
+      authChallengeId: result.challengeId,
+      authStep: result.nextStep
     });
-  } else {
-    return createDialogflowResponse(result.message);
   }
+  
+  const message = localizeAuthMessage(result, challengeId ? parameters.authStep : null, locale);
+  
+  // Wrong answer with attempts left: stay on the same step
+  if (challengeId && (result.error === 'VERIFICATION_FAILED' || result.error === 'INVALID_FORMAT')) {
+    return createDialogflowResponse(message, clearedAnswers);
+  }
+  
+  // Any other failure ends the challenge; the user starts over
+  return createDialogflowResponse(message, {
+    ...clearedAnswers,
+    medicareID: null,
+    lastName: null,
+    authChallengeId: null,
+    authStep: null
+  });
 }
 
 /**
  * Handle Check Claim Status intent
  */
-async function handleClaimStatus(request) {
+async function handleClaimStatus(request, context) {
   const parameters = request.sessionInfo?.parameters || {};
   const claimNumber = parameters.claimNumber;
-  const sessionInfo = {
-    medicareId: parameters.medicareId
-  };
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
+  
+  // Pass the verified claims so representative scopes are enforced
+  const result = await handleCheckClaimStatus(claimNumber, claims, context.requestContext, context.locale);
+  
+  if (needsSlot('claimNumber', result)) {
+    const recentClaimIds = await loadRecentClaimIds(request, claims, context);
+    return createSlotPromptResponse(
+      'check_claim_status',
+      'claimNumber',
+      result,
+      context,
+      suggestClaimNumbers(claimNumber, recentClaimIds)
+    );
+  }
+  
+  // Denied claims still open for appeal offer to start one
+  const chips = result.success ? [...t(context.locale, 'chips.afterClaim')] : [];
+  if (result.success && result.claim.status === 'Denied' && result.claim.appealDeadline) {
+    chips.unshift(t(context.locale, 'chips.appealClaim', { claimId: result.claim.claimId }));
+  }
+  
+  return createDialogflowResponse(result.message, {}, {
+    cards: result.richContent,
+    chips
+  });
+}
+
+/**
+ * Handle List My Claims intent
+ * The listed claim IDs are kept in session parameters so the user can pick
+ * one by position (select_claim)
+ */
+async function handleListClaims(request, context) {
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
+  
+  const access = await authorizeAccess(
+    claims,
+    PERMISSIONS.CLAIMS_READ,
+    { type: 'claim', id: null },
+    context.requestContext
+  );
+  if (!access.allowed) {
+    return createDialogflowResponse(t(context.locale, 'access.claimsDenied'));
+  }
+  
+  const result = await getRecentClaims(claims.medicareId, 5, context.locale);
+  const recentClaimIds = result.success ? result.claims.map(claim => claim.claimId) : [];
+  
+  return createDialogflowResponse(result.message, { recentClaimIds, claimSearch: null }, {
+    cards: result.richContent,
+    chips: recentClaimIds
+  });
+}
+
+// Claims shown per page of a chat search
+const CLAIM_SEARCH_PAGE_SIZE = 3;
+
+// Search filters are cleared after each search so they don't carry over
+const CLEARED_SEARCH_PARAMETERS = {
+  claimStatus: null,
+  servicePeriod: null,
+  providerName: null,
+  providerNpi: null,
+  serviceType: null,
+  claimSortField: null,
+  sortOrder: null
+};
+
+/**
+ * Run a claim search and keep its criteria and cursor in the session
+ * The page's claim IDs become the list select_claim picks from
+ */
+async function respondWithClaimSearch(claims, criteria, context) {
+  const result = await searchClaims(claims, criteria, context.requestContext, context.locale);
+  const recentClaimIds = result.success ? result.claims.map(claim => claim.claimId) : [];
+  const claimSearch = result.nextPageToken
+    ? { criteria: { ...criteria, pageToken: null }, nextPageToken: result.nextPageToken }
+    : null;
+
+  const chips = result.nextPageToken ? [t(context.locale, 'chips.showMoreClaims')] : [];
+  if (result.success) {
+    chips.push(...t(context.locale, 'chips.afterClaim'));
+  }
+
+  return createDialogflowResponse(result.message, { ...CLEARED_SEARCH_PARAMETERS, claimSearch, recentClaimIds }, {
+    cards: result.richContent,
+    chips
+  });
+}
+
+/**
+ * Handle Search Claims intent
+ * Filters by status, service period (a CX date-period or a phrase such as
+ * "this summer"), provider name or NPI and service type
+ */
+async function handleSearchClaims(request, context) {
+  const parameters = request.sessionInfo?.parameters || {};
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
+  
+  const period = dateRangeFromParameter(parameters.servicePeriod);
+  const parsed = parseClaimSearch({
+    status: parameters.claimStatus,
+    from: period?.from,
+    to: period?.to,
+    provider: parameters.providerName,
+    providerNpi: parameters.providerNpi,
+    serviceType: parameters.serviceType,
+    sortBy: parameters.claimSortField,
+    sortOrder: parameters.sortOrder,
+    limit: CLAIM_SEARCH_PAGE_SIZE
+  });
+  
+  if (parsed.error) {
+    return createDialogflowResponse(t(context.locale, 'claims.search.invalidCriteria'), CLEARED_SEARCH_PARAMETERS, {
+      chips: t(context.locale, 'chips.afterClaim')
+    });
+  }
+  
+  return respondWithClaimSearch(claims, parsed.criteria, context);
+}
+
+/**
+ * Handle More Claims intent
+ * Shows the next page of the last claim search
+ */
+async function handleMoreClaims(request, context) {
+  const claimSearch = request.sessionInfo?.parameters?.claimSearch;
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
+  
+  const parsed = claimSearch?.nextPageToken
+    ? parseClaimSearch({ ...claimSearch.criteria, provider: claimSearch.criteria.providerName, pageToken: claimSearch.nextPageToken })
+    : null;
+  
+  if (!parsed || parsed.error) {
+    return createDialogflowResponse(t(context.locale, 'claims.search.nothingToContinue'), { claimSearch: null }, {
+      chips: t(context.locale, 'chips.afterClaim')
+    });
+  }
+  
+  return respondWithClaimSearch(claims, parsed.criteria, context);
+}
+
+/**
+ * Handle Select Claim intent
+ * Resolves a position in the last claim list ("the second one") or a claim
+ * number, then shows that claim's status
+ */
+async function handleSelectClaim(request, context) {
+  const parameters = request.sessionInfo?.parameters || {};
+  const recentClaimIds = parameters.recentClaimIds || [];
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
+  
+  let claimNumber = parameters.claimNumber;
+  if (!claimNumber && parameters.claimIndex) {
+    claimNumber = recentClaimIds[parseInt(parameters.claimIndex, 10) - 1];
+  }
+  
+  if (!claimNumber) {
+    if (recentClaimIds.length === 0) {
+      return handleListClaims(request, context);
+    }
+    return createDialogflowResponse(
+      t(context.locale, 'claims.chooseFromList', { count: recentClaimIds.length }),
+      { claimIndex: null },
+      { chips: recentClaimIds }
+    );
+  }
+  
+  const result = await handleCheckClaimStatus(claimNumber, claims, context.requestContext, context.locale);
+  return createDialogflowResponse(result.message, { claimIndex: null }, {
+    cards: result.richContent,
+    chips: result.success ? recentClaimIds.filter(claimId => claimId !== result.claim.claimId) : recentClaimIds
+  });
+}
+
+/**
+ * Handle File Appeal intent
+ * Asks for the claim and then the reason when they are missing; documents
+ * already filed against the claim are attached automatically
+ */
+async function handleFileAppeal(request, context) {
+  const parameters = request.sessionInfo?.parameters || {};
+  const claimNumber = parameters.claimNumber;
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
+  
+  const result = await fileAppeal(claims, {
+    claimNumber,
+    reason: parameters.appealReason,
+    channel: context.channel || 'dialogflow_cx'
+  }, context.requestContext, context.locale);
+  
+  if (needsSlot('claimNumber', result)) {
+    const recentClaimIds = await loadRecentClaimIds(request, claims, context);
+    return createSlotPromptResponse(
+      'file_appeal',
+      'claimNumber',
+      result,
+      context,
+      suggestClaimNumbers(claimNumber, recentClaimIds)
+    );
+  }
+  
+  if (needsSlot('appealReason', result)) {
+    const response = createSlotPromptResponse('file_appeal', 'appealReason', result, context, []);
+    // The reply is the reason for this claim
+    response.sessionInfo.parameters.claimNumber = result.claimId;
+    return response;
+  }
+  
+  const chips = result.success || result.error === 'APPEAL_EXISTS'
+    ? [t(context.locale, 'chips.checkAppealStatus'), ...t(context.locale, 'chips.afterClaim')]
+    : t(context.locale, 'chips.afterClaim');
+  
+  return createDialogflowResponse(result.message, { appealReason: null }, { chips });
+}
+
+/**
+ * Handle Check Appeal Status intent
+ * One appeal by appeal ID or claim number, otherwise the most recent ones
+ */
+async function handleAppealStatus(request, context) {
+  const parameters = request.sessionInfo?.parameters || {};
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
+  
+  const result = await describeAppeals(claims, {
+    appealId: parameters.appealId ? String(parameters.appealId).trim().toUpperCase() : null,
+    claimId: parameters.claimNumber ? String(parameters.claimNumber).trim().toUpperCase() : null
+  }, context.requestContext, context.locale);
+  
+  return createDialogflowResponse(result.message, { appealId: null }, {
+    cards: result.richContent,
+    chips: t(context.locale, 'chips.afterClaim')
+  });
+}
+
+/**
+ * Handle Request Statement intent
+ * Summarizes the Medicare Summary Notice for a statement period (a CX
+ * date-period or a phrase such as "last quarter"; the last full quarter
+ * when none is given). The full statement is downloaded from the mobile app.
+ */
+async function handleRequestStatement(request, context) {
+  const parameters = request.sessionInfo?.parameters || {};
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
+  
+  const period = dateRangeFromParameter(parameters.statementPeriod);
+  const parsed = parseStatementPeriod({ from: period?.from, to: period?.to });
+  if (parsed.error) {
+    return createDialogflowResponse(t(context.locale, 'statements.invalidPeriod'), { statementPeriod: null });
+  }
+  
+  const result = await buildSummaryNotice(claims, parsed.period, context.requestContext, context.locale);
+  if (!result.success) {
+    return createDialogflowResponse(result.message, { statementPeriod: null });
+  }
+  
+  // Denied claims still open for appeal offer to start one
+  const today = new Date().toISOString().slice(0, 10);
+  const appealChips = result.notice.claims
+    .filter(line => line.status === 'Denied' && !line.appealId && line.appealDeadline >= today)
+    .map(line => t(context.locale, 'chips.appealClaim', { claimId: line.claimId }));
+  
+  const response = formatSummaryNoticeResponse(result.notice);
+  return createDialogflowResponse(response.text, { statementPeriod: null }, {
+    cards: response.richContent,
+    chips: [...appealChips, ...t(context.locale, 'chips.afterClaim')]
+  });
+}
+
+/**
+ * Handle Out-of-Pocket intent
+ * Spending and deductible progress for a benefitYear (date-period), or this year
+ */
+async function handleOutOfPocket(request, context) {
+  const parameters = request.sessionInfo?.parameters || {};
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
+  
+  const period = dateRangeFromParameter(parameters.benefitYear);
+  const parsed = parseBenefitYear(period?.from?.slice(0, 4));
+  if (parsed.error) {
+    return createDialogflowResponse(t(context.locale, 'outOfPocket.invalidYear'), { benefitYear: null });
+  }
+  
+  const result = await buildOutOfPocketTracker(claims, parsed.year, context.requestContext, context.locale);
+  if (!result.success) {
+    return createDialogflowResponse(result.message, { benefitYear: null });
+  }
+  
+  const response = formatOutOfPocketResponse(result.tracker);
+  return createDialogflowResponse(response.text, { benefitYear: null }, {
+    cards: response.richContent,
+    chips: t(context.locale, 'chips.afterCoverage')
+  });
+}
+
+/**
+ * Handle Coverage Summary intent
+ */
+async function handleCoverage(request, context) {
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  if (!claims) {
+    return createAuthenticationRequiredResponse(context.locale);
+  }
   
-  const result = await handleCheckClaimStatus(claimNumber, sessionInfo);
-  return createDialogflowResponse(result.message);
+  const access = await authorizeAccess(
+    claims,
+    PERMISSIONS.COVERAGE_READ,
+    { type: 'coverage', id: null },
+    context.requestContext
+  );
+  if (!access.allowed) {
+    return createDialogflowResponse(t(context.locale, 'access.coverageDenied'));
+  }
+  
+  const result = await getCoverageSummary(claims.coverageType, context.locale);
+  const chips = t(context.locale, 'chips.afterCoverage');
+  return createDialogflowResponse(result.message, {}, {
+    cards: result.richContent,
+    chips: result.success ? [...result.coverageTypes, ...chips] : chips
+  });
 }
 
 /**
  * Handle Ask About Benefits intent
  */
-async function handleBenefits(request) {
+async function handleBenefits(request, context) {
   const parameters = request.sessionInfo?.parameters || {};
   const benefitType = parameters.benefitType;
+  const claims = await resolveBeneficiaryClaims(request, context);
+  
+  // Personalize with the beneficiary's coverage only when the session may see it
+  const coverageAccess = claims
+    ? await authorizeAccess(
+      claims,
+      PERMISSIONS.COVERAGE_READ,
+      { type: 'coverage', id: benefitType || null },
+      context.requestContext
+    )
+    : { allowed: false };
   const sessionInfo = {
-    coverageType: parameters.coverageType
+    coverageType: coverageAccess.allowed ? claims.coverageType : undefined
   };
   
-  const result = await handleAskAboutBenefits(benefitType, sessionInfo);
-  return createDialogflowResponse(result.message);
+  const result = await handleAskAboutBenefits(benefitType, sessionInfo, context.locale);
+  
+  if (needsSlot('benefitType', result)) {
+    return createSlotPromptResponse(
+      'ask_about_benefits',
+      'benefitType',
+      result,
+      context,
+      suggestBenefitTypes(benefitType, sessionInfo.coverageType || [])
+    );
+  }
+  
+  return createDialogflowResponse(result.message, {}, {
+    cards: result.richContent,
+    chips: [
+      ...SUGGESTIONS.AFTER_BENEFITS.filter(chip => chip !== result.benefitType),
+      t(context.locale, 'chips.findProvider')
+    ]
+  });
 }
 
 /**
  * Handle Find Provider intent
  */
-async function handleProvider(request) {
+async function handleProvider(request, context) {
   const parameters = request.sessionInfo?.parameters || {};
   const providerSpecialty = parameters.providerSpecialty;
   
-  const result = await handleFindProvider(providerSpecialty);
-  return createDialogflowResponse(result.message);
+  const result = await handleFindProvider(providerSpecialty, {}, {}, context.locale);
+  
+  if (needsSlot('providerSpecialty', result)) {
+    return createSlotPromptResponse(
+      'find_provider',
+      'providerSpecialty',
+      result,
+      context,
+      suggestSpecialties(providerSpecialty)
+    );
+  }
+  
+  return createDialogflowResponse(result.message, {}, {
+    cards: result.richContent,
+    chips: result.success ? t(context.locale, 'chips.afterProviders') : []
+  });
 }
 
 /**
- * Handle Agent Escalation intent
+ * Put a signed-in beneficiary in the live agent queue
+ * Returns null for callers who are not signed in, or when the queue is unavailable
  */
-async function handleEscalation(request) {
-  const message = `I understand you'd like to speak with a support agent. Let me connect you now.
+async function startHandoff(request, context, reason) {
+  const session = request.sessionInfo?.session;
+  const claims = await resolveBeneficiaryClaims(request, context);
+  if (!session || !claims) {
+    return null;
+  }
+  
+  try {
+    const result = await requestHandoff({
+      conversationId: getConversationId(session),
+      claims,
+      reason,
+      channel: context.channel || 'dialogflow_cx',
+      existingHandoffId: request.sessionInfo.parameters?.handoffId
+    });
+    return result.success ? result : null;
+  } catch (error) {
+    console.error('Error queueing live agent handoff:', error.message);
+    return null;
+  }
+}
 
-**CMS Support:**
-📞 Phone: 1-800-MEDICARE (1-800-633-4227)
-⏰ Available 24/7
-🗣️ TTY: 1-877-486-2048
+/**
+ * Describe where a handoff stands for the beneficiary
+ */
+function describeHandoff(handoff, locale) {
+  if (handoff.status === HANDOFF_STATUS.ASSIGNED) {
+    return t(locale, 'handoff.assigned', { agentName: handoff.agentName });
+  }
+  
+  return t(locale, handoff.estimatedWaitMinutes === 1 ? 'handoff.waitingOneMinute' : 'handoff.waiting', {
+    position: handoff.position,
+    minutes: handoff.estimatedWaitMinutes
+  });
+}
 
-An agent will be with you shortly to assist with your inquiry. Is there anything else I can help you with while you wait?`;
+/**
+ * Handle Agent Escalation intent
+ * Signed-in beneficiaries are queued for a live agent; everyone else is given
+ * the support line
+ */
+async function handleEscalation(request, context) {
+  const handoff = await startHandoff(request, context, 'CALLER_REQUESTED');
+  
+  const contact = t(context.locale, 'common.supportContact');
+  
+  if (!handoff) {
+    return createDialogflowResponse(t(context.locale, 'handoff.signInFirst', { contact }));
+  }
+  
+  return createDialogflowResponse(
+    t(context.locale, 'handoff.queued', { status: describeHandoff(handoff, context.locale), contact }),
+    { handoffId: handoff.handoffId, handoffLastMessageId: null }
+  );
+}
 
-  return createDialogflowResponse(message);
+/**
+ * Relay the beneficiary's message to the live agent handling the session
+ * The reply carries any agent messages the beneficiary has not seen yet.
+ * Returns null when the session has no open handoff of the signed-in
+ * beneficiary's, so the virtual agent answers.
+ */
+async function relayToAgent(request, context, locale) {
+  const parameters = request.sessionInfo?.parameters || {};
+  if (!parameters.handoffId || !request.text) {
+    return null;
+  }
+  
+  const claims = await resolveBeneficiaryClaims(request, context);
+  const handoff = await getBeneficiaryHandoff(parameters.handoffId, claims);
+  if (!handoff || handoff.status === HANDOFF_STATUS.CLOSED) {
+    return null;
+  }
+  
+  const sent = await postHandoffMessage(handoff.handoffId, { role: MESSAGE_ROLES.BENEFICIARY }, request.text);
+  if (!sent.success) {
+    return null;
+  }
+  
+  // Agent and system messages since the last relayed turn
+  const updated = await getHandoff(handoff.handoffId);
+  const unseen = getMessagesAfter(updated, parameters.handoffLastMessageId)
+    .filter(message => message.role !== MESSAGE_ROLES.BENEFICIARY);
+  
+  const text = unseen.length > 0
+    ? unseen.map(message => (message.senderName ? `**${message.senderName}:** ${message.content}` : message.content)).join('\n\n')
+    : t(locale, 'handoff.messageSent', { status: describeHandoff(await getQueueStatus(updated), locale) });
+  
+  return createDialogflowResponse(text, {
+    handoffLastMessageId: updated.messages[updated.messages.length - 1].messageId
+  });
 }
 
 /**
  * Handle Goodbye intent
+ * Ends the beneficiary's session so the token cannot be reused
+ */
+async function handleGoodbye(request, context) {
+  const message = t(context.locale, 'goodbye.message');
+
+  const claims = await resolveBeneficiaryClaims(request, context);
+  if (!claims) {
+    return createDialogflowResponse(message);
+  }
+
+  await logout(claims);
+
+  return createDialogflowResponse(message, {
+    authenticated: false,
+    sessionToken: null
+  });
+}
+
+/**
+ * Resolve verified provider claims for the current session
+ * Prefers a provider caller token (the agent embedded in the provider portal),
+ * then the token stored when the caller authenticated in the conversation
+ */
+async function resolveProviderClaims(request, context = {}) {
+  if (context.caller && context.caller.aud === AUDIENCES.PROVIDER) {
+    return context.caller;
+  }
+
+  const providerSessionToken = request.sessionInfo?.parameters?.providerSessionToken;
+  if (!providerSessionToken) {
+    return null;
+  }
+
+  const result = await verifySession(providerSessionToken, AUDIENCES.PROVIDER);
+  return result.valid ? result.claims : null;
+}
+
+/**
+ * Response asking the provider to authenticate first
+ */
+function createProviderAuthenticationRequiredResponse() {
+  return createDialogflowResponse(
+    'To get started, I\'ll need to verify your identity. Please provide your 10-digit National Provider Identifier, or NPI.',
+    {
+      authenticationSuccess: false,
+      providerSessionToken: null
+    }
+  );
+}
+
+/**
+ * Handle Provider Authentication intent
+ * NPI plus the staff member's email and password, checked by authenticateProvider.
+ * The password is cleared from session parameters on every turn.
+ */
+async function handleProviderAuthenticate(request, context) {
+  const parameters = request.sessionInfo?.parameters || {};
+  
+  if (context.caller && context.caller.aud === AUDIENCES.PROVIDER) {
+    return createDialogflowResponse(
+      `You're signed in as ${context.caller.staffName} for NPI ${context.caller.npiNumber}. How can I help you today?`,
+      { authenticationSuccess: true, providerNpi: context.caller.npiNumber },
+      { chips: SUGGESTIONS.PROVIDER_MENU }
+    );
+  }
+  
+  const result = await authenticateProvider(
+    parameters.npiNumber,
+    parameters.staffEmail,
+    parameters.staffPassword,
+    context.requestContext
+  );
+  
+  if (!result.success) {
+    return createDialogflowResponse(result.message, {
+      staffPassword: null,
+      authenticationSuccess: false,
+      providerSessionToken: null
+    });
+  }
+  
+  const provider = result.data;
+  return createDialogflowResponse(
+    `Thank you, ${provider.user.firstName}. You're verified for ${provider.clinicName} (NPI ${provider.npiNumber}). How can I help you today?`,
+    {
+      staffPassword: null,
+      authenticationSuccess: true,
+      providerSessionToken: provider.sessionToken,
+      providerNpi: provider.npiNumber,
+      clinicName: provider.clinicName
+    },
+    { chips: SUGGESTIONS.PROVIDER_MENU }
+  );
+}
+
+/**
+ * Handle Check Claim Status Code intent (provider)
+ * Only claims billed under the caller's NPI are shown
+ */
+async function handleProviderClaimStatus(request, context) {
+  const providerClaims = await resolveProviderClaims(request, context);
+  if (!providerClaims) {
+    return createProviderAuthenticationRequiredResponse();
+  }
+  
+  const parameters = request.sessionInfo?.parameters || {};
+  const result = await getProviderClaimStatus(parameters.claimId, providerClaims);
+  
+  if (!result.success) {
+    return createDialogflowResponse(result.message, {
+      claimFound: false,
+      claimId: null
+    }, { chips: ['Talk to a live agent'] });
+  }
+  
+  return createDialogflowResponse(result.message, { claimFound: true }, {
+    cards: result.richContent,
+    chips: SUGGESTIONS.AFTER_PROVIDER_CLAIM
+  });
+}
+
+/**
+ * Handle Policy Question intent
+ * Policy guidance is public, so no sign-in is needed
+ */
+async function handlePolicyQuestion(request) {
+  const parameters = request.sessionInfo?.parameters || {};
+  const result = await answerPolicyQuestion(parameters.policyTopic, request.text);
+  
+  if (!result.success) {
+    return createDialogflowResponse(result.message, {}, { chips: ['Talk to a live agent'] });
+  }
+  
+  return createDialogflowResponse(result.message, {}, {
+    cards: result.richContent,
+    chips: SUGGESTIONS.PROVIDER_MENU
+  });
+}
+
+/**
+ * Handle Request Live Agent intent
+ * Signed-in providers get a CRM ticket carrying the conversation's claim and
+ * policy topic, so the agent does not have to ask again
  */
-async function handleGoodbye(request) {
-  const message = `Thank you for using the CMS Beneficiary Self-Service portal. Have a great day!
+async function handleProviderLiveAgent(request, context) {
+  let message = 'I\'m connecting you to a live agent now. Please hold for just a moment.';
+  
+  const providerClaims = await resolveProviderClaims(request, context);
+  if (!providerClaims) {
+    return createDialogflowResponse(`${message} Please have your NPI ready for the agent.`);
+  }
+  
+  const parameters = request.sessionInfo?.parameters || {};
+  const result = await requestProviderHandoff(providerClaims, {
+    claimId: parameters.claimId,
+    policyTopic: parameters.policyTopic,
+    reason: parameters.escalationReason
+  }, context.requestContext);
+  
+  if (!result.success) {
+    console.error('Handoff ticket was not created:', result.error);
+    return createDialogflowResponse(message);
+  }
+  
+  message += ` I've opened ticket ${result.ticket.ticketId} with the details of this call, so you won't need to repeat them.`;
+  return createDialogflowResponse(message, { ticketId: result.ticket.ticketId });
+}
 
-If you need assistance in the future, feel free to return anytime. Stay healthy! 👋`;
+/**
+ * Handlers by intent tag
+ * Every handler takes (request, context) and resolves to a CX webhook response
+ */
+const INTENT_HANDLERS = {
+  greeting: handleGreeting,
+  authenticate: handleAuthenticate,
+  check_claim_status: handleClaimStatus,
+  list_my_claims: handleListClaims,
+  search_claims: handleSearchClaims,
+  more_claims: handleMoreClaims,
+  select_claim: handleSelectClaim,
+  file_appeal: handleFileAppeal,
+  appeal_status: handleAppealStatus,
+  request_statement: handleRequestStatement,
+  out_of_pocket: handleOutOfPocket,
+  coverage_summary: handleCoverage,
+  ask_about_benefits: handleBenefits,
+  find_provider: handleProvider,
+  escalate_to_agent: handleEscalation,
+  goodbye: handleGoodbye,
+  
+  // Provider agent (dialogflow/provider-intents.json)
+  authenticateProvider: handleProviderAuthenticate,
+  checkClaimStatus: handleProviderClaimStatus,
+  policyQuestion: handlePolicyQuestion,
+  requestLiveAgent: handleProviderLiveAgent
+};
 
-  return createDialogflowResponse(message);
+/**
+ * Whether a tag has a handler
+ */
+function isHandledTag(tag) {
+  return typeof tag === 'string' && Object.prototype.hasOwnProperty.call(INTENT_HANDLERS, tag);
+}
+
+/**
+ * Route a request to the handler for its intent tag
+ * Returns null for tags no handler knows
+ */
+async function routeIntent(tag, request, context) {
+  return isHandledTag(tag) ? await INTENT_HANDLERS[tag](request, context) : null;
+}
+
+/**
+ * Add a line (and chips) to the end of a response
+ */
+function appendToResponse(response, text, chips = []) {
+  const messages = response.fulfillmentResponse.messages;
+  messages[0].text.text[0] += `\n\n${text}`;
+  
+  if (chips.length === 0) {
+    return;
+  }
+  
+  const payloadMessage = messages.find(message => message.payload);
+  if (!payloadMessage) {
+    messages.push(createPayloadMessage([], chips));
+    return;
+  }
+  
+  const richContent = payloadMessage.payload.richContent;
+  const chipsCard = richContent.find(card => card.some(element => element.type === 'chips'));
+  const existing = chipsCard?.find(element => element.type === 'chips');
+  if (!existing) {
+    richContent.push([chipsElement(chips)]);
+    return;
+  }
+  
+  chips
+    .filter(chip => !existing.options.some(option => option.text === chip))
+    .forEach(chip => existing.options.push({ text: chip }));
+}
+
+/**
+ * Score the turn for frustration (see ./frustration) and offer or hand off
+ * to an agent once the configured thresholds are crossed
+ * The score resets when the conversation is escalated for any other reason
+ */
+function applyFrustrationScore(request, response, tag, fallback, locale) {
+  const parameters = response.sessionInfo.parameters;
+  if (ESCALATION_TAGS.includes(tag) || parameters.escalationReason) {
+    parameters.frustration = null;
+    return;
+  }
+  
+  const { state, action } = scoreTurn(request.sessionInfo?.parameters?.frustration, {
+    text: request.text,
+    fallback,
+    failedLookup: Boolean(parameters.pendingSlot) || parameters.claimFound === false
+  });
+  parameters.frustration = state;
+  
+  if (action === FRUSTRATION_ACTIONS.ESCALATE) {
+    parameters.escalationReason = 'FRUSTRATION_DETECTED';
+    appendToResponse(response, t(locale, 'frustration.escalate', { contact: t(locale, 'common.supportContact') }));
+  } else if (action === FRUSTRATION_ACTIONS.OFFER) {
+    appendToResponse(response, t(locale, 'frustration.offer'), [t(locale, 'chips.talkToAgent')]);
+  }
+}
+
+/**
+ * Append the turn to the session's conversation history
+ * History is best-effort: a failed write never fails the turn
+ */
+async function recordTurn(request, response, tag, context) {
+  const session = request.sessionInfo?.session;
+  if (!session) {
+    return;
+  }
+  
+  try {
+    // Participants come from verified tokens only, including one issued this turn
+    const parameters = { ...request.sessionInfo.parameters, ...response.sessionInfo.parameters };
+    const sessionRequest = { sessionInfo: { parameters } };
+    const [beneficiary, provider] = await Promise.all([
+      resolveBeneficiaryClaims(sessionRequest, context),
+      resolveProviderClaims(sessionRequest, context)
+    ]);
+    
+    await recordConversationTurn({
+      session,
+      channel: context.channel || 'dialogflow_cx',
+      tag,
+      userText: request.text,
+      botText: response.fulfillmentResponse.messages
+        .filter(message => message.text)
+        .flatMap(message => message.text.text)
+        .join('\n\n'),
+      escalated: Boolean(response.sessionInfo.parameters.escalationReason),
+      participant: {
+        beneficiaryId: beneficiary?.medicareId,
+        representativeId: beneficiary?.representativeId,
+        npiNumber: provider?.npiNumber
+      },
+      names: [parameters.firstName, parameters.lastName, beneficiary?.firstName, beneficiary?.beneficiaryFirstName]
+    });
+  } catch (error) {
+    console.error('Error recording conversation turn:', error.message);
+  }
 }
 
 /**
  * Main webhook handler
+ *
+ * @param {Object} request - Dialogflow CX webhook request
+ * @param {Object} context - { caller: verified caller claims, requestContext: for audit logs,
+ *   channel: recorded on the conversation (default dialogflow_cx) }
+ * @returns {Promise<Object>} Dialogflow CX webhook response. Its top-level payload
+ *   marks fallback turns ({ fallback: true }) and failed ones ({ success: false, error })
  */
-async function handleWebhook(request) {
+async function handleWebhook(request, context = {}) {
+  const locale = getRequestLocale(request, context);
+  
   try {
-    // Get the intent tag from the request
-    const tag = request.fulfillmentInfo?.tag;
+    // While a live agent has the conversation, messages go to them
+    const relayed = await relayToAgent(request, context, locale);
+    if (relayed) {
+      await recordTurn(request, relayed, 'agent_relay', context);
+      return relayed;
+    }
+    
+    // A reply to a re-prompt goes back to the intent that asked for it
+    const resumed = resumePendingSlot(request);
+    const tag = resumed.request.fulfillmentInfo?.tag;
     
     console.log('Received webhook request with tag:', tag);
     
-    // Route to appropriate handler based on tag
-    switch (tag) {
-      case 'greeting':
-        return await handleGreeting(request);
-      
-      case 'authenticate':
-        return await handleAuthenticate(request);
-      
-      case 'check_claim_status':
-        return await handleClaimStatus(request);
-      
-      case 'ask_about_benefits':
-        return await handleBenefits(request);
-      
-      case 'find_provider':
-        return await handleProvider(request);
-      
-      case 'escalate_to_agent':
-        return await handleEscalation(request);
-      
-      case 'goodbye':
-        return await handleGoodbye(request);
-      
-      default:
-        console.warn('Unknown intent tag:', tag);
-        return createDialogflowResponse(
-          'I\'m not sure how to help with that. Could you please rephrase your question?'
-        );
+    let response = await routeIntent(tag, resumed.request, { ...context, locale, pendingSlot: resumed.pendingSlot });
+    const fallback = !response;
+    if (fallback) {
+      console.warn('Unknown intent tag:', tag);
+      response = createDialogflowResponse(t(locale, 'common.fallback'), {}, { chips: t(locale, 'chips.mainMenu') });
+      response.payload = { fallback: true };
+    }
+    
+    // Any turn that did not re-prompt ends the pending slot
+    const parameters = response.sessionInfo.parameters;
+    if (request.sessionInfo?.parameters?.pendingSlot && !('pendingSlot' in parameters)) {
+      parameters.pendingSlot = null;
+    }
+    
+    applyFrustrationScore(request, response, tag, fallback, locale);
+    
+    // Automatic escalations (retries, frustration) queue the beneficiary too
+    if (parameters.escalationReason && !ESCALATION_TAGS.includes(tag)) {
+      const handoff = await startHandoff(request, context, parameters.escalationReason);
+      if (handoff) {
+        parameters.handoffId = handoff.handoffId;
+        parameters.handoffLastMessageId = null;
+        appendToResponse(response, describeHandoff(handoff, locale));
+      }
     }
+    
+    await recordTurn(request, response, tag, context);
+    
+    return response;
   } catch (error) {
     console.error('Webhook error:', error);
-    return createDialogflowResponse(
-      'I encountered an error processing your request. Please try again or contact our support team.'
-    );
+    return {
+      ...createDialogflowResponse(t(locale, 'common.error')),
+      payload: { success: false, error: 'INTERNAL_ERROR' }
+    };
   }
 }
 
 module.exports = {
   handleWebhook,
+  getRequestLocale,
+  isHandledTag,
   createDialogflowResponse
 };
@@ -0,0 +1,132 @@
+/**
+ * Frustration Scoring for the Dialogflow Webhook
+ *
+ * Each turn is scored for signs that the user is getting stuck, and the
+ * running score is kept in session parameters:
+ *
+ *   frustration: { score, fallbacks, failedLookups, offered, escalated }
+ *
+ * Signals: turns the agent did not understand, failed lookups (re-prompted
+ * slots, claims not found), negative language and all-caps messages. Repeats
+ * weigh more than one-offs, and calm successful turns bring the score down.
+ * At the offer threshold the reply offers an agent once; at the escalation
+ * threshold the conversation is handed to an agent when auto-transfer is on.
+ *
+ * Thresholds come from the environment:
+ * - FRUSTRATION_OFFER_THRESHOLD (default 3)
+ * - FRUSTRATION_ESCALATION_THRESHOLD (default 5)
+ * - FRUSTRATION_AUTO_TRANSFER ('false' to only offer, never transfer)
+ */
+
+const DEFAULT_OFFER_THRESHOLD = 3;
+const DEFAULT_ESCALATION_THRESHOLD = 5;
+
+const NEGATIVE_LANGUAGE_PATTERN = /\b(frustrat\w*|annoy\w*|angry|furious|ridiculous|useless|stupid|terrible|awful|horrible|hate|worst|pointless|fed up|sick of|waste of (my )?time|not helpful|(doesn't|does not|isn't|is not) (work|working|helping)|wtf|ugh)\b/i;
+const MIN_ALL_CAPS_LETTERS = 8;
+
+const FRUSTRATION_ACTIONS = {
+  NONE: 'none',
+  OFFER: 'offer',
+  ESCALATE: 'escalate'
+};
+
+/**
+ * Read the thresholds from the environment
+ */
+function getFrustrationConfig() {
+  const offerThreshold = parseInt(process.env.FRUSTRATION_OFFER_THRESHOLD, 10);
+  const escalationThreshold = parseInt(process.env.FRUSTRATION_ESCALATION_THRESHOLD, 10);
+
+  return {
+    offerThreshold: offerThreshold > 0 ? offerThreshold : DEFAULT_OFFER_THRESHOLD,
+    escalationThreshold: escalationThreshold > 0 ? escalationThreshold : DEFAULT_ESCALATION_THRESHOLD,
+    autoTransfer: process.env.FRUSTRATION_AUTO_TRANSFER !== 'false'
+  };
+}
+
+/**
+ * Whether a message is shouted: several words, (almost) all capital letters
+ */
+function isAllCaps(text) {
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  if (letters.length < MIN_ALL_CAPS_LETTERS || text.trim().split(/\s+/).length < 2) {
+    return false;
+  }
+
+  return letters.replace(/[^A-Z]/g, '').length / letters.length >= 0.8;
+}
+
+/**
+ * Detect frustration signals in a turn
+ *
+ * @param {Object} turn - { text, fallback, failedLookup }
+ * @returns {Object} { fallback, failedLookup, negativeLanguage, allCaps }
+ */
+function detectSignals(turn) {
+  const text = typeof turn.text === 'string' ? turn.text : '';
+
+  return {
+    fallback: Boolean(turn.fallback),
+    failedLookup: Boolean(turn.failedLookup),
+    negativeLanguage: NEGATIVE_LANGUAGE_PATTERN.test(text),
+    allCaps: isAllCaps(text)
+  };
+}
+
+/**
+ * Score a turn and decide whether to offer or hand off to an agent
+ *
+ * @param {Object} previous - frustration session parameter from the last turn
+ * @param {Object} turn - { text, fallback, failedLookup }
+ * @param {Object} config - Thresholds (defaults to getFrustrationConfig())
+ * @returns {Object} { state, action, signals } - state is the new session parameter
+ */
+function scoreTurn(previous, turn, config = getFrustrationConfig()) {
+  const state = {
+    score: 0,
+    fallbacks: 0,
+    failedLookups: 0,
+    offered: false,
+    escalated: false,
+    ...previous
+  };
+  const signals = detectSignals(turn);
+
+  // Consecutive fallbacks and failed lookups count double after the first
+  state.fallbacks = signals.fallback ? state.fallbacks + 1 : 0;
+  state.failedLookups = signals.failedLookup ? state.failedLookups + 1 : 0;
+
+  let points = 0;
+  if (signals.fallback) {
+    points += state.fallbacks > 1 ? 2 : 1;
+  }
+  if (signals.failedLookup) {
+    points += state.failedLookups > 1 ? 2 : 1;
+  }
+  if (signals.negativeLanguage) {
+    points += 2;
+  }
+  if (signals.allCaps) {
+    points += 1;
+  }
+
+  state.score = points > 0 ? state.score + points : Math.max(0, state.score - 1);
+
+  let action = FRUSTRATION_ACTIONS.NONE;
+  if (!state.escalated && state.score >= config.escalationThreshold && config.autoTransfer) {
+    action = FRUSTRATION_ACTIONS.ESCALATE;
+    state.escalated = true;
+  } else if (!state.offered && state.score >= config.offerThreshold) {
+    action = FRUSTRATION_ACTIONS.OFFER;
+    state.offered = true;
+  }
+
+  return { state, action, signals };
+}
+
+module.exports = {
+  FRUSTRATION_ACTIONS,
+  getFrustrationConfig,
+  detectSignals,
+  scoreTurn
+};
@@ -0,0 +1,72 @@
+/**
+ * Rich Response Content for CMS Beneficiary Self-Service
+ *
+ * Builds Dialogflow CX custom payloads in the Dialogflow Messenger
+ * `richContent` format. Handlers return cards (arrays of elements) alongside
+ * their plain-text message; the webhook wraps them in a payload message and
+ * adds suggestion chips. Channels that cannot render payloads use the text.
+ */
+
+/**
+ * Info element: card header with title and optional subtitle
+ */
+function infoElement(title, subtitle) {
+  return subtitle ? { type: 'info', title, subtitle } : { type: 'info', title };
+}
+
+/**
+ * Description element: titled block of text lines
+ */
+function descriptionElement(title, lines = []) {
+  return { type: 'description', title, text: lines };
+}
+
+/**
+ * Accordion element: collapsed section with a title and body text
+ */
+function accordionElement(title, text, subtitle) {
+  return subtitle ? { type: 'accordion', title, subtitle, text } : { type: 'accordion', title, text };
+}
+
+/**
+ * List item element
+ */
+function listElement(title, subtitle) {
+  return subtitle ? { type: 'list', title, subtitle } : { type: 'list', title };
+}
+
+/**
+ * Suggestion chips element
+ */
+function chipsElement(labels) {
+  return {
+    type: 'chips',
+    options: labels.map(text => ({ text }))
+  };
+}
+
+/**
+ * Build a custom payload message from cards and suggestion chips
+ *
+ * @param {Array<Array<Object>>} cards - Each card is an array of elements
+ * @param {Array<string>} chips - Suggestion chip labels
+ * @returns {Object|null} Dialogflow CX response message, or null when there is nothing to show
+ */
+function createPayloadMessage(cards = [], chips = []) {
+  const richContent = cards.filter(card => card && card.length > 0);
+
+  if (chips.length > 0) {
+    richContent.push([chipsElement(chips)]);
+  }
+
+  return richContent.length > 0 ? { payload: { richContent } } : null;
+}
+
+module.exports = {
+  infoElement,
+  descriptionElement,
+  accordionElement,
+  listElement,
+  chipsElement,
+  createPayloadMessage
+};
@@ -0,0 +1,113 @@
+/**
+ * Multi-Turn Slot Filling for the Dialogflow CX Webhook
+ *
+ * When a handler cannot use a slot value (missing, malformed or not found),
+ * the webhook stores the pending slot in session parameters and re-prompts
+ * with candidates instead of ending the exchange:
+ *
+ *   pendingSlot: { tag, slot, attempts }
+ *
+ * The user's next reply is routed back to the pending tag, either as the
+ * slot parameter Dialogflow extracted or as the raw text of a `fill_slot`
+ * (no-match) turn. Any other intent abandons the pending slot. After
+ * MAX_SLOT_ATTEMPTS failures the conversation is escalated to an agent.
+ */
+
+const { DEFAULT_LOCALE, t } = require('../i18n/messages');
+
+const MAX_SLOT_ATTEMPTS = 3;
+const SLOT_FILL_TAG = 'fill_slot';
+
+// Handler error codes that mean "ask for this slot again"
+const SLOT_ERRORS = {
+  claimNumber: ['MISSING_CLAIM_NUMBER', 'INVALID_CLAIM_NUMBER', 'CLAIM_NOT_FOUND', 'CLAIM_NOT_OWNED'],
+  benefitType: ['MISSING_BENEFIT_TYPE', 'INVALID_BENEFIT_TYPE', 'BENEFIT_NOT_FOUND'],
+  providerSpecialty: ['MISSING_SPECIALTY', 'INVALID_SPECIALTY', 'NO_PROVIDERS_FOUND'],
+  appealReason: ['MISSING_APPEAL_REASON', 'INVALID_APPEAL_REASON']
+};
+
+/**
+ * Route a reply to the pending slot's tag
+ * Returns the request to handle: unchanged when no slot is pending or the
+ * user moved on to another intent, otherwise rewritten to the pending tag
+ * with the reply as the slot value
+ *
+ * @param {Object} request - Dialogflow CX webhook request
+ * @returns {Object} { request, pendingSlot } - pendingSlot is null when not resuming
+ */
+function resumePendingSlot(request) {
+  const parameters = request.sessionInfo?.parameters || {};
+  const pendingSlot = parameters.pendingSlot;
+  const tag = request.fulfillmentInfo?.tag;
+
+  if (!pendingSlot || (tag && tag !== SLOT_FILL_TAG && tag !== pendingSlot.tag)) {
+    return { request, pendingSlot: null };
+  }
+
+  const reply = typeof request.text === 'string' ? request.text.trim() : '';
+  const value = parameters[pendingSlot.slot] || reply || null;
+
+  return {
+    request: {
+      ...request,
+      fulfillmentInfo: { ...request.fulfillmentInfo, tag: pendingSlot.tag },
+      sessionInfo: {
+        ...request.sessionInfo,
+        parameters: { ...parameters, [pendingSlot.slot]: value }
+      }
+    },
+    pendingSlot
+  };
+}
+
+/**
+ * Whether a handler result should re-prompt for the slot
+ */
+function needsSlot(slot, result) {
+  return !result.success && (SLOT_ERRORS[slot] || []).includes(result.error);
+}
+
+/**
+ * Build the re-prompt for a slot, or the escalation once retries run out
+ *
+ * @param {string} tag - Intent tag the slot belongs to
+ * @param {string} slot - Session parameter name
+ * @param {Object} result - Handler result ({ message, error })
+ * @param {Object} pendingSlot - Current pending slot, if this is a retry
+ * @param {Array<string>} candidates - Suggested values
+ * @param {string} locale - Response language (slot labels are in the catalog under slots.labels)
+ * @returns {Object} { message, parameters, chips, escalate }
+ */
+function promptForSlot(tag, slot, result, pendingSlot, candidates = [], locale = DEFAULT_LOCALE) {
+  const attempts = (pendingSlot && pendingSlot.tag === tag ? pendingSlot.attempts : 0) + 1;
+
+  if (attempts >= MAX_SLOT_ATTEMPTS) {
+    return {
+      message: `${result.message}\n\n${t(locale, 'slots.stillNotFound', { label: t(locale, `slots.labels.${slot}`) })}`,
+      parameters: { pendingSlot: null, [slot]: null, escalationReason: 'SLOT_RETRIES_EXCEEDED' },
+      chips: [],
+      escalate: true
+    };
+  }
+
+  let message = result.message;
+  if (candidates.length > 0) {
+    message += `\n\n${t(locale, 'slots.didYouMean', { candidates: candidates.join(', ') })}`;
+  }
+
+  return {
+    message,
+    // Clear the rejected value so the next reply is taken fresh
+    parameters: { pendingSlot: { tag, slot, attempts }, [slot]: null },
+    chips: candidates,
+    escalate: false
+  };
+}
+
+module.exports = {
+  MAX_SLOT_ATTEMPTS,
+  SLOT_FILL_TAG,
+  resumePendingSlot,
+  needsSlot,
+  promptForSlot
+};
@@ -1,13 +1,21 @@
 /**
  * CMS Beneficiary Self-Service - Chat Interface
- * Handles chat UI interactions and mock conversations
+ * Handles chat UI interactions; messages go to the chat API, with the
+ * built-in sample responses as a fallback when it cannot be reached.
+ * Text comes from the I18n catalogs (i18n.js) in the browser's language;
+ * the API's replies can switch it (e.g. after signing in).
  */
 
+const CHAT_API_URL = 'https://us-central1-faomeroct10.cloudfunctions.net/chatApi';
+
 // Application state
 const state = {
   messages: [],
   isTyping: false,
-  sessionData: {}
+  sessionData: {},
+  // Issued by the chat API with its first reply; kept for the browser tab so
+  // the conversation survives reloads
+  sessionId: sessionStorage.getItem('chatSessionId')
 };
 
 // DOM elements
@@ -36,11 +44,7 @@ function startChat() {
   // Send initial greeting
   setTimeout(() => {
     addBotMessage(getGreetingMessage());
-    showQuickReplies([
-      'Check claim status',
-      'Learn about benefits',
-      'Find a provider'
-    ]);
+    showQuickReplies(I18n.t('chat.quickReplies.start'));
   }, 500);
 }
 
@@ -117,7 +121,7 @@ function createMessageElement(content, role) {
   
   const timeDiv = document.createElement('div');
   timeDiv.className = 'message-time';
-  timeDiv.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  timeDiv.textContent = I18n.formatTime(new Date());
   contentDiv.appendChild(timeDiv);
   
   messageDiv.appendChild(avatar);
@@ -128,7 +132,11 @@ function createMessageElement(content, role) {
 
 // Format message with markdown-like syntax
 function formatMessage(content) {
-  let formatted = content;
+  // Escape first: replies can echo what the user typed
+  let formatted = content
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
   
   // Bold text (**text**)
   formatted = formatted.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
@@ -143,170 +151,106 @@ function formatMessage(content) {
   return formatted;
 }
 
-// Process user message and generate response
-function processMessage(message) {
+// Send the message to the chat API and show the reply
+async function processMessage(message) {
+  try {
+    const response = await fetch(CHAT_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sessionId: state.sessionId || undefined,
+        text: message,
+        languageCode: I18n.getLocale(),
+        context: { channel: 'web' }
+      })
+    });
+    
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message);
+    }
+    
+    // The API starts a new session when the old one has expired
+    state.sessionId = data.sessionId;
+    sessionStorage.setItem('chatSessionId', data.sessionId);
+    state.sessionData.authenticated = data.authenticated;
+    I18n.setLocale(data.locale);
+    addBotMessage(data.text);
+    if (data.suggestions.length > 0) {
+      showQuickReplies(data.suggestions);
+    }
+  } catch (error) {
+    console.warn('Chat API unavailable, using sample responses:', error);
+    processMessageLocally(message);
+  }
+}
+
+// Whether the message contains one of the current language's keywords for a topic
+function mentions(lowerMessage, topic) {
+  return I18n.t(`chat.keywords.${topic}`).some(keyword => lowerMessage.includes(keyword));
+}
+
+// Generate a sample response without the chat API
+function processMessageLocally(message) {
   const lowerMessage = message.toLowerCase();
   
   // Pattern matching for different intents
-  if (lowerMessage.includes('hello') || lowerMessage.includes('hi') || lowerMessage.includes('hey')) {
+  if (mentions(lowerMessage, 'greeting')) {
     addBotMessage(getGreetingMessage());
-    showQuickReplies(['Check claim status', 'Learn about benefits', 'Find a provider']);
+    showQuickReplies(I18n.t('chat.quickReplies.start'));
   }
-  else if (lowerMessage.includes('claim')) {
+  else if (mentions(lowerMessage, 'claim')) {
     addBotMessage(getClaimResponse());
   }
-  else if (lowerMessage.includes('benefit') || lowerMessage.includes('coverage') || lowerMessage.includes('part')) {
+  else if (mentions(lowerMessage, 'benefit')) {
     addBotMessage(getBenefitResponse(message));
   }
-  else if (lowerMessage.includes('provider') || lowerMessage.includes('doctor') || lowerMessage.includes('find')) {
+  else if (mentions(lowerMessage, 'provider')) {
     addBotMessage(getProviderResponse());
   }
-  else if (lowerMessage.includes('agent') || lowerMessage.includes('help') || lowerMessage.includes('support')) {
+  else if (mentions(lowerMessage, 'agent')) {
     addBotMessage(getEscalationMessage());
   }
-  else if (lowerMessage.includes('bye') || lowerMessage.includes('goodbye') || lowerMessage.includes('thanks')) {
+  else if (mentions(lowerMessage, 'goodbye')) {
     addBotMessage(getGoodbyeMessage());
   }
   else {
     addBotMessage(getDefaultResponse());
-    showQuickReplies(['Check claim status', 'Learn about benefits', 'Find a provider', 'Speak to agent']);
+    showQuickReplies(I18n.t('chat.quickReplies.fallback'));
   }
 }
 
 // Response generators
 function getGreetingMessage() {
-  return `Hello! Welcome to the CMS Beneficiary Self-Service portal. I'm here to help you with:
-
-• Checking claim status
-• Learning about your benefits
-• Finding healthcare providers
-• Getting connected to a support agent
-
-How can I assist you today?`;
+  return I18n.t('chat.samples.greeting');
 }
 
 function getClaimResponse() {
-  return `**Claim Status Information**
-
-To check your claim status, I'll need your claim number. Claim numbers are in the format CLM-YYYY-NNN (e.g., CLM-2024-001).
-
-**Sample Claim Status:**
-Claim CLM-2024-001
-Status: ✓ Approved
-Service Date: September 15, 2024
-Provider: Springfield General Hospital
-Service: Primary care visit for annual checkup
-
-**Financial Details:**
-• Billed Amount: $250.00
-• Approved Amount: $200.00
-• Your Responsibility: $40.00
-• Payment Date: September 30, 2024
-• Payment Amount: $160.00
-
-Would you like to check another claim or learn about something else?`;
+  return I18n.t('chat.samples.claim');
 }
 
 function getBenefitResponse(message) {
-  const lowerMessage = message.toLowerCase();
-  let benefitType = 'general';
-  
-  if (lowerMessage.includes('part a')) benefitType = 'Part A';
-  else if (lowerMessage.includes('part b')) benefitType = 'Part B';
-  else if (lowerMessage.includes('part d')) benefitType = 'Part D';
-  else if (lowerMessage.includes('dental')) benefitType = 'dental';
-  else if (lowerMessage.includes('vision')) benefitType = 'vision';
-  
-  if (benefitType === 'Part A') {
-    return `**Medicare Part A - Hospital Insurance**
-
-Part A covers inpatient hospital stays, care in a skilled nursing facility, hospice care, and some home health care.
-
-**Coverage Details:**
-
-• **Inpatient Hospital:** Semi-private room, meals, general nursing, and other hospital services and supplies
-  - Deductible: $1,632 per benefit period (2024)
-  - Days 1-60: $0 coinsurance
-  - Days 61-90: $408 coinsurance per day
-
-• **Skilled Nursing Facility:** Semi-private room, meals, skilled nursing and rehabilitative services
-  - Days 1-20: $0 coinsurance
-  - Days 21-100: $204 coinsurance per day
-
-**Premium:** Most people don't pay a Part A premium if they or their spouse paid Medicare taxes while working.
-
-What else would you like to know?`;
+  if (mentions(message.toLowerCase(), 'partA')) {
+    return I18n.t('chat.samples.benefitsPartA');
   }
   
-  return `**Your Medicare Benefits**
-
-Medicare offers several coverage options:
-
-• **Part A:** Hospital Insurance (inpatient care, skilled nursing)
-• **Part B:** Medical Insurance (doctor visits, outpatient care)
-• **Part C:** Medicare Advantage (alternative to Original Medicare)
-• **Part D:** Prescription Drug Coverage
-
-You can also add supplemental coverage for:
-• Dental services
-• Vision care
-• Hearing aids
-
-Which specific benefit would you like to learn more about?`;
+  return I18n.t('chat.samples.benefits');
 }
 
 function getProviderResponse() {
-  return `**Find Healthcare Providers**
-
-I can help you search for providers by specialty. Here are some examples:
-
-**Available Specialties:**
-• Primary Care
-• Cardiologist
-• Dentist
-• Dermatologist
-• Ophthalmologist
-• Orthopedist
-
-**Sample Provider:**
-**Dr. Sarah Mitchell** ✓
-Springfield Family Medicine
-Primary Care
-100 Medical Plaza, Springfield, IL 62701
-📞 (555) 111-2222
-⭐ 4.8/5.0 (156 reviews)
-🗣️ Languages: English, Spanish
-✅ Accepting new patients
-
-What type of provider are you looking for?`;
+  return I18n.t('chat.samples.providers');
 }
 
 function getEscalationMessage() {
-  return `I understand you'd like to speak with a support agent. Let me connect you now.
-
-**CMS Support:**
-📞 Phone: 1-800-MEDICARE (1-800-633-4227)
-⏰ Available 24/7
-🗣️ TTY: 1-877-486-2048
-
-An agent will be with you shortly to assist with your inquiry. Is there anything else I can help you with while you wait?`;
+  return I18n.t('chat.samples.escalation');
 }
 
 function getGoodbyeMessage() {
-  return `Thank you for using the CMS Beneficiary Self-Service portal. Have a great day!
-
-If you need assistance in the future, feel free to return anytime. Stay healthy! 👋`;
+  return I18n.t('chat.samples.goodbye');
 }
 
 function getDefaultResponse() {
-  return `I'm here to help! I can assist you with:
-
-• **Claim Status** - Check the status of your medical claims
-• **Benefits** - Learn about Medicare Parts A, B, C, D, and supplemental coverage
-• **Providers** - Find doctors and healthcare facilities in your area
-• **Support** - Connect with a live agent for personalized assistance
-
-What would you like to know more about?`;
+  return I18n.t('chat.samples.fallback');
 }
 
 // Show typing indicator
@@ -0,0 +1,711 @@
+/**
+ * CMS Beneficiary Self-Service - Localization
+ * Message catalogs for the web chat and the mobile app. Pages load this
+ * before their own script and read text with I18n.t(). The locale starts
+ * from the browser language; the chat API reports the language it replied
+ * in (`locale`) and the mobile app switches to the user's preference on
+ * sign-in. Elements marked data-i18n (text), data-i18n-placeholder or
+ * data-i18n-aria-label are translated in place.
+ */
+
+(function () {
+  const DEFAULT_LOCALE = 'en';
+
+  // Intl locale used to format dates for each catalog
+  const FORMAT_LOCALES = {
+    en: 'en-US',
+    es: 'es-US'
+  };
+
+  const MESSAGES = {
+    en: {
+      chat: {
+        page: {
+          title: 'CMS Beneficiary Self-Service',
+          welcomeTitle: 'Welcome to CMS Virtual Assistant',
+          welcomeDescription: 'I\'m here to help you with Medicare and Medicaid services. You can:',
+          featureClaims: 'Check your claim status',
+          featureBenefits: 'Learn about your benefits',
+          featureProviders: 'Find healthcare providers',
+          featureAgents: 'Connect with support agents',
+          startButton: 'Start Conversation',
+          privacyNote: '🔒 Your information is secure and HIPAA-compliant',
+          typing: 'Assistant is typing...',
+          inputPlaceholder: 'Type your message...',
+          inputHint: 'Press Enter to send • Type "help" for assistance',
+          sendLabel: 'Send message',
+          footer: 'Centers for Medicare & Medicaid Services',
+          privacyPolicy: 'Privacy Policy',
+          termsOfService: 'Terms of Service'
+        },
+        quickReplies: {
+          start: ['Check claim status', 'Learn about benefits', 'Find a provider'],
+          fallback: ['Check claim status', 'Learn about benefits', 'Find a provider', 'Speak to agent']
+        },
+        // Words the offline sample responses look for
+        keywords: {
+          greeting: ['hello', 'hi', 'hey'],
+          claim: ['claim'],
+          benefit: ['benefit', 'coverage', 'part'],
+          provider: ['provider', 'doctor', 'find'],
+          agent: ['agent', 'help', 'support'],
+          goodbye: ['bye', 'goodbye', 'thanks'],
+          partA: ['part a']
+        },
+        samples: {
+          greeting: `Hello! Welcome to the CMS Beneficiary Self-Service portal. I'm here to help you with:
+
+• Checking claim status
+• Learning about your benefits
+• Finding healthcare providers
+• Getting connected to a support agent
+
+How can I assist you today?`,
+          claim: `**Claim Status Information**
+
+To check your claim status, I'll need your claim number. Claim numbers are in the format CLM-YYYY-NNN (e.g., CLM-2024-001).
+
+**Sample Claim Status:**
+Claim CLM-2024-001
+Status: ✓ Approved
+Service Date: September 15, 2024
+Provider: Springfield General Hospital
+Service: Primary care visit for annual checkup
+
+**Financial Details:**
+• Billed Amount: $250.00
+• Approved Amount: $200.00
+• Your Responsibility: $40.00
+• Payment Date: September 30, 2024
+• Payment Amount: $160.00
+
+Would you like to check another claim or learn about something else?`,
+          benefitsPartA: `**Medicare Part A - Hospital Insurance**
+
+Part A covers inpatient hospital stays, care in a skilled nursing facility, hospice care, and some home health care.
+
+**Coverage Details:**
+
+• **Inpatient Hospital:** Semi-private room, meals, general nursing, and other hospital services and supplies
+  - Deductible: $1,632 per benefit period (2024)
+  - Days 1-60: $0 coinsurance
+  - Days 61-90: $408 coinsurance per day
+
+• **Skilled Nursing Facility:** Semi-private room, meals, skilled nursing and rehabilitative services
+  - Days 1-20: $0 coinsurance
+  - Days 21-100: $204 coinsurance per day
+
+**Premium:** Most people don't pay a Part A premium if they or their spouse paid Medicare taxes while working.
+
+What else would you like to know?`,
+          benefits: `**Your Medicare Benefits**
+
+Medicare offers several coverage options:
+
+• **Part A:** Hospital Insurance (inpatient care, skilled nursing)
+• **Part B:** Medical Insurance (doctor visits, outpatient care)
+• **Part C:** Medicare Advantage (alternative to Original Medicare)
+• **Part D:** Prescription Drug Coverage
+
+You can also add supplemental coverage for:
+• Dental services
+• Vision care
+• Hearing aids
+
+Which specific benefit would you like to learn more about?`,
+          providers: `**Find Healthcare Providers**
+
+I can help you search for providers by specialty. Here are some examples:
+
+**Available Specialties:**
+• Primary Care
+• Cardiologist
+• Dentist
+• Dermatologist
+• Ophthalmologist
+• Orthopedist
+
+**Sample Provider:**
+**Dr. Sarah Mitchell** ✓
+Springfield Family Medicine
+Primary Care
+100 Medical Plaza, Springfield, IL 62701
+📞 (555) 111-2222
+⭐ 4.8/5.0 (156 reviews)
+🗣️ Languages: English, Spanish
+✅ Accepting new patients
+
+What type of provider are you looking for?`,
+          escalation: `I understand you'd like to speak with a support agent. Let me connect you now.
+
+**CMS Support:**
+📞 Phone: 1-800-MEDICARE (1-800-633-4227)
+⏰ Available 24/7
+🗣️ TTY: 1-877-486-2048
+
+An agent will be with you shortly to assist with your inquiry. Is there anything else I can help you with while you wait?`,
+          goodbye: `Thank you for using the CMS Beneficiary Self-Service portal. Have a great day!
+
+If you need assistance in the future, feel free to return anytime. Stay healthy! 👋`,
+          fallback: `I'm here to help! I can assist you with:
+
+• **Claim Status** - Check the status of your medical claims
+• **Benefits** - Learn about Medicare Parts A, B, C, D, and supplemental coverage
+• **Providers** - Find doctors and healthcare facilities in your area
+• **Support** - Connect with a live agent for personalized assistance
+
+What would you like to know more about?`
+        }
+      },
+
+      mobile: {
+        loading: 'Loading My Medicare...',
+        login: {
+          tagline: 'Your personalized Medicare companion',
+          medicareId: 'Medicare ID',
+          lastName: 'Last Name',
+          lastNamePlaceholder: 'Enter your last name',
+          signIn: 'Sign In',
+          demoAccess: 'Quick Demo Access:',
+          invalidCredentials: 'Invalid credentials. Please try again or use one of the demo accounts.'
+        },
+        session: {
+          signOutConfirm: 'Sign out of Medicare Mobile?',
+          idleTimeout: 'You were signed out after 15 minutes of inactivity.',
+          expired: 'Your session has expired. Please sign in again.',
+          ended: 'Your session has ended. Please sign in again.'
+        },
+        nav: {
+          home: 'Home',
+          alerts: 'Alerts',
+          chat: 'Chat',
+          documents: 'Documents'
+        },
+        titles: {
+          dashboard: 'Dashboard',
+          notifications: 'Notifications',
+          chat: 'Chat Support',
+          documents: 'My Documents'
+        },
+        dashboard: {
+          hello: 'Hello, {firstName}! 👋',
+          overview: 'Here\'s your personalized health overview',
+          upcomingAppointment: '📅 Upcoming Appointment',
+          appointmentTime: '{date} at {time}',
+          viewDetails: 'View Details',
+          getDirections: 'Get Directions',
+          actionRequired: '⚠️ Action Required',
+          itemCount: '{count} items',
+          wellnessVisitDue: 'Annual Wellness Visit Due',
+          refillNeeded: 'Medication Refill Needed',
+          completeApplication: 'Complete Application',
+          takeAction: 'Take Action',
+          medications: '💊 Your Medications',
+          refillsRemaining: 'Refills remaining: {count}',
+          refill: 'Refill',
+          healthPrograms: '🏥 Your Health Programs',
+          coverageTitle: '📋 Your Coverage',
+          coverage: 'Coverage: {types}',
+          memberSince: 'Member since: {year}',
+          viewBenefits: 'View Benefits',
+          quickActions: '⚡ Quick Actions',
+          chatSupport: '💬 Chat Support',
+          uploadDocument: '📄 Upload Document',
+          callNurseLine: '📞 Call Nurse Line',
+          findProvider: '🔍 Find Provider'
+        },
+        appeals: {
+          title: '⚖️ Your Appeals',
+          claim: 'Claim {claimId}',
+          filed: 'Filed {date}',
+          decision: 'Decision: {decision}',
+          askInChat: '💬 Ask About an Appeal',
+          statuses: {
+            Submitted: 'Submitted',
+            'Under Review': 'Under Review',
+            Decided: 'Decided'
+          },
+          decisions: {
+            Favorable: 'Favorable',
+            'Partially Favorable': 'Partially Favorable',
+            Unfavorable: 'Unfavorable'
+          }
+        },
+        notifications: {
+          title: 'Your Notifications',
+          empty: 'No notifications at this time. We\'ll notify you about important updates!',
+          takeAction: 'Take Action',
+          markAsRead: 'Mark as Read',
+          priorities: {
+            urgent: 'urgent',
+            high: 'high',
+            medium: 'medium',
+            low: 'low'
+          }
+        },
+        chat: {
+          greeting: 'Hi {firstName}! I\'m here to help you with your Medicare questions. What can I assist you with today?',
+          medications: '💊 Medications',
+          medicationsMessage: 'I need help with my medications',
+          appointments: '📅 Appointments',
+          appointmentsMessage: 'Schedule an appointment',
+          benefits: '📋 Benefits',
+          benefitsMessage: 'Check my benefits',
+          placeholder: 'Type your message...',
+          send: 'Send',
+          connectAgent: '👤 Connect to Live Agent',
+          agentChatEnded: 'The chat with the agent has ended. I\'m back to help with anything else.',
+          smartReplyFallback: 'I understand you need assistance. Would you like me to connect you with a live agent who can help you with this specific question?',
+          agentRequest: 'I want to talk to an agent',
+          agentUnavailable: 'Live chat with an agent is unavailable right now. Please call 1-800-MEDICARE (1-800-633-4227), available 24/7.',
+          agentName: 'Agent',
+          connecting: 'Connecting you to a live agent...',
+          packaging: 'Packaging your conversation context securely',
+          contextPackage: 'Context Package:',
+          contextBeneficiaryId: '✓ Beneficiary ID: {id}',
+          contextName: '✓ Name: {name}',
+          contextPlan: '✓ Plan: {plan}',
+          contextHistory: '✓ Conversation History: Last 5 messages',
+          contextRedacted: '✓ PII Redacted for logging'
+        },
+        documents: {
+          title: 'My Documents',
+          uploadNew: 'Upload New Document',
+          uploadHint: 'Click to upload or drag and drop',
+          uploadLimits: 'PDF, JPG, PNG up to 5MB',
+          recent: 'Recent Documents',
+          view: 'View',
+          download: 'Download',
+          statuses: {
+            approved: 'approved',
+            pending: 'pending',
+            pending_review: 'pending review',
+            processing: 'processing',
+            draft: 'draft'
+          },
+          uploadInfo: 'Document Upload Feature\n\nIn a production app, this would:\n1. Open file picker\n2. Validate file type and size\n3. Upload to secure storage\n4. Update document list\n\nThis is a prototype demonstration.'
+        },
+        outOfPocket: {
+          title: '💵 Your {year} Costs',
+          spent: 'Your share of approved claims as of {date}',
+          pending: 'Pending claims may add {amount}',
+          applied: '{applied} of {limit}',
+          remaining: '{remaining} to go',
+          met: '✓ Met',
+          partB: 'Part B Deductible',
+          partA: 'Part A Deductible',
+          benefitPeriod: 'Benefit period from {date}',
+          noBenefitPeriod: 'No benefit period this year',
+          moop: 'Plan Out-of-Pocket Maximum',
+          estimate: 'Estimated from your processed claims.',
+          askInChat: '💬 Ask About My Costs'
+        },
+        statements: {
+          title: '🧾 Medicare Summary Notices',
+          intro: 'Your claims statement for each quarter, with what was billed, what Medicare paid and why any claim was denied.',
+          quarter: 'Q{quarter} {year}',
+          range: '{from} to {to}',
+          pdf: 'Download PDF',
+          html: 'Accessible Version (HTML)',
+          signInRequired: 'Please sign in again to download your statements.',
+          downloadFailed: 'We couldn\'t download your statement. Please try again.'
+        },
+        time: {
+          justNow: 'Just now',
+          minutesAgo: '{count} min ago',
+          hoursAgo: '{count} hours ago',
+          daysAgo: '{count} days ago'
+        }
+      }
+    },
+
+    es: {
+      chat: {
+        page: {
+          title: 'Autoservicio para beneficiarios de CMS',
+          welcomeTitle: 'Bienvenido al asistente virtual de CMS',
+          welcomeDescription: 'Estoy aquí para ayudarle con los servicios de Medicare y Medicaid. Puede:',
+          featureClaims: 'Consultar el estado de sus reclamos',
+          featureBenefits: 'Conocer sus beneficios',
+          featureProviders: 'Buscar proveedores de salud',
+          featureAgents: 'Comunicarse con agentes de soporte',
+          startButton: 'Iniciar conversación',
+          privacyNote: '🔒 Su información está protegida y cumple con HIPAA',
+          typing: 'El asistente está escribiendo...',
+          inputPlaceholder: 'Escriba su mensaje...',
+          inputHint: 'Presione Enter para enviar • Escriba "ayuda" para obtener asistencia',
+          sendLabel: 'Enviar mensaje',
+          footer: 'Centros de Servicios de Medicare y Medicaid',
+          privacyPolicy: 'Política de privacidad',
+          termsOfService: 'Condiciones de servicio'
+        },
+        quickReplies: {
+          start: ['Consultar un reclamo', 'Conocer mis beneficios', 'Buscar un proveedor'],
+          fallback: ['Consultar un reclamo', 'Conocer mis beneficios', 'Buscar un proveedor', 'Hablar con un agente']
+        },
+        keywords: {
+          greeting: ['hola', 'buenos', 'buenas'],
+          claim: ['reclam'],
+          benefit: ['beneficio', 'cobertura', 'parte'],
+          provider: ['proveedor', 'médico', 'medico', 'doctor', 'buscar'],
+          agent: ['agente', 'ayuda', 'soporte'],
+          goodbye: ['adiós', 'adios', 'gracias'],
+          partA: ['parte a', 'part a']
+        },
+        samples: {
+          greeting: `¡Hola! Bienvenido al portal de autoservicio para beneficiarios de CMS. Puedo ayudarle a:
+
+• Consultar el estado de sus reclamos
+• Conocer sus beneficios
+• Buscar proveedores de salud
+• Comunicarse con un agente de soporte
+
+¿En qué puedo ayudarle hoy?`,
+          claim: `**Información sobre el estado de reclamos**
+
+Para consultar el estado de su reclamo, necesito el número de reclamo. Los números de reclamo tienen el formato CLM-AAAA-NNN (p. ej., CLM-2024-001).
+
+**Ejemplo de estado de reclamo:**
+Reclamo CLM-2024-001
+Estado: ✓ Aprobado
+Fecha del servicio: 15 de septiembre de 2024
+Proveedor: Springfield General Hospital
+Servicio: Primary care visit for annual checkup
+
+**Detalles financieros:**
+• Monto facturado: US$250.00
+• Monto aprobado: US$200.00
+• Su responsabilidad: US$40.00
+• Fecha de pago: 30 de septiembre de 2024
+• Monto del pago: US$160.00
+
+¿Desea consultar otro reclamo o informarse sobre otro tema?`,
+          benefitsPartA: `**Medicare Parte A - Seguro de hospital**
+
+La Parte A cubre estadías como paciente internado en el hospital, atención en un centro de enfermería especializada, cuidados de hospicio y algunos cuidados de salud en el hogar.
+
+**Detalles de la cobertura:**
+
+• **Hospital (paciente internado):** Habitación semiprivada, comidas, enfermería general y otros servicios y suministros del hospital
+  - Deducible: US$1,632 por período de beneficios (2024)
+  - Días 1-60: US$0 de coseguro
+  - Días 61-90: US$408 de coseguro por día
+
+• **Centro de enfermería especializada:** Habitación semiprivada, comidas, enfermería especializada y servicios de rehabilitación
+  - Días 1-20: US$0 de coseguro
+  - Días 21-100: US$204 de coseguro por día
+
+**Prima:** La mayoría de las personas no paga una prima de la Parte A si ellas o su cónyuge pagaron impuestos de Medicare mientras trabajaban.
+
+¿Qué más le gustaría saber?`,
+          benefits: `**Sus beneficios de Medicare**
+
+Medicare ofrece varias opciones de cobertura:
+
+• **Parte A:** Seguro de hospital (atención como paciente internado, enfermería especializada)
+• **Parte B:** Seguro médico (consultas médicas, atención ambulatoria)
+• **Parte C:** Medicare Advantage (alternativa a Medicare Original)
+• **Parte D:** Cobertura de medicamentos recetados
+
+También puede agregar cobertura suplementaria para:
+• Servicios dentales
+• Atención de la vista
+• Audífonos
+
+¿Sobre qué beneficio le gustaría saber más?`,
+          providers: `**Buscar proveedores de salud**
+
+Puedo ayudarle a buscar proveedores por especialidad. Estos son algunos ejemplos:
+
+**Especialidades disponibles:**
+• Atención primaria
+• Cardiología
+• Odontología
+• Dermatología
+• Oftalmología
+• Ortopedia
+
+**Ejemplo de proveedor:**
+**Dr. Sarah Mitchell** ✓
+Springfield Family Medicine
+Atención primaria
+100 Medical Plaza, Springfield, IL 62701
+📞 (555) 111-2222
+⭐ 4.8/5.0 (156 reseñas)
+🗣️ Idiomas: inglés, español
+✅ Acepta pacientes nuevos
+
+¿Qué tipo de proveedor busca?`,
+          escalation: `Entiendo que desea hablar con un agente de soporte. Permítame comunicarle ahora.
+
+**Soporte de CMS:**
+📞 Teléfono: 1-800-MEDICARE (1-800-633-4227)
+⏰ Disponible las 24 horas, los 7 días de la semana
+🗣️ TTY: 1-877-486-2048
+
+Un agente le atenderá en breve. ¿Hay algo más en lo que pueda ayudarle mientras espera?`,
+          goodbye: `Gracias por usar el portal de autoservicio para beneficiarios de CMS. ¡Que tenga un excelente día!
+
+Si necesita ayuda en el futuro, puede volver cuando quiera. ¡Cuídese! 👋`,
+          fallback: `¡Estoy aquí para ayudarle! Puedo asistirle con:
+
+• **Estado de reclamos** - Consultar el estado de sus reclamos médicos
+• **Beneficios** - Conocer las Partes A, B, C y D de Medicare y la cobertura suplementaria
+• **Proveedores** - Buscar médicos y centros de salud en su zona
+• **Soporte** - Comunicarse con un agente para recibir asistencia personalizada
+
+¿Sobre qué le gustaría saber más?`
+        }
+      },
+
+      mobile: {
+        loading: 'Cargando Mi Medicare...',
+        login: {
+          tagline: 'Su compañero personalizado de Medicare',
+          medicareId: 'Número de Medicare',
+          lastName: 'Apellido',
+          lastNamePlaceholder: 'Ingrese su apellido',
+          signIn: 'Iniciar sesión',
+          demoAccess: 'Acceso rápido de demostración:',
+          invalidCredentials: 'Datos incorrectos. Inténtelo de nuevo o use una de las cuentas de demostración.'
+        },
+        session: {
+          signOutConfirm: '¿Cerrar sesión en Medicare Mobile?',
+          idleTimeout: 'Se cerró su sesión después de 15 minutos de inactividad.',
+          expired: 'Su sesión venció. Vuelva a iniciar sesión.',
+          ended: 'Su sesión terminó. Vuelva a iniciar sesión.'
+        },
+        nav: {
+          home: 'Inicio',
+          alerts: 'Alertas',
+          chat: 'Chat',
+          documents: 'Documentos'
+        },
+        titles: {
+          dashboard: 'Panel',
+          notifications: 'Notificaciones',
+          chat: 'Ayuda por chat',
+          documents: 'Mis documentos'
+        },
+        dashboard: {
+          hello: '¡Hola, {firstName}! 👋',
+          overview: 'Este es el resumen personalizado de su salud',
+          upcomingAppointment: '📅 Próxima cita',
+          appointmentTime: '{date} a las {time}',
+          viewDetails: 'Ver detalles',
+          getDirections: 'Cómo llegar',
+          actionRequired: '⚠️ Acción requerida',
+          itemCount: '{count} pendientes',
+          wellnessVisitDue: 'Visita anual de bienestar pendiente',
+          refillNeeded: 'Necesita resurtir un medicamento',
+          completeApplication: 'Complete su solicitud',
+          takeAction: 'Tomar acción',
+          medications: '💊 Sus medicamentos',
+          refillsRemaining: 'Resurtidos restantes: {count}',
+          refill: 'Resurtir',
+          healthPrograms: '🏥 Sus programas de salud',
+          coverageTitle: '📋 Su cobertura',
+          coverage: 'Cobertura: {types}',
+          memberSince: 'Miembro desde: {year}',
+          viewBenefits: 'Ver beneficios',
+          quickActions: '⚡ Acciones rápidas',
+          chatSupport: '💬 Ayuda por chat',
+          uploadDocument: '📄 Subir documento',
+          callNurseLine: '📞 Llamar a la línea de enfermería',
+          findProvider: '🔍 Buscar proveedor'
+        },
+        appeals: {
+          title: '⚖️ Sus apelaciones',
+          claim: 'Reclamo {claimId}',
+          filed: 'Presentada {date}',
+          decision: 'Decisión: {decision}',
+          askInChat: '💬 Preguntar por una apelación',
+          statuses: {
+            Submitted: 'Presentada',
+            'Under Review': 'En revisión',
+            Decided: 'Decidida'
+          },
+          decisions: {
+            Favorable: 'Favorable',
+            'Partially Favorable': 'Parcialmente favorable',
+            Unfavorable: 'Desfavorable'
+          }
+        },
+        notifications: {
+          title: 'Sus notificaciones',
+          empty: 'No tiene notificaciones en este momento. ¡Le avisaremos sobre las novedades importantes!',
+          takeAction: 'Tomar acción',
+          markAsRead: 'Marcar como leída',
+          priorities: {
+            urgent: 'urgente',
+            high: 'alta',
+            medium: 'media',
+            low: 'baja'
+          }
+        },
+        chat: {
+          greeting: '¡Hola, {firstName}! Estoy aquí para ayudarle con sus preguntas sobre Medicare. ¿En qué puedo ayudarle hoy?',
+          medications: '💊 Medicamentos',
+          medicationsMessage: 'Necesito ayuda con mis medicamentos',
+          appointments: '📅 Citas',
+          appointmentsMessage: 'Programar una cita',
+          benefits: '📋 Beneficios',
+          benefitsMessage: 'Consultar mis beneficios',
+          placeholder: 'Escriba su mensaje...',
+          send: 'Enviar',
+          connectAgent: '👤 Hablar con un agente',
+          agentChatEnded: 'El chat con el agente terminó. Vuelvo a estar aquí para ayudarle con cualquier otra cosa.',
+          smartReplyFallback: 'Entiendo que necesita ayuda. ¿Desea que le comunique con un agente que pueda ayudarle con esta pregunta?',
+          agentRequest: 'Quiero hablar con un agente',
+          agentUnavailable: 'El chat con un agente no está disponible en este momento. Llame al 1-800-MEDICARE (1-800-633-4227), disponible las 24 horas, los 7 días de la semana.',
+          agentName: 'Agente',
+          connecting: 'Comunicándole con un agente...',
+          packaging: 'Preparando de forma segura el contexto de su conversación',
+          contextPackage: 'Paquete de contexto:',
+          contextBeneficiaryId: '✓ ID del beneficiario: {id}',
+          contextName: '✓ Nombre: {name}',
+          contextPlan: '✓ Plan: {plan}',
+          contextHistory: '✓ Historial de la conversación: últimos 5 mensajes',
+          contextRedacted: '✓ Datos personales ocultos en los registros'
+        },
+        documents: {
+          title: 'Mis documentos',
+          uploadNew: 'Subir un documento nuevo',
+          uploadHint: 'Haga clic para subir o arrastre y suelte',
+          uploadLimits: 'PDF, JPG o PNG de hasta 5 MB',
+          recent: 'Documentos recientes',
+          view: 'Ver',
+          download: 'Descargar',
+          statuses: {
+            approved: 'aprobado',
+            pending: 'pendiente',
+            pending_review: 'en revisión',
+            processing: 'en proceso',
+            draft: 'borrador'
+          },
+          uploadInfo: 'Función para subir documentos\n\nEn una aplicación de producción, esto:\n1. Abriría el selector de archivos\n2. Validaría el tipo y el tamaño del archivo\n3. Lo subiría a un almacenamiento seguro\n4. Actualizaría la lista de documentos\n\nEsta es una demostración del prototipo.'
+        },
+        outOfPocket: {
+          title: '💵 Sus gastos de {year}',
+          spent: 'Su parte de los reclamos aprobados al {date}',
+          pending: 'Los reclamos pendientes pueden sumar {amount}',
+          applied: '{applied} de {limit}',
+          remaining: 'Faltan {remaining}',
+          met: '✓ Alcanzado',
+          partB: 'Deducible de la Parte B',
+          partA: 'Deducible de la Parte A',
+          benefitPeriod: 'Período de beneficios desde el {date}',
+          noBenefitPeriod: 'Sin período de beneficios este año',
+          moop: 'Máximo de gastos de bolsillo del plan',
+          estimate: 'Estimado a partir de sus reclamos procesados.',
+          askInChat: '💬 Preguntar por mis gastos'
+        },
+        statements: {
+          title: '🧾 Resúmenes de Medicare',
+          intro: 'El resumen de sus reclamos de cada trimestre, con lo facturado, lo que pagó Medicare y por qué se denegó algún reclamo.',
+          quarter: 'Trimestre {quarter} de {year}',
+          range: '{from} al {to}',
+          pdf: 'Descargar PDF',
+          html: 'Versión accesible (HTML)',
+          signInRequired: 'Vuelva a iniciar sesión para descargar sus resúmenes.',
+          downloadFailed: 'No pudimos descargar su resumen. Inténtelo de nuevo.'
+        },
+        time: {
+          justNow: 'Ahora mismo',
+          minutesAgo: 'hace {count} min',
+          hoursAgo: 'hace {count} horas',
+          daysAgo: 'hace {count} días'
+        }
+      }
+    }
+  };
+
+  let currentLocale = DEFAULT_LOCALE;
+
+  // Reduce a language tag ('es-US', 'es_419') to a supported locale, or null
+  function normalizeLocale(value) {
+    if (typeof value !== 'string') return null;
+
+    const language = value.trim().toLowerCase().split(/[-_]/)[0];
+    return MESSAGES[language] ? language : null;
+  }
+
+  function lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), MESSAGES[locale]);
+  }
+
+  // Look up a message in the current locale (falling back to English) and fill its {placeholders}
+  function t(key, values = {}) {
+    let message = lookup(currentLocale, key);
+    if (message === undefined) message = lookup(DEFAULT_LOCALE, key);
+    if (message === undefined) {
+      console.warn('Missing message:', key);
+      return key;
+    }
+    if (typeof message !== 'string') return message;
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+  }
+
+  // Translate the data-i18n and data-i18n-placeholder elements in the page
+  function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+  }
+
+  // Switch languages; unsupported values leave the current one in place
+  function setLocale(value) {
+    const locale = normalizeLocale(value);
+    if (!locale) return false;
+
+    if (locale !== currentLocale) {
+      currentLocale = locale;
+      applyTranslations();
+    }
+    document.documentElement.lang = locale;
+    return true;
+  }
+
+  function getLocale() {
+    return currentLocale;
+  }
+
+  // Format a date in the current locale ('September 15, 2024', '15 de septiembre de 2024')
+  function formatDate(value, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+    return new Date(value).toLocaleDateString(FORMAT_LOCALES[currentLocale], options);
+  }
+
+  // Format a dollar amount in the current locale ('$1,632.00')
+  function formatCurrency(value) {
+    return new Intl.NumberFormat(FORMAT_LOCALES[currentLocale], { style: 'currency', currency: 'USD' }).format(Number(value) || 0);
+  }
+
+  // Format a time of day in the current locale
+  function formatTime(value, options = { hour: '2-digit', minute: '2-digit' }) {
+    return new Date(value).toLocaleTimeString(FORMAT_LOCALES[currentLocale], options);
+  }
+
+  window.I18n = {
+    DEFAULT_LOCALE,
+    normalizeLocale,
+    setLocale,
+    getLocale,
+    t,
+    applyTranslations,
+    formatDate,
+    formatCurrency,
+    formatTime
+  };
+
+  // Scripts load at the end of the body, so the page is already parsed
+  currentLocale = normalizeLocale(navigator.language) || DEFAULT_LOCALE;
+  document.documentElement.lang = currentLocale;
+  applyTranslations();
+})();
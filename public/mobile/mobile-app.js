@@ -1,6 +1,8 @@
 /**
  * Mobile App JavaScript - Use Case 3: Proactive Beneficiary Engagement
  * Complete implementation of personalized mobile Medicare experience
+ * Text comes from the I18n catalogs (i18n.js), in the signed-in user's
+ * preferred language or else the browser's
  */
 
 // ============================================
@@ -8,11 +10,16 @@
 // ============================================
 const AppState = {
     currentUser: null,
+    session: null,
+    chatSessionId: null,
+    handoff: null,
     currentView: 'dashboard',
     beneficiaries: [],
     notifications: [],
     conversations: [],
     documents: [],
+    appeals: [],
+    outOfPocket: null,
     smartReplies: []
 };
 
@@ -64,6 +71,11 @@ async function loadMockData() {
         const documentsData = await documentsResponse.json();
         AppState.documents = documentsData.documents;
 
+        // Load appeals data
+        const appealsResponse = await fetch('/firestore/appeals.json');
+        const appealsData = await appealsResponse.json();
+        AppState.appeals = appealsData.appeals;
+
         // Load smart replies data
         const smartRepliesResponse = await fetch('/firestore/smartReplies.json');
         const smartRepliesData = await smartRepliesResponse.json();
@@ -109,6 +121,18 @@ function setupEventListeners() {
     document.getElementById('notificationBtn')?.addEventListener('click', () => {
         switchView('notifications');
     });
+
+    // Profile button signs out
+    document.getElementById('profileBtn')?.addEventListener('click', () => {
+        if (confirm(I18n.t('mobile.session.signOutConfirm'))) {
+            handleLogout();
+        }
+    });
+
+    // Any interaction counts as session activity
+    ['click', 'keydown', 'touchstart'].forEach(eventName => {
+        document.addEventListener(eventName, recordSessionActivity, { passive: true });
+    });
 }
 
 // ============================================
@@ -120,27 +144,202 @@ function handleLogin(e) {
     const medicareId = document.getElementById('medicareId').value;
     const lastName = document.getElementById('lastName').value;
 
-    // Find user in mock data
+    // Find user in mock data (by legacy Medicare ID or MBI)
+    const normalizedId = medicareId.trim().toUpperCase().replace(/[\s-]/g, '');
     const user = AppState.beneficiaries.find(b => 
-        b.medicareId === medicareId && 
+        (b.medicareId.replace(/-/g, '') === normalizedId || b.mbi === normalizedId) && 
         b.lastName.toLowerCase() === lastName.toLowerCase()
     );
 
     if (user) {
         AppState.currentUser = user;
+        I18n.setLocale(getPreferredLanguage(user));
+        startSession();
         showApp();
         loadDashboard();
         updateNotificationBadge();
+        refreshAppeals();
+        refreshOutOfPocket();
     } else {
-        alert('Invalid credentials. Please try again or use one of the demo accounts.');
+        alert(I18n.t('mobile.login.invalidCredentials'));
     }
 }
 
+// A beneficiary's language preference, if any (matches the server's getPreferredLanguage)
+function getPreferredLanguage(user) {
+    return I18n.normalizeLocale(user.preferences?.communicationLanguage) || I18n.normalizeLocale(user.preferredLanguage);
+}
+
 function showApp() {
     document.getElementById('loginScreen').style.display = 'none';
     document.getElementById('appContainer').style.display = 'flex';
 }
 
+function showLogin() {
+    document.getElementById('appContainer').style.display = 'none';
+    document.getElementById('loginScreen').style.display = '';
+    document.getElementById('loginForm')?.reset();
+}
+
+// ============================================
+// SESSION MANAGEMENT
+// ============================================
+// Mirrors the server-side session store: 15 minute idle timeout,
+// 12 hour absolute timeout, rotating refresh tokens
+const API_BASE_URL = 'https://us-central1-faomeroct10.cloudfunctions.net';
+const SESSION_IDLE_TIMEOUT = 15 * 60 * 1000;
+const SESSION_ABSOLUTE_TIMEOUT = 12 * 60 * 60 * 1000;
+const SESSION_CHECK_INTERVAL = 60 * 1000;
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+let sessionTimer = null;
+
+/**
+ * Start a session. Pass the tokens returned by authenticateBeneficiary when
+ * signing in through the API; demo sign-ins only get the local timeouts.
+ */
+function startSession(tokens = {}) {
+    const now = Date.now();
+    AppState.session = {
+        sessionToken: tokens.sessionToken || null,
+        refreshToken: tokens.refreshToken || null,
+        startedAt: now,
+        lastActivityAt: now
+    };
+
+    clearInterval(sessionTimer);
+    sessionTimer = setInterval(checkSession, SESSION_CHECK_INTERVAL);
+}
+
+function recordSessionActivity() {
+    if (AppState.session) {
+        AppState.session.lastActivityAt = Date.now();
+    }
+}
+
+function getTokenExpiry(token) {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp * 1000;
+    } catch (error) {
+        return 0;
+    }
+}
+
+async function checkSession() {
+    const session = AppState.session;
+    if (!session) return;
+
+    const now = Date.now();
+    if (now - session.lastActivityAt > SESSION_IDLE_TIMEOUT) {
+        endSession(I18n.t('mobile.session.idleTimeout'));
+        return;
+    }
+    if (now - session.startedAt > SESSION_ABSOLUTE_TIMEOUT) {
+        endSession(I18n.t('mobile.session.expired'));
+        return;
+    }
+
+    if (session.sessionToken && getTokenExpiry(session.sessionToken) - now < TOKEN_REFRESH_MARGIN) {
+        await refreshSessionTokens();
+    }
+}
+
+/**
+ * Rotate the session and refresh tokens
+ * A revoked or timed-out session ends the local session too
+ */
+async function refreshSessionTokens() {
+    const session = AppState.session;
+    if (!session || !session.refreshToken) {
+        endSession(I18n.t('mobile.session.ended'));
+        return false;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/refreshBeneficiarySession`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: session.refreshToken })
+        });
+
+        if (response.status === 401) {
+            endSession(I18n.t('mobile.session.ended'));
+            return false;
+        }
+        if (!response.ok) {
+            return false;
+        }
+
+        const data = await response.json();
+        session.sessionToken = data.sessionToken;
+        session.refreshToken = data.refreshToken;
+        return true;
+    } catch (error) {
+        console.error('Session refresh failed:', error);
+        return false;
+    }
+}
+
+/**
+ * Call a protected API with the session token
+ * Retries once after a refresh; ends the session if it was revoked
+ */
+async function apiFetch(path, options = {}, retry = true) {
+    const session = AppState.session;
+    if (!session || !session.sessionToken) {
+        throw new Error('Not signed in');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(options.headers || {}),
+            Authorization: `Bearer ${session.sessionToken}`
+        }
+    });
+
+    if (response.status === 401) {
+        if (retry && await refreshSessionTokens()) {
+            return apiFetch(path, options, false);
+        }
+        endSession(I18n.t('mobile.session.ended'));
+    }
+
+    return response;
+}
+
+async function handleLogout() {
+    if (AppState.session?.sessionToken) {
+        try {
+            await apiFetch('logoutBeneficiary', { method: 'POST' }, false);
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
+    }
+
+    endSession();
+}
+
+function endSession(message) {
+    clearInterval(sessionTimer);
+    sessionTimer = null;
+    stopHandoffPolling();
+    AppState.session = null;
+    AppState.currentUser = null;
+    AppState.outOfPocket = null;
+    AppState.currentView = 'dashboard';
+
+    showLogin();
+    // Back to the browser's language for the next person to sign in
+    I18n.setLocale(navigator.language) || I18n.setLocale(I18n.DEFAULT_LOCALE);
+
+    if (message) {
+        alert(message);
+    }
+}
+
 // ============================================
 // NAVIGATION
 // ============================================
@@ -155,14 +354,11 @@ function switchView(viewName) {
         }
     });
 
-    // Update page title
-    const titles = {
-        dashboard: 'Dashboard',
-        notifications: 'Notifications',
-        chat: 'Chat Support',
-        documents: 'My Documents'
-    };
-    document.getElementById('pageTitle').textContent = titles[viewName] || 'Dashboard';
+    // Update page title (kept as a data-i18n key so a language switch updates it)
+    const titles = ['dashboard', 'notifications', 'chat', 'documents'];
+    const pageTitle = document.getElementById('pageTitle');
+    pageTitle.dataset.i18n = `mobile.titles.${titles.includes(viewName) ? viewName : 'dashboard'}`;
+    pageTitle.textContent = I18n.t(pageTitle.dataset.i18n);
 
     // Load view content
     const mainContent = document.getElementById('mainContent');
@@ -195,8 +391,8 @@ function loadDashboard() {
 
     let html = `
         <div class="welcome-section" style="margin-bottom: 24px;">
-            <h2 style="font-size: 28px; margin-bottom: 8px;">Hello, ${user.firstName}! 👋</h2>
-            <p style="color: var(--text-secondary);">Here's your personalized health overview</p>
+            <h2 style="font-size: 28px; margin-bottom: 8px;">${I18n.t('mobile.dashboard.hello', { firstName: user.firstName })}</h2>
+            <p style="color: var(--text-secondary);">${I18n.t('mobile.dashboard.overview')}</p>
         </div>
     `;
 
@@ -205,17 +401,20 @@ function loadDashboard() {
         html += `
             <div class="card" style="border-left: 4px solid var(--info-color);">
                 <div class="card-header">
-                    <h3 class="card-title">📅 Upcoming Appointment</h3>
+                    <h3 class="card-title">${I18n.t('mobile.dashboard.upcomingAppointment')}</h3>
                 </div>
                 <div class="card-content">
                     <p><strong>${user.upcomingAppointment.type}</strong></p>
                     <p style="color: var(--text-secondary); margin: 8px 0;">
-                        ${new Date(user.upcomingAppointment.date).toLocaleDateString('en-US', { 
-                            weekday: 'long', 
-                            year: 'numeric', 
-                            month: 'long', 
-                            day: 'numeric' 
-                        })} at ${user.upcomingAppointment.time}
+                        ${I18n.t('mobile.dashboard.appointmentTime', {
+                            date: I18n.formatDate(user.upcomingAppointment.date, {
+                                weekday: 'long',
+                                year: 'numeric',
+                                month: 'long',
+                                day: 'numeric'
+                            }),
+                            time: user.upcomingAppointment.time
+                        })}
                     </p>
                     <p style="color: var(--text-secondary);">
                         ${user.upcomingAppointment.provider}<br>
@@ -223,8 +422,8 @@ function loadDashboard() {
                     </p>
                 </div>
                 <div class="card-footer">
-                    <button class="btn btn-primary">View Details</button>
-                    <button class="btn btn-secondary">Get Directions</button>
+                    <button class="btn btn-primary">${I18n.t('mobile.dashboard.viewDetails')}</button>
+                    <button class="btn btn-secondary">${I18n.t('mobile.dashboard.getDirections')}</button>
                 </div>
             </div>
         `;
@@ -232,16 +431,16 @@ function loadDashboard() {
 
     // Action Items Card
     const actionItems = [];
-    if (user.preventiveServiceDue) actionItems.push('Annual Wellness Visit Due');
-    if (user.medicationRefillDue) actionItems.push('Medication Refill Needed');
-    if (user.hasUnfinishedApplication) actionItems.push('Complete Application');
+    if (user.preventiveServiceDue) actionItems.push(I18n.t('mobile.dashboard.wellnessVisitDue'));
+    if (user.medicationRefillDue) actionItems.push(I18n.t('mobile.dashboard.refillNeeded'));
+    if (user.hasUnfinishedApplication) actionItems.push(I18n.t('mobile.dashboard.completeApplication'));
 
     if (actionItems.length > 0) {
         html += `
             <div class="card" style="border-left: 4px solid var(--warning-color);">
                 <div class="card-header">
-                    <h3 class="card-title">⚠️ Action Required</h3>
-                    <span class="status-badge badge-medium">${actionItems.length} items</span>
+                    <h3 class="card-title">${I18n.t('mobile.dashboard.actionRequired')}</h3>
+                    <span class="status-badge badge-medium">${I18n.t('mobile.dashboard.itemCount', { count: actionItems.length })}</span>
                 </div>
                 <div class="card-content">
                     ${actionItems.map(item => `
@@ -251,7 +450,47 @@ function loadDashboard() {
                     `).join('')}
                 </div>
                 <div class="card-footer">
-                    <button class="btn btn-warning">Take Action</button>
+                    <button class="btn btn-warning">${I18n.t('mobile.dashboard.takeAction')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Appeals Card
+    const userAppeals = AppState.appeals.filter(a => 
+        a.beneficiaryId === user.medicareId || a.beneficiaryId === user.mbi
+    );
+
+    if (userAppeals.length > 0) {
+        const appealColors = {
+            Submitted: 'var(--info-color)',
+            'Under Review': 'var(--warning-color)',
+            Decided: 'var(--success-color)'
+        };
+
+        html += `
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">${I18n.t('mobile.appeals.title')}</h3>
+                </div>
+                <div class="card-content">
+                    ${userAppeals.map(appeal => `
+                        <div style="padding: 12px; border-bottom: 1px solid var(--border-color);">
+                            <div style="display: flex; justify-content: space-between; align-items: center;">
+                                <strong>${I18n.t('mobile.appeals.claim', { claimId: appeal.claimId })}</strong>
+                                <span class="status-badge" style="background: ${appealColors[appeal.status]}20; color: ${appealColors[appeal.status]};">
+                                    ${I18n.t(`mobile.appeals.statuses.${appeal.status}`)}
+                                </span>
+                            </div>
+                            <small style="color: var(--text-secondary);">
+                                ${appeal.appealId} · ${I18n.t('mobile.appeals.filed', { date: I18n.formatDate(appeal.filedAt, { year: 'numeric', month: 'short', day: 'numeric' }) })}
+                            </small>
+                            ${appeal.decision ? `<p style="margin-top: 8px;">${I18n.t('mobile.appeals.decision', { decision: I18n.t(`mobile.appeals.decisions.${appeal.decision}`) })}</p>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="card-footer">
+                    <button class="btn btn-secondary" onclick="switchView('chat')">${I18n.t('mobile.appeals.askInChat')}</button>
                 </div>
             </div>
         `;
@@ -262,7 +501,7 @@ function loadDashboard() {
         html += `
             <div class="card">
                 <div class="card-header">
-                    <h3 class="card-title">💊 Your Medications</h3>
+                    <h3 class="card-title">${I18n.t('mobile.dashboard.medications')}</h3>
                 </div>
                 <div class="card-content">
                     ${user.medications.map(med => `
@@ -270,10 +509,10 @@ function loadDashboard() {
                             <div>
                                 <strong>${med.name}</strong> ${med.dosage}<br>
                                 <small style="color: var(--text-secondary);">
-                                    Refills remaining: ${med.refillsRemaining}
+                                    ${I18n.t('mobile.dashboard.refillsRemaining', { count: med.refillsRemaining })}
                                 </small>
                             </div>
-                            <button class="btn btn-sm btn-primary">Refill</button>
+                            <button class="btn btn-sm btn-primary">${I18n.t('mobile.dashboard.refill')}</button>
                         </div>
                     `).join('')}
                 </div>
@@ -286,7 +525,7 @@ function loadDashboard() {
         html += `
             <div class="card">
                 <div class="card-header">
-                    <h3 class="card-title">🏥 Your Health Programs</h3>
+                    <h3 class="card-title">${I18n.t('mobile.dashboard.healthPrograms')}</h3>
                 </div>
                 <div class="card-content">
                     ${user.enrolledPrograms.map(program => `
@@ -299,21 +538,26 @@ function loadDashboard() {
         `;
     }
 
+    // Out-of-Pocket Card
+    if (AppState.outOfPocket) {
+        html += renderOutOfPocketCard(AppState.outOfPocket);
+    }
+
     // Plan Info Card
     html += `
         <div class="card" style="background: linear-gradient(135deg, var(--primary-color), var(--secondary-color)); color: white;">
             <div class="card-header">
-                <h3 class="card-title" style="color: white;">📋 Your Coverage</h3>
+                <h3 class="card-title" style="color: white;">${I18n.t('mobile.dashboard.coverageTitle')}</h3>
             </div>
             <div class="card-content">
                 <p><strong style="font-size: 18px;">${user.planType}</strong></p>
                 <p style="margin: 12px 0; opacity: 0.9;">
-                    Coverage: ${user.coverageType.join(', ')}
+                    ${I18n.t('mobile.dashboard.coverage', { types: user.coverageType.join(', ') })}
                 </p>
-                <p style="opacity: 0.9;">Member since: ${new Date(user.enrollmentDate).getFullYear()}</p>
+                <p style="opacity: 0.9;">${I18n.t('mobile.dashboard.memberSince', { year: new Date(user.enrollmentDate).getFullYear() })}</p>
             </div>
             <div class="card-footer" style="border-top-color: rgba(255,255,255,0.2);">
-                <button class="btn" style="background: rgba(255,255,255,0.2); color: white;">View Benefits</button>
+                <button class="btn" style="background: rgba(255,255,255,0.2); color: white;">${I18n.t('mobile.dashboard.viewBenefits')}</button>
             </div>
         </div>
     `;
@@ -322,13 +566,13 @@ function loadDashboard() {
     html += `
         <div class="card">
             <div class="card-header">
-                <h3 class="card-title">⚡ Quick Actions</h3>
+                <h3 class="card-title">${I18n.t('mobile.dashboard.quickActions')}</h3>
             </div>
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; padding: 16px;">
-                <button class="btn btn-secondary" onclick="switchView('chat')">💬 Chat Support</button>
-                <button class="btn btn-secondary" onclick="switchView('documents')">📄 Upload Document</button>
-                <button class="btn btn-secondary">📞 Call Nurse Line</button>
-                <button class="btn btn-secondary">🔍 Find Provider</button>
+                <button class="btn btn-secondary" onclick="switchView('chat')">${I18n.t('mobile.dashboard.chatSupport')}</button>
+                <button class="btn btn-secondary" onclick="switchView('documents')">${I18n.t('mobile.dashboard.uploadDocument')}</button>
+                <button class="btn btn-secondary">${I18n.t('mobile.dashboard.callNurseLine')}</button>
+                <button class="btn btn-secondary">${I18n.t('mobile.dashboard.findProvider')}</button>
             </div>
         </div>
     `;
@@ -336,6 +580,115 @@ function loadDashboard() {
     document.getElementById('mainContent').innerHTML = html;
 }
 
+/**
+ * Replace the demo appeals with the API's when signed in with a session token
+ */
+async function refreshAppeals() {
+    if (!AppState.session || !AppState.session.sessionToken) return;
+
+    try {
+        const response = await apiFetch('appealsApi');
+        if (!response.ok) return;
+
+        const data = await response.json();
+        AppState.appeals = data.appeals;
+        if (AppState.currentView === 'dashboard') {
+            loadDashboard();
+        }
+    } catch (error) {
+        console.error('Error loading appeals:', error);
+    }
+}
+
+/**
+ * Load this year's out-of-pocket tracker when signed in with a session token
+ */
+async function refreshOutOfPocket() {
+    if (!AppState.session || !AppState.session.sessionToken) return;
+
+    try {
+        const response = await apiFetch(`outOfPocketApi?languageCode=${I18n.getLocale()}`);
+        if (!response.ok) return;
+
+        const data = await response.json();
+        AppState.outOfPocket = data.tracker;
+        if (AppState.currentView === 'dashboard') {
+            loadDashboard();
+        }
+    } catch (error) {
+        console.error('Error loading out-of-pocket costs:', error);
+    }
+}
+
+// One deductible or maximum with a progress bar
+function renderSpendingProgress(title, tracked, detail = '') {
+    const percent = tracked.limit > 0 ? Math.round(tracked.applied / tracked.limit * 100) : 100;
+    const color = tracked.met ? 'var(--success-color)' : 'var(--info-color)';
+    const values = {
+        applied: I18n.formatCurrency(tracked.applied),
+        limit: I18n.formatCurrency(tracked.limit),
+        remaining: I18n.formatCurrency(tracked.remaining)
+    };
+
+    return `
+        <div style="padding: 12px 0; border-bottom: 1px solid var(--border-color);">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <strong>${title}</strong>
+                <span>${I18n.t('mobile.outOfPocket.applied', values)}</span>
+            </div>
+            <div role="progressbar" aria-label="${title}" aria-valuemin="0" aria-valuemax="${tracked.limit}" aria-valuenow="${tracked.applied}"
+                style="height: 8px; background: var(--bg-secondary); border-radius: 4px; margin: 8px 0; overflow: hidden;">
+                <div style="width: ${percent}%; height: 100%; background: ${color};"></div>
+            </div>
+            <small style="color: var(--text-secondary);">
+                ${tracked.met ? I18n.t('mobile.outOfPocket.met') : I18n.t('mobile.outOfPocket.remaining', values)}${detail ? ` · ${detail}` : ''}
+            </small>
+        </div>
+    `;
+}
+
+function renderOutOfPocketCard(tracker) {
+    const period = tracker.partA?.benefitPeriod;
+    let rows = '';
+    if (tracker.partB) {
+        rows += renderSpendingProgress(I18n.t('mobile.outOfPocket.partB'), tracker.partB);
+    }
+    if (tracker.partA) {
+        rows += period
+            ? renderSpendingProgress(I18n.t('mobile.outOfPocket.partA'), tracker.partA,
+                I18n.t('mobile.outOfPocket.benefitPeriod', { date: I18n.formatDate(`${period.start}T00:00:00`, { year: 'numeric', month: 'short', day: 'numeric' }) }))
+            : `
+                <div style="padding: 12px 0; border-bottom: 1px solid var(--border-color);">
+                    <strong>${I18n.t('mobile.outOfPocket.partA')}</strong><br>
+                    <small style="color: var(--text-secondary);">${I18n.t('mobile.outOfPocket.noBenefitPeriod')}</small>
+                </div>
+            `;
+    }
+    if (tracker.moop) {
+        rows += renderSpendingProgress(I18n.t('mobile.outOfPocket.moop'), tracker.moop);
+    }
+
+    return `
+        <div class="card">
+            <div class="card-header">
+                <h3 class="card-title">${I18n.t('mobile.outOfPocket.title', { year: tracker.year })}</h3>
+            </div>
+            <div class="card-content">
+                <p><strong style="font-size: 24px;">${I18n.formatCurrency(tracker.totals.outOfPocket)}</strong></p>
+                <p style="color: var(--text-secondary); margin-bottom: 8px;">
+                    ${I18n.t('mobile.outOfPocket.spent', { date: I18n.formatDate(`${tracker.asOf}T00:00:00`, { year: 'numeric', month: 'short', day: 'numeric' }) })}
+                    ${tracker.totals.pending > 0 ? `<br>${I18n.t('mobile.outOfPocket.pending', { amount: I18n.formatCurrency(tracker.totals.pending) })}` : ''}
+                </p>
+                ${rows}
+                <small style="display: block; margin-top: 8px; color: var(--text-secondary);">${I18n.t('mobile.outOfPocket.estimate')}</small>
+            </div>
+            <div class="card-footer">
+                <button class="btn btn-secondary" onclick="switchView('chat')">${I18n.t('mobile.outOfPocket.askInChat')}</button>
+            </div>
+        </div>
+    `;
+}
+
 // ============================================
 // NOTIFICATIONS VIEW
 // ============================================
@@ -347,13 +700,13 @@ function loadNotifications() {
         .filter(n => n.beneficiaryId === user.medicareId)
         .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-    let html = '<h2 style="margin-bottom: 24px; font-size: 24px;">Your Notifications</h2>';
+    let html = `<h2 style="margin-bottom: 24px; font-size: 24px;">${I18n.t('mobile.notifications.title')}</h2>`;
 
     if (userNotifications.length === 0) {
         html += `
             <div class="card text-center">
                 <p style="padding: 40px; color: var(--text-secondary);">
-                    No notifications at this time. We'll notify you about important updates!
+                    ${I18n.t('mobile.notifications.empty')}
                 </p>
             </div>
         `;
@@ -366,7 +719,7 @@ function loadNotifications() {
                 <div class="card" style="${isUnread ? 'border-left: 4px solid var(--primary-color);' : ''}">
                     <div class="card-header">
                         <h3 class="card-title">${notif.title}</h3>
-                        <span class="status-badge ${priorityClass}">${notif.priority}</span>
+                        <span class="status-badge ${priorityClass}">${I18n.t(`mobile.notifications.priorities.${notif.priority}`)}</span>
                     </div>
                     <div class="card-content">
                         <p>${notif.message}</p>
@@ -376,8 +729,8 @@ function loadNotifications() {
                     </div>
                     ${notif.actionLink ? `
                         <div class="card-footer">
-                            <button class="btn btn-primary">${notif.actionText || 'Take Action'}</button>
-                            ${isUnread ? '<button class="btn btn-secondary">Mark as Read</button>' : ''}
+                            <button class="btn btn-primary">${notif.actionText || I18n.t('mobile.notifications.takeAction')}</button>
+                            ${isUnread ? `<button class="btn btn-secondary">${I18n.t('mobile.notifications.markAsRead')}</button>` : ''}
                         </div>
                     ` : ''}
                 </div>
@@ -400,25 +753,25 @@ function loadChat() {
             <div class="chat-messages" id="chatMessages" style="flex: 1; overflow-y: auto; padding: 16px; background: white; border-radius: 12px; margin-bottom: 16px;">
                 <div class="chat-message assistant">
                     <div class="message-bubble" style="background: var(--bg-secondary); padding: 12px; border-radius: 12px; margin-bottom: 12px; max-width: 80%;">
-                        <p>Hi ${user.firstName}! I'm here to help you with your Medicare questions. What can I assist you with today?</p>
-                        <span style="font-size: 12px; color: var(--text-secondary);">Just now</span>
+                        <p>${I18n.t('mobile.chat.greeting', { firstName: user.firstName })}</p>
+                        <span style="font-size: 12px; color: var(--text-secondary);">${I18n.t('mobile.time.justNow')}</span>
                     </div>
                 </div>
             </div>
             
             <div class="chat-input-area" style="background: white; padding: 16px; border-radius: 12px; box-shadow: var(--shadow-md);">
                 <div class="smart-replies" id="smartReplies" style="display: flex; gap: 8px; margin-bottom: 12px; flex-wrap: wrap;">
-                    <button class="btn btn-sm btn-secondary" onclick="sendChatMessage('I need help with my medications')">💊 Medications</button>
-                    <button class="btn btn-sm btn-secondary" onclick="sendChatMessage('Schedule an appointment')">📅 Appointments</button>
-                    <button class="btn btn-sm btn-secondary" onclick="sendChatMessage('Check my benefits')">📋 Benefits</button>
+                    <button class="btn btn-sm btn-secondary" onclick="sendChatMessage(I18n.t('mobile.chat.medicationsMessage'))">${I18n.t('mobile.chat.medications')}</button>
+                    <button class="btn btn-sm btn-secondary" onclick="sendChatMessage(I18n.t('mobile.chat.appointmentsMessage'))">${I18n.t('mobile.chat.appointments')}</button>
+                    <button class="btn btn-sm btn-secondary" onclick="sendChatMessage(I18n.t('mobile.chat.benefitsMessage'))">${I18n.t('mobile.chat.benefits')}</button>
                 </div>
                 <div style="display: flex; gap: 8px;">
-                    <input type="text" id="chatInput" placeholder="Type your message..." 
+                    <input type="text" id="chatInput" placeholder="${I18n.t('mobile.chat.placeholder')}" 
                         style="flex: 1; padding: 12px; border: 2px solid var(--border-color); border-radius: 8px; font-size: 16px;">
-                    <button onclick="sendChatMessage()" class="btn btn-primary" style="padding: 12px 24px;">Send</button>
+                    <button onclick="sendChatMessage()" class="btn btn-primary" style="padding: 12px 24px;">${I18n.t('mobile.chat.send')}</button>
                 </div>
                 <button onclick="initiateAgentHandoff()" class="btn btn-secondary" style="width: 100%; margin-top: 12px;">
-                    👤 Connect to Live Agent
+                    ${I18n.t('mobile.chat.connectAgent')}
                 </button>
             </div>
         </div>
@@ -448,7 +801,7 @@ function sendChatMessage(message) {
         <div class="chat-message user" style="display: flex; justify-content: flex-end; margin-bottom: 12px;">
             <div class="message-bubble" style="background: var(--primary-color); color: white; padding: 12px; border-radius: 12px; max-width: 80%;">
                 <p>${msg}</p>
-                <span style="font-size: 12px; opacity: 0.8;">Just now</span>
+                <span style="font-size: 12px; opacity: 0.8;">${I18n.t('mobile.time.justNow')}</span>
             </div>
         </div>
     `;
@@ -460,20 +813,78 @@ function sendChatMessage(message) {
     // Scroll to bottom
     chatMessages.scrollTop = chatMessages.scrollHeight;
 
-    // Simulate AI response
-    setTimeout(() => {
-        const response = generateSmartReply(msg);
+    const showReply = (response) => {
         const assistantMsgHtml = `
             <div class="chat-message assistant" style="margin-bottom: 12px;">
                 <div class="message-bubble" style="background: var(--bg-secondary); padding: 12px; border-radius: 12px; max-width: 80%;">
                     <p>${response}</p>
-                    <span style="font-size: 12px; color: var(--text-secondary);">Just now</span>
+                    <span style="font-size: 12px; color: var(--text-secondary);">${I18n.t('mobile.time.justNow')}</span>
                 </div>
             </div>
         `;
         chatMessages.innerHTML += assistantMsgHtml;
         chatMessages.scrollTop = chatMessages.scrollHeight;
-    }, 1000);
+    };
+
+    // While a live agent has the conversation, messages go straight to them
+    if (AppState.handoff) {
+        sendHandoffMessage(msg).catch(error => {
+            console.warn('Agent chat unavailable:', error);
+            stopHandoffPolling();
+            showReply(I18n.t('mobile.chat.agentChatEnded'));
+        });
+        return;
+    }
+
+    // Ask the chat API; fall back to the smart reply templates when offline
+    fetchChatReply(msg)
+        .then(reply => showReply(formatChatReply(reply.text)))
+        .catch(error => {
+            console.warn('Chat API unavailable, using smart replies:', error);
+            setTimeout(() => showReply(generateSmartReply(msg)), 1000);
+        });
+}
+
+/**
+ * Send a message to the chat API
+ * Signed-in users send their session token so the assistant knows who they are;
+ * the reply's locale is the language it was written in
+ */
+async function fetchChatReply(text) {
+    const options = {
+        method: 'POST',
+        body: JSON.stringify({
+            sessionId: AppState.chatSessionId || undefined,
+            text,
+            languageCode: I18n.getLocale(),
+            context: { channel: 'mobile' }
+        })
+    };
+
+    const response = AppState.session?.sessionToken
+        ? await apiFetch('chatApi', options)
+        : await fetch(`${API_BASE_URL}/chatApi`, { ...options, headers: { 'Content-Type': 'application/json' } });
+
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.message);
+    }
+    // The API issues the session ID, and a new one after signing in or out
+    AppState.chatSessionId = data.sessionId;
+    I18n.setLocale(data.locale);
+    return data;
+}
+
+/**
+ * Escape a chat API reply for display, keeping bold text and line breaks
+ */
+function formatChatReply(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\n/g, '<br>');
 }
 
 function generateSmartReply(userMessage) {
@@ -493,9 +904,13 @@ function generateSmartReply(userMessage) {
         return response;
     }
 
-    return "I understand you need assistance. Would you like me to connect you with a live agent who can help you with this specific question?";
+    return I18n.t('mobile.chat.smartReplyFallback');
 }
 
+const HANDOFF_POLL_INTERVAL = 5 * 1000;
+
+let handoffTimer = null;
+
 function initiateAgentHandoff() {
     const user = AppState.currentUser;
     const chatMessages = document.getElementById('chatMessages');
@@ -504,15 +919,15 @@ function initiateAgentHandoff() {
     const handoffHtml = `
         <div class="handoff-notification" style="text-align: center; padding: 24px; background: var(--info-color); color: white; border-radius: 12px; margin: 16px 0;">
             <div class="loader" style="margin: 0 auto 16px; width: 40px; height: 40px; border-color: rgba(255,255,255,0.3); border-top-color: white;"></div>
-            <h3>Connecting you to a live agent...</h3>
-            <p style="margin-top: 8px; opacity: 0.9;">Packaging your conversation context securely</p>
+            <h3>${I18n.t('mobile.chat.connecting')}</h3>
+            <p style="margin-top: 8px; opacity: 0.9;">${I18n.t('mobile.chat.packaging')}</p>
             <div style="margin-top: 16px; padding: 16px; background: rgba(255,255,255,0.2); border-radius: 8px; text-align: left;">
-                <strong style="display: block; margin-bottom: 8px;">Context Package:</strong>
-                <small>✓ Beneficiary ID: ${user.medicareId.replace(/\d/g, '•')}</small><br>
-                <small>✓ Name: ${user.firstName} ${user.lastName[0]}***</small><br>
-                <small>✓ Plan: ${user.planType}</small><br>
-                <small>✓ Conversation History: Last 5 messages</small><br>
-                <small>✓ PII Redacted for logging</small>
+                <strong style="display: block; margin-bottom: 8px;">${I18n.t('mobile.chat.contextPackage')}</strong>
+                <small>${I18n.t('mobile.chat.contextBeneficiaryId', { id: user.medicareId.replace(/\d/g, '•') })}</small><br>
+                <small>${I18n.t('mobile.chat.contextName', { name: `${user.firstName} ${user.lastName[0]}***` })}</small><br>
+                <small>${I18n.t('mobile.chat.contextPlan', { plan: user.planType })}</small><br>
+                <small>${I18n.t('mobile.chat.contextHistory')}</small><br>
+                <small>${I18n.t('mobile.chat.contextRedacted')}</small>
             </div>
         </div>
     `;
@@ -520,20 +935,112 @@ function initiateAgentHandoff() {
     chatMessages.innerHTML += handoffHtml;
     chatMessages.scrollTop = chatMessages.scrollHeight;
 
-    // Simulate connection
-    setTimeout(() => {
-        const agentMsgHtml = `
+    // The assistant queues the handoff and replies with the place in line
+    fetchChatReply(I18n.t('mobile.chat.agentRequest'))
+        .then(reply => {
+            showHandoffMessage({ role: 'system', content: reply.text });
+            if (reply.handoffId) {
+                startHandoffPolling(reply.handoffId);
+            }
+        })
+        .catch(error => {
+            console.warn('Live agent handoff unavailable:', error);
+            showHandoffMessage({
+                role: 'system',
+                content: I18n.t('mobile.chat.agentUnavailable')
+            });
+        });
+}
+
+/**
+ * Show an agent or handoff status message in the chat
+ */
+function showHandoffMessage(message) {
+    const chatMessages = document.getElementById('chatMessages');
+    if (!chatMessages) return;
+
+    const html = message.role === 'agent'
+        ? `
             <div class="chat-message agent" style="margin-bottom: 12px;">
                 <div class="message-bubble" style="background: var(--success-color); color: white; padding: 12px; border-radius: 12px; max-width: 80%;">
-                    <strong style="display: block; margin-bottom: 4px;">Agent Sarah Williams</strong>
-                    <p>Hi ${user.firstName}! I've received your conversation history and I'm here to help. What specific question can I assist you with today?</p>
-                    <span style="font-size: 12px; opacity: 0.8;">Just now</span>
+                    <strong style="display: block; margin-bottom: 4px;">${formatChatReply(message.senderName || I18n.t('mobile.chat.agentName'))}</strong>
+                    <p>${formatChatReply(message.content)}</p>
+                    <span style="font-size: 12px; opacity: 0.8;">${I18n.t('mobile.time.justNow')}</span>
+                </div>
+            </div>
+        `
+        : `
+            <div class="chat-message assistant" style="margin-bottom: 12px;">
+                <div class="message-bubble" style="background: var(--bg-secondary); padding: 12px; border-radius: 12px; max-width: 80%;">
+                    <p>${formatChatReply(message.content)}</p>
                 </div>
             </div>
         `;
-        chatMessages.innerHTML += agentMsgHtml;
-        chatMessages.scrollTop = chatMessages.scrollHeight;
-    }, 3000);
+
+    chatMessages.innerHTML += html;
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Poll the handoff for agent messages until it is closed
+ */
+function startHandoffPolling(handoffId) {
+    clearInterval(handoffTimer);
+    AppState.handoff = { handoffId, lastMessageId: null };
+    handoffTimer = setInterval(pollHandoff, HANDOFF_POLL_INTERVAL);
+}
+
+function stopHandoffPolling() {
+    clearInterval(handoffTimer);
+    handoffTimer = null;
+    AppState.handoff = null;
+}
+
+async function pollHandoff() {
+    const handoff = AppState.handoff;
+    if (!handoff || !document.getElementById('chatMessages')) return;
+
+    try {
+        const query = new URLSearchParams({ handoffId: handoff.handoffId });
+        if (handoff.lastMessageId) {
+            query.set('after', handoff.lastMessageId);
+        }
+
+        const response = await apiFetch(`handoffApi?${query}`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.message);
+        }
+
+        const messages = data.handoff.messages;
+        messages
+            .filter(message => message.role !== 'beneficiary')
+            .forEach(showHandoffMessage);
+        if (messages.length > 0) {
+            handoff.lastMessageId = messages[messages.length - 1].messageId;
+        }
+
+        if (data.handoff.status === 'closed') {
+            stopHandoffPolling();
+        }
+    } catch (error) {
+        console.warn('Handoff update failed:', error);
+    }
+}
+
+/**
+ * Send a message to the agent handling the handoff
+ */
+async function sendHandoffMessage(text) {
+    const response = await apiFetch('handoffApi', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'message', handoffId: AppState.handoff.handoffId, text })
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.message);
+    }
 }
 
 // ============================================
@@ -546,7 +1053,7 @@ function loadDocuments() {
     const userDocs = AppState.documents.filter(d => d.beneficiaryId === user.medicareId);
 
     let html = `
-        <h2 style="margin-bottom: 24px; font-size: 24px;">My Documents</h2>
+        <h2 style="margin-bottom: 24px; font-size: 24px;">${I18n.t('mobile.documents.title')}</h2>
         
         <div class="card" style="border: 2px dashed var(--border-color); text-align: center; cursor: pointer;" onclick="showUploadDialog()">
             <div style="padding: 40px;">
@@ -555,14 +1062,39 @@ function loadDocuments() {
                     <polyline points="17 8 12 3 7 8"/>
                     <line x1="12" y1="3" x2="12" y2="15"/>
                 </svg>
-                <h3 style="margin-bottom: 8px;">Upload New Document</h3>
-                <p style="color: var(--text-secondary); font-size: 14px;">Click to upload or drag and drop<br>PDF, JPG, PNG up to 5MB</p>
+                <h3 style="margin-bottom: 8px;">${I18n.t('mobile.documents.uploadNew')}</h3>
+                <p style="color: var(--text-secondary); font-size: 14px;">${I18n.t('mobile.documents.uploadHint')}<br>${I18n.t('mobile.documents.uploadLimits')}</p>
             </div>
         </div>
     `;
 
+    html += `
+        <h3 style="margin: 24px 0 8px;">${I18n.t('mobile.statements.title')}</h3>
+        <p style="color: var(--text-secondary); font-size: 14px; margin-bottom: 16px;">${I18n.t('mobile.statements.intro')}</p>
+    `;
+
+    recentQuarters(4).forEach(({ period, year, quarter, from, to }) => {
+        const label = I18n.t('mobile.statements.quarter', { quarter, year });
+        html += `
+            <div class="card">
+                <div class="card-header">
+                    <div>
+                        <h3 class="card-title">${label}</h3>
+                        <p style="font-size: 14px; color: var(--text-secondary); margin-top: 4px;">
+                            ${I18n.t('mobile.statements.range', { from: I18n.formatDate(from), to: I18n.formatDate(to) })}
+                        </p>
+                    </div>
+                </div>
+                <div class="card-footer">
+                    <button class="btn btn-secondary btn-sm" aria-label="${I18n.t('mobile.statements.pdf')}: ${label}" onclick="downloadStatement('${period}', 'pdf')">${I18n.t('mobile.statements.pdf')}</button>
+                    <button class="btn btn-secondary btn-sm" aria-label="${I18n.t('mobile.statements.html')}: ${label}" onclick="downloadStatement('${period}', 'html')">${I18n.t('mobile.statements.html')}</button>
+                </div>
+            </div>
+        `;
+    });
+
     if (userDocs.length > 0) {
-        html += '<h3 style="margin: 24px 0 16px;">Recent Documents</h3>';
+        html += `<h3 style="margin: 24px 0 16px;">${I18n.t('mobile.documents.recent')}</h3>`;
         
         userDocs.forEach(doc => {
             const statusColors = {
@@ -581,7 +1113,7 @@ function loadDocuments() {
                             <p style="font-size: 14px; color: var(--text-secondary); margin-top: 4px;">${doc.type}</p>
                         </div>
                         <span class="status-badge" style="background: ${statusColors[doc.status]}20; color: ${statusColors[doc.status]};">
-                            ${doc.status.replace('_', ' ')}
+                            ${I18n.t(`mobile.documents.statuses.${doc.status}`)}
                         </span>
                     </div>
                     <div class="card-content">
@@ -592,8 +1124,8 @@ function loadDocuments() {
                         </div>
                     </div>
                     <div class="card-footer">
-                        <button class="btn btn-secondary btn-sm">View</button>
-                        <button class="btn btn-secondary btn-sm">Download</button>
+                        <button class="btn btn-secondary btn-sm">${I18n.t('mobile.documents.view')}</button>
+                        <button class="btn btn-secondary btn-sm">${I18n.t('mobile.documents.download')}</button>
                     </div>
                 </div>
             `;
@@ -604,7 +1136,61 @@ function loadDocuments() {
 }
 
 function showUploadDialog() {
-    alert('Document Upload Feature\n\nIn a production app, this would:\n1. Open file picker\n2. Validate file type and size\n3. Upload to secure storage\n4. Update document list\n\nThis is a prototype demonstration.');
+    alert(I18n.t('mobile.documents.uploadInfo'));
+}
+
+// The last full calendar quarters, most recent first, as summaryNoticeApi periods
+function recentQuarters(count) {
+    const now = new Date();
+    let year = now.getFullYear();
+    let quarter = Math.floor(now.getMonth() / 3);
+    if (quarter === 0) {
+        year -= 1;
+        quarter = 4;
+    }
+
+    const quarters = [];
+    for (let i = 0; i < count; i++) {
+        quarters.push({
+            period: `${year}-Q${quarter}`,
+            year,
+            quarter,
+            from: new Date(year, quarter * 3 - 3, 1),
+            to: new Date(year, quarter * 3, 0)
+        });
+        if (--quarter === 0) {
+            year -= 1;
+            quarter = 4;
+        }
+    }
+    return quarters;
+}
+
+// Download a Medicare Summary Notice (format is 'pdf' or 'html')
+async function downloadStatement(period, format) {
+    if (!AppState.session || !AppState.session.sessionToken) {
+        alert(I18n.t('mobile.statements.signInRequired'));
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`summaryNoticeApi?period=${period}&format=${format}&languageCode=${I18n.getLocale()}`);
+        if (!response.ok) {
+            throw new Error(`Statement request failed with status ${response.status}`);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `medicare-summary-notice-${period}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Statement download failed:', error);
+        alert(I18n.t('mobile.statements.downloadFailed'));
+    }
 }
 
 // ============================================
@@ -618,12 +1204,12 @@ function formatTimestamp(timestamp) {
     const diffHours = Math.floor(diffMs / 3600000);
     const diffDays = Math.floor(diffMs / 86400000);
 
-    if (diffMins < 1) return 'Just now';
-    if (diffMins < 60) return `${diffMins} min ago`;
-    if (diffHours < 24) return `${diffHours} hours ago`;
-    if (diffDays < 7) return `${diffDays} days ago`;
+    if (diffMins < 1) return I18n.t('mobile.time.justNow');
+    if (diffMins < 60) return I18n.t('mobile.time.minutesAgo', { count: diffMins });
+    if (diffHours < 24) return I18n.t('mobile.time.hoursAgo', { count: diffHours });
+    if (diffDays < 7) return I18n.t('mobile.time.daysAgo', { count: diffDays });
     
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return I18n.formatDate(date, { month: 'short', day: 'numeric' });
 }
 
 function updateNotificationBadge() {
@@ -648,3 +1234,4 @@ window.switchView = switchView;
 window.sendChatMessage = sendChatMessage;
 window.initiateAgentHandoff = initiateAgentHandoff;
 window.showUploadDialog = showUploadDialog;
+window.handleLogout = handleLogout;
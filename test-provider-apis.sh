@@ -12,18 +12,25 @@ echo ""
 BASE_URL="https://us-central1-faomeroct10.cloudfunctions.net"
 
 # Test data
-NPI="1234567890"
+NPI="1234567893"
+# Seeded billing user (firestore/providerUsers.json)
+STAFF_EMAIL="lwhite@springfieldmedical.com"
+STAFF_PASSWORD="DemoClinic#2024"
 TRANSCRIPT="Hello, I'm calling about a claim denial. My claim CLM-2024-001 was rejected with code CO-16. I need help understanding what documentation is missing so I can resubmit correctly. This is urgent."
 
 echo "Test 1: Provider Authentication"
 echo "================================"
-echo "Testing NPI: $NPI"
+echo "Testing NPI: $NPI as $STAFF_EMAIL"
 echo ""
 
-curl -X POST "$BASE_URL/authenticateProviderApi" \
+AUTH_RESPONSE=$(curl -s -X POST "$BASE_URL/authenticateProviderApi" \
   -H "Content-Type: application/json" \
-  -d "{\"npiNumber\": \"$NPI\"}" \
-  | jq '.'
+  -d "{\"npiNumber\": \"$NPI\", \"email\": \"$STAFF_EMAIL\", \"password\": \"$STAFF_PASSWORD\"}")
+
+echo "$AUTH_RESPONSE" | jq '.'
+
+# Signed session token required by the agent assist and CRM APIs
+SESSION_TOKEN=$(echo "$AUTH_RESPONSE" | jq -r '.data.sessionToken')
 
 echo ""
 echo ""
@@ -34,7 +41,8 @@ echo ""
 
 curl -X POST "$BASE_URL/generateAgentAssistDataApi" \
   -H "Content-Type: application/json" \
-  -d "{\"transcript\": \"$TRANSCRIPT\", \"providerId\": \"$NPI\"}" \
+  -H "Authorization: Bearer $SESSION_TOKEN" \
+  -d "{\"transcript\": \"$TRANSCRIPT\"}" \
   | jq '.'
 
 echo ""
@@ -46,7 +54,8 @@ echo ""
 
 curl -X POST "$BASE_URL/createCrmTicketApi" \
   -H "Content-Type: application/json" \
-  -d "{\"npiNumber\": \"$NPI\", \"issueSummary\": \"Question about claim denial CO-16 documentation requirements\", \"status\": \"Open\"}" \
+  -H "Authorization: Bearer $SESSION_TOKEN" \
+  -d "{\"issueSummary\": \"Question about claim denial CO-16 documentation requirements\", \"status\": \"Open\"}" \
   | jq '.'
 
 echo ""
@@ -56,8 +65,8 @@ echo "All tests complete!"
 echo "=========================================="
 echo ""
 echo "Test NPIs available:"
-echo "  1234567890 - Springfield Medical Center (Primary Care)"
-echo "  2345678901 - Riverside Cardiology (Cardiology)"
-echo "  3456789012 - Metro Orthopedic (Orthopedic Surgery)"
-echo "  4567890123 - Sunset Pediatric (Pediatrics)"
-echo "  5678901234 - Coastal Dermatology (Dermatology)"
+echo "  1234567893 - Springfield Medical Center (Primary Care)"
+echo "  2345678900 - Riverside Cardiology (Cardiology)"
+echo "  3456789015 - Metro Orthopedic (Orthopedic Surgery)"
+echo "  4567890122 - Sunset Pediatric (Pediatrics)"
+echo "  5678901237 - Coastal Dermatology (Dermatology)"